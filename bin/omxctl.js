@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// omxctl: controls omxplayer from the command line, see lib/cli.js or omxctl --help.
+
+"use strict";
+
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -3,7 +3,8 @@ const path = require('path');
 
 let omxplayer = new OmxPlayer();
 omxplayer.open(path.join(__dirname, '..', '..', 'Timecoded_Big_bunny_1.mov'), {loop: true, adev: 'hdmi', pos: 0}).then(()=>{
-  console.log('process started');
+  console.log('player ready');
+  poll();
 });
 
 omxplayer.on('close', (exitCode)=>{
@@ -14,7 +15,6 @@ omxplayer.on('error', (error)=>{
   console.log(`player return error: ${error}`);
 });
 
-setTimeout(poll, 1000);
 setTimeout(poll, 4000);
 setTimeout(poll, 6000);
 
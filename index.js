@@ -0,0 +1,18 @@
+"use strict";
+
+const OmxPlayer = require('./lib/OmxPlayer');
+// emitError() is left out, it is for the modules only
+const {emitError, ...errors} = require('./lib/errors');
+
+OmxPlayer.Playlist = require('./lib/Playlist');
+OmxPlayer.Supervisor = require('./lib/Supervisor');
+OmxPlayer.Scheduler = require('./lib/Scheduler');
+OmxPlayer.MprisBridge = require('./lib/MprisBridge');
+OmxPlayer.PlayRecorder = require('./lib/PlayRecorder');
+OmxPlayer.Server = require('./lib/Server');
+OmxPlayer.Compositor = require('./lib/Compositor');
+OmxPlayer.SyncMaster = require('./lib/sync').SyncMaster;
+OmxPlayer.SyncFollower = require('./lib/sync').SyncFollower;
+Object.assign(OmxPlayer, errors);
+
+module.exports = OmxPlayer;
@@ -0,0 +1,62 @@
+// AttachedProcess.js
+//
+// Stands in for the ChildProcess of an omxplayer that this process didn't start, see OmxPlayer.attach().
+// It can't listen for the exit of a process that isn't its child, so it polls the pid and emits
+// close once the process is gone. The exit code is unknown then and close is emitted with null.
+
+"use strict";
+
+const EventEmitter = require('events');
+
+const POLL_INTERVAL = 500;
+
+class AttachedProcess extends EventEmitter {
+
+    constructor(pid, interval) {
+        super();
+        this.pid = Number(pid);
+        this.interval = interval || POLL_INTERVAL;
+        this.exitCode = null;
+        this.closed = false;
+        this._schedule();
+    }
+
+    // Sends signal (default SIGTERM) to the process, like ChildProcess.kill().
+    kill(signal) {
+        try {
+            process.kill(this.pid, signal || 'SIGTERM');
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Stops polling, close won't be emitted.
+    stop() {
+        clearTimeout(this.timer);
+    }
+
+    isAlive() {
+        try {
+            process.kill(this.pid, 0);
+            return true;
+        } catch (err) {
+            // EPERM: it exists but belongs to another user
+            return err.code === 'EPERM';
+        }
+    }
+
+    _schedule() {
+        this.timer = setTimeout(() => {
+            if (this.isAlive()) return this._schedule();
+            this.closed = true;
+            this.emit('close', null);
+        }, this.interval);
+        // the attached player shouldn't keep node running, it doesn't belong to us
+        this.timer.unref();
+    }
+}
+
+AttachedProcess.POLL_INTERVAL = POLL_INTERVAL;
+
+module.exports = AttachedProcess;
@@ -0,0 +1,90 @@
+// CommandQueue.js
+//
+// Orders the D-Bus calls of a player, which would otherwise race on the shared connection.
+// Calls that change the player (mutations) run one after another in the order they were made.
+// Reads run concurrently, but only once the mutations made before them are done, so they see
+// their effect. Every call settles: it rejects with an OmxTimeoutError after its timeout, with an
+// OmxAbortError when its AbortSignal fires, and with the error given to fail() when the player exits.
+// A call that settles early no longer holds up the calls behind it; if it didn't run yet, it never does.
+
+"use strict";
+
+const {OmxTimeoutError, OmxAbortError} = require('./errors');
+
+function noop() {}
+
+// The OmxAbortError for an aborted signal, details as for OmxError.
+function abortError(signal, details) {
+    return new OmxAbortError(null, Object.assign({}, details, {cause: signal.reason}));
+}
+
+class CommandQueue {
+
+    // timeout: default timeout of a call in ms, 0 for none
+    constructor(timeout) {
+        this.timeout = timeout;
+        this.tail = Promise.resolve();
+        this.pending = new Set();
+    }
+
+    // Runs task, a function returning a promise, when it is its turn and settles like it.
+    // options: mutation  the call changes the player and waits for all mutations before it (default true)
+    //          timeout   ms, overrides the default timeout. Counted from now, waiting in the queue included
+    //          signal    AbortSignal
+    //          exits     the call ends the player (Quit), it resolves when the player exits before it answers
+    //          details   {member, interface, instance} for the errors
+    run(task, options) {
+        options = options || {};
+        let details = options.details || {};
+        let signal = options.signal || null;
+        let timeout = (options.timeout != null) ? options.timeout : this.timeout;
+
+        let call = {exits: !!options.exits, details};
+        let promise = new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(abortError(signal, details));
+
+            let timer = null;
+            let onAbort = () => call.reject(abortError(signal, details));
+            let finish = (callback) => (value) => {
+                if (call.settled) return;
+                call.settled = true;
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.pending.delete(call);
+                callback(value);
+            };
+            call.resolve = finish(resolve);
+            call.reject = finish(reject);
+
+            if (signal) signal.addEventListener('abort', onAbort);
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    let name = details.member || 'call';
+                    call.reject(new OmxTimeoutError(`${name} did not complete within ${timeout}ms`, Object.assign({timeout}, details)));
+                }, timeout);
+            }
+            this.pending.add(call);
+
+            this.tail.then(() => {
+                if (call.settled) return;
+                return Promise.resolve().then(task).then(call.resolve, call.reject);
+            });
+        });
+
+        if (options.mutation !== false) this.tail = promise.then(noop, noop);
+        return promise;
+    }
+
+    // Settles all pending calls: calls that end the player resolve with null, the others reject with
+    // createError(details) of the call.
+    fail(createError) {
+        for (let call of Array.from(this.pending)) {
+            if (call.exits) call.resolve(null);
+            else call.reject(createError(call.details));
+        }
+    }
+}
+
+CommandQueue.abortError = abortError;
+
+module.exports = CommandQueue;
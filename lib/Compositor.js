@@ -0,0 +1,518 @@
+// Compositor.js
+//
+// Arranges several OmxPlayers on one screen, or one source across the screens of a video wall, from a
+// declarative layout instead of hand computed rectangles. A layout is one of
+//      {type: 'grid', columns, rows, players, gap, margin}
+//      {type: 'pip', main, inset, size, corner, margin}
+//      {type: 'tiles', columns, rows, bezel, tiles, source}
+//      {type: 'regions', regions: {name: {x, y, width, height, layer, alpha, crop, aspect}}}
+// see computeLayout() below for the details. Every layout also takes layer, the layer of its bottom player,
+// and aspect, an aspect mode for all players. computeLayout() turns it into a placement per player,
+//      {win: [x1, y1, x2, y2], crop: [x1, y1, x2, y2] or null, layer, alpha, aspect}
+// stacked in the order the layout names the players, one layer above the other.
+// The compositor sends each player the calls its placement needs (setVideoPos(), setVideoCropPos(),
+// setLayer(), setAlpha(), setAspectMode()), whenever the layout or the screen changes and whenever a
+// player opens a file. Players the layout leaves out are faded to alpha 0 where they are.
+// Events:
+//      layout (placements)      a layout was applied, placements are by player name
+//      resize ({width, height}) the screen changed its size
+//      error (err)              a re-layout of its own accord failed
+
+"use strict";
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const OmxPlayer = require('./OmxPlayer');
+const {Fade} = require('./fade');
+const {SCHEMA, parseRectangle} = require('./options');
+const {OmxInvalidArgumentError, OmxNotRunningError, emitError} = require('./errors');
+
+const FRAMEBUFFER = '/sys/class/graphics/fb0/virtual_size';
+const DEFAULT_SCREEN = {width: 1920, height: 1080};
+const DEFAULT_SCREEN_INTERVAL = 2000;
+const DEFAULT_PIP_SIZE = 0.25;
+const DEFAULT_PIP_MARGIN = 32;
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const ASPECT_MODES = SCHEMA['aspect-mode'].values;
+const OPAQUE = 255;
+// omxplayer shows the whole frame for an empty crop rectangle
+const NO_CROP = [0, 0, 0, 0];
+
+function invalid(message, argument) {
+    return new OmxInvalidArgumentError(message, {argument});
+}
+
+function settle(promise, cb) {
+    if (!cb) return promise;
+    return promise.then((result) => {
+        cb(null, result);
+        return result;
+    }, (err) => {
+        cb(err, null);
+        throw err;
+    });
+}
+
+// A length in pixels, or in percent of total as a string like '25%'.
+function length(value, total, name) {
+    if (typeof value === 'number' && isFinite(value)) return value;
+    let match = /^\s*(-?\d+(?:\.\d+)?)\s*%\s*$/.exec(value);
+    if (typeof value === 'string' && match) return total * Number(match[1]) / 100;
+    throw invalid(`invalid ${name} ${JSON.stringify(value)}, expected pixels or a percentage like '50%'`, name);
+}
+
+function count(value, fallback, name) {
+    if (value === undefined || value === null) return fallback;
+    if (!Number.isInteger(value) || value < 1) throw invalid(`invalid ${name} ${JSON.stringify(value)}`, name);
+    return value;
+}
+
+// [x1, y1, x2, y2] of the rectangle at x, y of size width x height, in whole pixels.
+function rect(x, y, width, height) {
+    return [Math.round(x), Math.round(y), Math.round(x + width), Math.round(y + height)];
+}
+
+function sameRect(a, b) {
+    return !!a && !!b && a.every((value, index) => value === b[index]);
+}
+
+// Cells of columns x rows (default: as square as the number of players allows), filled row by row with
+// players (default: all of them in the order they were added, null leaves a cell empty).
+// gap: pixels between the cells, margin: pixels around them
+function gridLayout(layout, screen, names) {
+    let players = layout.players || names;
+    let columns = count(layout.columns, layout.rows ? Math.ceil(players.length / layout.rows) : Math.ceil(Math.sqrt(players.length)), 'columns') || 1;
+    let rows = count(layout.rows, Math.ceil(players.length / columns), 'rows') || 1;
+    let gap = length(layout.gap || 0, screen.width, 'gap');
+    let margin = length(layout.margin || 0, screen.width, 'margin');
+    let width = (screen.width - 2 * margin - (columns - 1) * gap) / columns;
+    let height = (screen.height - 2 * margin - (rows - 1) * gap) / rows;
+
+    let placements = {};
+    players.slice(0, columns * rows).forEach((name, index) => {
+        if (name === null) return;
+        let column = index % columns;
+        let row = Math.floor(index / columns);
+        placements[name] = {win: rect(margin + column * (width + gap), margin + row * (height + gap), width, height)};
+    });
+    return placements;
+}
+
+// main on the whole screen, inset above it in a corner (default 'bottom-right'), margin pixels from the edges
+// (default 32). size is the share of the screen width and height the inset takes (default 0.25).
+function pipLayout(layout, screen) {
+    if (!layout.main || !layout.inset) throw invalid('a pip layout needs a main and an inset player', 'layout');
+    let corner = layout.corner || 'bottom-right';
+    if (CORNERS.indexOf(corner) === -1) throw invalid(`invalid corner "${corner}", expected one of ${CORNERS.join(', ')}`, 'corner');
+    let size = (layout.size !== undefined) ? layout.size : DEFAULT_PIP_SIZE;
+    if (typeof size !== 'number' || !(size > 0 && size <= 1)) throw invalid(`invalid inset size ${JSON.stringify(size)}, expected more than 0 and at most 1`, 'size');
+    let margin = length((layout.margin !== undefined) ? layout.margin : DEFAULT_PIP_MARGIN, screen.width, 'margin');
+
+    let width = screen.width * size;
+    let height = screen.height * size;
+    let x = /left$/.test(corner) ? margin : screen.width - margin - width;
+    let y = /^top/.test(corner) ? margin : screen.height - margin - height;
+    return {
+        [layout.main]: {win: rect(0, 0, screen.width, screen.height)},
+        [layout.inset]: {win: rect(x, y, width, height)}
+    };
+}
+
+// One source spread over a wall of columns x rows screens of the size of this one, each player showing the
+// part of the source behind its screen in full screen. Every player drives a screen of its own: one per Pi,
+// or the players of a Pi with two displays told apart by the display option of open().
+// tiles: {name: [column, row]}, by default the players in the order they were added, row by row
+// bezel: pixels of the screens hidden between two of them, one number or [horizontal, vertical], so the
+//        picture runs on behind the bezels instead of being cut at them
+// source: {width, height} of the source, by default the video resolution each player reports
+// The source covers the wall like aspect mode fill: it is scaled evenly and its middle is shown.
+function tilesLayout(layout, screen, names, sources) {
+    let columns = count(layout.columns, 1, 'columns');
+    let rows = count(layout.rows, 1, 'rows');
+    let bezel = Array.isArray(layout.bezel) ? layout.bezel : [layout.bezel || 0, layout.bezel || 0];
+    if (bezel.length !== 2 || !bezel.every((value) => typeof value === 'number' && value >= 0)) {
+        throw invalid(`invalid bezel ${JSON.stringify(layout.bezel)}, expected pixels or [horizontal, vertical]`, 'bezel');
+    }
+    let tiles = layout.tiles;
+    if (!tiles) {
+        tiles = {};
+        names.slice(0, columns * rows).forEach((name, index) => tiles[name] = [index % columns, Math.floor(index / columns)]);
+    }
+
+    // the wall as one canvas, the bezels included
+    let wallWidth = columns * screen.width + (columns - 1) * bezel[0];
+    let wallHeight = rows * screen.height + (rows - 1) * bezel[1];
+
+    let placements = {};
+    for (let name of Object.keys(tiles)) {
+        let [column, row] = tiles[name] || [];
+        if (!(Number.isInteger(column) && column >= 0 && column < columns && Number.isInteger(row) && row >= 0 && row < rows)) {
+            throw invalid(`invalid tile ${JSON.stringify(tiles[name])} for ${name} on a wall of ${columns} x ${rows}`, 'tiles');
+        }
+        let source = layout.source || sources[name];
+        let crop = null;
+        if (source && source.width > 0 && source.height > 0) {
+            let scale = Math.min(source.width / wallWidth, source.height / wallHeight);
+            let left = (source.width - wallWidth * scale) / 2;
+            let top = (source.height - wallHeight * scale) / 2;
+            crop = rect(left + column * (screen.width + bezel[0]) * scale, top + row * (screen.height + bezel[1]) * scale,
+                screen.width * scale, screen.height * scale);
+        }
+        placements[name] = {win: rect(0, 0, screen.width, screen.height), crop, aspect: 'stretch'};
+    }
+    return placements;
+}
+
+// regions: {name: {x, y, width, height}} in pixels or percent of the screen, by default the whole screen.
+// A region can also set its own layer, alpha, crop and aspect.
+function regionsLayout(layout, screen) {
+    let regions = layout.regions;
+    if (!regions || typeof regions !== 'object') throw invalid('a regions layout needs regions', 'regions');
+
+    let placements = {};
+    for (let name of Object.keys(regions)) {
+        let region = regions[name] || {};
+        let x = length(region.x || 0, screen.width, 'x');
+        let y = length(region.y || 0, screen.height, 'y');
+        let width = (region.width !== undefined) ? length(region.width, screen.width, 'width') : screen.width - x;
+        let height = (region.height !== undefined) ? length(region.height, screen.height, 'height') : screen.height - y;
+        let crop = null;
+        if (region.crop !== undefined) {
+            crop = parseRectangle(region.crop);
+            if (!crop) throw invalid(`invalid crop ${JSON.stringify(region.crop)} of ${name}, expected [x1, y1, x2, y2]`, 'crop');
+        }
+        placements[name] = {win: rect(x, y, width, height), crop, layer: region.layer, alpha: region.alpha, aspect: region.aspect};
+    }
+    return placements;
+}
+
+const LAYOUTS = {
+    grid: gridLayout,
+    pip: pipLayout,
+    tiles: tilesLayout,
+    regions: regionsLayout
+};
+
+// Computes the placement of each player in layout on a screen of {width, height}.
+// context: players  names of the players, in the order they were added
+//          sources  {name: {width, height}} video resolutions, for tiles
+//          layer    layer of the bottom player unless the layout sets one (default 0)
+// Throws an OmxInvalidArgumentError for an invalid layout.
+function computeLayout(layout, screen, context) {
+    context = context || {};
+    if (!layout || typeof layout !== 'object') throw invalid(`invalid layout ${JSON.stringify(layout)}`, 'layout');
+    if (!Object.prototype.hasOwnProperty.call(LAYOUTS, layout.type)) {
+        throw invalid(`unknown layout type ${JSON.stringify(layout.type)}, expected one of ${Object.keys(LAYOUTS).join(', ')}`, 'type');
+    }
+    let placements = LAYOUTS[layout.type](layout, screen, context.players || [], context.sources || {});
+
+    let base = (typeof layout.layer === 'number') ? layout.layer : (context.layer || 0);
+    Object.keys(placements).forEach((name, index) => {
+        let placement = placements[name];
+        let aspect = placement.aspect || layout.aspect || null;
+        if (aspect && ASPECT_MODES.indexOf(aspect) === -1) {
+            throw invalid(`invalid aspect mode ${JSON.stringify(aspect)}, expected one of ${ASPECT_MODES.join(', ')}`, 'aspect');
+        }
+        let alpha = (placement.alpha !== undefined) ? placement.alpha : OPAQUE;
+        if (!Number.isInteger(alpha) || alpha < 0 || alpha > OPAQUE) throw invalid(`invalid alpha ${JSON.stringify(alpha)} of ${name}`, 'alpha');
+        placements[name] = {
+            win: placement.win,
+            crop: placement.crop || null,
+            layer: Number.isInteger(placement.layer) ? placement.layer : base + index,
+            alpha,
+            aspect
+        };
+    });
+    return placements;
+}
+
+// The placement progress (0 to 1) of the way from one placement to another.
+function mix(from, to, progress) {
+    let between = (a, b) => Math.round(a + (b - a) * progress);
+    let betweenRects = (a, b) => (a && b) ? a.map((value, index) => between(value, b[index])) : b;
+    return {
+        win: betweenRects(from.win, to.win),
+        crop: betweenRects(from.crop, to.crop),
+        layer: to.layer,
+        alpha: between(from.alpha, to.alpha),
+        aspect: to.aspect
+    };
+}
+
+// Reads {width, height} from a framebuffer's virtual_size ("1920,1080"), null if there is none.
+function readScreen(file) {
+    let size;
+    try {
+        size = fs.readFileSync(file, 'utf8').trim().split(',').map(Number);
+    } catch (err) {
+        return null;
+    }
+    return (size.length === 2 && size[0] > 0 && size[1] > 0) ? {width: size[0], height: size[1]} : null;
+}
+
+class Compositor extends EventEmitter {
+
+    // options: players         {name: constructor options or OmxPlayer} to start with
+    //          player          constructor options applied to every player created by the compositor
+    //          layout          layout to start with, see the top of this file
+    //          layer           layer of the bottom player of layouts that don't set one (default 0)
+    //          screen          {width, height} of the screen. By default it is read from framebuffer,
+    //                          1920 x 1080 without one, and read again every screenInterval ms
+    //          framebuffer     virtual_size file of the framebuffer (default /sys/class/graphics/fb0/virtual_size)
+    //          screenInterval  ms between checks of the screen size, 0 for none (default 2000)
+    constructor(options) {
+        super();
+        options = options || {};
+
+        this.playerOptions = options.player || {};
+        this.layer = options.layer || 0;
+        this.framebuffer = options.framebuffer || FRAMEBUFFER;
+        this.players = new Map();
+        this.listeners = new Map();
+        this.sources = new Map();
+        // the placement last sent to each player
+        this.applied = new Map();
+        this.layout = null;
+        this.placements = {};
+        this.transition = null;
+        this.timer = null;
+        this.screen = options.screen ? {width: options.screen.width, height: options.screen.height}
+            : (readScreen(this.framebuffer) || Object.assign({}, DEFAULT_SCREEN));
+
+        let players = options.players || {};
+        for (let name of Object.keys(players)) {
+            this.add(name, players[name]);
+        }
+        // nobody plays yet, the players are placed as they start
+        this.placements = this._compute(options.layout);
+        this.layout = options.layout || null;
+
+        let interval = (typeof options.screenInterval === 'number') ? options.screenInterval : DEFAULT_SCREEN_INTERVAL;
+        if (!options.screen && interval > 0) {
+            this.timer = setInterval(() => this._checkScreen(), interval);
+            this.timer.unref();
+        }
+    }
+
+    // Adds a player under name, either an OmxPlayer or the constructor options of a new one, and places it
+    // once it plays. Returns the player. Throws an OmxInvalidArgumentError for a taken name.
+    add(name, player) {
+        if (typeof name !== 'string' || !name) throw invalid(`invalid player name ${JSON.stringify(name)}`, 'name');
+        if (this.players.has(name)) throw invalid(`a player named "${name}" exists already`, 'name');
+        if (!(player instanceof OmxPlayer)) player = new OmxPlayer(Object.assign({}, this.playerOptions, player));
+
+        let listeners = {
+            ready: () => this._onReady(name),
+            close: () => {
+                this.applied.delete(name);
+                this.sources.delete(name);
+            }
+        };
+        for (let event of Object.keys(listeners)) {
+            player.on(event, listeners[event]);
+        }
+        this.players.set(name, player);
+        this.listeners.set(name, listeners);
+        if (player.process) this._onReady(name);
+        return player;
+    }
+
+    // Kills the player named name and removes it, the layout keeps its place empty. Resolves with its exit code.
+    remove(name, cb) {
+        let player = this.players.get(name);
+        if (!player) return settle(Promise.resolve(null), cb);
+        let listeners = this.listeners.get(name);
+        for (let event of Object.keys(listeners)) {
+            player.removeListener(event, listeners[event]);
+        }
+        this.players.delete(name);
+        this.listeners.delete(name);
+        this.applied.delete(name);
+        this.sources.delete(name);
+        return settle(player.kill(), cb);
+    }
+
+    player(name) {
+        return this.players.get(name) || null;
+    }
+
+    // The placement of the player named name in the current layout, null if the layout leaves it out.
+    placement(name) {
+        return this.placements[name] || null;
+    }
+
+    // Opens file on the player named name, in its place from the start: its win, crop, layer, alpha and
+    // aspect mode are passed to open() unless options set them. A player the layout leaves out starts
+    // with alpha 0. Resolves like open().
+    open(name, file, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        let player = this.players.get(name);
+        if (!player) return settle(Promise.reject(invalid(`no player named "${name}"`, 'name')), cb);
+
+        let placement = this.placements[name];
+        let placed = {alpha: 0};
+        if (placement) {
+            placed = {win: placement.win, layer: placement.layer, alpha: placement.alpha};
+            if (placement.crop) placed.crop = placement.crop;
+            if (placement.aspect) placed.aspectMode = placement.aspect;
+        }
+        return player.open(file, Object.assign(placed, options), cb);
+    }
+
+    // Switches to layout, see the top of this file. Players that aren't playing are placed once they do.
+    // options: duration  ms the players take to move, resize and fade into their new places (default 0)
+    //          easing    of the transition, see fadeVolume()
+    //          signal    AbortSignal that stops the transition where it is
+    // Resolves with true once the players are in place, with false if the transition was stopped, by the
+    // signal or by the next layout. Rejects with an OmxInvalidArgumentError for an invalid layout, or one
+    // naming players the compositor doesn't have.
+    setLayout(layout, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        let promise = Promise.resolve().then(() => {
+            let placements = this._compute(layout);
+            let unknown = Object.keys(placements).filter((name) => !this.players.has(name));
+            if (unknown.length) throw invalid(`the layout names unknown players: ${unknown.join(', ')}`, 'layout');
+            this.layout = layout;
+            return this._apply(options);
+        });
+        return settle(promise, cb);
+    }
+
+    // Sets the size of the screen and lays the players out for it, options as for setLayout().
+    // A screen read from the framebuffer is resized by itself.
+    resize(width, height, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+            return settle(Promise.reject(invalid(`invalid screen size ${width} x ${height}`, 'screen')), cb);
+        }
+        this.screen = {width, height};
+        this.emit('resize', {width, height});
+        return settle(Promise.resolve().then(() => this._apply(options)), cb);
+    }
+
+    // Stops watching the screen and kills all players.
+    close(cb) {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.transition) this.transition.cancel();
+        let removed = Promise.all([...this.players.keys()].map((name) => this.remove(name)));
+        return settle(removed.then(() => undefined), cb);
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _compute(layout) {
+        if (!layout) return {};
+        return computeLayout(layout, this.screen, {
+            players: [...this.players.keys()],
+            sources: Object.fromEntries(this.sources),
+            layer: this.layer
+        });
+    }
+
+    // Moves the playing players from where they are to the current layout, see setLayout().
+    _apply(options) {
+        options = options || {};
+        if (this.transition) this.transition.cancel();
+
+        let placements = this._compute(this.layout);
+        for (let name of Object.keys(placements)) {
+            if (!this.players.has(name)) delete placements[name];
+        }
+        this.placements = placements;
+
+        let from = {};
+        let to = {};
+        for (let name of this.players.keys()) {
+            if (!this.players.get(name).process) continue;
+            let start = this.applied.get(name) || null;
+            let end = placements[name] || (start && Object.assign({}, start, {alpha: 0}));
+            if (!end) continue;
+            to[name] = end;
+            // a hidden player fades in at its new place rather than flying in from its old one
+            from[name] = (start && start.win && start.alpha > 0) ? start : Object.assign({}, end, {alpha: 0});
+        }
+
+        let done;
+        if (!options.duration) {
+            done = Promise.all(Object.keys(to).map((name) => this._place(name, to[name]))).then(() => true);
+        } else {
+            let fade = new Fade(options.duration, options.easing, options.signal);
+            this.transition = fade;
+            done = fade.run((progress) => Promise.all(Object.keys(to).map((name) => {
+                return this._place(name, mix(from[name], to[name], progress));
+            }))).then((completed) => {
+                if (this.transition === fade) this.transition = null;
+                return completed;
+            });
+        }
+        return done.then((completed) => {
+            if (completed) this.emit('layout', placements);
+            return completed;
+        });
+    }
+
+    // Sends the player named name what differs between placement and what it was sent last.
+    _place(name, placement) {
+        let player = this.players.get(name);
+        if (!player || !player.process) return Promise.resolve();
+        let applied = this.applied.get(name) || {};
+        let calls = [];
+        if (Number.isInteger(placement.layer) && placement.layer !== applied.layer) calls.push(player.setLayer(placement.layer));
+        if (placement.aspect && placement.aspect !== applied.aspect) calls.push(player.setAspectMode(placement.aspect));
+        if (placement.crop && !sameRect(placement.crop, applied.crop)) calls.push(player.setVideoCropPos(...placement.crop));
+        if (!placement.crop && applied.crop) calls.push(player.setVideoCropPos(...NO_CROP));
+        if (placement.win && !sameRect(placement.win, applied.win)) calls.push(player.setVideoPos(...placement.win));
+        if (placement.alpha !== applied.alpha) calls.push(player.setAlpha(placement.alpha));
+
+        this.applied.set(name, Object.assign({}, applied, placement));
+        return Promise.all(calls).catch((err) => {
+            // unknown what the player got, the next placement sends everything
+            this.applied.delete(name);
+            throw err;
+        });
+    }
+
+    // A player started: it is in the state open() gave it, which may be a new source of another resolution.
+    _onReady(name) {
+        let player = this.players.get(name);
+        this.applied.delete(name);
+        Promise.all([player.getResWidth(), player.getResHeight()]).then(([width, height]) => {
+            this.sources.set(name, {width, height});
+        }, () => {
+            this.sources.delete(name);
+        }).then(() => {
+            let placements = this._compute(this.layout);
+            let placement = placements[name] || {alpha: 0};
+            if (placements[name]) this.placements[name] = placements[name];
+            return this._place(name, placement);
+        }).catch((err) => this._failed(err));
+    }
+
+    _checkScreen() {
+        let screen = readScreen(this.framebuffer);
+        if (!screen || (screen.width === this.screen.width && screen.height === this.screen.height)) return;
+        this.resize(screen.width, screen.height).catch((err) => this._failed(err));
+    }
+
+    // Players that exit while they are placed are placed again when they start
+    _failed(err) {
+        if (err instanceof OmxNotRunningError) return;
+        emitError(this, err);
+    }
+}
+
+Compositor.computeLayout = computeLayout;
+
+module.exports = Compositor;
@@ -0,0 +1,227 @@
+// CueScheduler.js
+//
+// Fires the cues of OmxPlayer.addCue() and keeps the loop region of setLoopRegion(), by polling the
+// position of the player. Polls come every MAX_INTERVAL ms, and faster as the next cue or the end of
+// the loop region gets close: half the time that is left, but at least MIN_INTERVAL ms apart.
+// A cue fires when playback passes it, once per pass: playing from before it to after it, and not when
+// a seek jumps over it. Seeking back before it or looping over it makes for another pass.
+// Wrapping around to the start with --loop passes the cues up to the end and those from the start.
+// A player that started from the beginning fires the cues it passed before the first poll.
+// Emits on the player:
+//      cue ({id, time, position})  a cue fired, position is where the player was when it was noticed
+//      loop ({start, end})         the player passed the end of the loop region and was set back to start
+//      error (err)                 a cue handler threw
+
+"use strict";
+
+const {parseTime} = require('./options');
+const {OmxInvalidArgumentError, emitError} = require('./errors');
+const StateMonitor = require('./StateMonitor');
+
+const MIN_INTERVAL = 10;
+const MAX_INTERVAL = 250;
+// a position this much behind the last one is no seek, but the player answering out of order (seconds)
+const JITTER = 0.1;
+
+function parseSeconds(value, name) {
+    let seconds = parseTime(value);
+    if (isNaN(seconds)) {
+        throw new OmxInvalidArgumentError(`invalid ${name} ${JSON.stringify(value)}, expected seconds or hh:mm:ss`, {argument: value});
+    }
+    return seconds;
+}
+
+class CueScheduler {
+
+    constructor(player) {
+        this.player = player;
+        this.cues = [];
+        this.nextId = 1;
+        this.region = null;
+        this.timer = null;
+        this.polling = false;
+        this.process = null;
+        this.duration = null;
+        // the last reading {position, time, playing, rate}
+        this.last = null;
+    }
+
+    // Returns the id of the new cue.
+    add(seconds, handler) {
+        let time = parseSeconds(seconds, 'cue time');
+        if (typeof handler !== 'function') {
+            throw new OmxInvalidArgumentError('the handler of a cue must be a function', {argument: handler});
+        }
+        let id = this.nextId++;
+        this.cues.push({id, time, handler});
+        this.cues.sort((a, b) => a.time - b.time);
+        this._update();
+        return id;
+    }
+
+    // Removes the cue with the id cue, or all cues with the handler cue. Returns whether there were any.
+    remove(cue) {
+        let count = this.cues.length;
+        this.cues = this.cues.filter((entry) => entry.id !== cue && entry.handler !== cue);
+        this._update();
+        return this.cues.length < count;
+    }
+
+    setRegion(start, end) {
+        start = parseSeconds(start, 'loop start');
+        end = parseSeconds(end, 'loop end');
+        if (!(end > start)) {
+            throw new OmxInvalidArgumentError(`the loop region ends at ${end}, before its start ${start}`, {argument: end});
+        }
+        this.region = {start, end};
+        this._update();
+    }
+
+    clearRegion() {
+        this.region = null;
+        this._update();
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    // Polls while there are cues or a loop region.
+    _update() {
+        let active = this.cues.length > 0 || this.region !== null;
+        if (!active) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        } else if (!this.polling) {
+            // the new cue may be close
+            clearTimeout(this.timer);
+            this._schedule(0);
+        }
+    }
+
+    _schedule(delay) {
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._poll();
+        }, delay);
+        // the player process keeps node running, the cues alone shouldn't
+        this.timer.unref();
+    }
+
+    _poll() {
+        let player = this.player;
+        if (!player.process) {
+            this.process = null;
+            return this._schedule(MAX_INTERVAL);
+        }
+        if (player.process !== this.process) {
+            this.process = player.process;
+            this.last = null;
+            this.duration = null;
+        }
+
+        let process = player.process;
+        let start = Date.now();
+        this.polling = true;
+        Promise.all([
+            player.getPosition(),
+            player.getPlaybackStatus(),
+            player.getRate(),
+            this._duration()
+        ]).then(([position, status, rate]) => {
+            if (process !== player.process) return MIN_INTERVAL;
+            let reading = {position, time: (start + Date.now()) / 2, playing: status === 'Playing', rate};
+            return this._advance(reading).then(() => this._delay());
+        }).catch(() => {
+            // not reachable (yet), try again with the next poll
+            return MAX_INTERVAL;
+        }).then((delay) => {
+            this.polling = false;
+            if (this.cues.length > 0 || this.region !== null) this._schedule(delay);
+        });
+    }
+
+    // The duration is needed to follow --loop wrapping around, it is read once per process.
+    _duration() {
+        if (this.duration !== null || !(this.player.options && this.player.options.loop)) return Promise.resolve(this.duration);
+        return this.player.getDuration().then((duration) => this.duration = duration);
+    }
+
+    // Fires the cues passed between the last reading and current, and keeps the loop region.
+    _advance(current) {
+        let last = this.last;
+        this.last = current;
+        if (!last) {
+            if (current.position < StateMonitor.SEEK_TOLERANCE) return this._pass(-Infinity, current.position, current);
+            return Promise.resolve();
+        }
+
+        let expected = last.playing ? last.position + (current.time - last.time) / 1000 * last.rate : last.position;
+        if (current.position < last.position) {
+            let wrapped = this.duration > 0 && Math.abs(expected - this.duration - current.position) <= StateMonitor.SEEK_TOLERANCE;
+            if (wrapped) {
+                this._fire(last.position, this.duration, current);
+                return this._pass(-Infinity, current.position, current);
+            }
+            // seeked back, or a late answer to keep the last reading over
+            if (last.position - current.position < JITTER) this.last = last;
+            return Promise.resolve();
+        }
+        if (Math.abs(current.position - expected) > StateMonitor.SEEK_TOLERANCE) return Promise.resolve();
+        return this._pass(last.position, current.position, current);
+    }
+
+    // Passes from (exclusive) to to (inclusive), unless the loop region ends in between: then the cues up
+    // to its end fire and the player is set back to its start.
+    _pass(from, to, current) {
+        let region = this.region;
+        if (!region || !(from < region.end && to >= region.end)) {
+            this._fire(from, to, current);
+            return Promise.resolve();
+        }
+        this._fire(from, region.end, current);
+        return this.player.setPosition(region.start).then(() => {
+            // the cues at the start belong to the next pass
+            this.last = Object.assign({}, current, {position: region.start - 1e-6, time: Date.now()});
+            this.player.emit('loop', {start: region.start, end: region.end});
+        });
+    }
+
+    // A handler that throws doesn't keep the other cues from firing. Its error is emitted once they all fired,
+    // thrown from here it would end the pass and the loop region with it
+    _fire(from, to, current) {
+        let passed = this.cues.filter((cue) => cue.time > from && cue.time <= to);
+        let errors = [];
+        for (let cue of passed) {
+            let event = {id: cue.id, time: cue.time, position: current.position};
+            this.player.emit('cue', event);
+            try {
+                cue.handler.call(this.player, event);
+            } catch (err) {
+                errors.push(err);
+            }
+        }
+        for (let err of errors) {
+            emitError(this.player, err);
+        }
+    }
+
+    // ms until the next poll: half the time left until the next cue or the end of the loop region.
+    _delay() {
+        let last = this.last;
+        if (!last.playing || !(last.rate > 0)) return MAX_INTERVAL;
+        let targets = this.cues.map((cue) => cue.time).filter((time) => time > last.position);
+        if (this.region && this.region.end > last.position) targets.push(this.region.end);
+        // with --loop the first cue comes again after the end
+        if (!targets.length && this.duration > 0 && this.cues.length) targets.push(this.duration + this.cues[0].time);
+        if (!targets.length) return MAX_INTERVAL;
+
+        let left = (Math.min(...targets) - last.position) / last.rate * 1000 - (Date.now() - last.time);
+        return Math.max(MIN_INTERVAL, Math.min(MAX_INTERVAL, left / 2));
+    }
+}
+
+CueScheduler.MIN_INTERVAL = MIN_INTERVAL;
+CueScheduler.MAX_INTERVAL = MAX_INTERVAL;
+
+module.exports = CueScheduler;
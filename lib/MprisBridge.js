@@ -0,0 +1,487 @@
+// MprisBridge.js
+//
+// Publishes OmxPlayers as MPRIS2 media players on the session or system bus, where playerctl, desktop media
+// keys and home automation look for them. omxplayer only answers on its private bus, implements MPRIS in
+// part and never sends signals. The bridge claims org.mpris.MediaPlayer2.<name> for every player, with a
+// bus connection of its own as each MPRIS player lives at the same object path, and answers
+// org.mpris.MediaPlayer2 and org.mpris.MediaPlayer2.Player by calling the methods of the player.
+// PropertiesChanged and Seeked are sent from the events of the player's StateMonitor, which the bridge
+// starts for players that don't poll already. A player that isn't running is Stopped, Play opens its
+// last file again.
+// Events:
+//      error (err)   the bus connection of a player failed
+
+"use strict";
+
+const EventEmitter = require('events');
+const path = require('path');
+const url = require('url');
+const dbus = require('dbus-native');
+const {OmxInvalidArgumentError, OmxDBusError} = require('./errors');
+
+const DBUS_PATH = '/org/mpris/MediaPlayer2';
+const DBUS_NAME_PREFIX = 'org.mpris.MediaPlayer2.';
+const DBUS_INTERFACE_PROPERTIES = 'org.freedesktop.DBus.Properties';
+const DBUS_INTERFACE_INTROSPECTABLE = 'org.freedesktop.DBus.Introspectable';
+const DBUS_INTERFACE_PEER = 'org.freedesktop.DBus.Peer';
+const DBUS_INTERFACE_ROOT = 'org.mpris.MediaPlayer2';
+const DBUS_INTERFACE_PLAYER = 'org.mpris.MediaPlayer2.Player';
+// RequestName flag and reply, see the D-Bus specification
+const DBUS_NAME_FLAG_DO_NOT_QUEUE = 0x4;
+const DBUS_REQUEST_NAME_REPLY_PRIMARY_OWNER = 1;
+const SYSTEM_BUS_ADDRESS = 'unix:path=/var/run/dbus/system_bus_socket';
+// the track id of a player that plays nothing, and the prefix of the others
+const NO_TRACK = '/org/mpris/MediaPlayer2/TrackList/NoTrack';
+const TRACK_PATH = '/omxplayer/track/';
+const DEFAULT_INTERVAL = 500;
+const DEFAULT_IDENTITY = 'OMXPlayer';
+// omxplayer's limits, see OMXControl.cpp
+const MINIMUM_RATE = 0.125;
+const MAXIMUM_RATE = 4.0;
+const URI_SCHEMES = ['file', 'http', 'https', 'rtsp', 'rtmp', 'udp'];
+const MIME_TYPES = ['video/mp4', 'video/x-matroska', 'video/quicktime', 'video/mpeg', 'video/mp2t', 'audio/mpeg', 'audio/mp4', 'application/ogg'];
+
+function settle(promise, cb) {
+    if (!cb) return promise;
+    return promise.then((result) => {
+        cb(null, result);
+        return result;
+    }, (err) => {
+        cb(err, null);
+        throw err;
+    });
+}
+
+// Resolves once the connection to the bus at address is established.
+function connectBus(address) {
+    return new Promise((resolve, reject) => {
+        let bus;
+        try {
+            bus = dbus.sessionBus({busAddress: address});
+        } catch (err) {
+            return reject(err);
+        }
+        bus.connection.once('error', reject);
+        bus.connection.once('connect', () => {
+            bus.connection.removeListener('error', reject);
+            resolve(bus);
+        });
+    });
+}
+
+function busAddress(bus) {
+    if (!bus || bus === 'session') return process.env.DBUS_SESSION_BUS_ADDRESS;
+    if (bus === 'system') return process.env.DBUS_SYSTEM_BUS_ADDRESS || SYSTEM_BUS_ADDRESS;
+    return bus;
+}
+
+// The xesam:url of file, a URI or a path.
+function fileUrl(file) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(file)) return file;
+    return url.pathToFileURL(path.resolve(file)).href;
+}
+
+// The properties, by interface: [signature, getter, setter]. Getters take the entry of a player and return
+// the value, or a promise of it. Properties without a setter are read only.
+const PROPERTIES = {
+    [DBUS_INTERFACE_ROOT]: {
+        CanQuit: ['b', () => true],
+        CanRaise: ['b', () => false],
+        HasTrackList: ['b', () => false],
+        Identity: ['s', (entry) => entry.bridge.identity],
+        SupportedUriSchemes: ['as', () => URI_SCHEMES],
+        SupportedMimeTypes: ['as', () => MIME_TYPES]
+    },
+    [DBUS_INTERFACE_PLAYER]: {
+        PlaybackStatus: ['s', (entry) => entry.state.status],
+        Rate: ['d', (entry) => entry.state.rate, (entry, rate) => {
+            if (rate === 0) return entry.bridge._control(entry, 'pause').then(() => entry.bridge._status(entry));
+            if (!(rate >= MINIMUM_RATE && rate <= MAXIMUM_RATE)) return Promise.resolve();
+            return entry.bridge._control(entry, 'setRate', rate);
+        }],
+        Metadata: ['a{sv}', (entry) => {
+            let state = entry.state;
+            if (!state.track) return [['mpris:trackid', ['o', NO_TRACK]]];
+            let metadata = [
+                ['mpris:trackid', ['o', state.track]],
+                ['xesam:url', ['s', fileUrl(state.file)]],
+                ['xesam:title', ['s', path.basename(state.file)]]
+            ];
+            if (state.duration > 0) metadata.push(['mpris:length', ['x', Math.round(state.duration * 1e6)]]);
+            return metadata;
+        }],
+        Volume: ['d', (entry) => entry.state.volume, (entry, volume) => {
+            return entry.bridge._control(entry, 'setVolume', Math.max(0, volume));
+        }],
+        // the one property that is read when asked, its changes aren't signalled
+        Position: ['x', (entry) => {
+            if (!entry.player.process) return 0;
+            return entry.player.getPosition().then((position) => Math.round(position * 1e6));
+        }],
+        MinimumRate: ['d', () => MINIMUM_RATE],
+        MaximumRate: ['d', () => MAXIMUM_RATE],
+        // omxplayer skips chapters
+        CanGoNext: ['b', (entry) => entry.state.running],
+        CanGoPrevious: ['b', (entry) => entry.state.running],
+        CanPlay: ['b', (entry) => entry.state.running || !!entry.player.file],
+        CanPause: ['b', (entry) => entry.state.running],
+        CanSeek: ['b', (entry) => entry.state.running],
+        CanControl: ['b', () => true]
+    }
+};
+
+// The methods, by interface and member, called with the entry of a player and the arguments of the call.
+const METHODS = {
+    [DBUS_INTERFACE_ROOT]: {
+        Raise: () => Promise.resolve(),
+        Quit: (entry) => entry.bridge._control(entry, 'quit')
+    },
+    [DBUS_INTERFACE_PLAYER]: {
+        Next: (entry) => entry.bridge._control(entry, 'next'),
+        Previous: (entry) => entry.bridge._control(entry, 'previous'),
+        Pause: (entry) => entry.bridge._control(entry, 'pause').then(() => entry.bridge._status(entry)),
+        PlayPause: (entry) => {
+            if (!entry.player.process) return entry.bridge._reopen(entry);
+            return entry.bridge._control(entry, 'playPause').then(() => entry.bridge._status(entry));
+        },
+        Stop: (entry) => entry.bridge._control(entry, 'stop'),
+        Play: (entry) => {
+            if (!entry.player.process) return entry.bridge._reopen(entry);
+            return entry.bridge._control(entry, 'play').then(() => entry.bridge._status(entry));
+        },
+        // seeking before the start goes to the start, seeking past the end is ignored
+        Seek: (entry, offset) => entry.bridge._control(entry, 'seek', offset / 1e6).catch((err) => {
+            if (!(err instanceof OmxInvalidArgumentError)) throw err;
+            if (offset < 0) return entry.bridge._control(entry, 'setPosition', 0);
+        }),
+        // ignored for a track that isn't playing (anymore)
+        SetPosition: (entry, track, position) => {
+            if (track !== entry.state.track) return Promise.resolve();
+            return entry.bridge._control(entry, 'setPosition', position / 1e6).catch((err) => {
+                if (!(err instanceof OmxInvalidArgumentError)) throw err;
+            });
+        },
+        OpenUri: (entry, uri) => entry.bridge._open(entry, uri)
+    }
+};
+
+// Methods argument signatures, for the introspection data.
+const METHOD_ARGS = {
+    Seek: [['Offset', 'x']],
+    SetPosition: [['TrackId', 'o'], ['Position', 'x']],
+    OpenUri: [['Uri', 's']]
+};
+
+function introspection() {
+    let xml = ['<!DOCTYPE node PUBLIC "-//freedesktop//DTD D-BUS Object Introspection 1.0//EN"',
+        '    "http://www.freedesktop.org/standards/dbus/1.0/introspect.dtd">', '<node>'];
+    for (let iface of Object.keys(PROPERTIES)) {
+        xml.push(`  <interface name="${iface}">`);
+        for (let member of Object.keys(METHODS[iface])) {
+            let args = (METHOD_ARGS[member] || []).map(([name, type]) => `<arg name="${name}" type="${type}" direction="in"/>`);
+            xml.push(`    <method name="${member}">${args.join('')}</method>`);
+        }
+        for (let name of Object.keys(PROPERTIES[iface])) {
+            let [signature, , setter] = PROPERTIES[iface][name];
+            xml.push(`    <property name="${name}" type="${signature}" access="${setter ? 'readwrite' : 'read'}"/>`);
+        }
+        if (iface === DBUS_INTERFACE_PLAYER) xml.push('    <signal name="Seeked"><arg name="Position" type="x"/></signal>');
+        xml.push('  </interface>');
+    }
+    xml.push(`  <interface name="${DBUS_INTERFACE_PROPERTIES}">`,
+        '    <method name="Get"><arg name="interface" type="s" direction="in"/><arg name="property" type="s" direction="in"/><arg name="value" type="v" direction="out"/></method>',
+        '    <method name="GetAll"><arg name="interface" type="s" direction="in"/><arg name="properties" type="a{sv}" direction="out"/></method>',
+        '    <method name="Set"><arg name="interface" type="s" direction="in"/><arg name="property" type="s" direction="in"/><arg name="value" type="v" direction="in"/></method>',
+        '    <signal name="PropertiesChanged"><arg name="interface" type="s"/><arg name="changed" type="a{sv}"/><arg name="invalidated" type="as"/></signal>',
+        '  </interface>',
+        `  <interface name="${DBUS_INTERFACE_INTROSPECTABLE}">`,
+        '    <method name="Introspect"><arg name="data" type="s" direction="out"/></method>',
+        '  </interface>',
+        '</node>');
+    return xml.join('\n');
+}
+
+class MprisBridge extends EventEmitter {
+
+    // options: bus       'session' (default), 'system' or the address of a bus
+    //          interval  ms between polls of players that don't poll already, see startMonitor() (default 500)
+    //          identity  the Identity of the players (default 'OMXPlayer')
+    constructor(options) {
+        super();
+        options = options || {};
+        this.address = busAddress(options.bus);
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.identity = options.identity || DEFAULT_IDENTITY;
+        // player -> entry {player, name, bus, state, listeners, monitored}
+        this.players = new Map();
+        this.tracks = 0;
+    }
+
+    // Publishes player as org.mpris.MediaPlayer2.<name>, name defaults to omxplayer.instance<pid>_<instance>
+    // as the MPRIS specification suggests for several instances. Resolves with the bus name.
+    add(player, name, cb) {
+        if (typeof name === 'function') {
+            cb = name;
+            name = null;
+        }
+        let existing = this.players.get(player);
+        if (existing) return settle(existing.adding, cb);
+
+        let busName = DBUS_NAME_PREFIX + (name || `omxplayer.instance${process.pid}_${player.instance}`);
+        if (!/^[A-Za-z_-][A-Za-z0-9_-]*(\.[A-Za-z_-][A-Za-z0-9_-]*)*$/.test(busName.slice(DBUS_NAME_PREFIX.length)) || busName.length > 255) {
+            let err = new OmxInvalidArgumentError(`invalid MPRIS name ${JSON.stringify(name)}`, {argument: name});
+            return settle(Promise.reject(err), cb);
+        }
+        if (!this.address) {
+            let err = new OmxDBusError('no bus to publish on, DBUS_SESSION_BUS_ADDRESS is not set');
+            return settle(Promise.reject(err), cb);
+        }
+
+        let entry = {
+            bridge: this,
+            player,
+            name: busName,
+            bus: null,
+            state: {running: false, status: 'Stopped', rate: 1, volume: 1, track: null, file: null, duration: null},
+            listeners: null,
+            monitored: false
+        };
+        this.players.set(player, entry);
+        entry.adding = connectBus(this.address).then((bus) => {
+            entry.bus = bus;
+            this._route(entry);
+            return new Promise((resolve, reject) => {
+                bus.requestName(busName, DBUS_NAME_FLAG_DO_NOT_QUEUE, (err, reply) => {
+                    if (err) return reject(new OmxDBusError(`cannot claim ${busName}: ${err.message || err}`, {cause: err}));
+                    if (reply !== DBUS_REQUEST_NAME_REPLY_PRIMARY_OWNER) return reject(new OmxDBusError(`${busName} is taken`));
+                    resolve();
+                });
+            });
+        }).then(() => {
+            if (this.players.get(player) !== entry) throw new OmxDBusError(`${busName} was removed while it was published`);
+            return this._listen(entry);
+        }).then(() => {
+            return busName;
+        }).catch((err) => {
+            if (this.players.get(player) === entry) this.players.delete(player);
+            if (entry.bus) entry.bus.connection.end();
+            throw err;
+        });
+        return settle(entry.adding, cb);
+    }
+
+    // Takes player off the bus. Resolves with whether it was published.
+    remove(player, cb) {
+        let entry = this.players.get(player);
+        if (!entry) return settle(Promise.resolve(false), cb);
+        this.players.delete(player);
+        let removed = entry.adding.then(() => {
+            this._unlisten(entry);
+            return new Promise((resolve) => {
+                entry.bus.releaseName(entry.name, () => {
+                    entry.bus.connection.end();
+                    resolve(true);
+                });
+            });
+        }, () => false);
+        return settle(removed, cb);
+    }
+
+    // Takes all players off the bus.
+    close(cb) {
+        let removed = [...this.players.keys()].map((player) => this.remove(player));
+        return settle(Promise.all(removed).then(() => {}), cb);
+    }
+
+    // The bus name of player, null if it isn't published.
+    busName(player) {
+        let entry = this.players.get(player);
+        return entry ? entry.name : null;
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    // dbus-native answers org.freedesktop.DBus.Properties and Introspectable itself, from objects it reads
+    // synchronously and without setters, so the calls to the player's path are taken over here.
+    _route(entry) {
+        let connection = entry.bus.connection;
+        let handlers = connection.listeners('message');
+        connection.removeAllListeners('message');
+        connection.on('message', (msg) => {
+            if (msg.type === dbus.messageType.methodCall && msg.path === DBUS_PATH) return this._dispatch(entry, msg);
+            handlers.forEach((handler) => handler.call(connection, msg));
+        });
+        connection.on('error', (err) => {
+            if (this.players.get(entry.player) === entry) this.emit('error', err);
+        });
+    }
+
+    _dispatch(entry, msg) {
+        let bus = entry.bus;
+        let args = msg.body || [];
+        let answer;
+        switch (msg.interface) {
+            case DBUS_INTERFACE_PROPERTIES:
+                answer = this._properties(entry, msg.member, args);
+                break;
+            case DBUS_INTERFACE_INTROSPECTABLE:
+                answer = (msg.member === 'Introspect') ? Promise.resolve(['s', introspection()]) : null;
+                break;
+            case DBUS_INTERFACE_PEER:
+                answer = (msg.member === 'Ping') ? Promise.resolve(null) : null;
+                break;
+            default: {
+                let method = METHODS[msg.interface] && METHODS[msg.interface][msg.member];
+                answer = method ? Promise.resolve().then(() => method(entry, ...args)).then(() => null) : null;
+            }
+        }
+        if (!answer) {
+            return bus.sendError(msg, 'org.freedesktop.DBus.Error.UnknownMethod',
+                `Method "${msg.member}" with signature "${msg.signature || ''}" on interface "${msg.interface}" doesn't exist`);
+        }
+
+        answer.then((result) => {
+            let reply = {
+                type: dbus.messageType.methodReturn,
+                serial: bus.serial++,
+                replySerial: msg.serial,
+                destination: msg.sender
+            };
+            if (result) {
+                reply.signature = result[0];
+                reply.body = [result[1]];
+            }
+            bus.connection.message(reply);
+        }, (err) => {
+            bus.sendError(msg, err.errorName || 'org.freedesktop.DBus.Error.Failed', err.message || String(err));
+        });
+    }
+
+    // Answers Get, GetAll and Set: a promise of [signature, value], null for an unknown member.
+    _properties(entry, member, args) {
+        let [iface, name, value] = args;
+        let properties = PROPERTIES[iface];
+        let fail = (errorName, message) => Promise.reject(new OmxDBusError(message, {errorName}));
+        if (['Get', 'GetAll', 'Set'].indexOf(member) === -1) return null;
+        if (!properties) return fail('org.freedesktop.DBus.Error.UnknownInterface', `no interface ${iface}`);
+
+        if (member === 'GetAll') {
+            let names = Object.keys(properties);
+            return Promise.all(names.map((name) => properties[name][1](entry))).then((values) => {
+                return ['a{sv}', names.map((name, index) => [name, [properties[name][0], values[index]]])];
+            });
+        }
+        let property = properties[name];
+        if (!property) return fail('org.freedesktop.DBus.Error.UnknownProperty', `no property ${name} in ${iface}`);
+        if (member === 'Get') {
+            return Promise.resolve(property[1](entry)).then((value) => ['v', [property[0], value]]);
+        }
+        if (!property[2]) return fail('org.freedesktop.DBus.Error.PropertyReadOnly', `${name} is read only`);
+        // the variant as dbus-native hands it out, [signature, [value]]
+        let setting = Array.isArray(value) && Array.isArray(value[1]) ? value[1][0] : value;
+        if (typeof setting !== 'number') return fail('org.freedesktop.DBus.Error.InvalidArgs', `${name} must be a double`);
+        return property[2](entry, setting).then(() => null);
+    }
+
+    // Calls method of the player if it is running, controlling a stopped player has no effect.
+    _control(entry, method, ...args) {
+        if (!entry.player.process) return Promise.resolve();
+        return entry.player[method](...args);
+    }
+
+    // Signals the playback status right after a call that changed it, instead of with the next poll.
+    _status(entry) {
+        let player = entry.player;
+        let process = player.process;
+        if (!process) return Promise.resolve();
+        return player.getPlaybackStatus().then((status) => {
+            if (player.process === process) this._update(entry, {status});
+        });
+    }
+
+    // Plays the last file again, with the options it was opened with.
+    _reopen(entry) {
+        let player = entry.player;
+        if (!player.file) return Promise.resolve();
+        return player.open(player.file, player.options);
+    }
+
+    // Opens uri with the options of the last file, so it shows where that did.
+    _open(entry, uri) {
+        let scheme = /^([a-z][a-z0-9+.-]*):/i.exec(uri);
+        if (!scheme || URI_SCHEMES.indexOf(scheme[1].toLowerCase()) === -1) {
+            return Promise.reject(new OmxDBusError(`unsupported URI ${uri}`, {errorName: 'org.freedesktop.DBus.Error.NotSupported'}));
+        }
+        let file = (scheme[1].toLowerCase() === 'file') ? url.fileURLToPath(uri) : uri;
+        let options = Object.assign({}, entry.player.options);
+        delete options.pos;
+        return entry.player.open(file, options);
+    }
+
+    _listen(entry) {
+        let player = entry.player;
+        entry.listeners = {
+            ready: () => this._started(entry),
+            close: () => this._update(entry, {running: false, status: 'Stopped', track: null}),
+            stopped: () => this._update(entry, {running: false, status: 'Stopped', track: null}),
+            play: () => this._update(entry, {status: 'Playing'}),
+            pause: () => this._update(entry, {status: 'Paused'}),
+            ratechange: (rate) => this._update(entry, {rate}),
+            volumechange: (volume) => this._update(entry, {volume}),
+            seeked: (position) => entry.bus.sendSignal(DBUS_PATH, DBUS_INTERFACE_PLAYER, 'Seeked', 'x', [Math.round(position * 1e6)])
+        };
+        for (let event of Object.keys(entry.listeners)) {
+            player.on(event, entry.listeners[event]);
+        }
+        // the events come from polling
+        if (!player.monitor || !player.monitor.running) {
+            player.startMonitor(this.interval);
+            entry.monitored = true;
+        }
+        return player.process ? this._started(entry) : Promise.resolve();
+    }
+
+    _unlisten(entry) {
+        for (let event of Object.keys(entry.listeners)) {
+            entry.player.removeListener(event, entry.listeners[event]);
+        }
+        if (entry.monitored) entry.player.stopMonitor();
+    }
+
+    // A new clip: a new track with its state.
+    _started(entry) {
+        let player = entry.player;
+        let process = player.process;
+        let track = TRACK_PATH + ++this.tracks;
+        return player.getState().then((state) => {
+            if (player.process !== process) return;
+            this._update(entry, {running: true, status: state.status, rate: state.rate, volume: state.volume,
+                track, file: player.file, duration: state.duration});
+        }, () => {
+            // gone again, close or stopped tell
+        });
+    }
+
+    // Applies changes to the state of the player and signals the properties that changed with them.
+    _update(entry, changes) {
+        let properties = PROPERTIES[DBUS_INTERFACE_PLAYER];
+        // Position isn't signalled and CanControl never changes
+        let names = Object.keys(properties).filter((name) => name !== 'Position' && name !== 'CanControl');
+        let values = (names) => names.map((name) => properties[name][1](entry));
+        let before = values(names);
+        Object.assign(entry.state, changes);
+        let after = values(names);
+        let changed = names.map((name, index) => [name, before[index], after[index]])
+            .filter(([, before, after]) => JSON.stringify(before) !== JSON.stringify(after))
+            .map(([name, , after]) => [name, [properties[name][0], after]]);
+        if (!changed.length) return;
+        entry.bus.sendSignal(DBUS_PATH, DBUS_INTERFACE_PROPERTIES, 'PropertiesChanged', 'sa{sv}as', [DBUS_INTERFACE_PLAYER, changed, []]);
+    }
+}
+
+MprisBridge.DBUS_NAME_PREFIX = DBUS_NAME_PREFIX;
+MprisBridge.NO_TRACK = NO_TRACK;
+
+module.exports = MprisBridge;
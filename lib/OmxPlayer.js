@@ -13,7 +13,25 @@ const EventEmitter = require('events');
 const os = require('os');
 const fs = require('fs');
 const dbus = require('dbus-native');
-const ps = require('ps-node');
+const {buildArgs} = require('./options');
+const StateMonitor = require('./StateMonitor');
+const CueScheduler = require('./CueScheduler');
+const AttachedProcess = require('./AttachedProcess');
+const CommandQueue = require('./CommandQueue');
+const ProcessTracker = require('./ProcessTracker');
+const OutputParser = require('./OutputParser');
+const {parseTracks, findByLanguage} = require('./tracks');
+const {STATE_PROPERTIES, decodeDict, toState} = require('./properties');
+const {Actions, resolveAction} = require('./actions');
+const {dbToLinear, linearToDb, percentToLinear, linearToPercent, mixVolume, toLinear} = require('./volume');
+const {Fade, crossfade, EASINGS} = require('./fade');
+const {
+    OmxNotRunningError,
+    OmxProcessError,
+    OmxDBusError,
+    OmxTimeoutError,
+    OmxInvalidArgumentError
+} = require('./errors');
 
 const USER = os.userInfo().username;
 const DBUS_ADDR = `/tmp/omxplayerdbus.${USER}`;
@@ -23,27 +41,393 @@ const DBUS_INTERFACE_PROPERTIES = 'org.freedesktop.DBus.Properties';
 const DBUS_INTERFACE_PLAYER = 'org.mpris.MediaPlayer2.Player';
 const DBUS_INTERFACE_ROOT = 'org.mpris.MediaPlayer2';
 
+// D-Bus errors that only mean the player isn't (fully) up yet, calls failing with these are retried
+const DBUS_TRANSIENT_ERRORS = [
+    'org.freedesktop.DBus.Error.ServiceUnknown',
+    'org.freedesktop.DBus.Error.NameHasNoOwner',
+    'org.freedesktop.DBus.Error.NoReply',
+    'org.freedesktop.DBus.Error.Disconnected'
+];
+// D-Bus methods that only read, they may run concurrently (properties without a value are reads as well)
+const DBUS_READ_METHODS = ['ListSubtitles', 'ListAudio', 'ListVideo', 'GetSource', 'GetAll'];
+// D-Bus errors of a player that lacks a method, e.g. Properties.GetAll in omxplayer
+const DBUS_UNSUPPORTED_ERRORS = [
+    'org.freedesktop.DBus.Error.UnknownMethod',
+    'org.freedesktop.DBus.Error.UnknownInterface',
+    'org.freedesktop.DBus.Error.NotSupported'
+];
+// D-Bus methods that end the player, they succeed when it exits before answering
+const DBUS_EXIT_METHODS = ['Quit', 'Stop'];
+const DBUS_RETRIES = 5;
+const DBUS_RETRY_DELAY = 50;
+const READY_TIMEOUT = 10000;
+const CALL_TIMEOUT = 5000;
+const READY_POLL_MAX_DELAY = 500;
+// how long the D-Bus name of a process we just killed may take to be released (ms)
+const NAME_RELEASE_TIMEOUT = 2000;
+// how long list() waits for a player to answer GetSource (ms)
+const LIST_TIMEOUT = 1000;
+// how long the first GetAll of getState() may take before the player counts as lacking it (ms)
+const GETALL_PROBE_TIMEOUT = 500;
+const STDERR_BUFFER_SIZE = 4096;
+// how long each step of kill() (Quit, SIGTERM, SIGKILL) waits for the player to exit (ms)
+const KILL_TIMEOUT = 3000;
+// signals that make players started with killOnExit be killed
+const CLEANUP_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+
 let INSTANCE_COUNT = 0;
 
+// running players that were started with killOnExit
+const CLEANUP_PLAYERS = new Set();
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Calls cb(err, result) once promise settles and passes the outcome on.
+function settle(promise, cb) {
+    if (!cb) return promise;
+    return promise.then((result) => {
+        cb(null, result);
+        return result;
+    }, (err) => {
+        cb(err, null);
+        throw err;
+    });
+}
+
+// Resolves with address, or the bus address read from file.
+function readBusAddress(file, address) {
+    if (address) return Promise.resolve(address);
+    return new Promise((resolve, reject) => {
+        fs.readFile(file, 'utf8', (err, data) => {
+            if (err) return reject(err);
+            if (!data.trim().length) return reject(new Error('no data in dbus file'));
+            resolve(data.trim());
+        });
+    });
+}
+
+// Resolves once the connection to the bus at address is established, so a stale address file
+// of a bus that is gone rejects instead of leaving calls pending forever.
+function connectBus(address) {
+    return new Promise((resolve, reject) => {
+        let bus;
+        try {
+            bus = dbus.sessionBus({
+                busAddress: address
+            });
+        } catch (err) {
+            return reject(err);
+        }
+        bus.connection.on('error', reject);
+        bus.connection.once('connect', () => resolve(bus));
+    });
+}
+
+// Calls a method of the bus object of dbus-native, e.g. busCall(bus, 'listNames').
+function busCall(bus, method, ...args) {
+    return new Promise((resolve, reject) => {
+        bus[method](...args, (err, result) => err ? reject(err) : resolve(result));
+    });
+}
+
+// Well-known bus names: at least two dot separated elements of [A-Za-z0-9_-], none starting with a digit.
+function isBusName(name) {
+    return typeof name === 'string' && name.length <= 255 && /^[A-Za-z_-][A-Za-z0-9_-]*(\.[A-Za-z_-][A-Za-z0-9_-]*)+$/.test(name);
+}
+
+// Public methods take call options, {signal, timeout}, before the callback. Both are optional:
+// returns [options, cb] for the arguments a method got.
+function callOptions(options, cb) {
+    if (typeof options === 'function') return [null, options];
+    return [options || null, cb];
+}
+
+// Resolves with true if promise resolves within ms, with false if it rejects or takes longer.
+function within(promise, ms) {
+    return new Promise((resolve) => {
+        let timer = setTimeout(() => resolve(false), ms);
+        promise.then(() => {
+            clearTimeout(timer);
+            resolve(true);
+        }, () => {
+            clearTimeout(timer);
+            resolve(false);
+        });
+    });
+}
+
+// Sends signal to pid, a process that is gone already counts as success.
+function signalProcess(pid, signal) {
+    try {
+        process.kill(Number(pid), signal);
+    } catch (err) {
+        if (err.code !== 'ESRCH') throw err;
+    }
+}
+
+// Adds or removes a player started with killOnExit. The exit and signal handlers are only installed
+// while there is a player to kill.
+function watchCleanup(player, watch) {
+    let installed = CLEANUP_PLAYERS.size > 0;
+    if (watch) CLEANUP_PLAYERS.add(player);
+    else CLEANUP_PLAYERS.delete(player);
+    if (installed === CLEANUP_PLAYERS.size > 0) return;
+
+    let method = installed ? 'removeListener' : 'on';
+    process[method]('exit', cleanupPlayers);
+    for (let signal of CLEANUP_SIGNALS) {
+        process[method](signal, cleanupSignal);
+    }
+}
+
+// There is no time for anything asynchronous on exit, the players only get a SIGTERM.
+function cleanupPlayers() {
+    for (let player of Array.from(CLEANUP_PLAYERS)) {
+        player._killNow();
+        watchCleanup(player, false);
+    }
+}
+
+function cleanupSignal(signal) {
+    let alone = process.listenerCount(signal) === 1;
+    cleanupPlayers();
+    // node exits on these signals unless they are handled, which they now are: if nobody else
+    // handles it, exit the way node would have
+    if (alone) process.kill(process.pid, signal);
+}
+
+// Marks the players this library starts with the process that started them as "<pid>:<start time>",
+// the start time telling that process apart from a later one with the same pid.
+const OWNER_ENV = 'OMXPLAYER_NODE_OWNER';
+
+function ownerTag(pid) {
+    let stat = ProcessTracker.readStat(pid);
+    return stat && `${stat.pid}:${stat.starttime}`;
+}
+
+// The omxplayer.bin processes started by this library for a process that is gone, whoever adopted them.
+// processes: as returned by ProcessTracker.listProcesses()
+function findOrphans(processes) {
+    return processes.filter((entry) => {
+        if (entry.comm !== 'omxplayer.bin') return false;
+        let env = ProcessTracker.readEnvironment(entry.pid);
+        let owner = env && env[OWNER_ENV];
+        return !!owner && ownerTag(owner.split(':')[0]) !== owner;
+    }).map((entry) => entry.pid);
+}
+
+// Fills in the call details of an error that was raised before the call was made.
+function annotate(err, details) {
+    if (!err || typeof err !== 'object') return err;
+    for (let key of Object.keys(details)) {
+        if (err[key] == null) err[key] = details[key];
+    }
+    return err;
+}
+
 class OmxPlayer extends EventEmitter {
 
-    constructor() {
+    // options: monitor          true or a poll interval in ms to start the state monitor right away,
+    //                           see startMonitor()
+    //          readyTimeout     ms open() waits for the player to answer on D-Bus (default 10000)
+    //          dbusName         D-Bus name of the player (default org.mpris.MediaPlayer2.omxplayer<instance>)
+    //          uniqueName       append the pid of this process to the default name, so players of
+    //                           several applications on the same bus don't collide
+    //          dbusAddressFile  file the omxplayer script writes the bus address to (default /tmp/omxplayerdbus.<user>)
+    //          dbusAddress      address of the bus, takes precedence over dbusAddressFile. It is exported to
+    //                           omxplayer as DBUS_SESSION_BUS_ADDRESS, the stock omxplayer script overrides it though
+    //          callTimeout      ms a method may take before it rejects with an OmxTimeoutError, 0 for none (default 5000).
+    //                           Every method also takes call options {signal, timeout} before its callback,
+    //                           see CommandQueue.js
+    //          getAll           let getState() try Properties.GetAll, for players other than omxplayer that answer it.
+    //                           omxplayer never does, so the first try gives up after 500 ms (default false)
+    //          killOnExit       kill omxplayer when this process exits or gets SIGINT, SIGTERM or SIGHUP, so the
+    //                           player doesn't stay on screen after a crash. Without other handlers for the signal
+    //                           this process then exits on it as it would have without the option
+    constructor(options) {
         super();
+        options = options || {};
+
         this.process = null;
+        this.monitor = null;
+        this.cues = null;
+        this.stderr = '';
+        this.tracks = null;
+        this.fading = null;
+        this.output = null;
+        this.exitRequested = false;
+        this.stopping = null;
+        this.tracker = null;
+        // whether the player answers Properties.GetAll, null until getState() found out. Only tried with getAll
+        this.getAllSupported = options.getAll ? null : false;
+        this.readyTimeout = options.readyTimeout || READY_TIMEOUT;
         this.instance = INSTANCE_COUNT++;
+        this.dbusName = options.dbusName || (options.uniqueName ? `${DBUS_NAME}_${process.pid}_${this.instance}` : DBUS_NAME + this.instance);
+        this.dbusAddressFile = options.dbusAddressFile || DBUS_ADDR;
+        this.dbusAddress = options.dbusAddress || null;
+        this.killOnExit = !!options.killOnExit;
+        this.queue = new CommandQueue((typeof options.callTimeout === 'number') ? options.callTimeout : CALL_TIMEOUT);
+
+        if (!isBusName(this.dbusName)) {
+            throw new OmxInvalidArgumentError(`invalid D-Bus name "${this.dbusName}"`, {argument: 'dbusName'});
+        }
+
+        if (options.monitor) this.startMonitor(options.monitor === true ? undefined : options.monitor);
+    }
+
+    // Lists the omxplayers on the bus as [{name, pid, source}], whether started by this process or not.
+    // source is null for a player that doesn't answer. options: dbusAddressFile and dbusAddress as for the constructor
+    static list(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        options = options || {};
+
+        let bus = null;
+        let listed = readBusAddress(options.dbusAddressFile || DBUS_ADDR, options.dbusAddress).then((address) => {
+            return connectBus(address);
+        }).then((connected) => {
+            bus = connected;
+            return busCall(bus, 'listNames').then((names) => {
+                names = names.filter((name) => name.indexOf(DBUS_NAME) === 0).sort();
+                return Promise.all(names.map((name) => {
+                    let pid = busCall(bus, 'getConnectionUnixProcessId', name).catch(() => null);
+                    let source = new Promise((resolve) => {
+                        setTimeout(resolve, LIST_TIMEOUT, null).unref();
+                        bus.invoke({
+                            path: DBUS_PATH,
+                            destination: name,
+                            interface: DBUS_INTERFACE_PLAYER,
+                            member: 'GetSource'
+                        }, (err, source) => resolve(err ? null : source));
+                    });
+                    return Promise.all([pid, source]).then(([pid, source]) => ({name, pid, source}));
+                }));
+            });
+        }, (err) => {
+            // no address file or nobody listening on it: no omxplayer is running
+            if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') return [];
+            throw new OmxDBusError(`cannot connect to D-Bus: ${err.message || err}`, {cause: err});
+        }).then((players) => {
+            if (bus) bus.connection.end();
+            return players;
+        }, (err) => {
+            if (bus) bus.connection.end();
+            throw err instanceof OmxDBusError ? err : new OmxDBusError(`cannot list players: ${err.message || err}`, {cause: err});
+        });
+        return settle(listed, cb);
+    }
+
+    // Resolves with a player controlling the omxplayer that owns name on the bus (a name or an entry of list()),
+    // e.g. one that kept playing while this process restarted. options are constructor options, except dbusName.
+    // The player emits close (with code null) when the process exits, and kill() or open() replace it as usual.
+    static attach(name, options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        if (name && typeof name === 'object') name = name.name;
+
+        let player;
+        try {
+            player = new OmxPlayer(Object.assign({}, options, {dbusName: name}));
+        } catch (err) {
+            if (cb) cb(err, null);
+            return Promise.reject(err);
+        }
+        return settle(player._attach(), cb);
+    }
+
+    // Lets go of an attached player without stopping omxplayer, e.g. after a single command. Pending calls
+    // reject, close isn't emitted. Players started by open() are left alone, they are stopped with kill().
+    detach() {
+        if (!(this.process instanceof AttachedProcess)) return;
+        this.process.removeAllListeners('close');
+        this.process.stop();
+        this.process = null;
+        this.child_process = null;
+        this.stopMonitor();
+        this._closeDBus();
+        this._failPending();
+    }
+
+    // Kills omxplayer.bin and stops the player without emitting close, it emits stopped (code) instead, as does
+    // open() stopping the previous process. Resolves with the exit code, null if the player wasn't running or
+    // the code is unknown (attached players).
+    // options: graceful  ask the player to Quit over D-Bus first (default true)
+    //          timeout   ms each step (Quit, SIGTERM, SIGKILL) is given before the next one (default 3000)
+    kill(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        options = Object.assign({graceful: true}, options);
+        this.cancelFade();
+        return settle(this._stopProcess(options), cb);
+    }
+
+    // Kills omxplayer.bin processes left behind by a process that is gone, e.g. one that crashed before it
+    // could kill its players. Only players started by this library are recognized: they carry the process
+    // that started them in their environment. Players started otherwise, by init as a service say, are left alone.
+    // options: timeout  ms to wait after SIGTERM before sending SIGKILL (default 3000)
+    // Resolves with the pids of the killed processes.
+    static killOrphans(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        options = options || {};
+        let timeout = options.timeout || KILL_TIMEOUT;
+
+        let promise = Promise.resolve().then(() => {
+            let orphans = findOrphans(ProcessTracker.listProcesses());
+            return Promise.all(orphans.map((pid) => {
+                let orphan = new AttachedProcess(pid, DBUS_RETRY_DELAY);
+                let exited = new Promise((resolve) => orphan.once('close', resolve));
+                signalProcess(pid, 'SIGTERM');
+                return within(exited, timeout).then((done) => {
+                    if (done) return;
+                    signalProcess(pid, 'SIGKILL');
+                    return within(exited, timeout);
+                });
+            })).then(() => orphans);
+        }).catch((err) => {
+            throw new OmxProcessError(`could not kill orphaned players: ${err.message}`, {cause: err});
+        });
+        return settle(promise, cb);
     }
 
-    kill(cb) {
-        return this._stopProcess(cb);
-    }
-
+    // Starts omxplayer for file. The options are validated against the schema in options.js,
+    // the returned promise rejects without starting a process if one of them is invalid.
+    // It resolves (and emits ready) once the player answers on D-Bus, and rejects if the player
+    // exits or doesn't answer within readyTimeout.
+    // Besides the options of omxplayer, options can hold an AbortSignal as signal: aborting it before
+    // the player is ready stops the process and rejects with an OmxAbortError.
     open(file, options, cb) {
         options = (typeof options !== 'undefined') ? options : {};
+        let signal = null;
+        if (options && options.signal) {
+            signal = options.signal;
+            options = Object.assign({}, options);
+            delete options.signal;
+        }
+
+        let args;
+        try {
+            if (signal && signal.aborted) throw CommandQueue.abortError(signal, {instance: this.instance});
+            args = buildArgs(options);
+        } catch (err) {
+            if (cb) cb(err);
+            return Promise.reject(err);
+        }
 
         this.file = file;
         this.options = options;
 
-        return this._startProcess(this.options, cb);
+        return this._startProcess(args, signal, cb);
     }
 
 
@@ -52,43 +436,49 @@ class OmxPlayer extends EventEmitter {
         return Promise.resolve(!!this.process);
     }
 
+    // Returns the pid of omxplayer.bin, the process below the omxplayer script that does the playing.
     getChildPid(cb) {
         return this.isRunning().then((running) => {
-            if (!running) throw 'Not running';
-            if (this.child_process) {
-                if (cb) cb(this.child_process);
-                return this.child_process;
+            if (!running) throw new OmxNotRunningError(null, {instance: this.instance});
+            if (!this.child_process) {
+                let pid = ProcessTracker.findDescendant(this.process.pid, 'omxplayer.bin');
+                if (pid === null) {
+                    throw new OmxProcessError('no matching omxplayer.bin process found', {instance: this.instance});
+                }
+                this.child_process = pid;
             }
-
-            return new Promise((resolve, reject) => {
-                ps.lookup({
-                    command: 'omxplayer.bin',
-                    psargs: '-le',
-                    ppid: this.process.pid
-                }, (err, results) => {
-                    if (results.length !== 1) return reject('no matching process found');
-                    let result = results.shift();
-                    this.child_process = result.pid;
-                    if (cb) cb(result.pid);
-                    resolve(result.pid);
-                });
-            });
+            if (cb) cb(this.child_process);
+            return this.child_process;
         });
     }
 
+    // Returns the resource usage of omxplayer.bin as {pid, state, cpu, rss, vsize, threads, uptime}:
+    // cpu in percent of one core since the last call (since the start of the player on the first one),
+    // rss and vsize in bytes, uptime in seconds. See ProcessTracker.js.
+    getProcessStats(cb) {
+        return settle(this.getChildPid().then((pid) => {
+            if (!this.tracker || this.tracker.pid !== pid) this.tracker = new ProcessTracker(pid);
+            let stats = this.tracker.stats();
+            if (!stats) throw new OmxNotRunningError(`omxplayer.bin (${pid}) is gone`, {instance: this.instance});
+            return stats;
+        }), cb);
+    }
+
     // ##########################################
     // Root Interface / Methods
     // ##########################################
 
     // Stops the currently playing video. This will cause the currently running omxplayer process to terminate.
     // (returns null)
-    quit(cb) {
-        return this._invokeDBus('Quit', DBUS_INTERFACE_ROOT, null, null, cb);
+    quit(options, cb) {
+        this.exitRequested = true;
+        if (this.monitor) this.monitor.exiting();
+        return this._invokeDBus('Quit', DBUS_INTERFACE_ROOT, null, null, options, cb);
     }
 
     // No effect? (returns null)
-    raise(cb) {
-        return this._invokeDBus('Raise', DBUS_INTERFACE_ROOT, null, null, cb);
+    raise(options, cb) {
+        return this._invokeDBus('Raise', DBUS_INTERFACE_ROOT, null, null, options, cb);
     }
 
     // ##########################################
@@ -96,43 +486,43 @@ class OmxPlayer extends EventEmitter {
     // ##########################################
 
     // Whether or not the player can quit. (returns boolean)
-    getCanQuit(cb) {
-        return this._invokeDBus('CanQuit', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanQuit(options, cb) {
+        return this._invokeDBus('CanQuit', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player is fullscreen. (returns boolean)
-    getCanFullscreen(cb) {
-        return this._invokeDBus('Fullscreen', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanFullscreen(options, cb) {
+        return this._invokeDBus('Fullscreen', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player can be set fullscreen. (returns boolean)
-    getCanSetFullscreen(cb) {
-        return this._invokeDBus('CanSetFullscreen', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanSetFullscreen(options, cb) {
+        return this._invokeDBus('CanSetFullscreen', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether the display window can be brought to the top of all the window. (returns boolean)
-    getCanRaise(cb) {
-        return this._invokeDBus('CanRaise', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanRaise(options, cb) {
+        return this._invokeDBus('CanRaise', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player has a track list. (returns boolean)
-    getHasTrackList(cb) {
-        return this._invokeDBus('HasTrackList', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getHasTrackList(options, cb) {
+        return this._invokeDBus('HasTrackList', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Name of the player. (returns string)
-    getIdentity(cb) {
-        return this._invokeDBus('Identity', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getIdentity(options, cb) {
+        return this._invokeDBus('Identity', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Playable URI formats. (returns string[])
-    getSupportedUriSchemes(cb) {
-        return this._invokeDBus('SupportedUriSchemes', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getSupportedUriSchemes(options, cb) {
+        return this._invokeDBus('SupportedUriSchemes', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Supported mime types. Note: currently not implemented in omxplayer. (returns string[])
-    getSupportedMimeTypes(cb) {
-        return this._invokeDBus('SupportedMimeTypes', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getSupportedMimeTypes(options, cb) {
+        return this._invokeDBus('SupportedMimeTypes', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // ##########################################
@@ -140,149 +530,229 @@ class OmxPlayer extends EventEmitter {
     // ##########################################
 
     // Skip to the next chapter. (returns null)
-    next(cb) {
-        return this._invokeDBus('Next', DBUS_INTERFACE_PLAYER, null, null, cb);
+    next(options, cb) {
+        return this._invokeDBus('Next', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Skip to the previous chapter. (returns null)
-    previous(cb) {
-        return this._invokeDBus('Previous', DBUS_INTERFACE_PLAYER, null, null, cb);
+    previous(options, cb) {
+        return this._invokeDBus('Previous', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Play the video. If the video is playing, it has no effect, if it is paused it will play from current position.
     // (returns null)
-    play(cb) {
+    play(options, cb) {
+        [options, cb] = callOptions(options, cb);
         // this is described in the api, but does not seem to work
         // this._invokeDBus('Play', DBUS_INTERFACE_PLAYER, null, null, cb);
-        return this.getPlaying((err, playing) => {
+        return this.getPlaying(options, (err, playing) => {
             if (err) return cb && cb(err);
             if (playing) return cb && cb();
         }).then((playing) => {
             if (playing) return Promise.resolve();
-            return this.playPause(cb);
+            return this.playPause(options, cb);
         });
     }
 
     // Pause the video. If the video is playing, it will be paused, if it is paused it will stay in pause (no effect).
     // (returns null)
-    pause(cb) {
-        return this._invokeDBus('Pause', DBUS_INTERFACE_PLAYER, null, null, cb);
+    pause(options, cb) {
+        return this._invokeDBus('Pause', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Toggles the play state. If the video is playing, it will be paused, if it is paused it will start playing.
     // (returns null)
-    playPause(cb) {
-        return this._invokeDBus('PlayPause', DBUS_INTERFACE_PLAYER, null, null, cb);
+    playPause(options, cb) {
+        return this._invokeDBus('PlayPause', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Stops the video. This has the same effect as Quit (terminates the omxplayer instance).
     // (returns null)
-    stop(cb) {
-        return this._invokeDBus('Stop', DBUS_INTERFACE_PLAYER, null, null, cb);
+    stop(options, cb) {
+        this.exitRequested = true;
+        if (this.monitor) this.monitor.exiting();
+        return this._invokeDBus('Stop', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Perform a relative seek, i.e. seek plus or minus a certain number of seconds from the current position in the video.
-    // If the supplied offset is invalid, null is returned, otherwise the offset (in seconds) is returned
-    seek(seconds, cb) {
-        return this._invokeDBus('Seek', DBUS_INTERFACE_PLAYER, 'x', [seconds * 1e6], (err, offset) => {
-            if (err || offset == null) return cb && cb(err, null);
-            return cb && cb(null, offset / 1e6);
-        }).then((offset) => {
-            if (offset == null) return Promise.reject();
+    // If the supplied offset is invalid, an OmxInvalidArgumentError is returned, otherwise the offset (in seconds)
+    seek(seconds, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this._invokeDBus('Seek', DBUS_INTERFACE_PLAYER, 'x', [seconds * 1e6], options).then((offset) => {
+            if (offset == null) {
+                throw new OmxInvalidArgumentError(`invalid seek offset ${seconds}`, {
+                    member: 'Seek',
+                    interface: DBUS_INTERFACE_PLAYER,
+                    instance: this.instance,
+                    argument: seconds
+                });
+            }
+            if (this.monitor) this.monitor.seeked();
             return offset / 1e6;
-        });
+        }), cb);
     }
 
     // Seeks to a specific location in the file. This is an absolute seek.
-    // If the supplied position is invalid, null is returned, otherwise the position (in seconds) is returned
-    setPosition(seconds, cb) {
-        return this._invokeDBus('SetPosition', DBUS_INTERFACE_PLAYER, 'ox', ['/not/used', seconds * 1e6], (err, position) => {
-            if (err || position == null) return cb && cb(err, null);
-            return cb && cb(null, position / 1e6);
-        }).then((position) => {
-            if (position == null) return Promise.reject();
+    // If the supplied position is invalid, an OmxInvalidArgumentError is returned, otherwise the position (in seconds)
+    setPosition(seconds, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this._invokeDBus('SetPosition', DBUS_INTERFACE_PLAYER, 'ox', ['/not/used', seconds * 1e6], options).then((position) => {
+            if (position == null) {
+                throw new OmxInvalidArgumentError(`invalid position ${seconds}`, {
+                    member: 'SetPosition',
+                    interface: DBUS_INTERFACE_PLAYER,
+                    instance: this.instance,
+                    argument: seconds
+                });
+            }
+            if (this.monitor) this.monitor.seeked(position / 1e6);
             return position / 1e6;
-        });
+        }), cb);
     }
 
     // Set the alpha transparency of the player [0-255].
     // (returns nothing)
-    setAlpha(alpha, cb) {
-        return this._invokeDBus('SetAlpha', DBUS_INTERFACE_PLAYER, 'ox', ['/not/used', alpha], cb);
+    setAlpha(alpha, options, cb) {
+        return this._invokeDBus('SetAlpha', DBUS_INTERFACE_PLAYER, 'ox', ['/not/used', alpha], options, cb);
     }
 
     // Seeks the video playback layer.
     // (returns nothing)
-    setLayer(layer, cb) {
-        return this._invokeDBus('SetLayer', DBUS_INTERFACE_PLAYER, 'ox', ['/not/used', layer], cb);
+    setLayer(layer, options, cb) {
+        return this._invokeDBus('SetLayer', DBUS_INTERFACE_PLAYER, 'ox', ['/not/used', layer], options, cb);
     }
 
     // Mute the audio stream. If the volume is already muted, this does nothing.
     // (returns nothing)
-    mute(cb) {
-        return this._invokeDBus('Mute', DBUS_INTERFACE_PLAYER, null, null, cb);
+    mute(options, cb) {
+        return this._invokeDBus('Mute', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Unmute the audio stream. If the stream is already unmuted, this does nothing.
     // (returns nothing)
-    unmute(cb) {
-        return this._invokeDBus('Unmute', DBUS_INTERFACE_PLAYER, null, null, cb);
+    unmute(options, cb) {
+        return this._invokeDBus('Unmute', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Returns a array of all known subtitles. The length of the array is the number of subtitles.
     // see https://github.com/popcornmix/omxplayer#listsubtitles
     // (returns string[])
-    listSubtitles(cb) {
-        return this._invokeDBus('ListSubtitles', DBUS_INTERFACE_PLAYER, null, null, cb);
+    listSubtitles(options, cb) {
+        return this._invokeDBus('ListSubtitles', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Returns and array of all known audio streams. The length of the array is the number of streams.
     // see https://github.com/popcornmix/omxplayer#listaudio
     // (returns string[])
-    listAudio(cb) {
-        return this._invokeDBus('ListAudio', DBUS_INTERFACE_PLAYER, null, null, cb);
+    listAudio(options, cb) {
+        return this._invokeDBus('ListAudio', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Returns and array of all known video streams. The length of the array is the number of streams.
     // see https://github.com/popcornmix/omxplayer#listvideo
     // (returns string[])
-    listVideo(cb) {
-        return this._invokeDBus('ListVideo', DBUS_INTERFACE_PLAYER, null, null, cb);
+    listVideo(options, cb) {
+        return this._invokeDBus('ListVideo', DBUS_INTERFACE_PLAYER, null, null, options, cb);
+    }
+
+    // Returns the subtitles as [{index, language, name, codec, active}], see tracks.js.
+    getSubtitleTracks(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.listSubtitles(options).then(parseTracks), cb);
+    }
+
+    // Returns the audio streams as [{index, language, name, codec, active}].
+    getAudioTracks(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.listAudio(options).then(parseTracks), cb);
+    }
+
+    // Returns the video streams as [{index, language, name, codec, active}].
+    getVideoTracks(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.listVideo(options).then(parseTracks), cb);
+    }
+
+    // Reads all streams into the tracks property and returns it: {audio, subtitle, video}.
+    // The selectSubtitle/Audio methods keep tracks up to date.
+    getTracks(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(Promise.all([
+            this.getAudioTracks(options),
+            this.getSubtitleTracks(options),
+            this.getVideoTracks(options)
+        ]).then(([audio, subtitle, video]) => {
+            this.tracks = {audio, subtitle, video};
+            return this.tracks;
+        }), cb);
     }
 
     // Selects the subtitle at a given index. Returns true if subtitle was selected, false otherwise.
-    selectSubtitle(index, cb) {
-        return this._invokeDBus('SelectSubtitle', DBUS_INTERFACE_PLAYER, 'x', [index], cb);
+    selectSubtitle(index, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this._invokeDBus('SelectSubtitle', DBUS_INTERFACE_PLAYER, 'x', [index], options).then((selected) => {
+            return selected ? this._refreshTracks('subtitle', options).then(() => selected) : selected;
+        }), cb);
     }
 
     // Selects the audio stream at a given index. Returns true if subtitle was selected, false otherwise.
-    selectAudio(index, cb) {
-        return this._invokeDBus('SelectAudio', DBUS_INTERFACE_PLAYER, 'x', [index], cb);
+    selectAudio(index, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this._invokeDBus('SelectAudio', DBUS_INTERFACE_PLAYER, 'x', [index], options).then((selected) => {
+            return selected ? this._refreshTracks('audio', options).then(() => selected) : selected;
+        }), cb);
+    }
+
+    // Selects the first subtitle matching languages, a language code or an array of them in order of
+    // preference, e.g. ['deu', 'eng']. Returns the selected track, or null if no language matched.
+    // omxplayer doesn't show subtitles on selection, see showSubtitles().
+    selectSubtitleByLanguage(languages, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.getSubtitleTracks(options).then((tracks) => {
+            return this._selectTrack(findByLanguage(tracks, languages), (index) => this.selectSubtitle(index, options));
+        }), cb);
+    }
+
+    // Selects the first audio stream matching languages, see selectSubtitleByLanguage().
+    selectAudioByLanguage(languages, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.getAudioTracks(options).then((tracks) => {
+            return this._selectTrack(findByLanguage(tracks, languages), (index) => this.selectAudio(index, options));
+        }), cb);
     }
 
     // Turns on subtitles.
     // (returns null)
-    showSubtitles(cb) {
-        return this._invokeDBus('ShowSubtitles', DBUS_INTERFACE_PLAYER, null, null, cb);
+    showSubtitles(options, cb) {
+        return this._invokeDBus('ShowSubtitles', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // Turns off subtitles.
     // (returns null)
-    hideSubtitles(cb) {
-        return this._invokeDBus('HideSubtitles', DBUS_INTERFACE_PLAYER, null, null, cb);
+    hideSubtitles(options, cb) {
+        return this._invokeDBus('HideSubtitles', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
     // The current file or stream that is being played.
     // (returns string)
-    getSource(cb) {
-        return this._invokeDBus('GetSource', DBUS_INTERFACE_PLAYER, null, null, cb);
+    getSource(options, cb) {
+        return this._invokeDBus('GetSource', DBUS_INTERFACE_PLAYER, null, null, options, cb);
     }
 
-    // Execute a "keyboard" command. For available codes, see KeyConfig.h.
+    // Execute a "keyboard" command, given as number or name of OmxPlayer.Actions (e.g. 'NEXT_CHAPTER').
+    // For available codes, see KeyConfig.h and actions.js. Rejects with an OmxInvalidArgumentError for unknown names.
     // https://github.com/popcornmix/omxplayer/blob/master/KeyConfig.h
     // (returns null)
-    action(command, cb) {
-        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [command], cb);
+    action(command, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        let code;
+        try {
+            code = resolveAction(command);
+        } catch (err) {
+            if (cb) cb(err, null);
+            return Promise.reject(err);
+        }
+        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [code], options, cb);
     }
 
     // ##########################################
@@ -291,68 +761,142 @@ class OmxPlayer extends EventEmitter {
 
     // Whether or not the play can skip to the next track.
     // (returns boolean)
-    getCanGoNext(cb) {
-        return this._invokeDBus('CanGoNext', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanGoNext(options, cb) {
+        return this._invokeDBus('CanGoNext', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player can skip to the previous track.
     // (returns boolean)
-    getCanGoPrevious(cb) {
-        return this._invokeDBus('CanGoPrevious', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanGoPrevious(options, cb) {
+        return this._invokeDBus('CanGoPrevious', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player can seek.
     // (returns boolean)
-    getCanSeek(cb) {
-        return this._invokeDBus('CanSeek', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanSeek(options, cb) {
+        return this._invokeDBus('CanSeek', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player can be controlled.
     // (returns boolean)
-    getCanControl(cb) {
-        return this._invokeDBus('CanControl', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanControl(options, cb) {
+        return this._invokeDBus('CanControl', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player can play.
     // (returns boolean)
-    getCanPlay(cb) {
-        return this._invokeDBus('CanPlay', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanPlay(options, cb) {
+        return this._invokeDBus('CanPlay', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Whether or not the player can pause.
     // (returns boolean)
-    getCanPause(cb) {
-        return this._invokeDBus('CanPause', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getCanPause(options, cb) {
+        return this._invokeDBus('CanPause', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // The current state of the player, either "Paused" or "Playing".
     // (returns string)
-    getPlaybackStatus(cb) {
-        return this._invokeDBus('PlaybackStatus', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getPlaybackStatus(options, cb) {
+        return this._invokeDBus('PlaybackStatus', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // When called with an argument it will set the volume and return the current volume. (returns double)
     // When called without an argument it will simply return the current volume.
     //      volume = pow(10, mB / 2000.0);
     //      mB     = 2000.0 * log10(volume)
-    getVolume(cb) {
-        return this._invokeDBus('Volume', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getVolume(options, cb) {
+        return this._invokeDBus('Volume', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
+    }
+
+    // Setting the volume cancels a running fade.
+    setVolume(volume, options, cb) {
+        this.cancelFade();
+        return this._setVolume(volume, options, cb);
+    }
+
+    // Returns the volume in dB, 0 being the original level.
+    getVolumeDb(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.getVolume(options).then(linearToDb), cb);
+    }
+
+    // Sets the volume in dB, e.g. -6. Returns the new volume in dB.
+    setVolumeDb(dB, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        if (typeof dB !== 'number' || isNaN(dB)) return this._invalidVolume(dB, cb);
+        return settle(this.setVolume(dbToLinear(dB), options).then(linearToDb), cb);
+    }
+
+    // Returns the volume in percent on a perceptual curve, see volume.js.
+    getVolumePercent(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.getVolume(options).then(linearToPercent), cb);
+    }
+
+    // Sets the volume in percent on a perceptual curve, 100 being the original level. Returns the new volume in percent.
+    setVolumePercent(percent, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        if (typeof percent !== 'number' || !(percent >= 0)) return this._invalidVolume(percent, cb);
+        return settle(this.setVolume(percentToLinear(percent), options).then(linearToPercent), cb);
+    }
+
+    // Fades the volume to target within ms, target being a linear volume as for setVolume(), or
+    // {percent}, {dB}, {mB} or a string like "-6dB".
+    // options: easing   a function or one of 'linear' (default), 'easeIn', 'easeOut' and 'easeInOut', applied
+    //                   on the perceptual curve. The name alone may be passed instead of the options
+    //          signal   aborting it cancels the fade
+    //          timeout  applies to each step
+    // Resolves with true when the fade completed, with false when it was cancelled, see fade.js.
+    fadeVolume(target, ms, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        options = (typeof options === 'string') ? {easing: options} : (options || {});
+        let volume = toLinear(target);
+        if (isNaN(volume)) return this._invalidVolume(target, cb);
+
+        let fade;
+        try {
+            fade = new Fade(ms, options.easing, options.signal);
+        } catch (err) {
+            if (cb) cb(err, null);
+            return Promise.reject(err);
+        }
+        this._startFade(fade);
+
+        let step = {timeout: options.timeout};
+        let start = null;
+        let done = fade.run((progress) => {
+            let read = (start === null) ? this.getVolume(step).then((current) => start = current) : Promise.resolve();
+            return read.then(() => this._setVolume(mixVolume(start, volume, progress), step));
+        });
+        return settle(done.then((completed) => {
+            this._endFade(fade);
+            return completed;
+        }, (err) => {
+            this._endFade(fade);
+            throw err;
+        }), cb);
     }
 
-    setVolume(volume, cb) {
-        return this._invokeDBus('Volume', DBUS_INTERFACE_PROPERTIES, 'd', [volume], cb);
+    // Cancels a running fade or crossfade, which resolves with false. The volume stays where the fade left it.
+    cancelFade() {
+        if (!this.fading) return;
+        let fade = this.fading;
+        this.fading = null;
+        fade.cancel();
     }
 
     // Restart and open another URI for playing.
     // (returns nothing)
-    openUri(uri, cb) {
-        return this._invokeDBus('OpenUri', DBUS_INTERFACE_PROPERTIES, 's', [uri], cb);
+    openUri(uri, options, cb) {
+        return this._invokeDBus('OpenUri', DBUS_INTERFACE_PLAYER, 's', [uri], options, cb);
     }
 
     // Returns the current position of the playing media.
     // (returns int, position in seconds)
-    getPosition(cb) {
-        return this._invokeDBus('Position', DBUS_INTERFACE_PROPERTIES, null, null, (err, ...result) => {
+    getPosition(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return this._invokeDBus('Position', DBUS_INTERFACE_PROPERTIES, null, null, options, (err, ...result) => {
             if (err) return cb && cb(err, null);
             return cb && cb(null, result / 1e6);
         }).then((position) => {
@@ -362,60 +906,64 @@ class OmxPlayer extends EventEmitter {
 
     // Returns the minimum playback rate of the video.
     // (returns double)
-    getMinimumRate(cb) {
-        return this._invokeDBus('MinimumRate', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getMinimumRate(options, cb) {
+        return this._invokeDBus('MinimumRate', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Returns the maximum playback rate of the video.
     // (returns double)
-    getMaximumRate(cb) {
-        return this._invokeDBus('MaximumRate', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getMaximumRate(options, cb) {
+        return this._invokeDBus('MaximumRate', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // When called with an argument it will set the playing rate and return the current rate. (returns double)
     // When called without an argument it will simply return the current rate.
-    getRate(cb) {
-        return this._invokeDBus('Rate', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getRate(options, cb) {
+        return this._invokeDBus('Rate', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
-    setRate(rate, cb) {
-        return this._invokeDBus('Rate', DBUS_INTERFACE_PROPERTIES, 'd', [rate], cb);
+    setRate(rate, options, cb) {
+        return this._invokeDBus('Rate', DBUS_INTERFACE_PROPERTIES, 'd', [rate], options, cb).then((rate) => {
+            if (this.monitor) this.monitor.rateChanged(rate);
+            return rate;
+        });
     }
 
     // Returns track information: URI and length.
     // (returns dict)
-    getMetadata(cb) {
-        return this._invokeDBus('Metadata', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getMetadata(options, cb) {
+        return this._invokeDBus('Metadata', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Returns the aspect ratio.
     // (returns double)
-    getAspect(cb) {
-        return this._invokeDBus('Aspect', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getAspect(options, cb) {
+        return this._invokeDBus('Aspect', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Returns the number of video streams.
     // (returns int64)
-    getVideoStreamCount(cb) {
-        return this._invokeDBus('VideoStreamCount', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getVideoStreamCount(options, cb) {
+        return this._invokeDBus('VideoStreamCount', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Returns video width
     // (returns int64)
-    getResWidth(cb) {
-        return this._invokeDBus('ResWidth', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getResWidth(options, cb) {
+        return this._invokeDBus('ResWidth', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Returns video height
     // (returns int64)
-    getResHeight(cb) {
-        return this._invokeDBus('ResHeight', DBUS_INTERFACE_PROPERTIES, null, null, cb);
+    getResHeight(options, cb) {
+        return this._invokeDBus('ResHeight', DBUS_INTERFACE_PROPERTIES, null, null, options, cb);
     }
 
     // Returns the total length of the playing media.
     // (returns int64)
-    getDuration(cb) {
-        return this._invokeDBus('Duration', DBUS_INTERFACE_PROPERTIES, null, null, (err, ...result) => {
+    getDuration(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return this._invokeDBus('Duration', DBUS_INTERFACE_PROPERTIES, null, null, options, (err, ...result) => {
             if (err) return cb && cb(err, null);
             return cb && cb(null, result / 1e6);
         }).then((result) => {
@@ -423,13 +971,51 @@ class OmxPlayer extends EventEmitter {
         });
     }
 
+    // Returns playback status, position, duration, volume, rate, metadata, aspect and resolution at once:
+    // {status, playing, paused, position, duration, volume, rate, metadata, aspect, width, height, timestamp}
+    // position and duration are in seconds, metadata is an object like {'xesam:url': ...} and timestamp
+    // is Date.now() at the answer. The properties are read side by side, or with the constructor option getAll
+    // in a single Properties.GetAll where the player answers it. omxplayer doesn't answer at all, so the
+    // first GetAll is a probe: a player that doesn't answer it within GETALL_PROBE_TIMEOUT lacks it.
+    getState(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        let all = Promise.resolve({});
+        if (this.getAllSupported !== false) {
+            let probe = (this.getAllSupported === null);
+            let getAllOptions = probe ? Object.assign({}, options, {timeout: GETALL_PROBE_TIMEOUT}) : options;
+            all = this._invokeDBus('GetAll', DBUS_INTERFACE_PROPERTIES, 's', [DBUS_INTERFACE_PLAYER], getAllOptions).then((entries) => {
+                this.getAllSupported = true;
+                return decodeDict(entries);
+            }, (err) => {
+                let unanswered = probe && err instanceof OmxTimeoutError;
+                if (!unanswered && DBUS_UNSUPPORTED_ERRORS.indexOf(err.errorName) === -1) throw err;
+                this.getAllSupported = false;
+                return {};
+            });
+        }
+
+        return settle(all.then((properties) => {
+            // GetAll of a player may leave out some of omxplayer's own properties
+            let missing = STATE_PROPERTIES.filter((name) => properties[name] === undefined);
+            return Promise.all(missing.map((name) => {
+                return this._invokeDBus(name, DBUS_INTERFACE_PROPERTIES, null, null, options);
+            })).then((values) => {
+                missing.forEach((name, index) => {
+                    properties[name] = (name === 'Metadata') ? decodeDict(values[index]) : values[index];
+                });
+                return toState(properties, Date.now());
+            });
+        }), cb);
+    }
+
     // ##########################################
     // Additional Functions
     // ##########################################
 
     // Get status 'Playing' as bool
-    getPlaying(cb) {
-        return this.getPlaybackStatus((err, status) => {
+    getPlaying(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return this.getPlaybackStatus(options, (err, status) => {
             return cb && cb(err, status === 'Playing');
         }).then((status) => {
             return status === 'Playing';
@@ -437,8 +1023,9 @@ class OmxPlayer extends EventEmitter {
     }
 
     // Get status 'Paused' as bool
-    getPaused(cb) {
-        return this.getPlaybackStatus((err, status) => {
+    getPaused(options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return this.getPlaybackStatus(options, (err, status) => {
             return cb && cb(err, status === 'Paused');
         }).then((status) => {
             return status === 'Paused';
@@ -446,7 +1033,8 @@ class OmxPlayer extends EventEmitter {
     }
 
     //     --win x1,y1,x2,y2       Set position of video window
-    setVideoPos(x1, y1, x2, y2, cb) {
+    setVideoPos(x1, y1, x2, y2, options, cb) {
+        [options, cb] = callOptions(options, cb);
         let unpack = function (result) {
             result = result.split(' ');
             for (let i = 0, len = result.length; i < len; i++) {
@@ -458,7 +1046,7 @@ class OmxPlayer extends EventEmitter {
             return result;
         };
 
-        return this._invokeDBus('VideoPos', DBUS_INTERFACE_PLAYER, 'os', ['/not/used', `${x1} ${y1} ${x2} ${y2}`], (err, ...result) => {
+        return this._invokeDBus('VideoPos', DBUS_INTERFACE_PLAYER, 'os', ['/not/used', `${x1} ${y1} ${x2} ${y2}`], options, (err, ...result) => {
             if (err) return cb && cb(err, null);
             return cb && cb(null, unpack(result));
         }).then((result) => {
@@ -468,7 +1056,8 @@ class OmxPlayer extends EventEmitter {
 
     // Set video crop area
     //  --crop x1,y1,x2,y2
-    setVideoCropPos(x1, y1, x2, y2, cb) {
+    setVideoCropPos(x1, y1, x2, y2, options, cb) {
+        [options, cb] = callOptions(options, cb);
         let unpack = function (result) {
             result = result.split(' ');
             for (let i = 0, len = result.length; i < len; i++) {
@@ -480,7 +1069,7 @@ class OmxPlayer extends EventEmitter {
             return result;
         };
 
-        return this._invokeDBus('SetVideoCropPos', DBUS_INTERFACE_PLAYER, 'os', ['/not/used', `${x1} ${y1} ${x2} ${y2}`], (err, ...result) => {
+        return this._invokeDBus('SetVideoCropPos', DBUS_INTERFACE_PLAYER, 'os', ['/not/used', `${x1} ${y1} ${x2} ${y2}`], options, (err, ...result) => {
             if (err) return cb && cb(err, null);
             return cb && cb(null, unpack(result));
         }).then((result) => {
@@ -491,61 +1080,212 @@ class OmxPlayer extends EventEmitter {
     // Set aspect mode
     //  --aspect-mode type
     //  Letterbox, fill, stretch. Default: stretch if win is specified, letterbox otherwise
-    setAspectMode(mode, cb) {
-        return this._invokeDBus('SetAspectMode', DBUS_INTERFACE_PLAYER, 'os', ['/not/used', mode], cb);
+    setAspectMode(mode, options, cb) {
+        return this._invokeDBus('SetAspectMode', DBUS_INTERFACE_PLAYER, 'os', ['/not/used', mode], options, cb);
     }
 
+    // ##########################################
+    // Keyboard Actions
+    // ##########################################
+
     // Toggle subtitles
-    toggleSubtitles(cb) {
-        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [12], cb);
+    toggleSubtitles(options, cb) {
+        return this.action(Actions.TOGGLE_SUBTITLE, options, cb);
     }
 
     // Hide video
-    hideVideo(cb) {
-        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [28], cb);
+    hideVideo(options, cb) {
+        return this.action(Actions.HIDE_VIDEO, options, cb);
     }
 
     // Unhide video
-    unhideVideo(cb) {
-        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [29], cb);
+    unhideVideo(options, cb) {
+        return this.action(Actions.UNHIDE_VIDEO, options, cb);
+    }
+
+    // Volume up (+3dB), cancels a running fade
+    volumeUp(options, cb) {
+        this.cancelFade();
+        return this.action(Actions.INCREASE_VOLUME, options, cb);
+    }
+
+    // Volume down (-3dB), cancels a running fade
+    volumeDown(options, cb) {
+        this.cancelFade();
+        return this.action(Actions.DECREASE_VOLUME, options, cb);
+    }
+
+    // Halve the playback speed
+    decreaseSpeed(options, cb) {
+        return this.action(Actions.DECREASE_SPEED, options, cb);
+    }
+
+    // Double the playback speed
+    increaseSpeed(options, cb) {
+        return this.action(Actions.INCREASE_SPEED, options, cb);
+    }
+
+    // Rewind, each call goes back faster
+    rewind(options, cb) {
+        return this.action(Actions.REWIND, options, cb);
+    }
+
+    // Fast forward, each call goes faster
+    fastForward(options, cb) {
+        return this.action(Actions.FAST_FORWARD, options, cb);
+    }
+
+    // Show the file info on the OSD
+    showInfo(options, cb) {
+        return this.action(Actions.SHOW_INFO, options, cb);
+    }
+
+    // Previous chapter
+    previousChapter(options, cb) {
+        return this.action(Actions.PREVIOUS_CHAPTER, options, cb);
+    }
+
+    // Next chapter
+    nextChapter(options, cb) {
+        return this.action(Actions.NEXT_CHAPTER, options, cb);
+    }
+
+    // Switch to the previous audio stream
+    previousAudio(options, cb) {
+        return this._trackAction(Actions.PREVIOUS_AUDIO, 'audio', options, cb);
+    }
+
+    // Switch to the next audio stream
+    nextAudio(options, cb) {
+        return this._trackAction(Actions.NEXT_AUDIO, 'audio', options, cb);
+    }
+
+    // Switch to the previous subtitle stream
+    previousSubtitle(options, cb) {
+        return this._trackAction(Actions.PREVIOUS_SUBTITLE, 'subtitle', options, cb);
+    }
+
+    // Switch to the next subtitle stream
+    nextSubtitle(options, cb) {
+        return this._trackAction(Actions.NEXT_SUBTITLE, 'subtitle', options, cb);
     }
 
-    // Volume up
-    volumeUp(cb) {
-        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [18], cb);
+    // Show subtitles 250ms earlier
+    decreaseSubtitleDelay(options, cb) {
+        return this.action(Actions.DECREASE_SUBTITLE_DELAY, options, cb);
     }
 
-    // Volume down
-    volumeDown(cb) {
-        return this._invokeDBus('Action', DBUS_INTERFACE_PLAYER, 'i', [17], cb);
+    // Show subtitles 250ms later
+    increaseSubtitleDelay(options, cb) {
+        return this.action(Actions.INCREASE_SUBTITLE_DELAY, options, cb);
+    }
+
+    // Seek back 30 seconds
+    seekBackSmall(options, cb) {
+        return this._seekAction(Actions.SEEK_BACK_SMALL, options, cb);
+    }
+
+    // Seek forward 30 seconds
+    seekForwardSmall(options, cb) {
+        return this._seekAction(Actions.SEEK_FORWARD_SMALL, options, cb);
+    }
+
+    // Seek back 600 seconds
+    seekBackLarge(options, cb) {
+        return this._seekAction(Actions.SEEK_BACK_LARGE, options, cb);
+    }
+
+    // Seek forward 600 seconds
+    seekForwardLarge(options, cb) {
+        return this._seekAction(Actions.SEEK_FORWARD_LARGE, options, cb);
+    }
+
+    // Advance one frame while paused. omxplayer can't step backwards.
+    stepForward(options, cb) {
+        return this._seekAction(Actions.STEP, options, cb);
+    }
+
+    // Starts polling the playback state every interval ms (default 250) and emitting timeupdate, play, pause,
+    // seeked, ratechange, volumechange and ended events, see StateMonitor.js.
+    // Results of seek(), setPosition(), setRate() and setVolume() are emitted right away.
+    startMonitor(interval) {
+        if (!this.monitor) this.monitor = new StateMonitor(this);
+        this.monitor.start(interval);
+    }
+
+    stopMonitor() {
+        if (this.monitor) this.monitor.stop();
+    }
+
+    // Calls handler ({id, time, position}) when playback passes seconds (a number or hh:mm:ss) of the media,
+    // once per pass, and emits cue. Cues stay across open() calls until they are removed.
+    // Returns the id of the cue. See CueScheduler.js.
+    addCue(seconds, handler) {
+        return this._cueScheduler().add(seconds, handler);
+    }
+
+    // Removes the cue with the id cue, or all cues with the handler cue. Returns whether there were any.
+    removeCue(cue) {
+        return this.cues ? this.cues.remove(cue) : false;
+    }
+
+    // Jumps back to start with setPosition() whenever playback passes end, emitting loop, until the loop
+    // region is cleared. start and end are seconds or hh:mm:ss.
+    setLoopRegion(start, end) {
+        this._cueScheduler().setRegion(start, end);
+    }
+
+    clearLoopRegion() {
+        if (this.cues) this.cues.clearRegion();
     }
 
     // ##########################################
     // Private Methods
     // ##########################################
 
-    _startProcess(options, cb) {
-        return this._stopProcess().then(() => {
-            let args = [];
-            for (let key of Object.keys(options)) {
-                let value = options[key];
-                if (value === false) continue;
-                args.push(`${(key.length === 1) ? '-' : '--'}${key}`);
-                if (value === true) continue;
-                args.push(value);
-            }
+    _cueScheduler() {
+        if (!this.cues) this.cues = new CueScheduler(this);
+        return this.cues;
+    }
 
-            args.push('--dbus_name');
-            args.push(DBUS_NAME + this.instance);
+    // Starts omxplayer with args once the previous process is stopped. Aborting signal stops the new process.
+    _startProcess(args, signal, cb) {
+        let restarting = !!this.process;
+        let env = Object.assign({}, process.env, {[OWNER_ENV]: ownerTag(process.pid)});
+        if (this.dbusAddress) env.DBUS_SESSION_BUS_ADDRESS = this.dbusAddress;
+        let onAbort = () => this._stopProcess().catch(() => {});
+        if (signal) signal.addEventListener('abort', onAbort);
 
-            this.dbus = null;
-            this.process = spawn('omxplayer', [...args, this.file], {stdio: 'pipe'});
+        return this._stopProcess().then(() => {
+            this._closeDBus();
+            return this._checkDBusName(restarting ? NAME_RELEASE_TIMEOUT : 0);
+        }).then(() => {
+            if (signal && signal.aborted) throw CommandQueue.abortError(signal, {instance: this.instance});
+            args.push('--dbus_name');
+            args.push(this.dbusName);
+
+            if (this.monitor) this.monitor.reset();
+            this.stderr = '';
+            this.tracks = null;
+            this.exitRequested = false;
+            this.output = this._createOutputParser();
+            this.process = spawn('omxplayer', [...args, this.file], {stdio: 'pipe', env});
+            if (this.killOnExit) watchCleanup(this, true);
+
+            let process = this.process;
+            let exited = new Promise((resolve) => {
+                process.on('close', resolve);
+            });
 
+            let output = this.output;
             this.process.stdout.on('data', (data) => {
+                output.write('stdout', data);
                 this.emit('stdout', data);
             });
 
             this.process.stderr.on('data', (data) => {
+                this.stderr = (this.stderr + data).slice(-STDERR_BUFFER_SIZE);
+                output.write('stderr', data);
                 this.emit('stderr', data);
             });
 
@@ -553,79 +1293,411 @@ class OmxPlayer extends EventEmitter {
                 this.emit('error', err);
             });
 
-            this.process.on('close', (code) => {
-                this.process = null;
-                this.child_process = null;
-                this.dbus = null;
-                this.emit('close', code);
-            });
+            this.process.on('close', (code, signal) => this._closed(code, signal));
 
+            return this._waitForReady(process, exited);
+        }).then(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
             if (cb) cb();
-            return Promise.resolve();
+            this.emit('ready');
+        }, (err) => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+                if (signal.aborted) err = CommandQueue.abortError(signal, {instance: this.instance});
+            }
+            if (cb) cb(err);
+            throw err;
         });
     }
 
-    _stopProcess(cb) {
-        return this.isRunning().then((running) => {
-            if (!running) throw 'Not running';
-            return this.getChildPid();
-        }).then((pid) => {
-            return new Promise((resolve, reject) => {
-                ps.kill(pid, resolve);
+    // Polls with growing delays until the D-Bus name of the player has an owner and answers a property read.
+    _waitForReady(process, exited) {
+        let deadline = Date.now() + this.readyTimeout;
+        let exitCode = null;
+        exited.then((code) => exitCode = code);
+
+        let output = () => this.stderr.trim() ? `: ${this.stderr.trim()}` : '';
+        let parser = this.output;
+
+        let attempt = (wait) => {
+            return this.getChildPid().then(() => {
+                return this._getDBus();
+            }).then((bus) => {
+                return new Promise((resolve, reject) => {
+                    bus.nameHasOwner(this.dbusName, (err, owned) => {
+                        if (err || !owned) return reject(err || new Error('name has no owner'));
+                        resolve();
+                    });
+                });
+            }).then(() => {
+                return this._invokeDBusOnce('CanQuit', DBUS_INTERFACE_PROPERTIES, null, null);
+            }).catch((failure) => {
+                let cause = (failure && failure.error) || failure;
+                if (this.process !== process) {
+                    let reason = (exitCode === null) ? 'was stopped' : `exited with code ${exitCode}`;
+                    let fatal = (exitCode === null) ? null : parser.fatal;
+                    let details = fatal ? `: ${fatal.reason}: ${fatal.message}` : output();
+                    throw new OmxProcessError(`omxplayer ${reason} before it was ready${details}`, {
+                        instance: this.instance,
+                        exitCode,
+                        stderr: this.stderr,
+                        reason: fatal ? fatal.reason : null,
+                        fatal
+                    });
+                }
+                if (Date.now() + wait > deadline) {
+                    let err = new OmxTimeoutError(`omxplayer did not answer on D-Bus within ${this.readyTimeout}ms${output()}`, {
+                        instance: this.instance,
+                        timeout: this.readyTimeout,
+                        stderr: this.stderr,
+                        cause
+                    });
+                    return this._stopProcess().then(() => {
+                        throw err;
+                    }, () => {
+                        throw err;
+                    });
+                }
+                return delay(wait).then(() => attempt(Math.min(wait * 2, READY_POLL_MAX_DELAY)));
             });
-        }).then(() => {
-            if (this.process) {
-                this.process.removeAllListeners();
-            }
+        };
+        return attempt(DBUS_RETRY_DELAY);
+    }
+
+    // Updates the kind ('audio' or 'subtitle') list of the tracks snapshot after a selection, or reads
+    // the whole snapshot if there is none yet. Never rejects, a failed read keeps the old snapshot.
+    _refreshTracks(kind, options) {
+        let read = (kind === 'audio') ? () => this.getAudioTracks(options) : () => this.getSubtitleTracks(options);
+        let refreshed = this.tracks ? read().then((tracks) => {
+            this.tracks = Object.assign({}, this.tracks, {[kind]: tracks});
+        }) : this.getTracks(options);
+        return refreshed.catch(() => {});
+    }
+
+    // Sends a stream cycling action and updates an existing tracks snapshot.
+    _trackAction(command, kind, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.action(command, options).then((result) => {
+            if (!this.tracks) return result;
+            return this._refreshTracks(kind, options).then(() => result);
+        }), cb);
+    }
+
+    _seekAction(command, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        return settle(this.action(command, options).then((result) => {
+            if (this.monitor) this.monitor.seeked();
+            return result;
+        }), cb);
+    }
+
+    _selectTrack(track, select) {
+        if (!track) return null;
+        return select(track.index).then((selected) => {
+            if (!selected) return null;
+            return Object.assign({}, track, {active: true});
+        });
+    }
+
+    _setVolume(volume, options, cb) {
+        return this._invokeDBus('Volume', DBUS_INTERFACE_PROPERTIES, 'd', [volume], options, cb).then((volume) => {
+            if (this.monitor) this.monitor.volumeChanged(volume);
+            return volume;
+        });
+    }
+
+    _invalidVolume(volume, cb) {
+        let err = new OmxInvalidArgumentError(`invalid volume ${JSON.stringify(volume)}`, {instance: this.instance, argument: volume});
+        if (cb) cb(err, null);
+        return Promise.reject(err);
+    }
+
+    // Makes fade the running fade of this player, cancelling the previous one.
+    _startFade(fade) {
+        if (this.fading !== fade) this.cancelFade();
+        this.fading = fade;
+    }
+
+    _endFade(fade) {
+        if (this.fading === fade) this.fading = null;
+    }
+
+    // Forwards the events of a parser for the output of a new process, see OutputParser.js.
+    _createOutputParser() {
+        let output = new OutputParser();
+        for (let event of ['info', 'warning', 'fatal']) {
+            output.on(event, (data) => this.emit(event, data));
+        }
+        return output;
+    }
+
+    // Emits exit-reason and close and forgets the process once it exited.
+    // Both get {code, signal, reason, fatal}, see exitReason() in OutputParser.js.
+    _closed(code, signal) {
+        let fatal = null;
+        if (this.output) {
+            this.output.end();
+            fatal = this.output.fatal;
+        }
+        let exit = {
+            code,
+            signal: signal || null,
+            reason: OutputParser.exitReason(code, signal, fatal, this.exitRequested),
+            fatal
+        };
+
+        this.cancelFade();
+        this.process = null;
+        this.child_process = null;
+        this._closeDBus();
+        this._failPending();
+        watchCleanup(this, false);
+        if (this.monitor) this.monitor.closed(code);
+        this.emit('exit-reason', exit);
+        this.emit('close', code, exit);
+    }
+
+    // Takes over the omxplayer that owns dbusName, see attach().
+    _attach() {
+        return this._getDBus().catch((err) => {
+            throw new OmxDBusError(`cannot connect to D-Bus: ${err.message || err}`, {instance: this.instance, cause: err});
+        }).then((bus) => {
+            return busCall(bus, 'getConnectionUnixProcessId', this.dbusName).catch((err) => {
+                throw new OmxNotRunningError(`no omxplayer owns ${this.dbusName}`, {instance: this.instance, cause: err});
+            });
+        }).then((pid) => {
+            if (this.monitor) this.monitor.reset();
+            this.stderr = '';
+            this.tracks = null;
+            this.exitRequested = false;
+            this.output = null;
+            this.process = new AttachedProcess(pid);
+            this.child_process = pid;
+            this.process.on('close', (code) => this._closed(code));
+            return this.getSource();
+        }).then((source) => {
+            this.file = source;
+            this.options = {};
+            this.emit('ready');
+            return this;
+        }, (err) => {
+            if (this.process) this.process.removeAllListeners();
             this.process = null;
             this.child_process = null;
-            this.dbus = null;
+            this._closeDBus();
+            throw err;
+        });
+    }
 
-            if (cb) cb();
-        }).catch(() => {
-            return Promise.resolve();
+    // Rejects if another process owns the D-Bus name of this player, as omxplayer would then fail to start
+    // or, worse, our calls would control the other player. The name of a process of ours that was just
+    // killed is given grace ms to be released. Without a bus (yet) nobody can own the name.
+    _checkDBusName(grace) {
+        let deadline = Date.now() + grace;
+        let check = () => {
+            return this._getDBus().then((bus) => {
+                return new Promise((resolve) => {
+                    bus.nameHasOwner(this.dbusName, (err, owned) => resolve(!err && owned));
+                });
+            }, () => false).then((owned) => {
+                if (!owned) return;
+                if (Date.now() < deadline) return delay(DBUS_RETRY_DELAY).then(check);
+                throw new OmxDBusError(`D-Bus name ${this.dbusName} is already owned by another process`, {
+                    instance: this.instance
+                });
+            });
+        };
+        return check();
+    }
+
+    // Stops omxplayer.bin and forgets the process without emitting close, escalating from a D-Bus Quit
+    // (with options.graceful) to SIGTERM to SIGKILL, each given options.timeout ms to take effect.
+    // Resolves with the exit code, null when nothing was running or the code is unknown, and rejects
+    // if the process survives SIGKILL.
+    _stopProcess(options, cb) {
+        if (typeof options === 'function') {
+            cb = options;
+            options = null;
+        }
+        options = options || {};
+        let timeout = options.timeout || KILL_TIMEOUT;
+        let process = this.process;
+        if (!process) return settle(Promise.resolve(null), cb);
+        if (this.stopping) return settle(this.stopping, cb);
+
+        // the exit is handled here from now on. The shell of the omxplayer script reports signals as 128 + number,
+        // do the same for the script itself being killed
+        process.removeAllListeners('close');
+        let exited = new Promise((resolve) => {
+            process.once('close', (code, signal) => {
+                resolve((code === null && signal) ? 128 + os.constants.signals[signal] : code);
+            });
+        });
+        let escalate = (signal) => (done) => {
+            if (done) return true;
+            return this._signalPlayer(process, signal).then(() => within(exited, timeout));
+        };
+
+        let quit = options.graceful ? within(this.quit().then(() => exited), timeout) : Promise.resolve(false);
+        let promise = quit.then(escalate('SIGTERM')).then(escalate('SIGKILL')).then((done) => {
+            if (!done) {
+                throw new OmxProcessError(`omxplayer.bin did not exit within ${timeout}ms of SIGKILL`, {
+                    instance: this.instance
+                });
+            }
+            return exited;
+        }).then((code) => {
+            this.stopping = null;
+            process.removeAllListeners();
+            if (this.process === process) {
+                this.process = null;
+                this.child_process = null;
+                this._closeDBus();
+                this._failPending();
+                watchCleanup(this, false);
+                this.emit('stopped', code);
+            }
+            return code;
+        }, (err) => {
+            this.stopping = null;
+            // still running, its exit is the business of _closed() again
+            process.on('close', (code, signal) => this._closed(code, signal));
+            throw err;
+        });
+        this.stopping = promise;
+        return settle(promise, cb);
+    }
+
+    // Sends signal to omxplayer.bin, or to the omxplayer script if omxplayer.bin isn't there (yet).
+    _signalPlayer(process, signal) {
+        return this.getChildPid().catch((err) => {
+            if (!(err instanceof OmxProcessError)) throw err;
+            return null;
+        }).then((pid) => {
+            if (pid === null) return process.kill(signal);
+            try {
+                signalProcess(pid, signal);
+            } catch (err) {
+                throw new OmxProcessError(`could not kill omxplayer.bin (${pid})`, {instance: this.instance, cause: err});
+            }
         });
     }
 
+    // Sends SIGTERM to omxplayer.bin without waiting for anything, see the killOnExit option.
+    _killNow() {
+        if (!this.process) return;
+        try {
+            signalProcess(this.child_process || this.process.pid, 'SIGTERM');
+        } catch (err) {
+            // nothing left to be done about it
+        }
+    }
+
+    // Rejects the calls still waiting for the process that is gone.
+    _failPending() {
+        this.queue.fail((details) => new OmxNotRunningError('omxplayer exited before the call completed', details));
+    }
+
+    // Connects to the bus at dbusAddress, or the one in dbusAddressFile, see connectBus().
     _getDBus() {
         if (this.dbus) return Promise.resolve(this.dbus);
-        return new Promise((resolve, reject) => {
-            fs.readFile(DBUS_ADDR, 'utf8', (err, data) => {
-                if (err) return reject(err);
-                if (!data.length) return reject('no data in dbus file');
-                this.dbus = dbus.sessionBus({
-                    busAddress: data.trim()
-                });
-                resolve(this.dbus);
+        if (this.dbusConnecting) return this.dbusConnecting;
+
+        this.dbusConnecting = readBusAddress(this.dbusAddressFile, this.dbusAddress).then((address) => {
+            return connectBus(address);
+        }).then((bus) => {
+            let forget = () => {
+                if (this.dbus === bus) this.dbus = null;
+            };
+            bus.connection.on('error', forget);
+            bus.connection.on('end', forget);
+            this.dbus = bus;
+            return bus;
+        });
+
+        let connecting = this.dbusConnecting;
+        let done = () => {
+            if (this.dbusConnecting === connecting) this.dbusConnecting = null;
+        };
+        connecting.then(done, done);
+        return connecting;
+    }
+
+    _closeDBus() {
+        if (this.dbus) this.dbus.connection.end();
+        this.dbus = null;
+    }
+
+    // Calls member on the player through the command queue. Failures that only mean the player isn't
+    // reachable yet (process or bus name not there, bus not connected) are retried with a growing delay.
+    // options: call options {signal, timeout}, see CommandQueue.js
+    _invokeDBus(member, iface, signature, body, options, cb) {
+        [options, cb] = callOptions(options, cb);
+        options = options || {};
+        let attempt = (retry) => {
+            return this._invokeDBusOnce(member, iface, signature, body).catch((failure) => {
+                if (!failure.transient || retry >= DBUS_RETRIES || !this.process) throw failure.error;
+                return delay(DBUS_RETRY_DELAY * Math.pow(2, retry)).then(() => attempt(retry + 1));
             });
+        };
+
+        let read = DBUS_READ_METHODS.indexOf(member) !== -1 || (iface === DBUS_INTERFACE_PROPERTIES && !body);
+        return this.queue.run(() => attempt(0), {
+            mutation: !read,
+            exits: DBUS_EXIT_METHODS.indexOf(member) !== -1,
+            timeout: options.timeout,
+            signal: options.signal,
+            details: {member, interface: iface, instance: this.instance}
+        }).then((results) => {
+            // the player exited before answering Quit or Stop
+            results = results || [null];
+            if (cb) cb(null, ...results);
+            return results[0];
+        }, (err) => {
+            if (cb) cb(err);
+            throw err;
         });
     }
 
-    _invokeDBus(member, iface, signature, body, cb) {
+    // Resolves with the results of the call, rejects with {error, transient}.
+    _invokeDBusOnce(member, iface, signature, body) {
+        let details = {member, interface: iface, instance: this.instance};
         return this.getChildPid().then(() => {
-            return this._getDBus();
-        }).then((dbus) => {
-            if (!dbus) {
-                if (cb) cb('dbus not initialized');
-                return Promise.reject('dbus not initialized');
-            }
-
+            return this._getDBus().catch((err) => {
+                throw new OmxDBusError(`cannot connect to D-Bus: ${err.message || err}`, Object.assign({cause: err}, details));
+            });
+        }).catch((err) => {
+            throw {error: annotate(err, details), transient: !(err instanceof OmxNotRunningError)};
+        }).then((bus) => {
+            let destination = this.dbusName;
             return new Promise((resolve, reject) => {
-                dbus.invoke({
+                bus.invoke({
                     path: DBUS_PATH,
-                    destination: DBUS_NAME + this.instance,
+                    destination,
                     interface: iface,
                     member,
                     signature,
                     body
-                }, (err, ...results) => {
-                    if (cb) cb(err, ...results);
-                    if (err) return reject(err);
-                    resolve(...results);
+                }, function (err, ...results) {
+                    if (err) {
+                        let errorName = this.message.errorName;
+                        let message = (Array.isArray(err) && typeof err[0] === 'string') ? err[0] : errorName;
+                        return reject({
+                            error: new OmxDBusError(`${member} failed: ${message}`, Object.assign({errorName, cause: err}, details)),
+                            transient: DBUS_TRANSIENT_ERRORS.indexOf(errorName) !== -1
+                        });
+                    }
+                    resolve(results);
                 });
             });
         });
     }
 }
 
+OmxPlayer.buildArgs = buildArgs;
+OmxPlayer.Actions = Actions;
+OmxPlayer.EASINGS = EASINGS;
+// Fades one player out and another one in, see fade.js.
+OmxPlayer.crossfade = crossfade;
+
 module.exports = OmxPlayer;
@@ -0,0 +1,166 @@
+// OutputParser.js
+//
+// Splits the stdout and stderr of omxplayer into lines and recognizes the ones worth knowing about:
+//      info       stream and codec details and state changes, {kind, line, stream, ...fields}
+//      warning    trouble omxplayer carries on with, {reason, message, line, stream}
+//      fatal      errors omxplayer exits on, {reason, message, line, stream}
+// Reasons are codes like FILE_NOT_FOUND, see PATTERNS. Lines nobody knows are left alone,
+// they are still passed on raw as stdout and stderr events by OmxPlayer.
+// The texts are those printed by omxplayer.cpp and the OMX components of
+// https://github.com/popcornmix/omxplayer
+
+"use strict";
+
+const EventEmitter = require('events');
+
+const MAX_LINE_LENGTH = 4096;
+
+// signals that mean a crash rather than being killed, with their numbers on Linux
+const CRASH_SIGNALS = ['SIGSEGV', 'SIGBUS', 'SIGILL', 'SIGFPE', 'SIGABRT'];
+const SIGNAL_NUMBERS = {SIGILL: 4, SIGABRT: 6, SIGBUS: 7, SIGFPE: 8, SIGSEGV: 11};
+// what omxplayer exits with when it was told to quit or stop, by a key or over D-Bus
+const QUIT_CODE = 3;
+
+// Each pattern turns a matching line into the event of its type. The first match wins.
+const PATTERNS = [
+    // info
+    {
+        type: 'info',
+        regexp: /^Video codec omx-(\S+) width (\d+) height (\d+) profile (-?\d+) fps ([\d.]+)/,
+        parse: (m) => ({kind: 'video', codec: m[1], width: +m[2], height: +m[3], profile: +m[4], fps: +m[5]})
+    },
+    {
+        type: 'info',
+        regexp: /^Audio codec (\S+) channels (\d+) samplerate (\d+) bitspersample (\d+)/,
+        parse: (m) => ({kind: 'audio', codec: m[1], channels: +m[2], samplerate: +m[3], bitspersample: +m[4]})
+    },
+    {
+        type: 'info',
+        regexp: /^Subtitle count: (\d+), state: (\w+), index: (-?\d+), delay: (-?\d+)/,
+        parse: (m) => ({kind: 'subtitle', count: +m[1], state: m[2], index: +m[3], delay: +m[4]})
+    },
+    {
+        type: 'info',
+        regexp: /^Seek to: (\d+):(\d\d):(\d\d)/,
+        parse: (m) => ({kind: 'seek', position: m[1] * 3600 + m[2] * 60 + +m[3]})
+    },
+    {
+        type: 'info',
+        regexp: /^Current Volume: (-?[\d.]+) ?dB/,
+        parse: (m) => ({kind: 'volume', dB: +m[1]})
+    },
+    {
+        type: 'info',
+        regexp: /^Playspeed:? (-?[\d.]+)/,
+        parse: (m) => ({kind: 'speed', rate: +m[1]})
+    },
+    {
+        type: 'info',
+        regexp: /^Subtitle delay: (-?\d+) ms/,
+        parse: (m) => ({kind: 'subtitle-delay', delay: +m[1]})
+    },
+    {
+        type: 'info',
+        regexp: /^have a nice day/,
+        parse: () => ({kind: 'exit'})
+    },
+
+    // fatal
+    {type: 'fatal', reason: 'FILE_NOT_FOUND', regexp: /^File "(.*)" not found/},
+    {type: 'fatal', reason: 'INVALID_AUDIO_DEVICE', regexp: /^Invalid audio device|Error with audio device/},
+    {type: 'fatal', reason: 'AUDIO_OPEN_FAILED', regexp: /Failed to open audio out|COMXAudio::Initialize.*fail/i},
+    {type: 'fatal', reason: 'VIDEO_OPEN_FAILED', regexp: /Failed to open video out|COMXVideo::Open.*fail/i},
+    {type: 'fatal', reason: 'OPEN_FAILED', regexp: /^(Failed to open|Couldn't open|Could not open)/i},
+    {type: 'fatal', reason: 'GPU_ACCESS', regexp: /failed to open vchiq|vcos_init|permission denied.*(vchiq|vcsm)/i},
+    {type: 'fatal', reason: 'OUT_OF_MEMORY', regexp: /out of memory|InsufficientResources|Failed to allocate/i},
+    {type: 'fatal', reason: 'UNSUPPORTED_CODEC', regexp: /codec.*not supported|unsupported codec|no decoder/i},
+
+    // warnings
+    {type: 'warning', reason: 'AUDIO_DECODE_TIMEOUT', regexp: /COMXAudio::Decode timeout/},
+    {type: 'warning', reason: 'VIDEO_DECODE_TIMEOUT', regexp: /COMXVideo::Decode.*timeout/i},
+    {type: 'warning', reason: 'AUDIO_UNDERRUN', regexp: /underrun/i},
+    {type: 'warning', reason: 'DBUS_FAILED', regexp: /DBus connection failed|dbus_connect failed/i},
+    {type: 'warning', reason: 'ERROR', regexp: /^(error|ERROR|Error)\b|^\*\s?failed/}
+];
+
+// Returns {type, ...event} for a known line, null for any other.
+function parseLine(line) {
+    line = line.trim();
+    if (!line) return null;
+    for (let pattern of PATTERNS) {
+        let match = pattern.regexp.exec(line);
+        if (!match) continue;
+        if (pattern.type === 'info') return Object.assign({type: 'info', line}, pattern.parse(match));
+        return {type: pattern.type, reason: pattern.reason, message: line, line};
+    }
+    return null;
+}
+
+class OutputParser extends EventEmitter {
+
+    constructor() {
+        super();
+        this.buffers = {stdout: '', stderr: ''};
+        this.fatal = null;
+        this.goodbye = false;
+    }
+
+    // Feeds a chunk of the stream ('stdout' or 'stderr'), complete lines are parsed right away.
+    write(stream, data) {
+        let lines = (this.buffers[stream] + data).split(/\r?\n|\r/);
+        this.buffers[stream] = lines.pop().slice(-MAX_LINE_LENGTH);
+        for (let line of lines) {
+            this._parse(line, stream);
+        }
+    }
+
+    // Parses what is left over of unterminated lines, called once the process exited.
+    end() {
+        for (let stream of Object.keys(this.buffers)) {
+            let rest = this.buffers[stream];
+            this.buffers[stream] = '';
+            if (rest) this._parse(rest, stream);
+        }
+    }
+
+    _parse(line, stream) {
+        let event = parseLine(line);
+        if (!event) return;
+
+        let type = event.type;
+        delete event.type;
+        event.stream = stream;
+        if (type === 'fatal') this.fatal = event;
+        if (type === 'info' && event.kind === 'exit') this.goodbye = true;
+        this.emit(type, event);
+    }
+}
+
+// Tells why a process exited, from its exit code and what it printed:
+//      a fatal reason       omxplayer printed a fatal error
+//      ended                exited with 0 on its own, at the end of the file
+//      quit                 exited with 3, as omxplayer does when it is told to quit or stop, or with any
+//                           code after quit() or stop()
+//      crashed              killed by SIGSEGV, SIGBUS, SIGILL, SIGFPE or SIGABRT
+//      killed               killed by any other signal
+//      error                exited with another code
+//      unknown              the exit code is unknown (attached players)
+function exitReason(code, signal, fatal, exitRequested) {
+    if (fatal) return fatal.reason;
+    // the omxplayer script runs omxplayer.bin in a shell, which reports signals as 128 + number
+    if (!signal && typeof code === 'number' && code > 128) {
+        signal = Object.keys(SIGNAL_NUMBERS).find((name) => SIGNAL_NUMBERS[name] === code - 128) || `signal ${code - 128}`;
+    }
+    if (signal) return (CRASH_SIGNALS.indexOf(signal) !== -1) ? 'crashed' : 'killed';
+    if (code === QUIT_CODE || (exitRequested && typeof code === 'number')) return 'quit';
+    if (code === 0) return 'ended';
+    if (typeof code === 'number') return 'error';
+    return 'unknown';
+}
+
+OutputParser.PATTERNS = PATTERNS;
+OutputParser.parseLine = parseLine;
+OutputParser.exitReason = exitReason;
+OutputParser.QUIT_CODE = QUIT_CODE;
+
+module.exports = OutputParser;
@@ -0,0 +1,385 @@
+// PlayRecorder.js
+//
+// Proof of play: records every clip the attached players played, as one JSON line per play in
+// <dir>/<prefix>.jsonl. The file is rotated when it would grow beyond maxSize bytes: it becomes
+// <prefix>.1.jsonl, the one before <prefix>.2.jsonl and so on, up to maxFiles files in all. A record is
+//      {player, file, start, end, played, duration, completed, reason, code, errors}
+// start and end are ISO dates. played is the seconds of the clip that actually ran, measured by polling
+// the position every interval ms: seeks and pauses don't count, every pass of a looped clip does.
+// completed is true when the clip reached its end at least once, by ending or by wrapping around with --loop.
+// reason is the exit reason of close (see OutputParser.exitReason()), 'stopped' for kill() or open()
+// replacing the clip and 'detached' for a clip still playing when the recorder let go of the player.
+// code is the exit code, errors the reasons of the warning and fatal events of the play.
+// Records are only ever appended. records(), exportRecords() and stats() read them back from all files.
+// Events:
+//      record (record)   a record was written
+//      error (err)       a record could not be written and is lost
+
+"use strict";
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const AttachedProcess = require('./AttachedProcess');
+const StateMonitor = require('./StateMonitor');
+const {parseTime, resolveName} = require('./options');
+const {OmxInvalidArgumentError, emitError} = require('./errors');
+
+const DEFAULT_PREFIX = 'plays';
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 10;
+const DEFAULT_INTERVAL = 1000;
+// at most this many error reasons are kept per record
+const MAX_ERRORS = 20;
+const CSV_COLUMNS = ['player', 'file', 'start', 'end', 'played', 'duration', 'completed', 'reason', 'code', 'errors'];
+const EXPORT_FORMATS = ['json', 'csv'];
+
+function settle(promise, cb) {
+    if (!cb) return promise;
+    return promise.then((result) => {
+        cb(null, result);
+        return result;
+    }, (err) => {
+        cb(err, null);
+        throw err;
+    });
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) value = value.join(' ');
+    value = String(value);
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// The local date of an ISO date, 'YYYY-MM-DD'.
+function localDay(iso) {
+    let date = new Date(iso);
+    let pad = (n) => (n < 10 ? '0' : '') + n;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The position player was opened at, from its pos option under any of its names.
+function openedAt(player) {
+    let options = player.options || {};
+    let key = Object.keys(options).find((key) => resolveName(key) === 'pos' && options[key] != null);
+    return key ? parseTime(options[key]) : 0;
+}
+
+function emptyCounters() {
+    return {plays: 0, completed: 0, interrupted: 0, played: 0};
+}
+
+function count(counters, record) {
+    counters.plays++;
+    counters[record.completed ? 'completed' : 'interrupted']++;
+    counters.played = Math.round((counters.played + record.played) * 1000) / 1000;
+}
+
+class PlayRecorder extends EventEmitter {
+
+    // options: dir       directory of the files, created if needed (required)
+    //          prefix    of the file names (default 'plays')
+    //          maxSize   bytes a file may reach before it is rotated (default 10 MB)
+    //          maxFiles  files kept, the current one included (default 10)
+    //          interval  ms between position polls (default 1000)
+    //          now       function returning the current time in ms (default Date.now)
+    constructor(options) {
+        super();
+        options = options || {};
+        if (typeof options.dir !== 'string' || !options.dir) {
+            throw new OmxInvalidArgumentError('a PlayRecorder needs a dir', {argument: 'dir'});
+        }
+
+        this.dir = options.dir;
+        this.prefix = options.prefix || DEFAULT_PREFIX;
+        this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+        this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.now = options.now || Date.now;
+        // player -> {name, listeners, play}
+        this.players = new Map();
+        this.size = null;
+        fs.mkdirSync(this.dir, {recursive: true});
+    }
+
+    // Path of the file number index, 0 being the current one.
+    file(index) {
+        return path.join(this.dir, index ? `${this.prefix}.${index}.jsonl` : `${this.prefix}.jsonl`);
+    }
+
+    // Starts recording the plays of player under name (default: its D-Bus name). A clip that is playing
+    // already is recorded from now on.
+    attach(player, name) {
+        if (this.players.has(player)) return this;
+        let entry = {name: name || player.dbusName, play: null, early: null, timer: null};
+        entry.listeners = {
+            ready: () => this._begin(entry, player, true),
+            close: (code, exit) => this._end(entry, player, exit ? exit.reason : null, code),
+            stopped: (code) => this._end(entry, player, 'stopped', code),
+            warning: (warning) => this._error(entry, player, warning),
+            fatal: (fatal) => this._error(entry, player, fatal)
+        };
+        for (let event of Object.keys(entry.listeners)) {
+            player.on(event, entry.listeners[event]);
+        }
+        this.players.set(player, entry);
+        if (player.process) this._begin(entry, player, false);
+        return this;
+    }
+
+    // Stops recording player. A clip that is playing is recorded up to now with the reason 'detached'.
+    detach(player) {
+        let entry = this.players.get(player);
+        if (!entry) return;
+        this._end(entry, player, 'detached', null);
+        for (let event of Object.keys(entry.listeners)) {
+            player.removeListener(event, entry.listeners[event]);
+        }
+        this.players.delete(player);
+    }
+
+    // Detaches all players.
+    close() {
+        for (let player of [...this.players.keys()]) {
+            this.detach(player);
+        }
+    }
+
+    // Resolves with the records of all files, oldest first.
+    // filter: from, to  only plays that started from / before these times (Date, ms or ISO date)
+    //         file      only plays of this file
+    //         player    only plays of this player
+    records(filter, cb) {
+        if (typeof filter === 'function') {
+            cb = filter;
+            filter = null;
+        }
+        filter = filter || {};
+        let time = (value) => (value === undefined || value === null) ? null : new Date(value).getTime();
+        let from = time(filter.from);
+        let to = time(filter.to);
+
+        let promise = Promise.resolve().then(() => {
+            let records = [];
+            for (let index = this.maxFiles - 1; index >= 0; index--) {
+                let text;
+                try {
+                    text = fs.readFileSync(this.file(index), 'utf8');
+                } catch (err) {
+                    if (err.code === 'ENOENT') continue;
+                    throw err;
+                }
+                for (let line of text.split('\n')) {
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (err) {
+                        // empty, or cut off by a power failure
+                        continue;
+                    }
+                    let start = new Date(record.start).getTime();
+                    if (from !== null && start < from) continue;
+                    if (to !== null && start >= to) continue;
+                    if (filter.file !== undefined && record.file !== filter.file) continue;
+                    if (filter.player !== undefined && record.player !== filter.player) continue;
+                    records.push(record);
+                }
+            }
+            return records;
+        });
+        return settle(promise, cb);
+    }
+
+    // Resolves with the records as 'json' (an array) or 'csv' (with a header line) text, filter as for records().
+    exportRecords(format, filter, cb) {
+        if (typeof filter === 'function') {
+            cb = filter;
+            filter = null;
+        }
+        if (EXPORT_FORMATS.indexOf(format) === -1) {
+            let err = new OmxInvalidArgumentError(`unknown export format ${JSON.stringify(format)}, expected one of ${EXPORT_FORMATS.join(', ')}`, {argument: format});
+            return settle(Promise.reject(err), cb);
+        }
+        let promise = this.records(filter).then((records) => {
+            if (format === 'json') return JSON.stringify(records, null, 2);
+            let lines = records.map((record) => CSV_COLUMNS.map((column) => csvField(record[column])).join(','));
+            return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+        });
+        return settle(promise, cb);
+    }
+
+    // Resolves with the counters {plays, completed, interrupted, played} in total, per file and per day
+    // (local date of the start), {total, files: {file: counters}, days: {'YYYY-MM-DD': counters}}.
+    // filter as for records().
+    stats(filter, cb) {
+        if (typeof filter === 'function') {
+            cb = filter;
+            filter = null;
+        }
+        let promise = this.records(filter).then((records) => {
+            let stats = {total: emptyCounters(), files: {}, days: {}};
+            for (let record of records) {
+                let day = localDay(record.start);
+                stats.files[record.file] = stats.files[record.file] || emptyCounters();
+                stats.days[day] = stats.days[day] || emptyCounters();
+                count(stats.total, record);
+                count(stats.files[record.file], record);
+                count(stats.days[day], record);
+            }
+            return stats;
+        });
+        return settle(promise, cb);
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    // opened: player was just opened, so what it played before the first poll is known to be part of the play
+    _begin(entry, player, opened) {
+        this._end(entry, player, 'stopped', null);
+        let early = entry.early;
+        entry.early = null;
+        let now = this.now();
+        entry.play = {
+            process: player.process,
+            file: player.file,
+            loop: !!(player.options && player.options.loop),
+            start: now,
+            // where it started playing, null for players attached or already playing: they count from now on
+            from: (opened && !(player.process instanceof AttachedProcess)) ? openedAt(player) : null,
+            played: 0,
+            duration: null,
+            completed: false,
+            errors: (early && early.process === player.process) ? early.errors : [],
+            // the last reading, {position, time, playing, rate}
+            last: null
+        };
+        let play = entry.play;
+        player.getDuration().then((duration) => play.duration = duration, () => {});
+        this._poll(entry, player);
+    }
+
+    _poll(entry, player) {
+        let play = entry.play;
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => this._poll(entry, player), this.interval);
+        // the player process keeps node running, the recorder alone shouldn't
+        entry.timer.unref();
+        if (!play || play.polling || player.process !== play.process) return;
+
+        let start = this.now();
+        play.polling = true;
+        Promise.all([player.getPosition(), player.getPlaybackStatus(), player.getRate()]).then(([position, status, rate]) => {
+            if (entry.play !== play) return;
+            this._advance(play, {position, time: (start + this.now()) / 2, playing: status === 'Playing', rate});
+        }, () => {
+            // not reachable (yet) or gone, the next poll or the end of the play tells
+        }).then(() => {
+            play.polling = false;
+        });
+    }
+
+    // Adds the progress since the last reading to played.
+    _advance(play, current) {
+        let last = play.last;
+        play.last = current;
+        // played before the first poll: since where it was opened at, it started playing before it was ready
+        if (!last && current.playing) {
+            let before = (play.from !== null) ? current.position - play.from : (current.time - play.start) / 1000 * current.rate;
+            play.played += Math.max(0, Math.min(current.position, before));
+        }
+        if (!last || !last.playing) return;
+        let elapsed = (current.time - last.time) / 1000 * last.rate;
+        let progress = current.position - last.position;
+        // wrapped around with --loop: to the end and from the start
+        if (progress < 0 && play.loop && play.duration > 0) {
+            let wrapped = play.duration - last.position + current.position;
+            if (Math.abs(wrapped - elapsed) <= StateMonitor.SEEK_TOLERANCE) {
+                play.completed = true;
+                progress = wrapped;
+            }
+        }
+        // seeks don't count
+        if (progress > 0 && Math.abs(progress - elapsed) <= StateMonitor.SEEK_TOLERANCE) play.played += progress;
+    }
+
+    // Errors printed before the player is ready are kept for the play it becomes.
+    _error(entry, player, error) {
+        let play = entry.play;
+        if (!play || play.process !== player.process) {
+            if (!entry.early || entry.early.process !== player.process) entry.early = {process: player.process, errors: []};
+            play = entry.early;
+        }
+        if (play.errors.length < MAX_ERRORS) play.errors.push(error.reason);
+    }
+
+    // Writes the record of the playing clip, if there is one.
+    _end(entry, player, reason, code) {
+        let play = entry.play;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        if (!play) return;
+        entry.play = null;
+
+        let now = this.now();
+        let last = play.last;
+        if (reason === 'ended') {
+            play.completed = true;
+            // played up to the end since the last poll
+            if (last && play.duration > last.position) play.played += play.duration - last.position;
+        } else if (last && last.playing) {
+            let since = Math.max(0, (now - last.time) / 1000 * last.rate);
+            play.played += (play.duration > 0) ? Math.min(since, Math.max(0, play.duration - last.position)) : since;
+        }
+
+        let record = {
+            player: entry.name,
+            file: play.file,
+            start: new Date(play.start).toISOString(),
+            end: new Date(now).toISOString(),
+            played: Math.round(play.played * 1000) / 1000,
+            duration: play.duration,
+            completed: play.completed,
+            reason,
+            code: (code === undefined) ? null : code,
+            errors: play.errors
+        };
+        try {
+            this._write(JSON.stringify(record) + '\n');
+        } catch (err) {
+            emitError(this, err);
+            return;
+        }
+        this.emit('record', record);
+    }
+
+    _write(line) {
+        let file = this.file(0);
+        if (this.size === null) {
+            try {
+                this.size = fs.statSync(file).size;
+            } catch (err) {
+                this.size = 0;
+            }
+        }
+        let length = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + length > this.maxSize) this._rotate();
+        fs.appendFileSync(file, line);
+        this.size += length;
+    }
+
+    _rotate() {
+        let oldest = this.file(this.maxFiles - 1);
+        if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+        for (let index = this.maxFiles - 2; index >= 0; index--) {
+            if (fs.existsSync(this.file(index))) fs.renameSync(this.file(index), this.file(index + 1));
+        }
+        this.size = 0;
+    }
+}
+
+PlayRecorder.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = PlayRecorder;
@@ -0,0 +1,360 @@
+// Playlist.js
+//
+// Plays a list of files one after another on top of OmxPlayer.
+// Every item can carry its own open() options, merged over the playlist defaults.
+//
+// With preload enabled a second OmxPlayer opens the upcoming item while the current one plays:
+// it is paused on the layer below with alpha 0 and swapped in as soon as the current item ends,
+// which avoids the black gap of spawning a new omxplayer process. omxplayer can't start paused, so it
+// plays at PRELOAD_VOLUME until it is paused and gets the volume of the item back then.
+
+"use strict";
+
+const EventEmitter = require('events');
+const OmxPlayer = require('./OmxPlayer');
+const {parseTime} = require('./options');
+const {toLinear} = require('./volume');
+const {OmxError, OmxInvalidArgumentError, emitError} = require('./errors');
+
+const REPEAT_MODES = ['none', 'one', 'all'];
+// -100 dB, the start of a preloaded item that plays until it is paused isn't heard (mB)
+const PRELOAD_VOLUME = -10000;
+
+class Playlist extends EventEmitter {
+
+    // items:   array of file names or {file, options}
+    // options: repeat    'none' (default), 'one' or 'all'
+    //          shuffle   play the items in random order
+    //          preload   open the next item in the background for gapless playback
+    //          layer     layer of the visible player, the preloaded one sits below it (default 0)
+    //          defaults  open() options applied to every item
+    //          player    constructor options of the OmxPlayers, e.g. {uniqueName: true}. With a dbusName
+    //                    the player for preloading gets "_preload" appended to it
+    constructor(items, options) {
+        super();
+        options = options || {};
+
+        this.items = [];
+        this.order = [];
+        this.current = null;
+        this.started = null;
+        this.repeat = 'none';
+        this.shuffle = false;
+        this.preload = !!options.preload;
+        this.layer = options.layer || 0;
+        this.defaults = options.defaults || {};
+        this.playerOptions = options.player || {};
+
+        this.player = null;
+        this.standby = null;
+        this.standbyItem = null;
+        this.standbyReady = null;
+        this.standbyLoaded = false;
+        this.generation = 0;
+
+        this.setRepeat(options.repeat || 'none');
+        this.setShuffle(!!options.shuffle);
+        for (let item of items || []) {
+            this.add(item);
+        }
+    }
+
+    // Index of the current item in items, -1 if nothing is playing.
+    get index() {
+        return this.items.indexOf(this.current);
+    }
+
+    // ##########################################
+    // Items
+    // ##########################################
+
+    // Adds a file (or {file, options}) at index, or at the end. Returns the new item.
+    add(file, options, index) {
+        let item = (typeof file === 'object' && file !== null) ? {file: file.file, options: file.options || {}} : {file, options: options || {}};
+        if (typeof item.file !== 'string' || !item.file.length) throw new OmxInvalidArgumentError('item needs a file', {argument: 'file'});
+
+        if (typeof index !== 'number' || index < 0 || index > this.items.length) index = this.items.length;
+        this.items.splice(index, 0, item);
+
+        if (this.shuffle) {
+            // somewhere after the current item, so it is not skipped in this round
+            let start = this.order.indexOf(this.current) + 1;
+            this.order.splice(start + Math.floor(Math.random() * (this.order.length - start + 1)), 0, item);
+        } else {
+            this.order = this.items.slice();
+        }
+
+        this._refreshPreload();
+        return item;
+    }
+
+    // Removes the item at index. Removing the current item skips to the next one.
+    remove(index) {
+        let item = this.items[index];
+        if (!item) throw new OmxInvalidArgumentError(`no item at index ${index}`, {argument: 'index'});
+
+        let next = (item === this.current) ? this._peek(1) : null;
+        this.items.splice(index, 1);
+        this.order.splice(this.order.indexOf(item), 1);
+
+        if (item === this.current) {
+            if (next && next !== item) return this._start(next).then(() => item);
+            return this.stop().then(() => item);
+        }
+        this._refreshPreload();
+        return Promise.resolve(item);
+    }
+
+    // Moves the item at index from to index to.
+    move(from, to) {
+        let item = this.items[from];
+        if (!item) throw new OmxInvalidArgumentError(`no item at index ${from}`, {argument: 'from'});
+        if (typeof to !== 'number' || to < 0 || to >= this.items.length) throw new OmxInvalidArgumentError(`invalid target index ${to}`, {argument: 'to'});
+
+        this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+        if (!this.shuffle) this.order = this.items.slice();
+
+        this._refreshPreload();
+    }
+
+    // Removes all items and stops playback.
+    clear() {
+        this.items = [];
+        this.order = [];
+        return this.stop();
+    }
+
+    // 'none': stop after the last item, 'one': repeat the current item, 'all': start over after the last item
+    setRepeat(mode) {
+        if (REPEAT_MODES.indexOf(mode) === -1) throw new OmxInvalidArgumentError(`invalid repeat mode "${mode}", expected one of ${REPEAT_MODES.join(', ')}`, {argument: 'mode'});
+        this.repeat = mode;
+        this._refreshPreload();
+    }
+
+    // Shuffling puts the current item first, the others follow in random order.
+    setShuffle(shuffle) {
+        this.shuffle = !!shuffle;
+        if (this.shuffle) {
+            let order = this.items.filter((item) => item !== this.current);
+            for (let i = order.length - 1; i > 0; i--) {
+                let j = Math.floor(Math.random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            this.order = this.current ? [this.current, ...order] : order;
+        } else {
+            this.order = this.items.slice();
+        }
+        this._refreshPreload();
+    }
+
+    // ##########################################
+    // Playback
+    // ##########################################
+
+    // Starts the item at index. Without index a paused item is resumed, or the first item is started.
+    play(index) {
+        if (typeof index === 'number') {
+            let item = this.items[index];
+            if (!item) return Promise.reject(new OmxInvalidArgumentError(`no item at index ${index}`, {argument: 'index'}));
+            return this._start(item);
+        }
+        if (this.current) return this.player.play();
+        if (!this.order.length) return Promise.reject(new OmxError('playlist is empty'));
+        return this._start(this.order[0]);
+    }
+
+    pause() {
+        if (!this.current) return Promise.resolve();
+        return this.player.pause();
+    }
+
+    // Skips to the next item. At the end of the list this stops playback, unless repeat is 'all'.
+    next() {
+        let item = this._peek(1, true);
+        if (!item) return this.stop().then(() => this.emit('end'));
+        return this._start(item);
+    }
+
+    // Goes back to the previous item, or to the start of the current one if there is none.
+    previous() {
+        let item = this._peek(-1, true) || this.current;
+        if (!item) return Promise.resolve();
+        return this._start(item);
+    }
+
+    // Stops playback, including a preloaded item.
+    stop() {
+        this.generation++;
+        this.current = null;
+        this.started = null;
+        return this._discardStandby().then(() => {
+            return this.player ? this.player.kill() : null;
+        });
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    // The item step positions away from the current one in play order.
+    // Repeat 'one' keeps the current item unless skipping explicitly.
+    _peek(step, skipping) {
+        if (!this.order.length) return null;
+        if (!this.current) return step > 0 ? this.order[0] : null;
+        if (this.repeat === 'one' && !skipping) return this.current;
+
+        let position = this.order.indexOf(this.current) + step;
+        if (position >= 0 && position < this.order.length) return this.order[position];
+        if (this.repeat !== 'all') return null;
+        return this.order[(position + this.order.length) % this.order.length];
+    }
+
+    _options(item) {
+        return Object.assign({}, this.defaults, item.options);
+    }
+
+    _baseLayer(item) {
+        let options = this._options(item);
+        return (typeof options.layer === 'number') ? options.layer : this.layer;
+    }
+
+    _createPlayer() {
+        let options = this.playerOptions;
+        if (options.dbusName && this.player) options = Object.assign({}, options, {dbusName: `${options.dbusName}_preload`});
+        let player = new OmxPlayer(options);
+        player.on('close', (code) => this._onClose(player, code));
+        player.on('error', (err) => emitError(this, err));
+        return player;
+    }
+
+    _start(item) {
+        let generation = ++this.generation;
+        this.current = item;
+        this.started = null;
+        if (!this.player) this.player = this._createPlayer();
+
+        let started;
+        if (this.preload && this.standbyItem === item) {
+            started = this._swap();
+        } else {
+            started = this._discardStandby().then(() => {
+                return this.player.open(item.file, this._options(item));
+            });
+        }
+
+        return started.then(() => {
+            if (generation !== this.generation) return;
+            this.started = item;
+            this.emit('change', item, this.index);
+            this._refreshPreload();
+        }, (err) => {
+            if (generation === this.generation) this.current = null;
+            throw err;
+        });
+    }
+
+    // Brings the preloaded player up and retires the previous one.
+    _swap() {
+        let item = this.standbyItem;
+        let previous = this.player;
+        let ready = this.standbyReady;
+
+        this.player = this.standby;
+        this.standby = previous;
+        this.standbyItem = null;
+        this.standbyReady = null;
+        this.standbyLoaded = false;
+
+        return ready.then(() => {
+            return this.player.setLayer(this._baseLayer(item));
+        }).then(() => {
+            return this.player.setAlpha(255);
+        }).then(() => {
+            return this.player.play();
+        }).then(() => {
+            return previous.kill();
+        });
+    }
+
+    // Makes sure the standby player holds the item that plays next.
+    _refreshPreload() {
+        if (!this.preload || !this.current) return;
+        let item = this._peek(1);
+        if (item && item === this.standbyItem) return;
+
+        this._discardStandby().then(() => {
+            if (!item || !this.current) return;
+            this._preloadItem(item);
+        }).catch((err) => emitError(this, err));
+    }
+
+    _preloadItem(item) {
+        if (!this.standby) this.standby = this._createPlayer();
+        let standby = this.standby;
+        let options = this._options(item);
+        let start = options.pos ? parseTime(options.pos) : 0;
+        let volume = (options.vol !== undefined) ? toLinear(options.vol) : 1;
+
+        options.layer = this._baseLayer(item) - 1;
+        options.alpha = 0;
+        options.vol = PRELOAD_VOLUME;
+
+        this.standbyItem = item;
+        this.standbyLoaded = false;
+        this.standbyReady = standby.open(item.file, options).then(() => {
+            return standby.pause();
+        }).then(() => {
+            return standby.setPosition(start);
+        }).then(() => {
+            return standby.setVolume(volume);
+        }).then(() => {
+            if (this.standbyItem === item) this.standbyLoaded = true;
+        });
+
+        this.standbyReady.catch((err) => {
+            if (this.standby !== standby || this.standbyItem !== item) return;
+            this.standbyItem = null;
+            this.standbyReady = null;
+            emitError(this, err);
+        });
+    }
+
+    _discardStandby() {
+        if (!this.standbyItem) return Promise.resolve();
+        this.standbyItem = null;
+        this.standbyReady = null;
+        this.standbyLoaded = false;
+        return this.standby.kill();
+    }
+
+    // Closes of processes that are being replaced or killed arrive before started or standbyLoaded
+    // are set and are ignored.
+    _onClose(player, code) {
+        if (player === this.standby) {
+            // the preloaded process died, try again for the next refresh
+            if (!this.standbyLoaded) return;
+            this.standbyItem = null;
+            this.standbyReady = null;
+            this.standbyLoaded = false;
+            return;
+        }
+        if (player !== this.player || !this.started) return;
+
+        let item = this.started;
+        this.started = null;
+        this.emit('ended', item, code);
+
+        let next = this._peek(1);
+        if (!next) {
+            this.current = null;
+            this._discardStandby().then(() => this.emit('end'));
+            return;
+        }
+        this._start(next).catch((err) => emitError(this, err));
+    }
+}
+
+Playlist.REPEAT_MODES = REPEAT_MODES;
+
+module.exports = Playlist;
@@ -0,0 +1,161 @@
+// ProcessTracker.js
+//
+// Finds processes and reads their resource usage straight from /proc (Linux only), without running ps.
+// The files of /proc live in memory, so they are read synchronously: a lookup takes microseconds.
+//      /proc/<pid>/stat                 state, parent, CPU times and start time of a process
+//      /proc/<pid>/status               resident memory (VmRSS) and thread count
+//      /proc/<pid>/task/<tid>/children  the children of each thread, see proc(5)
+//      /proc/<pid>/environ              the environment a process was started with
+// Processes that exit while they are being read are skipped, as if they had been gone already.
+
+"use strict";
+
+const fs = require('fs');
+
+const PROC = '/proc';
+// USER_HZ, the unit of the CPU times in /proc/<pid>/stat. It is 100 on every Linux platform node runs on
+const CLOCK_TICKS = 100;
+// how deep findDescendant() looks below the given process
+const MAX_DEPTH = 4;
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        return null;
+    }
+}
+
+// Parses /proc/<pid>/stat, returns null if the process is gone.
+// {pid, comm, state, ppid, utime, stime, starttime, vsize} with the times in clock ticks and vsize in bytes
+function readStat(pid) {
+    let stat = readFile(`${PROC}/${pid}/stat`);
+    if (!stat) return null;
+    // the name is in parentheses and may contain anything, including spaces and parentheses
+    let open = stat.indexOf('(');
+    let close = stat.lastIndexOf(')');
+    let fields = stat.slice(close + 2).split(' ');
+    return {
+        pid: Number(pid),
+        comm: stat.slice(open + 1, close),
+        state: fields[0],
+        ppid: Number(fields[1]),
+        utime: Number(fields[11]),
+        stime: Number(fields[12]),
+        starttime: Number(fields[19]),
+        vsize: Number(fields[20])
+    };
+}
+
+// Returns the pids of the children of pid, [] if it has none or is gone. Kernels without
+// CONFIG_PROC_CHILDREN lack the children files, then all processes are scanned for their parent.
+function children(pid) {
+    let tasks;
+    try {
+        tasks = fs.readdirSync(`${PROC}/${pid}/task`);
+    } catch (err) {
+        return [];
+    }
+    let pids = [];
+    for (let task of tasks) {
+        let list = readFile(`${PROC}/${pid}/task/${task}/children`);
+        if (list === null) return listProcesses().filter((entry) => entry.ppid === Number(pid)).map((entry) => entry.pid);
+        pids.push(...list.split(' ').filter(Boolean).map(Number));
+    }
+    return pids;
+}
+
+// Returns the pid of the first process below pid (or pid itself) whose name is name, null if there is none.
+// Processes are searched breadth first, so a wrapper script between them doesn't matter.
+function findDescendant(pid, name) {
+    let level = [Number(pid)];
+    for (let depth = 0; depth <= MAX_DEPTH && level.length; depth++) {
+        for (let candidate of level) {
+            let stat = readStat(candidate);
+            if (stat && stat.comm === name) return candidate;
+        }
+        level = [].concat(...level.map(children));
+    }
+    return null;
+}
+
+// Returns all processes as [{pid, ppid, comm, args}], args being the command line as array.
+function listProcesses() {
+    let entries = [];
+    for (let file of fs.readdirSync(PROC)) {
+        if (!/^\d+$/.test(file)) continue;
+        let stat = readStat(file);
+        if (!stat) continue;
+        let cmdline = readFile(`${PROC}/${file}/cmdline`) || '';
+        entries.push({
+            pid: stat.pid,
+            ppid: stat.ppid,
+            comm: stat.comm,
+            args: cmdline.split('\0').filter(Boolean)
+        });
+    }
+    return entries;
+}
+
+// Returns the environment pid was started with as {name: value}, null if it is gone or belongs to another user.
+function readEnvironment(pid) {
+    let environ = readFile(`${PROC}/${pid}/environ`);
+    if (environ === null) return null;
+    let env = {};
+    for (let entry of environ.split('\0')) {
+        let equals = entry.indexOf('=');
+        if (equals > 0) env[entry.slice(0, equals)] = entry.slice(equals + 1);
+    }
+    return env;
+}
+
+function systemUptime() {
+    return parseFloat(readFile(`${PROC}/uptime`));
+}
+
+// Keeps the CPU time of one process between calls of stats().
+class ProcessTracker {
+
+    constructor(pid) {
+        this.pid = Number(pid);
+        this.sample = null;
+    }
+
+    // Returns {pid, state, cpu, rss, vsize, threads, uptime}, null if the process is gone.
+    // cpu is the share of one core in percent since the last call, or since the start of the process on the
+    // first one. rss and vsize are in bytes, uptime in seconds.
+    stats() {
+        let stat = readStat(this.pid);
+        let status = readFile(`${PROC}/${this.pid}/status`);
+        if (!stat || status === null) return null;
+
+        let field = (name) => {
+            let match = new RegExp(`^${name}:\\s*(\\d+)`, 'm').exec(status);
+            return match ? Number(match[1]) : 0;
+        };
+
+        let now = systemUptime();
+        let ticks = stat.utime + stat.stime;
+        let previous = this.sample || {time: stat.starttime / CLOCK_TICKS, ticks: 0};
+        let elapsed = now - previous.time;
+        this.sample = {time: now, ticks};
+
+        return {
+            pid: this.pid,
+            state: stat.state,
+            cpu: (elapsed > 0) ? (ticks - previous.ticks) / CLOCK_TICKS / elapsed * 100 : 0,
+            rss: field('VmRSS') * 1024,
+            vsize: stat.vsize,
+            threads: field('Threads'),
+            uptime: now - stat.starttime / CLOCK_TICKS
+        };
+    }
+}
+
+ProcessTracker.readStat = readStat;
+ProcessTracker.children = children;
+ProcessTracker.findDescendant = findDescendant;
+ProcessTracker.listProcesses = listProcesses;
+ProcessTracker.readEnvironment = readEnvironment;
+
+module.exports = ProcessTracker;
@@ -0,0 +1,442 @@
+// Scheduler.js
+//
+// Plays content on an OmxPlayer by time of day, for digital signage. A schedule is
+//      {entries: [entry, ...], fallback: {file, options}}
+// and an entry
+//      {name, file, options, priority, transition,     what to play and how
+//       days, start, end,                              a weekly rule, or
+//       cron, duration,                                a cron rule
+//       from, until}                                   the dates it is limited to
+// see compileEntry() for the details. Of the entries active at a time the one with the highest priority
+// plays, the first of them in the schedule on a tie, and the fallback when none is active. A clip that ends
+// while its entry is still active is played again, one that was quit or stopped (omxplayer's q key, say)
+// stays off until another entry is due.
+// The schedule holds no state: the scheduler works out what should play from the clock every interval ms,
+// instead of timers set for hours ahead, so it follows clock changes (a Pi without a real-time clock boots
+// at the wrong time until NTP catches up) and a restarted scheduler plays what it would have played all along.
+// Events:
+//      change ({previous, current})   another entry started playing, entries as returned by nowPlaying()
+//      waiting ({current, next})      next is due but waits for the clip of current to end
+//      error (err)                    open() failed, it is tried again after retryDelay ms
+
+"use strict";
+
+const EventEmitter = require('events');
+const {performance} = require('perf_hooks');
+const {parseTime} = require('./options');
+const {OmxInvalidArgumentError, emitError} = require('./errors');
+
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_RETRY_DELAY = 10000;
+const DEFAULT_LOOKAHEAD = 7;
+// exit reasons of clips quit on purpose, they aren't retried
+const DELIBERATE_EXITS = ['quit', 'stopped'];
+const DAY = 24 * 60 * 60;
+const TRANSITIONS = ['interrupt', 'wait'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// minute hour day-of-month month day-of-week, each [min, max, names]
+const CRON_FIELDS = [
+    [0, 59],
+    [0, 23],
+    [1, 31],
+    [1, 12, MONTH_NAMES],
+    [0, 7, DAY_NAMES]
+];
+
+// ms on a clock that isn't set, for delays that have nothing to do with the schedule
+function monotonic() {
+    return performance.now();
+}
+
+function invalid(message, argument) {
+    return new OmxInvalidArgumentError(message, {argument});
+}
+
+// Parses one field of a cron expression into the set of values it matches.
+function parseCronField(field, [min, max, names]) {
+    let value = (text) => {
+        let index = names ? names.indexOf(text.toLowerCase()) : -1;
+        let number = (index !== -1) ? index + (names === MONTH_NAMES ? 1 : 0) : Number(text);
+        if (!Number.isInteger(number) || number < min || number > max) throw invalid(`invalid cron value "${text}"`, field);
+        return number;
+    };
+    let values = new Set();
+    for (let part of field.split(',')) {
+        let match = /^(\*|(\w+)(?:-(\w+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw invalid(`invalid cron field "${field}"`, field);
+        let from = (match[1] === '*') ? min : value(match[2]);
+        let to = (match[1] === '*') ? max : (match[3] !== undefined ? value(match[3]) : (match[4] ? max : from));
+        let step = match[4] ? Number(match[4]) : 1;
+        if (step < 1 || to < from) throw invalid(`invalid cron field "${field}"`, field);
+        for (let n = from; n <= to; n += step) {
+            values.add(n);
+        }
+    }
+    return values;
+}
+
+// Parses a cron expression, "minute hour day-of-month month day-of-week" with *, lists, ranges, steps and
+// names (jan, mon, ...). Returns a function telling whether a Date matches it, to the minute.
+function parseCron(expression) {
+    let fields = (typeof expression === 'string') ? expression.trim().split(/\s+/) : [];
+    if (fields.length !== 5) throw invalid(`invalid cron expression ${JSON.stringify(expression)}, expected 5 fields`, expression);
+    let [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+    if (weekdays.has(7)) weekdays.add(0);
+    // as in cron, a date matches either of day of month and day of week when both are restricted
+    let anyDay = fields[2] === '*';
+    let anyWeekday = fields[4] === '*';
+    return (date) => {
+        if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) return false;
+        let day = days.has(date.getDate());
+        let weekday = weekdays.has(date.getDay());
+        if (anyDay || anyWeekday) return day && weekday;
+        return day || weekday;
+    };
+}
+
+// 'HH:MM' or 'HH:MM:SS' to seconds since midnight
+function parseTimeOfDay(value, name) {
+    let match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+        throw invalid(`invalid ${name} ${JSON.stringify(value)}, expected HH:MM or HH:MM:SS`, name);
+    }
+    let seconds = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+    if (seconds > DAY) throw invalid(`invalid ${name} ${JSON.stringify(value)}`, name);
+    return seconds;
+}
+
+// 'YYYY-MM-DD' to [year, month, day], month counted from 0 as Date does
+function parseDate(value, name) {
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) throw invalid(`invalid ${name} ${JSON.stringify(value)}, expected YYYY-MM-DD`, name);
+    return [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+}
+
+function dateKey(date) {
+    return date.getFullYear() * 10000 + date.getMonth() * 100 + date.getDate();
+}
+
+// Validates an entry of the schedule.
+//      file        what to play
+//      options     open() options, e.g. {loop: true}
+//      name        shown by nowPlaying() and upNext() (default: file)
+//      priority    higher wins over lower (default 0)
+//      transition  'interrupt' cuts off the playing clip when the entry is due (default), 'wait' lets it end first
+//      days        weekdays it plays on, names ('mon') or numbers (0 is Sunday), default all
+//      start, end  times of day ('HH:MM' or 'HH:MM:SS') it plays between, default the whole day. An end before
+//                  the start is on the next day
+//      cron        instead of days, start and end: a cron expression for the times it starts at, see parseCron()
+//      duration    seconds or 'hh:mm:ss' it plays from each start of the cron expression
+//      from, until first and last day ('YYYY-MM-DD') it plays on
+function compileEntry(entry, index) {
+    if (!entry || typeof entry !== 'object' || typeof entry.file !== 'string' || !entry.file) {
+        throw invalid(`entry ${index} of the schedule has no file`, 'file');
+    }
+    let compiled = {
+        index,
+        name: entry.name || entry.file,
+        file: entry.file,
+        options: entry.options || {},
+        priority: entry.priority || 0,
+        transition: entry.transition || 'interrupt',
+        days: null,
+        start: 0,
+        end: DAY,
+        cron: null,
+        duration: null,
+        from: null,
+        until: null
+    };
+    let describe = `entry "${compiled.name}"`;
+    if (typeof compiled.priority !== 'number') throw invalid(`invalid priority of ${describe}`, 'priority');
+    if (TRANSITIONS.indexOf(compiled.transition) === -1) {
+        throw invalid(`invalid transition of ${describe}, expected one of ${TRANSITIONS.join(', ')}`, 'transition');
+    }
+
+    if (entry.cron !== undefined) {
+        if (entry.days !== undefined || entry.start !== undefined || entry.end !== undefined) {
+            throw invalid(`${describe} has a cron rule and a weekly rule`, 'cron');
+        }
+        compiled.cron = parseCron(entry.cron);
+        compiled.duration = parseTime(entry.duration);
+        if (!(compiled.duration > 0 && compiled.duration <= DEFAULT_LOOKAHEAD * DAY)) {
+            throw invalid(`${describe} needs a duration of up to ${DEFAULT_LOOKAHEAD} days for its cron rule`, 'duration');
+        }
+    } else {
+        if (entry.days !== undefined) {
+            if (!Array.isArray(entry.days)) throw invalid(`invalid days of ${describe}`, 'days');
+            compiled.days = new Set(entry.days.map((day) => {
+                let number = (typeof day === 'string') ? DAY_NAMES.indexOf(day.slice(0, 3).toLowerCase()) : day;
+                if (!Number.isInteger(number) || number < 0 || number > 6) throw invalid(`invalid day ${JSON.stringify(day)} of ${describe}`, 'days');
+                return number;
+            }));
+        }
+        if (entry.start !== undefined) compiled.start = parseTimeOfDay(entry.start, 'start');
+        if (entry.end !== undefined) compiled.end = parseTimeOfDay(entry.end, 'end');
+    }
+    if (entry.from !== undefined) compiled.from = parseDate(entry.from, 'from');
+    if (entry.until !== undefined) compiled.until = parseDate(entry.until, 'until');
+    return compiled;
+}
+
+// Validates a schedule, {entries, fallback} or just the entries. Throws an OmxInvalidArgumentError.
+function compileSchedule(schedule) {
+    if (Array.isArray(schedule)) schedule = {entries: schedule};
+    if (!schedule || typeof schedule !== 'object' || !Array.isArray(schedule.entries)) {
+        throw invalid('a schedule needs a list of entries', 'schedule');
+    }
+    let fallback = null;
+    if (schedule.fallback) {
+        fallback = compileEntry(Object.assign({name: 'fallback'}, schedule.fallback), -1);
+        fallback.fallback = true;
+    }
+    return {entries: schedule.entries.map(compileEntry), fallback};
+}
+
+// Midnight of the day of date plus days, local time.
+function midnight(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + (days || 0));
+}
+
+// Whether entry is active at time (ms).
+function isActive(entry, time) {
+    let date = new Date(time);
+    let key = dateKey(date);
+    if (entry.from && key < dateKey(new Date(...entry.from))) return false;
+    if (entry.until && key > dateKey(new Date(...entry.until))) return false;
+
+    if (entry.cron) {
+        // started within the last duration
+        let minute = Math.floor(time / 60000) * 60000;
+        for (let start = minute; start > time - entry.duration * 1000; start -= 60000) {
+            if (entry.cron(new Date(start))) return true;
+        }
+        return false;
+    }
+
+    let seconds = (time - midnight(date).getTime()) / 1000;
+    let day = date.getDay();
+    let on = (weekday) => !entry.days || entry.days.has(weekday);
+    if (entry.start < entry.end) return on(day) && seconds >= entry.start && seconds < entry.end;
+    // over midnight, begun today or yesterday
+    return (on(day) && seconds >= entry.start) || (on((day + 6) % 7) && seconds < entry.end);
+}
+
+// The times from (exclusive) to to at which entry may start or stop.
+function boundaries(entry, from, to) {
+    let times = [];
+    let first = midnight(new Date(from), -1);
+    for (let day = 0, base = first; base.getTime() <= to; base = midnight(first, ++day)) {
+        times.push(base.getTime());
+        if (!entry.cron) {
+            let start = new Date(base.getFullYear(), base.getMonth(), base.getDate(), 0, 0, entry.start);
+            let end = new Date(base.getFullYear(), base.getMonth(), base.getDate() + (entry.end <= entry.start ? 1 : 0), 0, 0, entry.end);
+            times.push(start.getTime(), end.getTime());
+        }
+    }
+    if (entry.cron) {
+        for (let minute = Math.floor(from / 60000) * 60000 - entry.duration * 1000; minute <= to; minute += 60000) {
+            if (entry.cron(new Date(minute))) times.push(minute, minute + entry.duration * 1000);
+        }
+    }
+    return times.filter((time) => time > from && time <= to);
+}
+
+class Scheduler extends EventEmitter {
+
+    // options: now         function returning the current time in ms (default Date.now), for tests and simulations
+    //          interval    ms between looks at the clock (default 1000)
+    //          retryDelay  ms to wait after open() failed or the player crashed (default 10000)
+    //          lookahead   days upNext() looks ahead (default 7)
+    constructor(player, schedule, options) {
+        super();
+        options = options || {};
+
+        this.player = player;
+        this.now = options.now || Date.now;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.retryDelay = (typeof options.retryDelay === 'number') ? options.retryDelay : DEFAULT_RETRY_DELAY;
+        this.lookahead = options.lookahead || DEFAULT_LOOKAHEAD;
+        this.schedule = compileSchedule(schedule);
+
+        this.running = false;
+        this.timer = null;
+        // the entry that is due, the one that is playing and the one being opened
+        this.due = null;
+        this.playing = null;
+        this.opening = null;
+        this.since = null;
+        this.waitCue = null;
+        // the entry whose clip was quit, it isn't opened again while it is due
+        this.dismissed = null;
+        // no open() before this time of monotonic()
+        this.retryAt = 0;
+
+        this._onClose = (code, exit) => {
+            if (!this.running) return;
+            let reason = exit ? exit.reason : null;
+            if (DELIBERATE_EXITS.indexOf(reason) !== -1) {
+                this.dismissed = this.playing;
+                this.playing = null;
+                return;
+            }
+            // a clip that ended is played again or replaced by what is due, a crash is retried later
+            if (reason !== 'ended') this.retryAt = monotonic() + this.retryDelay;
+            this.playing = null;
+            this.update();
+        };
+    }
+
+    // Starts playing the schedule. Resolves once what is due is opened.
+    start() {
+        if (this.running) return Promise.resolve();
+        this.running = true;
+        this.player.on('close', this._onClose);
+        this.timer = setInterval(() => this.update(), this.interval);
+        return this.update();
+    }
+
+    // Stops following the schedule, kills the player.
+    stop() {
+        this.running = false;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.player.removeListener('close', this._onClose);
+        this._stopWaiting();
+        this.playing = this.due = this.opening = this.dismissed = null;
+        return this.player.kill();
+    }
+
+    // Replaces the schedule, the change takes effect right away. Throws an OmxInvalidArgumentError for an
+    // invalid schedule.
+    setSchedule(schedule) {
+        this.schedule = compileSchedule(schedule);
+        // entries are compared by identity, the playing one has to be found again
+        if (this.playing) this.playing = this._find(this.playing) || this.playing;
+        return this.update();
+    }
+
+    // The entry that should play at time (default now), null if none and there is no fallback.
+    entryAt(time) {
+        if (time === undefined) time = this.now();
+        let best = null;
+        for (let entry of this.schedule.entries) {
+            if (isActive(entry, time) && (!best || entry.priority > best.priority)) best = entry;
+        }
+        return best || this.schedule.fallback;
+    }
+
+    // What is playing, {name, file, priority, fallback, since, until}, null if nothing is.
+    // since is when it started playing, until when the schedule changes next, null if not within lookahead days.
+    nowPlaying() {
+        if (!this.playing) return null;
+        let next = this.upNext();
+        return Object.assign(this._describe(this.playing), {since: this.since, until: next ? next.at : null});
+    }
+
+    // What comes next, {name, file, priority, fallback, at}, at being when it is due. null if nothing is due
+    // within lookahead days, or nothing at all (name and file are null then).
+    upNext() {
+        let now = this.now();
+        let current = this.entryAt(now);
+        let end = now + this.lookahead * DAY * 1000;
+        let times = [];
+        for (let entry of this.schedule.entries) {
+            times.push(...boundaries(entry, now, end));
+        }
+        times.sort((a, b) => a - b);
+        for (let time of times) {
+            let entry = this.entryAt(time);
+            if (entry !== current) return Object.assign(this._describe(entry), {at: time});
+        }
+        return null;
+    }
+
+    // Looks at the clock and plays what is due, called every interval ms. Resolves once it is opened.
+    update() {
+        if (!this.running) return Promise.resolve();
+        let due = this.entryAt();
+        let previous = this.due;
+        this.due = due;
+
+        if (this.dismissed && this.dismissed !== due) this.dismissed = null;
+        if (this.opening || this.dismissed) return Promise.resolve();
+        if (due === this.playing && (this.player.process || !due)) {
+            this._stopWaiting();
+            return Promise.resolve();
+        }
+        if (monotonic() < this.retryAt) return Promise.resolve();
+        // wait for the end of the clip that plays, unless it crashed
+        if (due && due.transition === 'wait' && this.playing && this.player.process) {
+            if (due !== previous || !this.waitCue) this._wait(due);
+            return Promise.resolve();
+        }
+        return this._play(due);
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _play(entry) {
+        this._stopWaiting();
+        let previous = this.playing;
+        this.opening = entry;
+        let started = entry ? this.player.open(entry.file, entry.options) : this.player.kill();
+        return started.then(() => {
+            this.opening = null;
+            this.retryAt = 0;
+            this.playing = entry;
+            this.since = this.now();
+            if (previous !== entry) {
+                this.emit('change', {previous: previous && this._describe(previous), current: entry && this._describe(entry)});
+            }
+        }, (err) => {
+            this.opening = null;
+            this.playing = null;
+            this.retryAt = monotonic() + this.retryDelay;
+            // not when stop() killed it while it was opening
+            if (this.running) emitError(this, err);
+        }).then(() => {
+            // the schedule may have moved on while opening
+            if (this.running && this.entryAt() !== entry && monotonic() >= this.retryAt) return this.update();
+        });
+    }
+
+    // Switches to entry at the end of the playing clip: when it exits, or wraps around with --loop.
+    _wait(entry) {
+        this._stopWaiting();
+        this.emit('waiting', {current: this._describe(this.playing), next: this._describe(entry)});
+        if (this.player.options && this.player.options.loop) {
+            this.waitCue = this.player.addCue(0, () => {
+                if (this.due === entry && !this.opening) this._play(entry);
+            });
+        } else {
+            // the close of the clip plays it
+            this.waitCue = true;
+        }
+    }
+
+    _stopWaiting() {
+        if (typeof this.waitCue === 'number') this.player.removeCue(this.waitCue);
+        this.waitCue = null;
+    }
+
+    // The entry of the current schedule that stands for entry of an earlier one.
+    _find(entry) {
+        if (entry.fallback) return this.schedule.fallback;
+        return this.schedule.entries.find((candidate) => candidate.name === entry.name && candidate.file === entry.file);
+    }
+
+    _describe(entry) {
+        if (!entry) return {name: null, file: null, priority: null, fallback: false};
+        return {name: entry.name, file: entry.file, priority: entry.priority, fallback: !!entry.fallback};
+    }
+}
+
+Scheduler.parseCron = parseCron;
+Scheduler.compileSchedule = compileSchedule;
+
+module.exports = Scheduler;
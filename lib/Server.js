@@ -0,0 +1,447 @@
+// Server.js
+//
+// An HTTP server that controls named OmxPlayers over the network, e.g. from a web control panel or a
+// control system. Request bodies and responses are JSON. A call answers with the JSON of its result,
+// a failure with an error status and {error: {name, message, ...}}. Routes (:name names a player):
+//      GET    /players                         [{name, running, file}]
+//      GET    /players/:name                   {name, running, file}
+//      POST   /players/:name                   creates a player, the body holds constructor options, see REMOTE_OPTIONS
+//      DELETE /players/:name                   kills and removes it
+//      POST   /players/:name/open              {file, options}
+//      POST   /players/:name/play              also pause, stop, quit and kill
+//      POST   /players/:name/seek              {offset} in seconds, relative
+//      POST   /players/:name/position          {position} in seconds, absolute
+//      GET    /players/:name/state             see getState()
+//      GET    /players/:name/volume            {volume, dB, percent}
+//      PUT    /players/:name/volume            {volume, fade}, volume as for fadeVolume(), fade in ms (default 0)
+//      PUT    /players/:name/layer             {layer}
+//      PUT    /players/:name/alpha             {alpha} from 0 to 255
+//      GET    /players/:name/tracks            {audio, subtitle, video}
+//      PUT    /players/:name/tracks/:kind      {index} or {language}, kind is audio or subtitle
+//      GET    /players/:name/events            the events of the player as Server-Sent Events
+//      GET    /events                          the events of all players
+// Every SSE message is named after the event and carries {player, data} as JSON, see PLAYER_EVENTS.
+// player-added ({name, running, file}) and player-removed ({name}) tell about the players themselves.
+// With a token, every request must send it as "Authorization: Bearer <token>" or, for EventSource
+// which can't set headers, as the token query parameter.
+
+"use strict";
+
+const EventEmitter = require('events');
+const http = require('http');
+const crypto = require('crypto');
+const OmxPlayer = require('./OmxPlayer');
+const {toLinear, volumeLevels} = require('./volume');
+const {
+    OmxNotRunningError,
+    OmxProcessError,
+    OmxDBusError,
+    OmxTimeoutError,
+    OmxAbortError,
+    OmxInvalidArgumentError
+} = require('./errors');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_HEARTBEAT = 15000;
+const MAX_BODY = 64 * 1024;
+const NAME_REGEXP = /^[\w.-]{1,64}$/;
+// the constructor options a client may set when it creates a player. The others pick the bus and
+// D-Bus name the player uses, which is up to whoever runs the server (the player option)
+const REMOTE_OPTIONS = ['monitor', 'readyTimeout', 'callTimeout', 'uniqueName', 'killOnExit', 'getAll'];
+
+// events passed on to SSE clients; close sends its second argument, {code, signal, reason, fatal}
+const PLAYER_EVENTS = [
+    'ready', 'close', 'error', 'info', 'warning', 'fatal',
+    'timeupdate', 'play', 'pause', 'seeked', 'ratechange', 'volumechange', 'ended'
+];
+
+// status codes of the errors of OmxPlayer, any other error is a 500
+const ERROR_STATUS = [
+    [OmxInvalidArgumentError, 400],
+    [OmxNotRunningError, 409],
+    [OmxAbortError, 409],
+    [OmxTimeoutError, 504],
+    [OmxDBusError, 502],
+    [OmxProcessError, 502]
+];
+
+// An error with the status code to answer it with.
+class HttpError extends Error {
+
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+function errorStatus(err) {
+    if (err instanceof HttpError) return err.status;
+    let entry = ERROR_STATUS.find(([type]) => err instanceof type);
+    return entry ? entry[1] : 500;
+}
+
+// The JSON form of an error, with the fields that tell a client what went wrong.
+function serializeError(err) {
+    let result = {name: err.name || 'Error', message: err.message || String(err)};
+    for (let key of ['member', 'reason', 'argument', 'errorName', 'timeout', 'exitCode']) {
+        if (err[key] !== undefined && err[key] !== null) result[key] = err[key];
+    }
+    return result;
+}
+
+// Compares through hashes, so the time taken tells nothing about the token.
+function sameToken(given, token) {
+    let hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(given), hash(token));
+}
+
+// Reads the JSON body of req, {} if there is none.
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HttpError(413, `the body exceeds ${MAX_BODY} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let text = Buffer.concat(chunks).toString('utf8').trim();
+            if (!text) return resolve({});
+            try {
+                let body = JSON.parse(text);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+                resolve(body);
+            } catch (err) {
+                reject(new HttpError(400, `invalid JSON body: ${err.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// The number body[key], throws a 400 if it is missing or not finite.
+function number(body, key) {
+    let value = body[key];
+    if (typeof value !== 'number' || !isFinite(value)) throw new HttpError(400, `${key} must be a number`);
+    return value;
+}
+
+// Compiles '/players/:name/seek' into a regexp whose groups are the parameters.
+function route(method, pattern, handler) {
+    let keys = [];
+    let source = pattern.replace(/:(\w+)/g, (match, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    });
+    return {method, regexp: new RegExp(`^${source}/?$`), keys, handler};
+}
+
+// Handlers get ({player, name, body, params, req, res}) and return the result, or a promise of it.
+// Taking player answers with a 404 if there is no player of that name.
+const ROUTES = [
+    route('GET', '/players', function () {
+        return Array.from(this.players.keys()).map((name) => this._describe(name));
+    }),
+    route('GET', '/players/:name', function ({player, name}) {
+        return this._describe(name);
+    }),
+    route('POST', '/players/:name', function ({name, body}) {
+        let denied = Object.keys(body).filter((key) => REMOTE_OPTIONS.indexOf(key) === -1);
+        if (denied.length) throw new HttpError(400, `options that can't be set remotely: ${denied.join(', ')}`);
+        this.add(name, body);
+        return this._describe(name);
+    }),
+    route('DELETE', '/players/:name', function ({player, name}) {
+        return this.remove(name);
+    }),
+    route('POST', '/players/:name/open', function ({player, body}) {
+        if (typeof body.file !== 'string' || !body.file) throw new HttpError(400, 'file must be a string');
+        return player.open(body.file, body.options || {}).then(() => null);
+    }),
+    route('POST', '/players/:name/play', ({player}) => player.play()),
+    route('POST', '/players/:name/pause', ({player}) => player.pause()),
+    route('POST', '/players/:name/stop', ({player}) => player.stop()),
+    route('POST', '/players/:name/quit', ({player}) => player.quit()),
+    route('POST', '/players/:name/kill', ({player}) => player.kill()),
+    route('POST', '/players/:name/seek', ({player, body}) => player.seek(number(body, 'offset'))),
+    route('POST', '/players/:name/position', ({player, body}) => player.setPosition(number(body, 'position'))),
+    route('GET', '/players/:name/state', ({player}) => player.getState()),
+    route('GET', '/players/:name/volume', ({player}) => player.getVolume().then(volumeLevels)),
+    route('PUT', '/players/:name/volume', ({player, body}) => {
+        let volume = toLinear(body.volume);
+        if (isNaN(volume)) throw new HttpError(400, 'volume must be a number, {dB}, {percent} or a string like "-6dB"');
+        let fade = (body.fade !== undefined) ? number(body, 'fade') : 0;
+        let set = (fade > 0) ? player.fadeVolume(volume, fade) : player.setVolume(volume);
+        return set.then(() => volumeLevels(volume));
+    }),
+    route('PUT', '/players/:name/layer', ({player, body}) => player.setLayer(number(body, 'layer'))),
+    route('PUT', '/players/:name/alpha', ({player, body}) => player.setAlpha(number(body, 'alpha'))),
+    route('GET', '/players/:name/tracks', ({player}) => player.getTracks()),
+    route('PUT', '/players/:name/tracks/:kind', ({player, body, params}) => {
+        let kind = {audio: 'Audio', subtitle: 'Subtitle'}[params.kind];
+        if (!kind) throw new HttpError(404, `unknown track kind ${params.kind}`);
+        if (body.language !== undefined) return player[`select${kind}ByLanguage`](body.language);
+        return player[`select${kind}`](number(body, 'index'));
+    }),
+    route('GET', '/players/:name/events', function ({player, name, req, res}) {
+        return this._stream(name, req, res);
+    }),
+    route('GET', '/events', function ({req, res}) {
+        return this._stream(null, req, res);
+    })
+];
+
+class Server extends EventEmitter {
+
+    // options: players    {name: constructor options or OmxPlayer} to start with
+    //          player     constructor options applied to every player created by the server
+    //          token      secret every request must carry, none by default
+    //          cors       value of Access-Control-Allow-Origin, e.g. '*' for a control panel served elsewhere
+    //          heartbeat  ms between the comments that keep event streams open (default 15000)
+    constructor(options) {
+        super();
+        options = options || {};
+
+        this.playerOptions = options.player || {};
+        this.token = options.token || null;
+        this.cors = options.cors || null;
+        this.heartbeat = options.heartbeat || DEFAULT_HEARTBEAT;
+        this.players = new Map();
+        this.listeners = new Map();
+        this.clients = new Set();
+        this.server = null;
+        this.timer = null;
+
+        let players = options.players || {};
+        for (let name of Object.keys(players)) {
+            this.add(name, players[name]);
+        }
+    }
+
+    // Adds a player under name, either an OmxPlayer or the constructor options of a new one.
+    // Returns the player. Throws an OmxInvalidArgumentError for an invalid or taken name.
+    add(name, player) {
+        if (!NAME_REGEXP.test(name)) {
+            throw new OmxInvalidArgumentError(`invalid player name "${name}"`, {argument: 'name'});
+        }
+        if (this.players.has(name)) {
+            throw new OmxInvalidArgumentError(`a player named "${name}" exists already`, {argument: 'name'});
+        }
+        if (!(player instanceof OmxPlayer)) player = new OmxPlayer(Object.assign({}, this.playerOptions, player));
+
+        let listeners = {};
+        for (let event of PLAYER_EVENTS) {
+            listeners[event] = (...args) => this._send(name, event, (event === 'close') ? args[1] : args[0]);
+            player.on(event, listeners[event]);
+        }
+        this.players.set(name, player);
+        this.listeners.set(name, listeners);
+        this._send(name, 'player-added', this._describe(name));
+        return player;
+    }
+
+    // Kills the player named name and removes it. Resolves with its exit code, see kill().
+    remove(name, cb) {
+        let player = this.players.get(name);
+        if (!player) {
+            if (cb) cb(null, null);
+            return Promise.resolve(null);
+        }
+        let listeners = this.listeners.get(name);
+        for (let event of Object.keys(listeners)) {
+            player.removeListener(event, listeners[event]);
+        }
+        this.players.delete(name);
+        this.listeners.delete(name);
+        this._send(name, 'player-removed', {name});
+
+        let killed = player.kill();
+        if (!cb) return killed;
+        return killed.then((code) => {
+            cb(null, code);
+            return code;
+        }, (err) => {
+            cb(err, null);
+            throw err;
+        });
+    }
+
+    // Starts listening on port (default 8080) and host (default 127.0.0.1, pass '0.0.0.0' for the LAN).
+    // Resolves with the address, {address, family, port}.
+    listen(port, host, cb) {
+        if (typeof host === 'function') {
+            cb = host;
+            host = undefined;
+        }
+        let server = http.createServer((req, res) => this.handle(req, res));
+        this.server = server;
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen((port !== undefined && port !== null) ? port : DEFAULT_PORT, host || DEFAULT_HOST, () => {
+                server.removeListener('error', reject);
+                server.on('error', (err) => this.emit('error', err));
+                this._startHeartbeat();
+                resolve(server.address());
+            });
+        }).then((address) => {
+            if (cb) cb(null, address);
+            return address;
+        }, (err) => {
+            this.server = null;
+            if (cb) cb(err, null);
+            throw err;
+        });
+    }
+
+    // Ends the event streams and stops listening. The players keep running, see remove().
+    close(cb) {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (let res of this.clients) {
+            res.end();
+        }
+        this.clients.clear();
+
+        let server = this.server;
+        this.server = null;
+        let closed = server ? new Promise((resolve) => {
+            server.close(() => resolve());
+            // keep-alive connections would hold close() up until they time out, Node before 18.2 waits for them
+            if (server.closeIdleConnections) server.closeIdleConnections();
+        }) : Promise.resolve();
+        return closed.then(() => {
+            if (cb) cb(null);
+        });
+    }
+
+    // Answers a request, usable as listener of an http.Server of your own.
+    handle(req, res) {
+        let url = new URL(req.url, 'http://localhost');
+        if (this.cors) {
+            res.setHeader('Access-Control-Allow-Origin', this.cors);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                return res.end();
+            }
+        }
+
+        let handled;
+        try {
+            this._authorize(req, url);
+            handled = this._route(req, res, url);
+        } catch (err) {
+            handled = Promise.reject(err);
+        }
+        return handled.catch((err) => this._reply(res, errorStatus(err), {error: serializeError(err)}));
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _authorize(req, url) {
+        if (!this.token) return;
+        let header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        let given = header ? header[1].trim() : url.searchParams.get('token');
+        if (given === null || !sameToken(given, this.token)) {
+            throw new HttpError(401, 'missing or invalid token');
+        }
+    }
+
+    _route(req, res, url) {
+        let matches = ROUTES.filter((entry) => entry.regexp.test(url.pathname));
+        if (!matches.length) throw new HttpError(404, `no route for ${url.pathname}`);
+        let entry = matches.find((candidate) => candidate.method === req.method);
+        if (!entry) {
+            res.setHeader('Allow', matches.map((candidate) => candidate.method).join(', '));
+            throw new HttpError(405, `${req.method} is not allowed on ${url.pathname}`);
+        }
+
+        let params = {};
+        let values = entry.regexp.exec(url.pathname).slice(1);
+        entry.keys.forEach((key, index) => params[key] = decodeURIComponent(values[index]));
+        let name = params.name;
+        let body = (req.method === 'GET') ? Promise.resolve({}) : readBody(req);
+
+        return body.then((body) => {
+            let context = {name, body, params, req, res};
+            // looked up when a handler takes it, the one creating the player doesn't
+            Object.defineProperty(context, 'player', {get: () => this._player(name)});
+            return entry.handler.call(this, context);
+        }).then((result) => {
+            // event streams answer themselves
+            if (res.headersSent) return;
+            this._reply(res, 200, (result === undefined) ? null : result);
+        });
+    }
+
+    _reply(res, status, body) {
+        if (res.headersSent) return res.end();
+        let json = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json)
+        });
+        res.end(json);
+    }
+
+    // The player named name, throws a 404 if there is none.
+    _player(name) {
+        let player = this.players.get(name);
+        if (!player) throw new HttpError(404, `no player named "${name}"`);
+        return player;
+    }
+
+    _describe(name) {
+        let player = this.players.get(name);
+        return {name, running: !!player.process, file: player.process ? player.file : null};
+    }
+
+    // Keeps res open as event stream of the player named name, or of all players for null.
+    _stream(name, req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': connected\n\n');
+        res.player = name;
+        this.clients.add(res);
+        res.on('close', () => this.clients.delete(res));
+    }
+
+    _send(name, event, data) {
+        if (!this.clients.size) return;
+        if (data instanceof Error) data = serializeError(data);
+        let message = `event: ${event}\ndata: ${JSON.stringify({player: name, data: (data === undefined) ? null : data})}\n\n`;
+        for (let res of this.clients) {
+            if (res.player === null || res.player === name) res.write(message);
+        }
+    }
+
+    _startHeartbeat() {
+        clearInterval(this.timer);
+        this.timer = setInterval(() => {
+            for (let res of this.clients) {
+                res.write(': ping\n\n');
+            }
+        }, this.heartbeat);
+        // open event streams keep the server running, the timer alone shouldn't
+        this.timer.unref();
+    }
+}
+
+Server.PLAYER_EVENTS = PLAYER_EVENTS;
+Server.REMOTE_OPTIONS = REMOTE_OPTIONS;
+Server.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = Server;
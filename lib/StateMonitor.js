@@ -0,0 +1,165 @@
+// StateMonitor.js
+//
+// Polls the playback state of an OmxPlayer and emits events on the player when it changes:
+//      timeupdate (position)   the position moved
+//      play / pause            the playback status changed
+//      seeked (position)       the position jumped, by a seek or setPosition call or otherwise
+//      ratechange (rate)       the playback rate changed
+//      volumechange (volume)   the volume changed
+//      ended                   the player exited on its own with code 0, emitted before close
+// omxplayer sends no D-Bus signals, so changes made elsewhere (keyboard, other clients)
+// are only noticed with the next poll.
+
+"use strict";
+
+const DEFAULT_INTERVAL = 250;
+
+// a position further off than this from the extrapolated one counts as a seek (seconds)
+const SEEK_TOLERANCE = 1;
+
+class StateMonitor {
+
+    constructor(player) {
+        this.player = player;
+        this.interval = DEFAULT_INTERVAL;
+        this.running = false;
+        this.timer = null;
+        this.reset();
+    }
+
+    start(interval) {
+        if (typeof interval === 'number' && interval > 0) this.interval = interval;
+        if (this.running) return;
+        this.running = true;
+        this._schedule();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Forgets the last snapshot, called whenever a new process is started.
+    reset() {
+        this.snapshot = null;
+        this.exitRequested = false;
+    }
+
+    // Reads the current state once and emits the differences to the last snapshot.
+    poll() {
+        let player = this.player;
+        if (!player.process) return Promise.resolve(null);
+
+        let process = player.process;
+        let time = Date.now();
+        return Promise.all([
+            player.getPlaybackStatus(),
+            player.getPosition(),
+            player.getRate(),
+            player.getVolume()
+        ]).then(([status, position, rate, volume]) => {
+            // the process was restarted while polling
+            if (process !== player.process) return null;
+            let snapshot = {status, position, rate, volume, time};
+            this._compare(this.snapshot, snapshot);
+            this.snapshot = snapshot;
+            return snapshot;
+        });
+    }
+
+    // ##########################################
+    // Hooks for OmxPlayer's own calls
+    // ##########################################
+
+    // Called after seek() or setPosition(). Without position it is read from the player.
+    seeked(position) {
+        let current = (typeof position === 'number') ? Promise.resolve(position) : this.player.getPosition();
+        return current.then((position) => {
+            if (this.snapshot) {
+                this.snapshot.position = position;
+                this.snapshot.time = Date.now();
+            }
+            this.player.emit('seeked', position);
+        }).catch(() => {});
+    }
+
+    rateChanged(rate) {
+        if (this.snapshot) {
+            if (this.snapshot.rate === rate) return;
+            // keep the extrapolation of the position correct across the change
+            this.snapshot.position = this._expectedPosition(this.snapshot, Date.now());
+            this.snapshot.time = Date.now();
+            this.snapshot.rate = rate;
+        }
+        this.player.emit('ratechange', rate);
+    }
+
+    volumeChanged(volume) {
+        if (this.snapshot) {
+            if (this.snapshot.volume === volume) return;
+            this.snapshot.volume = volume;
+        }
+        this.player.emit('volumechange', volume);
+    }
+
+    // Called when quit() or stop() was sent, so the following close is no end of playback.
+    exiting() {
+        this.exitRequested = true;
+    }
+
+    // Called with the exit code before the player emits close.
+    closed(code) {
+        if (code === 0 && !this.exitRequested) this.player.emit('ended');
+        this.reset();
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _schedule() {
+        this.timer = setTimeout(() => {
+            this.poll().catch(() => {
+                // not reachable (yet), try again with the next poll
+            }).then(() => {
+                if (this.running) this._schedule();
+            });
+        }, this.interval);
+        // the player process keeps node running, the monitor alone shouldn't
+        this.timer.unref();
+    }
+
+    _expectedPosition(snapshot, time) {
+        if (snapshot.status !== 'Playing') return snapshot.position;
+        return snapshot.position + (time - snapshot.time) / 1000 * snapshot.rate;
+    }
+
+    _compare(previous, current) {
+        let player = this.player;
+
+        if (!previous) {
+            if (current.status === 'Playing') player.emit('play');
+            player.emit('timeupdate', current.position);
+            return;
+        }
+
+        if (previous.status !== current.status) {
+            player.emit(current.status === 'Playing' ? 'play' : 'pause');
+        }
+        if (previous.rate !== current.rate) player.emit('ratechange', current.rate);
+        if (previous.volume !== current.volume) player.emit('volumechange', current.volume);
+
+        // when the status or rate changed in between, the position can't be extrapolated reliably
+        if (previous.status === current.status && previous.rate === current.rate) {
+            let expected = this._expectedPosition(previous, current.time);
+            if (Math.abs(current.position - expected) > SEEK_TOLERANCE) player.emit('seeked', current.position);
+        }
+        if (current.position !== previous.position) player.emit('timeupdate', current.position);
+    }
+}
+
+StateMonitor.DEFAULT_INTERVAL = DEFAULT_INTERVAL;
+StateMonitor.SEEK_TOLERANCE = SEEK_TOLERANCE;
+
+module.exports = StateMonitor;
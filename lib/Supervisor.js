@@ -0,0 +1,204 @@
+// Supervisor.js
+//
+// Watches an OmxPlayer for hangs and crashes and restarts it where it left off.
+// omxplayer sometimes freezes with the process still alive but the position no longer advancing,
+// or dies with a nonzero exit code. The supervisor polls the position and declares a stall when it
+// didn't advance for stallTimeout ms while playing (a player that doesn't answer counts as not
+// advancing). On a stall, or an exit for any other reason than quit() / stop() or the end of the file,
+// it kills the process and opens the same file with the same options again, at the last known position.
+// Events:
+//      stalled ({position, since})             the position didn't advance for since ms
+//      restarted ({reason, position, attempt}) the player was reopened at position, reason is 'stalled'
+//                                              or the exit reason, see exitReason() in OutputParser.js
+//      gave-up ({reason, restarts, error})     the restart budget is used up, the supervisor stopped.
+//                                              error is the last failure of open(), if any
+// At most maxRestarts restarts are made within restartWindow ms, the nth of them waits
+// backoff * 2^(n-1) ms (but no longer than maxBackoff) before reopening.
+
+"use strict";
+
+const EventEmitter = require('events');
+const {parseTime, resolveName} = require('./options');
+
+const DEFAULT_INTERVAL = 1000;
+const DEFAULT_STALL_TIMEOUT = 10000;
+const DEFAULT_MAX_RESTARTS = 5;
+const DEFAULT_RESTART_WINDOW = 10 * 60 * 1000;
+const DEFAULT_BACKOFF = 1000;
+const DEFAULT_MAX_BACKOFF = 60000;
+
+// exit reasons that are no failure
+const CLEAN_EXITS = ['quit', 'ended'];
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class Supervisor extends EventEmitter {
+
+    // options: interval       ms between position polls (default 1000)
+    //          stallTimeout   ms the position may stand still while playing (default 10000)
+    //          maxRestarts    restarts allowed within restartWindow (default 5)
+    //          restartWindow  ms (default 10 minutes)
+    //          backoff        ms to wait before the first restart, doubled for each further one (default 1000)
+    //          maxBackoff     ms (default 60000)
+    constructor(player, options) {
+        super();
+        options = options || {};
+
+        this.player = player;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.stallTimeout = options.stallTimeout || DEFAULT_STALL_TIMEOUT;
+        this.maxRestarts = (typeof options.maxRestarts === 'number') ? options.maxRestarts : DEFAULT_MAX_RESTARTS;
+        this.restartWindow = options.restartWindow || DEFAULT_RESTART_WINDOW;
+        this.backoff = (typeof options.backoff === 'number') ? options.backoff : DEFAULT_BACKOFF;
+        this.maxBackoff = options.maxBackoff || DEFAULT_MAX_BACKOFF;
+
+        this.running = false;
+        this.timer = null;
+        this.process = null;
+        this.position = null;
+        this.progressTime = null;
+        this.polling = null;
+        this.restarting = false;
+        this.restarts = [];
+
+        this._onReady = () => this._watch();
+        this._onClose = (code, exit) => this._closed(exit);
+    }
+
+    // Starts watching the player, whether it is running already or opened later.
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.player.on('ready', this._onReady);
+        this.player.on('close', this._onClose);
+        if (this.player.process) this._watch();
+        this._schedule();
+    }
+
+    // Stops watching, a restart that is waiting for its backoff is dropped.
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.player.removeListener('ready', this._onReady);
+        this.player.removeListener('close', this._onClose);
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _schedule() {
+        this.timer = setTimeout(() => this._check(), this.interval);
+        // the player process keeps node running, the supervisor alone shouldn't
+        this.timer.unref();
+    }
+
+    // Starts over with the process that just became ready.
+    _watch() {
+        this.process = this.player.process;
+        this.position = null;
+        this.progressTime = Date.now();
+    }
+
+    _check() {
+        if (!this.running) return;
+        // only a process that became ready can stall, one that is starting up may not answer yet
+        if (!this.restarting && this.process && this.process === this.player.process) {
+            if (this.polling !== this.process) this._poll();
+            let since = Date.now() - this.progressTime;
+            if (since > this.stallTimeout) {
+                this.emit('stalled', {position: this._lastPosition(), since});
+                this._restart('stalled');
+            }
+        }
+        if (this.running) this._schedule();
+    }
+
+    // A call that never returns blocks further polls of the same process only.
+    _poll() {
+        let player = this.player;
+        let process = this.process;
+        this.polling = process;
+        Promise.all([
+            player.getPlaybackStatus(),
+            player.getPosition()
+        ]).then(([status, position]) => {
+            if (process !== this.process) return;
+            if (status !== 'Playing' || position !== this.position) this.progressTime = Date.now();
+            this.position = position;
+        }, () => {
+            // no answer is no progress
+        }).then(() => {
+            if (this.polling === process) this.polling = null;
+        });
+    }
+
+    // The position to restart at: the last one read, or the one the process was started at.
+    _lastPosition() {
+        if (this.position !== null) return this.position;
+        let options = this.player.options || {};
+        let key = Object.keys(options).find((key) => resolveName(key) === 'pos' && options[key] != null);
+        return key ? parseTime(options[key]) : null;
+    }
+
+    _closed(exit) {
+        let process = this.process;
+        this.process = null;
+        // processes of our own restarts, and ones that never became ready, are handled by _restart()
+        if (this.restarting || !process || CLEAN_EXITS.indexOf(exit.reason) !== -1) return;
+        this._restart(exit.reason);
+    }
+
+    // Kills the process and reopens it at the last position once the backoff is over.
+    // Resolves with true when the player was restarted.
+    _restart(reason, error) {
+        let now = Date.now();
+        this.restarts = this.restarts.filter((time) => now - time < this.restartWindow);
+        if (this.restarts.length >= this.maxRestarts) {
+            this.stop();
+            this.emit('gave-up', {reason, restarts: this.restarts.length, error: error || null});
+            return Promise.resolve(false);
+        }
+        this.restarts.push(now);
+
+        let player = this.player;
+        let attempt = this.restarts.length;
+        let position = this._lastPosition();
+        let options = Object.assign({}, player.options);
+        if (position !== null) {
+            // the position may have been given as l
+            for (let key of Object.keys(options)) {
+                if (resolveName(key) === 'pos') delete options[key];
+            }
+            options.pos = position;
+        }
+
+        this.restarting = true;
+        this.process = null;
+        return player.kill({graceful: false}).then(() => {
+            return delay(Math.min(this.backoff * Math.pow(2, attempt - 1), this.maxBackoff));
+        }).then(() => {
+            if (!this.running) {
+                this.restarting = false;
+                return false;
+            }
+            return player.open(player.file, options).then(() => {
+                this.restarting = false;
+                this.emit('restarted', {reason, position, attempt});
+                return true;
+            });
+        }).catch((err) => {
+            this.restarting = false;
+            if (!this.running) return false;
+            return this._restart(reason, err);
+        });
+    }
+}
+
+Supervisor.DEFAULT_INTERVAL = DEFAULT_INTERVAL;
+Supervisor.DEFAULT_STALL_TIMEOUT = DEFAULT_STALL_TIMEOUT;
+
+module.exports = Supervisor;
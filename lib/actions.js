@@ -0,0 +1,70 @@
+// actions.js
+//
+// The keyboard actions of omxplayer, see KeyConfig.h:
+// https://github.com/popcornmix/omxplayer/blob/master/KeyConfig.h
+// Any of them can be sent over D-Bus with the Action method, which is what action() does.
+// Actions that need an argument (SEEK_RELATIVE, SET_ALPHA, ...) are only triggered by the
+// D-Bus methods of the same purpose and do nothing when sent as a bare action.
+
+"use strict";
+
+const {OmxInvalidArgumentError} = require('./errors');
+
+const Actions = Object.freeze({
+    DECREASE_SPEED: 1,
+    INCREASE_SPEED: 2,
+    REWIND: 3,
+    FAST_FORWARD: 4,
+    SHOW_INFO: 5,
+    PREVIOUS_AUDIO: 6,
+    NEXT_AUDIO: 7,
+    PREVIOUS_CHAPTER: 8,
+    NEXT_CHAPTER: 9,
+    PREVIOUS_SUBTITLE: 10,
+    NEXT_SUBTITLE: 11,
+    TOGGLE_SUBTITLE: 12,
+    DECREASE_SUBTITLE_DELAY: 13,
+    INCREASE_SUBTITLE_DELAY: 14,
+    EXIT: 15,
+    PLAYPAUSE: 16,
+    DECREASE_VOLUME: 17,
+    INCREASE_VOLUME: 18,
+    SEEK_BACK_SMALL: 19,
+    SEEK_FORWARD_SMALL: 20,
+    SEEK_BACK_LARGE: 21,
+    SEEK_FORWARD_LARGE: 22,
+    SEEK_RELATIVE: 23,
+    SEEK_ABSOLUTE: 24,
+    STEP: 25,
+    BLANK: 26,
+    MOVE_VIDEO: 27,
+    HIDE_VIDEO: 28,
+    UNHIDE_VIDEO: 29,
+    HIDE_SUBTITLES: 30,
+    SHOW_SUBTITLES: 31,
+    SET_ALPHA: 32,
+    SET_ASPECT_MODE: 33,
+    CROP_VIDEO: 34,
+    PAUSE: 35,
+    PLAY: 36,
+    CHANGE_FILE: 37,
+    STOP: 38,
+    SET_LAYER: 39
+});
+
+// Returns the number of an action given as number or name. Names are those of Actions,
+// the ACTION_ prefix of KeyConfig.h and any case are accepted: 'STEP', 'ACTION_STEP', 'step'.
+// Throws an OmxInvalidArgumentError for unknown names.
+function resolveAction(command) {
+    if (typeof command === 'number') return command;
+    if (typeof command === 'string') {
+        let name = command.toUpperCase().replace(/^ACTION_/, '');
+        if (Object.prototype.hasOwnProperty.call(Actions, name)) return Actions[name];
+    }
+    throw new OmxInvalidArgumentError(`unknown action ${JSON.stringify(command)}`, {argument: command});
+}
+
+module.exports = {
+    Actions,
+    resolveAction
+};
@@ -0,0 +1,363 @@
+// cli.js
+//
+// omxctl, the command line counterpart of dbuscontrol.sh: controls a running omxplayer over D-Bus,
+// or starts one.
+//      omxctl [options] <command> [arguments]
+// Commands work on the player given with --name, or on the only one on the bus. Results are printed
+// as "key: value" lines, or as JSON with --json; watch (and open --watch) prints the events of the
+// player as newline-delimited JSON. Any other method of OmxPlayer can be run by its name, arguments
+// are parsed as JSON where they are valid JSON and passed as strings otherwise.
+// Exits with 0 on success, 1 when a call failed and 2 for invalid arguments.
+
+"use strict";
+
+const OmxPlayer = require('./OmxPlayer');
+const Server = require('./Server');
+const {SCHEMA, resolveName, parseTime, parseRectangle} = require('./options');
+const {toLinear, volumeLevels} = require('./volume');
+const {OmxNotRunningError, OmxInvalidArgumentError} = require('./errors');
+
+const DBUS_NAME_PREFIX = 'org.mpris.MediaPlayer2.';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: omxctl [options] <command> [arguments]
+
+Commands:
+  list                             players on the bus
+  open <file> [options]            start omxplayer with the options of open(), e.g. --loop --vol -6dB
+                                   --win 0,0,640,480, and wait until it exits. --watch prints its events
+  status                           playback status, position, duration, volume, metadata, ...
+  play | pause | toggle | stop | quit | next | previous | mute | unmute | hidevideo | unhidevideo
+  seek <seconds>                   relative, e.g. +30 or -10
+  position [time]                  get, or set in seconds or as hh:mm:ss
+  volume [volume]                  get, or set as 0.5 (linear), 50%, -6dB, up or down
+  rate [rate]                      get or set the playback rate
+  tracks                           audio, subtitle and video streams
+  audio <index|language>           select an audio stream
+  subtitle <index|language|on|off> select or show/hide subtitles
+  alpha <0-255> | layer <layer> | videopos <x1,y1,x2,y2> | crop <x1,y1,x2,y2> | aspect <mode>
+  action <name|number>             a keyboard action of omxplayer, e.g. NEXT_CHAPTER
+  stats                            CPU and memory use of omxplayer.bin
+  watch [interval]                 print events as newline-delimited JSON until the player exits
+  <method> [arguments]             any other OmxPlayer method, e.g. getSource or setVolumeDb -6
+
+Options:
+  -n, --name <name>                D-Bus name of the player, omxplayer1 is short for
+                                   org.mpris.MediaPlayer2.omxplayer1
+  --bus <file>                     file with the bus address (default /tmp/omxplayerdbus.<user>)
+  --call-timeout <ms>              how long a call may take (default 5000)
+  --json                           print results as JSON
+  -h, --help                       show this help
+`;
+
+// options of omxctl, taken before the command in any form, after it in the long form only,
+// as omxplayer has short options of its own
+const GLOBAL_OPTIONS = {
+    '-n': 'name',
+    '--name': 'name',
+    '--bus': 'bus',
+    '--call-timeout': 'callTimeout',
+    '--json': 'json',
+    '-h': 'help',
+    '--help': 'help'
+};
+const VALUE_OPTIONS = ['name', 'bus', 'callTimeout'];
+
+function usage(message) {
+    return new OmxInvalidArgumentError(message, {argument: 'argv'});
+}
+
+// '--name=value' to ['--name', 'value'], anything else to [arg, null]
+function splitOption(arg) {
+    let match = /^(--[^=]+)=(.*)$/.exec(arg);
+    return match ? [match[1], match[2]] : [arg, null];
+}
+
+// Splits argv into {command, args, flags}, flags holding the options of omxctl.
+function parseArgs(argv) {
+    let flags = {name: null, bus: null, callTimeout: null, json: false, help: false};
+    let command = null;
+    let args = [];
+    for (let i = 0; i < argv.length; i++) {
+        let [key, value] = splitOption(argv[i]);
+        let flag = GLOBAL_OPTIONS[key];
+        if (flag && (command === null || key.indexOf('--') === 0)) {
+            if (VALUE_OPTIONS.indexOf(flag) === -1) {
+                flags[flag] = true;
+                continue;
+            }
+            if (value === null) value = argv[++i];
+            if (value === undefined) throw usage(`${key} needs a value`);
+            flags[flag] = value;
+        } else if (command === null) {
+            if (/^-./.test(key)) throw usage(`unknown option "${key}"`);
+            command = key;
+        } else {
+            args.push(argv[i]);
+        }
+    }
+    if (flags.callTimeout !== null) {
+        flags.callTimeout = Number(flags.callTimeout);
+        if (!(flags.callTimeout >= 0)) throw usage('--call-timeout must be a number of ms');
+    }
+    return {command, args, flags};
+}
+
+// Splits the arguments of open into {file, options, watch}, options as for open(). The values of
+// omxplayer's options stay strings, buildArgs() validates them.
+function parseOpenArgs(args) {
+    let result = {file: null, options: {}, watch: false};
+    for (let i = 0; i < args.length; i++) {
+        let [key, value] = splitOption(args[i]);
+        if (!/^-./.test(key)) {
+            if (result.file !== null) throw usage(`unexpected argument "${key}"`);
+            result.file = key;
+            continue;
+        }
+        if (key === '--watch') {
+            result.watch = true;
+            continue;
+        }
+        let name = resolveName(key.replace(/^--?/, ''));
+        if (!name) throw usage(`unknown option "${key}"`);
+        if (SCHEMA[name].type === 'flag') {
+            result.options[name] = true;
+            continue;
+        }
+        // the value may start with a dash, e.g. --vol -600
+        if (value === null) value = args[++i];
+        if (value === undefined) throw usage(`${key} needs a value`);
+        result.options[name] = value;
+    }
+    if (result.file === null) throw usage('open needs a file');
+    return result;
+}
+
+// 'omxplayer1' to 'org.mpris.MediaPlayer2.omxplayer1', full names stay as they are
+function dbusName(name) {
+    return (name.indexOf('.') === -1) ? DBUS_NAME_PREFIX + name : name;
+}
+
+function busOptions(flags) {
+    return flags.bus ? {dbusAddressFile: flags.bus} : {};
+}
+
+function playerOptions(flags) {
+    let options = busOptions(flags);
+    if (flags.callTimeout !== null) options.callTimeout = flags.callTimeout;
+    return options;
+}
+
+// Attaches to the player given with --name, or to the only one on the bus.
+function attach(flags) {
+    let named = flags.name ? Promise.resolve(dbusName(flags.name)) : OmxPlayer.list(busOptions(flags)).then((players) => {
+        if (!players.length) throw new OmxNotRunningError('no omxplayer is running');
+        if (players.length > 1) {
+            throw usage(`${players.length} players are running, pick one with --name: ${players.map((player) => player.name).join(', ')}`);
+        }
+        return players[0].name;
+    });
+    return named.then((name) => OmxPlayer.attach(name, playerOptions(flags)));
+}
+
+function number(value, name) {
+    let result = (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+    if (!isFinite(result)) throw usage(`${name} must be a number, not "${value}"`);
+    return result;
+}
+
+// 0.5 is linear, 50% percent, anything else is left to toLinear(), e.g. "-6dB"
+function parseVolumeArg(value) {
+    let percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+    let volume = percent ? toLinear({percent: Number(percent[1])}) : toLinear(isFinite(Number(value)) ? Number(value) : value);
+    if (isNaN(volume)) throw usage(`invalid volume "${value}", expected e.g. 0.5, 50% or -6dB`);
+    return volume;
+}
+
+// "x1,y1,x2,y2" or four arguments
+function rectangle(args) {
+    let result = parseRectangle(args.join(' '));
+    if (!result) throw usage('expected x1,y1,x2,y2 with x1 <= x2 and y1 <= y2');
+    return result;
+}
+
+// JSON where it parses, the string otherwise
+function parseValue(value) {
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+// Prints the events of player as newline-delimited JSON {event, time, player, data} until it exits.
+// Resolves with the close event, {code, signal, reason, fatal}.
+function watch(player, interval, io) {
+    return new Promise((resolve) => {
+        for (let event of Server.PLAYER_EVENTS) {
+            player.on(event, (...args) => {
+                let data = (event === 'close') ? args[1] : args[0];
+                if (data instanceof Error) data = {name: data.name, message: data.message};
+                let line = {event, time: Date.now(), player: player.dbusName, data: (data === undefined) ? null : data};
+                io.stdout.write(`${JSON.stringify(line)}\n`);
+                if (event === 'close') resolve(data);
+            });
+        }
+        player.startMonitor(interval);
+    });
+}
+
+// Starts omxplayer in the foreground, it is killed with omxctl. The exit code tells whether it
+// ended or quit (0), quit including omxplayer's exit code 3 after a quit or stop from anywhere, or failed (1).
+function open(args, context) {
+    let {file, options, watch: watching} = parseOpenArgs(args);
+    let flags = context.flags;
+    let constructorOptions = Object.assign(playerOptions(flags), {killOnExit: true});
+    if (flags.name) constructorOptions.dbusName = dbusName(flags.name);
+
+    let player = new OmxPlayer(constructorOptions);
+    let closed = watching ? watch(player, undefined, context.io) : new Promise((resolve) => {
+        player.once('close', (code, exit) => resolve(exit));
+    });
+    return player.open(file, options).then(() => closed).then((exit) => {
+        context.exitCode = (exit.reason === 'ended' || exit.reason === 'quit') ? EXIT_OK : EXIT_FAILURE;
+        // the events said it all already
+        return watching ? undefined : exit;
+    });
+}
+
+// runs method without arguments
+function call(method) {
+    return (player) => player[method]();
+}
+
+// Commands that don't need a player have attach: false and get (args, context), the others
+// get (player, args, context).
+const COMMANDS = {
+    list: {attach: false, run: (args, {flags}) => OmxPlayer.list(busOptions(flags))},
+    open: {attach: false, run: open},
+    status: {run: call('getState')},
+    play: {run: call('play')},
+    pause: {run: call('pause')},
+    toggle: {run: call('playPause')},
+    stop: {run: call('stop')},
+    quit: {run: call('quit')},
+    next: {run: call('next')},
+    previous: {run: call('previous')},
+    mute: {run: call('mute')},
+    unmute: {run: call('unmute')},
+    hidevideo: {run: call('hideVideo')},
+    unhidevideo: {run: call('unhideVideo')},
+    tracks: {run: call('getTracks')},
+    stats: {run: call('getProcessStats')},
+    seek: {run: (player, [offset]) => player.seek(number(offset, 'offset'))},
+    position: {
+        run: (player, [time]) => {
+            if (time === undefined) return player.getPosition();
+            let seconds = parseTime(time);
+            if (isNaN(seconds)) throw usage(`invalid position "${time}", expected seconds or hh:mm:ss`);
+            return player.setPosition(seconds);
+        }
+    },
+    volume: {
+        run: (player, [volume]) => {
+            if (volume === undefined) return player.getVolume().then(volumeLevels);
+            if (volume === 'up') return player.volumeUp();
+            if (volume === 'down') return player.volumeDown();
+            return player.setVolume(parseVolumeArg(volume)).then(volumeLevels);
+        }
+    },
+    rate: {run: (player, [rate]) => (rate === undefined) ? player.getRate() : player.setRate(number(rate, 'rate'))},
+    audio: {
+        run: (player, [track]) => {
+            if (track === undefined) throw usage('audio needs an index or a language');
+            return /^\d+$/.test(track) ? player.selectAudio(Number(track)) : player.selectAudioByLanguage(track);
+        }
+    },
+    subtitle: {
+        run: (player, [track]) => {
+            if (track === undefined) throw usage('subtitle needs an index, a language, on or off');
+            if (track === 'on') return player.showSubtitles();
+            if (track === 'off') return player.hideSubtitles();
+            return /^\d+$/.test(track) ? player.selectSubtitle(Number(track)) : player.selectSubtitleByLanguage(track);
+        }
+    },
+    alpha: {run: (player, [alpha]) => player.setAlpha(number(alpha, 'alpha'))},
+    layer: {run: (player, [layer]) => player.setLayer(number(layer, 'layer'))},
+    videopos: {run: (player, args) => player.setVideoPos(...rectangle(args))},
+    crop: {run: (player, args) => player.setVideoCropPos(...rectangle(args))},
+    aspect: {run: (player, [mode]) => player.setAspectMode(mode)},
+    action: {run: (player, [action]) => player.action(/^\d+$/.test(action) ? Number(action) : action)},
+    watch: {
+        run: (player, [interval], {io}) => {
+            return watch(player, (interval !== undefined) ? number(interval, 'interval') : undefined, io).then(() => undefined);
+        }
+    }
+};
+
+// The command of that name, or one running the OmxPlayer method of that name.
+function findCommand(name) {
+    if (Object.prototype.hasOwnProperty.call(COMMANDS, name)) return COMMANDS[name];
+    let method = OmxPlayer.prototype[name];
+    if (typeof method !== 'function' || name[0] === '_' || name === 'constructor') return null;
+    return {run: (player, args) => player[name](...args.map(parseValue))};
+}
+
+function format(value) {
+    return (value !== null && typeof value === 'object') ? JSON.stringify(value) : String(value);
+}
+
+function print(result, flags, io) {
+    if (result === undefined) return;
+    if (flags.json) return io.stdout.write(`${JSON.stringify(result)}\n`);
+    if (result === null) return;
+    let lines;
+    if (Array.isArray(result)) lines = result.map(format);
+    else if (typeof result === 'object') lines = Object.keys(result).map((key) => `${key}: ${format(result[key])}`);
+    else lines = [String(result)];
+    if (lines.length) io.stdout.write(`${lines.join('\n')}\n`);
+}
+
+// Runs omxctl with the arguments argv (without node and the script), io holds the stdout and stderr
+// streams (default those of the process). Resolves with the exit code.
+function run(argv, io) {
+    io = io || process;
+    let context = {io, flags: null, exitCode: EXIT_OK};
+    let player = null;
+
+    return Promise.resolve().then(() => {
+        let {command, args, flags} = parseArgs(argv);
+        context.flags = flags;
+        if (flags.help) {
+            io.stdout.write(USAGE);
+            return undefined;
+        }
+        if (command === null) throw usage(`a command is missing\n\n${USAGE}`);
+        let entry = findCommand(command);
+        if (!entry) throw usage(`unknown command "${command}", see omxctl --help`);
+
+        if (entry.attach === false) return entry.run(args, context);
+        return attach(flags).then((attached) => {
+            player = attached;
+            return entry.run(player, args, context);
+        });
+    }).then((result) => {
+        if (player) player.detach();
+        print(result, context.flags, io);
+        return context.exitCode;
+    }, (err) => {
+        if (player) player.detach();
+        io.stderr.write(`omxctl: ${err.message || err}\n`);
+        return (err instanceof OmxInvalidArgumentError) ? EXIT_USAGE : EXIT_FAILURE;
+    });
+}
+
+module.exports = {
+    USAGE,
+    parseArgs,
+    parseOpenArgs,
+    run
+};
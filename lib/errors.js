@@ -0,0 +1,112 @@
+// errors.js
+//
+// Errors passed to callbacks and promise rejections. All of them extend OmxError and carry
+//      member      the D-Bus member that was called, if any
+//      interface   the D-Bus interface of that member
+//      instance    the instance number of the OmxPlayer
+//      cause       the underlying error (a D-Bus error body, an errno error, ...)
+// and emitError(), which the modules report errors through that happen outside of any call.
+
+"use strict";
+
+class OmxError extends Error {
+
+    constructor(message, details) {
+        super(message);
+        details = details || {};
+        this.name = this.constructor.name;
+        this.member = details.member || null;
+        this.interface = details.interface || null;
+        this.instance = (details.instance !== undefined) ? details.instance : null;
+        this.cause = (details.cause !== undefined) ? details.cause : null;
+    }
+}
+
+// The player is not running: open() was never called, or the process has exited or was killed.
+class OmxNotRunningError extends OmxError {
+
+    constructor(message, details) {
+        super(message || 'Not running', details);
+    }
+}
+
+// The omxplayer process could not be found, killed or exited before it was ready.
+// exitCode and stderr are set when the process exited, reason and fatal when omxplayer printed
+// a fatal error before (see OutputParser.js).
+class OmxProcessError extends OmxError {
+
+    constructor(message, details) {
+        details = details || {};
+        super(message, details);
+        this.exitCode = (details.exitCode !== undefined) ? details.exitCode : null;
+        this.stderr = details.stderr || '';
+        this.reason = details.reason || null;
+        this.fatal = details.fatal || null;
+    }
+}
+
+// A D-Bus call failed or the bus could not be reached. errorName is the D-Bus error name
+// (e.g. org.freedesktop.DBus.Error.ServiceUnknown) when the bus answered with an error.
+class OmxDBusError extends OmxError {
+
+    constructor(message, details) {
+        details = details || {};
+        super(message, details);
+        this.errorName = details.errorName || null;
+    }
+}
+
+// Waiting for the player took longer than timeout ms.
+class OmxTimeoutError extends OmxError {
+
+    constructor(message, details) {
+        details = details || {};
+        super(message, details);
+        this.timeout = (details.timeout !== undefined) ? details.timeout : null;
+        this.stderr = details.stderr || '';
+    }
+}
+
+// The call was aborted through the AbortSignal passed with it, cause is the reason of the signal.
+// code is ABORT_ERR like for the AbortErrors of node.
+class OmxAbortError extends OmxError {
+
+    constructor(message, details) {
+        super(message || 'The operation was aborted', details);
+        this.code = 'ABORT_ERR';
+    }
+}
+
+// An argument or option was rejected, either by OmxPlayer or by omxplayer (e.g. a seek past the end).
+class OmxInvalidArgumentError extends OmxError {
+
+    constructor(message, details) {
+        details = details || {};
+        super(message, details);
+        this.argument = (details.argument !== undefined) ? details.argument : null;
+    }
+}
+
+// Emits err as error on emitter. Without listeners it is thrown like an unhandled error event, but on
+// a fresh stack: the modules report errors from timers, listeners and promise chains, which a throw from
+// there would leave half done or turn into an unhandled rejection.
+function emitError(emitter, err) {
+    if (emitter.listenerCount('error')) {
+        emitter.emit('error', err);
+    } else {
+        setImmediate(() => {
+            throw err;
+        });
+    }
+}
+
+module.exports = {
+    emitError,
+    OmxError,
+    OmxNotRunningError,
+    OmxProcessError,
+    OmxDBusError,
+    OmxTimeoutError,
+    OmxAbortError,
+    OmxInvalidArgumentError
+};
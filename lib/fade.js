@@ -0,0 +1,158 @@
+// fade.js
+//
+// Timed ramps for OmxPlayer.fadeVolume() and crossfade().
+// A Fade calls its step function with the eased progress (0 to 1) every STEP_INTERVAL ms until the
+// duration is over, waiting for each step to finish before the next one, and always ends with a
+// step at 1 unless it is cancelled. A player runs one fade at a time: starting another fade,
+// setting the volume, cancelFade(), kill() or the exit of the player cancel the running one,
+// which then resolves with false and leaves the volume where it was. A completed fade resolves
+// with true, a fade whose D-Bus call fails rejects with that error.
+
+"use strict";
+
+const {OmxInvalidArgumentError} = require('./errors');
+const {mixVolume} = require('./volume');
+
+const STEP_INTERVAL = 50;
+
+const EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => (t < 0.5) ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)
+};
+
+// Returns the easing function for a name of EASINGS or a function, linear if none is given.
+function resolveEasing(easing) {
+    if (easing == null) return EASINGS.linear;
+    if (typeof easing === 'function') return easing;
+    if (typeof easing === 'string' && Object.prototype.hasOwnProperty.call(EASINGS, easing)) return EASINGS[easing];
+    throw new OmxInvalidArgumentError(`unknown easing ${JSON.stringify(easing)}, expected a function or one of ${Object.keys(EASINGS).join(', ')}`, {
+        argument: easing
+    });
+}
+
+class Fade {
+
+    // signal: an AbortSignal that cancels the fade
+    constructor(duration, easing, signal) {
+        if (typeof duration !== 'number' || !(duration >= 0)) {
+            throw new OmxInvalidArgumentError(`invalid fade duration ${duration}`, {argument: duration});
+        }
+        this.duration = duration;
+        this.easing = resolveEasing(easing);
+        this.signal = signal || null;
+        this.cancelled = false;
+        this.finish = null;
+    }
+
+    // Resolves with true once the last step is done, with false as soon as the fade is cancelled.
+    // Rejects if a step fails.
+    run(step) {
+        let onAbort = () => this.cancel();
+        let done = new Promise((resolve, reject) => {
+            this.finish = resolve;
+            if (this.signal) {
+                if (this.signal.aborted) return this.cancel();
+                this.signal.addEventListener('abort', onAbort);
+            }
+            let start = Date.now();
+            let next = () => {
+                if (this.cancelled) return;
+                let time = (this.duration > 0) ? Math.min(1, (Date.now() - start) / this.duration) : 1;
+                Promise.resolve().then(() => step(this.easing(time))).then(() => {
+                    if (this.cancelled) return;
+                    if (time >= 1) return resolve(true);
+                    setTimeout(next, STEP_INTERVAL);
+                }, (err) => {
+                    if (!this.cancelled) reject(err);
+                });
+            };
+            next();
+        });
+        if (!this.signal) return done;
+        let cleanup = () => this.signal.removeEventListener('abort', onAbort);
+        return done.then((completed) => {
+            cleanup();
+            return completed;
+        }, (err) => {
+            cleanup();
+            throw err;
+        });
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        if (this.finish) this.finish(false);
+    }
+}
+
+// Fades from out and to in over duration ms. The volume of from goes down to 0 and the one of to
+// up to options.volume (default: the volume of from). Unless options.alpha is false the alpha of
+// from goes from 255 to 0 and the one of to from 0 to 255, the layer of to should be above from.
+// options.easing is applied to both, aborting options.signal cancels the crossfade.
+// Both players keep running, kill from when it is no longer needed.
+// The crossfade counts as the running fade of both players and is cancelled like one.
+function crossfade(from, to, duration, options, cb) {
+    if (typeof options === 'function') {
+        cb = options;
+        options = null;
+    }
+    options = options || {};
+
+    let fade;
+    try {
+        fade = new Fade(duration, options.easing, options.signal);
+    } catch (err) {
+        if (cb) cb(err, null);
+        return Promise.reject(err);
+    }
+    from._startFade(fade);
+    to._startFade(fade);
+
+    let alpha = options.alpha !== false;
+    let start = null;
+    let target = (typeof options.volume === 'number') ? options.volume : null;
+
+    let done = fade.run((progress) => {
+        let read = (start === null) ? from.getVolume().then((volume) => {
+            start = volume;
+            if (target === null) target = volume;
+        }) : Promise.resolve();
+
+        return read.then(() => Promise.all([
+            from._setVolume(mixVolume(start, 0, progress)),
+            to._setVolume(mixVolume(0, target, progress)),
+            alpha ? from.setAlpha(Math.round(255 * (1 - progress))) : null,
+            alpha ? to.setAlpha(Math.round(255 * progress)) : null
+        ]));
+    });
+
+    let finished = (result) => {
+        from._endFade(fade);
+        to._endFade(fade);
+        return result;
+    };
+    done = done.then(finished, (err) => {
+        finished();
+        throw err;
+    });
+
+    if (!cb) return done;
+    return done.then((completed) => {
+        cb(null, completed);
+        return completed;
+    }, (err) => {
+        cb(err, null);
+        throw err;
+    });
+}
+
+module.exports = {
+    STEP_INTERVAL,
+    EASINGS,
+    resolveEasing,
+    Fade,
+    crossfade
+};
@@ -0,0 +1,266 @@
+// options.js
+//
+// Schema of the omxplayer command line options, see `omxplayer --help` and
+// https://github.com/popcornmix/omxplayer#synopsis
+// buildArgs() validates the options passed to open() and turns them into arguments for spawn(),
+// so a typo or a malformed value is reported before a process is started.
+
+"use strict";
+
+const {OmxInvalidArgumentError} = require('./errors');
+
+const AUDIO_DEVICES = ['hdmi', 'local', 'both', 'alsa'];
+const ASPECT_MODES = ['letterbox', 'fill', 'stretch'];
+const ORIENTATIONS = [0, 90, 180, 270];
+const ALIGNMENTS = ['left', 'center'];
+const STEREO_MODES = ['SBS', 'TB', 'FP'];
+const LAYOUTS = ['2.0', '2.1', '3.0', '3.1', '4.0', '4.1', '5.0', '5.1', '7.0', '7.1'];
+
+// key: long option name as used by omxplayer
+//      type   how the value is validated and serialized, see TYPES
+//      alias  short option of omxplayer, accepted as key as well
+const SCHEMA = {
+    // audio
+    'adev': {type: 'audioDevice', alias: 'o'},
+    'passthrough': {type: 'flag', alias: 'p'},
+    'hw': {type: 'flag', alias: 'w'},
+    'vol': {type: 'volume'},
+    'amp': {type: 'volume'},
+    'no-boost-on-downmix': {type: 'flag'},
+    'layout': {type: 'enum', values: LAYOUTS},
+    'aidx': {type: 'integer', min: 0, alias: 'n'},
+    'audio_fifo': {type: 'number', min: 0},
+    'audio_queue': {type: 'number', min: 0},
+
+    // video
+    'win': {type: 'rectangle'},
+    'crop': {type: 'rectangle'},
+    'aspect-mode': {type: 'enum', values: ASPECT_MODES},
+    'orientation': {type: 'enum', values: ORIENTATIONS},
+    'layer': {type: 'integer'},
+    'alpha': {type: 'integer', min: 0, max: 255},
+    'display': {type: 'integer', min: 0},
+    'deinterlace': {type: 'flag', alias: 'd'},
+    'nodeinterlace': {type: 'flag'},
+    'nativedeinterlace': {type: 'flag'},
+    'anaglyph': {type: 'integer', min: 0},
+    '3d': {type: 'enum', values: STEREO_MODES, alias: '3'},
+    'allow-mvc': {type: 'flag', alias: 'M'},
+    'hdmiclocksync': {type: 'flag', alias: 'y'},
+    'nohdmiclocksync': {type: 'flag', alias: 'z'},
+    'refresh': {type: 'flag', alias: 'r'},
+    'fps': {type: 'number', min: 0, exclusive: true},
+    'blank': {type: 'flag', alias: 'b'},
+    'video_fifo': {type: 'number', min: 0},
+    'video_queue': {type: 'number', min: 0},
+
+    // playback
+    'pos': {type: 'time', alias: 'l'},
+    'loop': {type: 'flag'},
+    'live': {type: 'flag'},
+    'threshold': {type: 'number', min: 0},
+    'timeout': {type: 'number', min: 0},
+    'advanced': {type: 'flag'},
+    'cookie': {type: 'string'},
+    'user-agent': {type: 'string'},
+    'lavfdopts': {type: 'string'},
+    'avdict': {type: 'string'},
+
+    // subtitles
+    'subtitles': {type: 'string'},
+    'sid': {type: 'integer', min: 0, alias: 't'},
+    'font': {type: 'string'},
+    'italic-font': {type: 'string'},
+    'font-size': {type: 'integer', min: 1},
+    'align': {type: 'enum', values: ALIGNMENTS},
+    'lines': {type: 'integer', min: 1},
+    'no-ghost-box': {type: 'flag'},
+
+    // interface
+    'no-osd': {type: 'flag'},
+    'no-keys': {type: 'flag'},
+    'key-config': {type: 'string'},
+    'genlog': {type: 'flag', alias: 'g'},
+    'stats': {type: 'flag', alias: 's'},
+    'with-info': {type: 'flag', alias: 'I'},
+
+    // set by OmxPlayer itself
+    'dbus_name': {type: 'reserved'}
+};
+
+// short options and camelCase spellings (aspectMode, noOsd, ...) resolve to the long option name
+const ALIASES = {};
+for (let name of Object.keys(SCHEMA)) {
+    if (SCHEMA[name].alias) ALIASES[SCHEMA[name].alias] = name;
+    let camelCase = name.replace(/[-_]([a-z0-9])/g, (match, c) => c.toUpperCase());
+    if (camelCase !== name) ALIASES[camelCase] = name;
+}
+
+function describe(value) {
+    return (typeof value === 'string') ? `"${value}"` : JSON.stringify(value);
+}
+
+function invalid(name, value, expected) {
+    return new OmxInvalidArgumentError(`invalid value ${describe(value)} for option "${name}", expected ${expected}`, {argument: name});
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+function checkRange(name, value, spec, expected) {
+    let number = toNumber(value);
+    if (!isFinite(number)) throw invalid(name, value, expected);
+    if (spec.min !== undefined && (spec.exclusive ? number <= spec.min : number < spec.min)) {
+        throw invalid(name, value, `${expected} ${spec.exclusive ? '>' : '>='} ${spec.min}`);
+    }
+    if (spec.max !== undefined && number > spec.max) throw invalid(name, value, `${expected} <= ${spec.max}`);
+    return number;
+}
+
+// Seconds as number, or "hh:mm:ss" / "mm:ss" / "ss" as string. Returns the number of seconds.
+function parseTime(value) {
+    if (typeof value === 'number') return (isFinite(value) && value >= 0) ? value : NaN;
+    if (typeof value !== 'string' || !/^\d+(\.\d+)?(:\d+(\.\d+)?){0,2}$/.test(value.trim())) return NaN;
+    let parts = value.trim().split(':').map(Number);
+    if (parts.slice(1).some((part) => part >= 60)) return NaN;
+    return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+function formatTime(seconds) {
+    seconds = Math.floor(seconds);
+    let pad = (n) => (n < 10 ? '0' : '') + n;
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// Millibels as number, "-6dB" / "-600mB" as string or {linear: 0.5} / {dB: -6} / {mB: -600}.
+// Returns the volume in millibels.
+function parseVolume(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string') {
+        let match = /^\s*([-+]?\d+(?:\.\d+)?)\s*(dB|mB)?\s*$/i.exec(value);
+        if (!match) return NaN;
+        let number = parseFloat(match[1]);
+        return (match[2] && match[2].toLowerCase() === 'db') ? number * 100 : number;
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.linear === 'number') return value.linear > 0 ? 2000.0 * Math.log10(value.linear) : NaN;
+        if (typeof value.dB === 'number') return value.dB * 100;
+        if (typeof value.mB === 'number') return value.mB;
+    }
+    return NaN;
+}
+
+// [x1, y1, x2, y2], {x1, y1, x2, y2} or "x1,y1,x2,y2" / "x1 y1 x2 y2". Returns the four numbers.
+function parseRectangle(value) {
+    if (typeof value === 'string') value = value.trim().split(/\s*[ ,]\s*/).map(toNumber);
+    else if (value && !Array.isArray(value) && typeof value === 'object') value = [value.x1, value.y1, value.x2, value.y2];
+    if (!Array.isArray(value) || value.length !== 4 || !value.every((n) => typeof n === 'number' && isFinite(n))) return null;
+    if (value[2] < value[0] || value[3] < value[1]) return null;
+    return value;
+}
+
+// Each type returns the serialized value of the option, or null for flags that take no value.
+const TYPES = {
+    flag(name, value) {
+        if (typeof value !== 'boolean') throw invalid(name, value, 'true or false');
+        return null;
+    },
+
+    string(name, value) {
+        if (typeof value !== 'string' || !value.length) throw invalid(name, value, 'a non-empty string');
+        return value;
+    },
+
+    integer(name, value, spec) {
+        let number = checkRange(name, value, spec, 'an integer');
+        if (number % 1 !== 0) throw invalid(name, value, 'an integer');
+        return String(number);
+    },
+
+    number(name, value, spec) {
+        return String(checkRange(name, value, spec, 'a number'));
+    },
+
+    enum(name, value, spec) {
+        let match = spec.values.filter((allowed) => String(allowed).toLowerCase() === String(value).toLowerCase());
+        if (!match.length || (typeof value !== 'string' && typeof value !== 'number')) {
+            throw invalid(name, value, `one of ${spec.values.join(', ')}`);
+        }
+        return String(match[0]);
+    },
+
+    audioDevice(name, value) {
+        // alsa takes an optional device, e.g. "alsa:hw:1,0"
+        let device = (typeof value === 'string') ? value.split(':')[0] : null;
+        if (AUDIO_DEVICES.indexOf(device) === -1 || (device !== 'alsa' && value !== device)) {
+            throw invalid(name, value, `one of ${AUDIO_DEVICES.join(', ')} or alsa:<device>`);
+        }
+        return value;
+    },
+
+    volume(name, value) {
+        let millibels = parseVolume(value);
+        if (!isFinite(millibels)) throw invalid(name, value, 'millibels, a "dB"/"mB" string or {linear: n}');
+        return String(Math.round(millibels));
+    },
+
+    time(name, value) {
+        let seconds = parseTime(value);
+        if (!isFinite(seconds)) throw invalid(name, value, 'seconds >= 0 or "hh:mm:ss"');
+        return formatTime(seconds);
+    },
+
+    rectangle(name, value) {
+        let rectangle = parseRectangle(value);
+        if (!rectangle) throw invalid(name, value, '[x1, y1, x2, y2] with x1 <= x2 and y1 <= y2');
+        return rectangle.join(',');
+    },
+
+    reserved(name) {
+        throw new OmxInvalidArgumentError(`option "${name}" is set by OmxPlayer and cannot be passed to open()`, {argument: name});
+    }
+};
+
+// Resolves short and camelCase option names. Returns undefined for unknown options.
+function resolveName(key) {
+    if (SCHEMA[key]) return key;
+    return ALIASES[key];
+}
+
+// Validates options and returns the command line arguments for omxplayer.
+// Options set to false, null or undefined are left out. Throws an OmxInvalidArgumentError on the first invalid option.
+function buildArgs(options) {
+    if (options == null) return [];
+    if (typeof options !== 'object' || Array.isArray(options)) throw new OmxInvalidArgumentError('options must be an object', {argument: 'options'});
+
+    let args = [];
+    let seen = {};
+    for (let key of Object.keys(options)) {
+        let value = options[key];
+        let name = resolveName(key);
+        if (!name) throw new OmxInvalidArgumentError(`unknown option "${key}"`, {argument: key});
+        if (seen[name]) throw new OmxInvalidArgumentError(`option "${name}" is given twice (as "${seen[name]}" and "${key}")`, {argument: key});
+        seen[name] = key;
+
+        if (value === false || value == null) continue;
+
+        let spec = SCHEMA[name];
+        let serialized = TYPES[spec.type](name, value, spec);
+        args.push(`--${name}`);
+        if (serialized !== null) args.push(serialized);
+    }
+    return args;
+}
+
+module.exports = {
+    SCHEMA,
+    resolveName,
+    buildArgs,
+    parseTime,
+    formatTime,
+    parseVolume,
+    parseRectangle
+};
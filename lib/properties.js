@@ -0,0 +1,90 @@
+// properties.js
+//
+// dbus-native hands out variants as [signature, [value]], the signature parsed into a tree of
+// {type, child} nodes, and dictionaries (a{sv}) as arrays of [key, variant] pairs, e.g. Metadata:
+//      [['mpris:length', [[{type: 'x', child: []}], [60000000]]], ['xesam:url', ...]]
+// These helpers turn them into plain values and objects, and build the snapshot of getState().
+
+"use strict";
+
+// the properties getState() reads
+const STATE_PROPERTIES = [
+    'PlaybackStatus',
+    'Position',
+    'Duration',
+    'Volume',
+    'Rate',
+    'Metadata',
+    'Aspect',
+    'ResWidth',
+    'ResHeight'
+];
+
+// Decodes value of the type described by the signature node.
+function decodeValue(node, value) {
+    if (!node) return value;
+    switch (node.type) {
+        case 'v':
+            return decodeVariant(value);
+        case 'a': {
+            let item = node.child[0];
+            if (item && item.type === '{') {
+                let result = {};
+                for (let [key, entry] of value) {
+                    result[key] = decodeValue(item.child[1], entry);
+                }
+                return result;
+            }
+            return value.map((entry) => decodeValue(item, entry));
+        }
+        case '(':
+            return value.map((entry, index) => decodeValue(node.child[index], entry));
+        default:
+            return value;
+    }
+}
+
+// [signature, [value]] to value
+function decodeVariant(variant) {
+    if (!Array.isArray(variant) || variant.length !== 2) return variant;
+    let [signature, values] = variant;
+    return decodeValue(signature[0], values[0]);
+}
+
+// [[key, variant]] (a{sv}) to {key: value}
+function decodeDict(entries) {
+    let result = {};
+    for (let [key, variant] of entries || []) {
+        result[key] = decodeVariant(variant);
+    }
+    return result;
+}
+
+// Builds the state from the decoded properties {PlaybackStatus, Position, ...}, missing ones are null.
+// Position and Duration are turned from microseconds into seconds.
+function toState(properties, timestamp) {
+    let value = (name) => (properties[name] !== undefined) ? properties[name] : null;
+    let seconds = (name) => (typeof properties[name] === 'number') ? properties[name] / 1e6 : null;
+    let status = value('PlaybackStatus');
+    return {
+        status,
+        playing: status === 'Playing',
+        paused: status === 'Paused',
+        position: seconds('Position'),
+        duration: seconds('Duration'),
+        volume: value('Volume'),
+        rate: value('Rate'),
+        metadata: value('Metadata'),
+        aspect: value('Aspect'),
+        width: value('ResWidth'),
+        height: value('ResHeight'),
+        timestamp
+    };
+}
+
+module.exports = {
+    STATE_PROPERTIES,
+    decodeVariant,
+    decodeDict,
+    toState
+};
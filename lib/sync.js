@@ -0,0 +1,323 @@
+// sync.js
+//
+// Keeps several players frame-aligned, e.g. the screens of a video wall, on one Pi or on several.
+// A SyncMaster reads the position of its player every interval ms and publishes it as a sample
+//      {type, group, position, time, rate, playing, duration, loop}
+// to the followers in this process and, given a port, as UDP datagram on the LAN (broadcast or multicast).
+// A SyncFollower compares the position of its player with the master's timeline at the same moment.
+// The drift (follower minus master, in seconds) is corrected by nudging the rate of the follower while it
+// is small, and by setPosition() once it reaches seekThreshold. For looped content the drift is taken
+// modulo the duration, so a follower that wrapped around to the start first isn't a whole loop behind.
+// Samples received over UDP are dated by their arrival, so the clocks of the Pis don't need to agree;
+// the latency option accounts for the network where it matters.
+
+"use strict";
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+
+const MESSAGE_TYPE = 'omxplayer-sync';
+const DEFAULT_GROUP = 'default';
+const DEFAULT_ADDRESS = '255.255.255.255';
+const DEFAULT_INTERVAL = 500;
+const DEFAULT_TOLERANCE = 0.02;
+const DEFAULT_SEEK_THRESHOLD = 1;
+const DEFAULT_GAIN = 0.5;
+const DEFAULT_MAX_NUDGE = 0.05;
+const DEFAULT_SETTLE = 1000;
+
+function option(options, name, fallback) {
+    return (typeof options[name] === 'number') ? options[name] : fallback;
+}
+
+// Reads the position of player with the time (Date.now()) it was read at, the middle of the call.
+function readPosition(player) {
+    let start = Date.now();
+    return player.getPosition().then((position) => ({position, time: (start + Date.now()) / 2}));
+}
+
+// The position on the timeline of sample at time, wrapped around for looped content.
+function timelineAt(sample, time) {
+    let position = sample.position;
+    if (sample.playing) position += (time - sample.time) / 1000 * sample.rate;
+    if (sample.loop && sample.duration > 0) position = ((position % sample.duration) + sample.duration) % sample.duration;
+    return position;
+}
+
+// position - expected, within +-duration / 2 when looping.
+function measureDrift(position, expected, duration, loop) {
+    let drift = position - expected;
+    if (loop && duration > 0) {
+        drift = ((drift % duration) + duration) % duration;
+        if (drift > duration / 2) drift -= duration;
+    }
+    return drift;
+}
+
+// Creates a UDP socket, bound to port if one is given, and resolves with it once it is ready.
+function openSocket(port, address) {
+    let socket = dgram.createSocket({type: 'udp4', reuseAddr: true});
+    return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.bind(port, () => {
+            socket.removeListener('error', reject);
+            // a datagram that couldn't be sent or received is as good as lost on the way
+            socket.on('error', () => {});
+            socket.setBroadcast(true);
+            // a multicast group has to be joined to receive from it
+            if (port && address && /^2(2[4-9]|3\d)\./.test(address)) socket.addMembership(address);
+            resolve(socket);
+        });
+    });
+}
+
+// Publishes the timeline of player to SyncFollowers.
+// Events:
+//      sample (sample)    a sample was taken, see the top of this file
+class SyncMaster extends EventEmitter {
+
+    // options: interval  ms between samples (default 500)
+    //          group     name that keeps walls on the same LAN apart (default 'default')
+    //          port      UDP port to send the samples to, without one they stay in this process
+    //          address   broadcast or multicast address to send them to (default 255.255.255.255)
+    constructor(player, options) {
+        super();
+        options = options || {};
+
+        this.player = player;
+        this.interval = option(options, 'interval', DEFAULT_INTERVAL);
+        this.group = options.group || DEFAULT_GROUP;
+        this.port = options.port || null;
+        this.address = options.address || DEFAULT_ADDRESS;
+
+        this.running = false;
+        this.timer = null;
+        this.socket = null;
+        this.sampling = false;
+        this.sample = null;
+        this.duration = null;
+        this.durationProcess = null;
+    }
+
+    // Starts sampling, resolves once the socket is ready.
+    start() {
+        if (this.running) return Promise.resolve();
+        this.running = true;
+        let ready = this.port ? openSocket(0).then((socket) => this.socket = socket) : Promise.resolve();
+        return ready.then(() => {
+            if (this.running) this._tick();
+        }, (err) => {
+            this.running = false;
+            throw err;
+        });
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.socket) this.socket.close();
+        this.socket = null;
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _schedule() {
+        this.timer = setTimeout(() => this._tick(), this.interval);
+        this.timer.unref();
+    }
+
+    _tick() {
+        if (!this.running) return;
+        this._schedule();
+        if (this.sampling || !this.player.process) return;
+
+        let player = this.player;
+        this.sampling = true;
+        Promise.all([
+            readPosition(player),
+            player.getPlaybackStatus(),
+            player.getRate(),
+            this._duration()
+        ]).then(([read, status, rate, duration]) => {
+            if (!this.running) return;
+            this.sample = {
+                type: MESSAGE_TYPE,
+                group: this.group,
+                position: read.position,
+                time: read.time,
+                rate,
+                playing: status === 'Playing',
+                duration,
+                loop: !!(player.options && player.options.loop)
+            };
+            this.emit('sample', this.sample);
+            if (this.socket) this.socket.send(JSON.stringify(this.sample), this.port, this.address);
+        }, () => {
+            // a player that doesn't answer has no timeline to share
+        }).then(() => {
+            this.sampling = false;
+        });
+    }
+
+    // The duration doesn't change while a file plays, it is read once per process.
+    _duration() {
+        let process = this.player.process;
+        if (this.durationProcess === process) return Promise.resolve(this.duration);
+        return this.player.getDuration().then((duration) => {
+            this.duration = duration;
+            this.durationProcess = process;
+            return duration;
+        });
+    }
+}
+
+// Keeps player on the timeline of a SyncMaster.
+// Events:
+//      drift ({drift, position, expected, rate, action})  the drift measured on a sample and what was done
+//                                                          about it: none, nudge, seek, play or pause
+class SyncFollower extends EventEmitter {
+
+    // options: master         a SyncMaster in this process, without one samples are received over UDP
+    //          port           UDP port to receive samples on
+    //          address        multicast group to join, if the master sends to one
+    //          group          as for SyncMaster (default 'default')
+    //          latency        ms a sample takes over the network (default 0)
+    //          tolerance      seconds of drift that are left alone (default 0.02, half a frame at 25 fps)
+    //          seekThreshold  seconds of drift from which the follower seeks instead of nudging (default 1)
+    //          gain           rate change per second of drift (default 0.5)
+    //          maxNudge       largest change of the rate (default 0.05, rates from 0.95 to 1.05)
+    //          settle         ms after a seek during which no drift is measured (default 1000)
+    constructor(player, options) {
+        super();
+        options = options || {};
+
+        this.player = player;
+        this.master = options.master || null;
+        this.port = options.port || null;
+        this.address = options.address || null;
+        this.group = options.group || DEFAULT_GROUP;
+        this.latency = option(options, 'latency', 0);
+        this.tolerance = option(options, 'tolerance', DEFAULT_TOLERANCE);
+        this.seekThreshold = option(options, 'seekThreshold', DEFAULT_SEEK_THRESHOLD);
+        this.gain = option(options, 'gain', DEFAULT_GAIN);
+        this.maxNudge = option(options, 'maxNudge', DEFAULT_MAX_NUDGE);
+        this.settle = option(options, 'settle', DEFAULT_SETTLE);
+
+        this.running = false;
+        this.socket = null;
+        this.busy = false;
+        this.rate = null;
+        this.settledAt = 0;
+        this.drift = null;
+
+        this._onSample = (sample) => this._correct(sample);
+        this._onMessage = (message) => this._receive(message);
+    }
+
+    // Starts following, resolves once the socket is ready.
+    start() {
+        if (this.running) return Promise.resolve();
+        this.running = true;
+        if (this.master) {
+            this.master.on('sample', this._onSample);
+            return Promise.resolve();
+        }
+        return openSocket(this.port, this.address).then((socket) => {
+            this.socket = socket;
+            socket.on('message', this._onMessage);
+        }, (err) => {
+            this.running = false;
+            throw err;
+        });
+    }
+
+    // Stops following and puts a nudged rate back.
+    stop() {
+        this.running = false;
+        if (this.master) this.master.removeListener('sample', this._onSample);
+        if (this.socket) this.socket.close();
+        this.socket = null;
+        if (this.rate !== null && this.player.process) this.player.setRate(1).catch(() => {});
+        this.rate = null;
+    }
+
+    // ##########################################
+    // Private Methods
+    // ##########################################
+
+    _receive(message) {
+        let sample;
+        try {
+            sample = JSON.parse(message.toString());
+        } catch (err) {
+            return;
+        }
+        if (!sample || sample.type !== MESSAGE_TYPE || sample.group !== this.group) return;
+        // dated by arrival, the clock of the master is another one
+        sample.time = Date.now() - this.latency;
+        this._correct(sample);
+    }
+
+    // Measures the drift against sample and corrects it. Samples arriving while a correction is
+    // under way are dropped.
+    _correct(sample) {
+        if (!this.running || this.busy || !this.player.process || Date.now() < this.settledAt) return;
+        let player = this.player;
+        this.busy = true;
+        Promise.all([readPosition(player), player.getPlaybackStatus()]).then(([read, status]) => {
+            let playing = status === 'Playing';
+            if (playing !== sample.playing) {
+                return (sample.playing ? player.play() : player.pause()).then(() => {
+                    this._report(null, read.position, null, sample.playing ? 'play' : 'pause');
+                });
+            }
+
+            let expected = timelineAt(sample, read.time);
+            let drift = measureDrift(read.position, expected, sample.duration, sample.loop);
+            let size = Math.abs(drift);
+            // a paused player can't be nudged
+            if (size >= this.seekThreshold || (!playing && size > this.tolerance)) {
+                return this._seek(sample).then(() => this._report(drift, read.position, expected, 'seek'));
+            }
+            if (size > this.tolerance) {
+                let nudge = Math.max(-this.maxNudge, Math.min(this.maxNudge, drift * this.gain));
+                return this._setRate(sample.rate * (1 - nudge)).then(() => this._report(drift, read.position, expected, 'nudge'));
+            }
+            return this._setRate(sample.rate).then(() => this._report(drift, read.position, expected, 'none'));
+        }).catch(() => {
+            // the next sample tries again
+        }).then(() => {
+            this.busy = false;
+        });
+    }
+
+    _seek(sample) {
+        this.settledAt = Date.now() + this.settle;
+        return this.player.setPosition(timelineAt(sample, Date.now())).then(() => this._setRate(sample.rate));
+    }
+
+    // Sets the rate unless it is set already.
+    _setRate(rate) {
+        let current = (this.rate !== null) ? this.rate : 1;
+        if (Math.abs(rate - current) < 0.001) return Promise.resolve();
+        return this.player.setRate(rate).then(() => {
+            this.rate = rate;
+        });
+    }
+
+    _report(drift, position, expected, action) {
+        this.drift = drift;
+        this.emit('drift', {drift, position, expected, rate: (this.rate !== null) ? this.rate : 1, action});
+    }
+}
+
+module.exports = {
+    SyncMaster,
+    SyncFollower,
+    MESSAGE_TYPE,
+    timelineAt,
+    measureDrift
+};
@@ -0,0 +1,52 @@
+// tracks.js
+//
+// omxplayer lists its audio, subtitle and video streams as strings of the form
+//      index:language:name:codec:active
+// e.g. "1:deu:Deutsch:ac3:active", the last field is empty for streams that aren't selected.
+// These helpers turn them into {index, language, name, codec, active} objects.
+
+"use strict";
+
+const KINDS = ['audio', 'subtitle', 'video'];
+
+// Parses one stream description. Names may contain colons, so the name is whatever lies
+// between the language and the last two fields. Returns null for a line that doesn't fit.
+function parseTrack(line) {
+    if (typeof line !== 'string') return null;
+    let fields = line.split(':');
+    if (fields.length < 5) return null;
+
+    let index = parseInt(fields[0], 10);
+    if (isNaN(index)) return null;
+
+    return {
+        index,
+        language: fields[1],
+        name: fields.slice(2, -2).join(':'),
+        codec: fields[fields.length - 2],
+        active: fields[fields.length - 1] === 'active'
+    };
+}
+
+function parseTracks(lines) {
+    return (lines || []).map(parseTrack).filter((track) => track !== null);
+}
+
+// Returns the first track matching the languages in order of preference, or null.
+// Languages are compared case-insensitively, e.g. ['deu', 'eng'] prefers German over English.
+function findByLanguage(tracks, languages) {
+    if (!Array.isArray(languages)) languages = [languages];
+    for (let language of languages) {
+        if (typeof language !== 'string') continue;
+        let track = tracks.find((track) => track.language.toLowerCase() === language.toLowerCase());
+        if (track) return track;
+    }
+    return null;
+}
+
+module.exports = {
+    KINDS,
+    parseTrack,
+    parseTracks,
+    findByLanguage
+};
@@ -0,0 +1,64 @@
+// volume.js
+//
+// omxplayer's Volume property is a linear factor, 1.0 being the original level:
+//      volume = pow(10, mB / 2000.0)
+//      mB     = 2000.0 * log10(volume)
+// Percentages follow a cubic curve, which is closer to perceived loudness than the linear factor:
+// 50% is about -18 dB, 10% is -60 dB. Fades are interpolated on that curve as well.
+
+"use strict";
+
+const {parseVolume} = require('./options');
+
+function dbToLinear(dB) {
+    return Math.pow(10, dB / 20);
+}
+
+// -Infinity for 0
+function linearToDb(volume) {
+    return 20 * Math.log10(volume);
+}
+
+function percentToLinear(percent) {
+    return Math.pow(percent / 100, 3);
+}
+
+function linearToPercent(volume) {
+    return Math.cbrt(volume) * 100;
+}
+
+// The volume progress (0 to 1) of the way from from to to, on the perceptual curve.
+function mixVolume(from, to, progress) {
+    // exact at both ends, the round trip through the curve isn't
+    if (progress <= 0) return from;
+    if (progress >= 1) return to;
+    let percent = linearToPercent(from) + (linearToPercent(to) - linearToPercent(from)) * progress;
+    return percentToLinear(percent);
+}
+
+// Turns a linear number, a {percent} object, or anything options.parseVolume() takes ("-6dB",
+// {dB: -6}, {mB: -600}, {linear: 0.5}) into a linear volume. Returns NaN for invalid values.
+function toLinear(value) {
+    if (typeof value === 'number') return (value >= 0 && isFinite(value)) ? value : NaN;
+    if (value && typeof value === 'object') {
+        if (typeof value.percent === 'number') return value.percent >= 0 ? percentToLinear(value.percent) : NaN;
+        if (typeof value.linear === 'number') return toLinear(value.linear);
+    }
+    let mB = parseVolume(value);
+    return isFinite(mB) ? Math.pow(10, mB / 2000.0) : NaN;
+}
+
+// {volume, dB, percent} of a linear volume, for answers that tell all three.
+function volumeLevels(volume) {
+    return {volume, dB: linearToDb(volume), percent: linearToPercent(volume)};
+}
+
+module.exports = {
+    dbToLinear,
+    linearToDb,
+    percentToLinear,
+    linearToPercent,
+    mixVolume,
+    toLinear,
+    volumeLevels
+};
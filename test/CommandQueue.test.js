@@ -0,0 +1,102 @@
+"use strict";
+
+const assert = require('assert');
+const CommandQueue = require('../lib/CommandQueue');
+const {OmxTimeoutError, OmxAbortError, OmxNotRunningError} = require('../lib/errors');
+const {delay} = require('./helpers');
+
+describe('CommandQueue', function () {
+    let queue;
+    let log;
+
+    // a task that logs its start and end and takes ms
+    function task(name, ms) {
+        return () => {
+            log.push(`${name} start`);
+            return delay(ms).then(() => {
+                log.push(`${name} end`);
+                return name;
+            });
+        };
+    }
+
+    beforeEach(function () {
+        queue = new CommandQueue(1000);
+        log = [];
+    });
+
+    it('runs mutations one after another', function () {
+        return Promise.all([
+            queue.run(task('a', 30)),
+            queue.run(task('b', 10)),
+            queue.run(task('c', 0))
+        ]).then((results) => {
+            assert.deepStrictEqual(results, ['a', 'b', 'c']);
+            assert.deepStrictEqual(log, ['a start', 'a end', 'b start', 'b end', 'c start', 'c end']);
+        });
+    });
+
+    it('runs reads concurrently after the mutations before them', function () {
+        return Promise.all([
+            queue.run(task('set', 20)),
+            queue.run(task('get1', 20), {mutation: false}),
+            queue.run(task('get2', 10), {mutation: false}),
+            queue.run(task('set2', 0))
+        ]).then(() => {
+            assert.deepStrictEqual(log.slice(0, 4), ['set start', 'set end', 'get1 start', 'get2 start']);
+            assert(log.indexOf('set2 start') > log.indexOf('set end'));
+        });
+    });
+
+    it('rejects calls that take too long and goes on with the next one', function () {
+        let slow = queue.run(task('slow', 200), {timeout: 50, details: {member: 'Seek'}});
+        let next = queue.run(task('next', 0));
+        return slow.then(() => {
+            assert.fail('should have rejected');
+        }, (err) => {
+            assert(err instanceof OmxTimeoutError, err);
+            assert.strictEqual(err.member, 'Seek');
+            assert.strictEqual(err.timeout, 50);
+            assert(/Seek did not complete within 50ms/.test(err.message), err.message);
+            return next;
+        }).then(() => {
+            assert.deepStrictEqual(log, ['slow start', 'next start', 'next end']);
+        });
+    });
+
+    it('rejects aborted calls', function () {
+        let controller = new AbortController();
+        let first = queue.run(task('first', 20));
+        let aborted = queue.run(task('aborted', 0), {signal: controller.signal});
+        controller.abort();
+        let again = queue.run(task('again', 0), {signal: controller.signal});
+        return Promise.all([
+            first,
+            aborted.then(() => assert.fail('should have rejected'), (err) => err),
+            again.then(() => assert.fail('should have rejected'), (err) => err)
+        ]).then(([, err1, err2]) => {
+            assert(err1 instanceof OmxAbortError, err1);
+            assert.strictEqual(err1.code, 'ABORT_ERR');
+            assert(err2 instanceof OmxAbortError, err2);
+            assert.deepStrictEqual(log, ['first start', 'first end']);
+        });
+    });
+
+    it('fails all pending calls', function () {
+        let running = queue.run(task('running', 100), {details: {member: 'Seek'}});
+        let waiting = queue.run(task('waiting', 0));
+        let quit = queue.run(task('quit', 100), {exits: true});
+        queue.fail((details) => new OmxNotRunningError('gone', details));
+        return Promise.all([
+            running.then(() => assert.fail('should have rejected'), (err) => err),
+            waiting.then(() => assert.fail('should have rejected'), (err) => err),
+            quit
+        ]).then(([err1, err2, result]) => {
+            assert(err1 instanceof OmxNotRunningError, err1);
+            assert.strictEqual(err1.member, 'Seek');
+            assert(err2 instanceof OmxNotRunningError, err2);
+            assert.strictEqual(result, null);
+            assert.strictEqual(queue.pending.size, 0);
+        });
+    });
+});
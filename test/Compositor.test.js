@@ -0,0 +1,260 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OmxPlayer = require('..');
+const Compositor = require('../lib/Compositor');
+const {CLIP, CLIP2, DBUS_ADDR, delay, waitForEvent, watchRejections, watchUncaught} = require('./helpers');
+
+const {computeLayout} = Compositor;
+const SCREEN = {width: 1920, height: 1080};
+
+describe('Compositor', function () {
+
+    describe('computeLayout()', function () {
+
+        it('fills a grid row by row, stacking the players', function () {
+            let placements = computeLayout({type: 'grid', gap: 20, margin: 10}, SCREEN, {players: ['a', 'b', 'c'], layer: 2});
+            assert.deepStrictEqual(Object.keys(placements), ['a', 'b', 'c']);
+            assert.deepStrictEqual(placements.a, {win: [10, 10, 950, 530], crop: null, layer: 2, alpha: 255, aspect: null});
+            assert.deepStrictEqual(placements.b.win, [970, 10, 1910, 530]);
+            assert.deepStrictEqual(placements.c.win, [10, 550, 950, 1070]);
+            assert.strictEqual(placements.c.layer, 4);
+
+            placements = computeLayout({type: 'grid', columns: 3, players: ['a', null, 'b'], aspect: 'fill'}, SCREEN);
+            assert.deepStrictEqual(placements.b.win, [1280, 0, 1920, 1080]);
+            assert.strictEqual(placements.b.aspect, 'fill');
+        });
+
+        it('puts the inset of a picture-in-picture in a corner above the main player', function () {
+            let placements = computeLayout({type: 'pip', main: 'a', inset: 'b', corner: 'top-left', size: 0.5, margin: 0}, SCREEN);
+            assert.deepStrictEqual(placements.a.win, [0, 0, 1920, 1080]);
+            assert.deepStrictEqual(placements.b.win, [0, 0, 960, 540]);
+            assert(placements.b.layer > placements.a.layer);
+
+            placements = computeLayout({type: 'pip', main: 'a', inset: 'b'}, SCREEN);
+            assert.deepStrictEqual(placements.b.win, [1408, 778, 1888, 1048]);
+        });
+
+        it('crops the tiles of a wall, leaving out what the bezels hide', function () {
+            let layout = {type: 'tiles', columns: 2, bezel: 80, source: {width: 3920, height: 1080}};
+            let placements = computeLayout(layout, SCREEN, {players: ['left', 'right']});
+            // the wall is 2 * 1920 + 80 pixels wide, the source as well
+            assert.deepStrictEqual(placements.left, {win: [0, 0, 1920, 1080], crop: [0, 0, 1920, 1080], layer: 0, alpha: 255, aspect: 'stretch'});
+            assert.deepStrictEqual(placements.right.crop, [2000, 0, 3920, 1080]);
+
+            // a source narrower than the wall is scaled to cover it, the middle is shown
+            placements = computeLayout({type: 'tiles', columns: 2, tiles: {right: [1, 0]}}, SCREEN, {sources: {right: SCREEN}});
+            assert.deepStrictEqual(Object.keys(placements), ['right']);
+            assert.deepStrictEqual(placements.right.crop, [960, 270, 1920, 810]);
+
+            // unknown until the player reports its resolution
+            placements = computeLayout({type: 'tiles', rows: 2}, SCREEN, {players: ['top']});
+            assert.strictEqual(placements.top.crop, null);
+        });
+
+        it('places named regions in pixels or percent', function () {
+            let placements = computeLayout({
+                type: 'regions',
+                regions: {
+                    video: {width: '75%'},
+                    ticker: {y: '90%', layer: 10, alpha: 128, crop: '0 0 100 50', aspect: 'letterbox'},
+                    logo: {x: 1720, y: 20, width: 180, height: 100}
+                }
+            }, SCREEN);
+            assert.deepStrictEqual(placements.video, {win: [0, 0, 1440, 1080], crop: null, layer: 0, alpha: 255, aspect: null});
+            assert.deepStrictEqual(placements.ticker, {win: [0, 972, 1920, 1080], crop: [0, 0, 100, 50], layer: 10, alpha: 128, aspect: 'letterbox'});
+            assert.deepStrictEqual(placements.logo.win, [1720, 20, 1900, 120]);
+            assert.strictEqual(placements.logo.layer, 2);
+        });
+
+        it('rejects invalid layouts', function () {
+            let invalid = [
+                null,
+                {type: 'mosaic'},
+                {type: 'grid', columns: 0},
+                {type: 'pip', main: 'a'},
+                {type: 'pip', main: 'a', inset: 'b', corner: 'middle'},
+                {type: 'tiles', columns: 2, tiles: {a: [2, 0]}},
+                {type: 'regions', regions: {a: {width: 'half'}}},
+                {type: 'regions', regions: {a: {alpha: 300}}},
+                {type: 'grid', aspect: 'zoom'}
+            ];
+            for (let layout of invalid) {
+                assert.throws(() => computeLayout(layout, SCREEN, {players: ['a']}), OmxPlayer.OmxInvalidArgumentError, JSON.stringify(layout));
+            }
+        });
+    });
+
+    describe('players', function () {
+        let compositor;
+        let calls;
+
+        // Records the calls the compositor makes to the player named name.
+        function record(name) {
+            let player = compositor.player(name);
+            for (let method of ['setVideoPos', 'setVideoCropPos', 'setLayer', 'setAlpha', 'setAspectMode']) {
+                let original = player[method];
+                player[method] = function (...args) {
+                    calls.push([name, method, args]);
+                    return original.apply(this, args);
+                };
+            }
+        }
+
+        function callsOf(name, method) {
+            return calls.filter((call) => call[0] === name && call[1] === method).map((call) => call[2]);
+        }
+
+        function until(test) {
+            let start = Date.now();
+            let check = () => {
+                if (test()) return Promise.resolve();
+                if (Date.now() - start > 5000) return Promise.reject(new Error('timeout'));
+                return delay(20).then(check);
+            };
+            return check();
+        }
+
+        beforeEach(function () {
+            calls = [];
+            compositor = new Compositor({screen: SCREEN, player: {dbusAddressFile: DBUS_ADDR}, players: {a: {}, b: {}}, layout: {type: 'grid', columns: 2}});
+            record('a');
+            record('b');
+        });
+
+        afterEach(function () {
+            return compositor.close();
+        });
+
+        it('opens players in their places', function () {
+            return compositor.open('a', CLIP).then(() => {
+                let options = compositor.player('a').options;
+                assert.deepStrictEqual([options.win, options.layer, options.alpha], [[0, 0, 960, 1080], 0, 255]);
+                return until(() => callsOf('a', 'setAlpha').length > 0);
+            }).then(() => {
+                assert.deepStrictEqual(callsOf('a', 'setVideoPos'), [[0, 0, 960, 1080]]);
+                assert.deepStrictEqual(compositor.placement('b').win, [960, 0, 1920, 1080]);
+            });
+        });
+
+        it('switches layouts, only sending what changed', function () {
+            return Promise.all([compositor.open('a', CLIP), compositor.open('b', CLIP2)]).then(() => {
+                return until(() => callsOf('b', 'setAlpha').length > 0 && callsOf('a', 'setAlpha').length > 0);
+            }).then(() => {
+                calls = [];
+                let layouts = [];
+                compositor.on('layout', (placements) => layouts.push(placements));
+                return compositor.setLayout({type: 'pip', main: 'b', inset: 'a', margin: 0}).then((completed) => {
+                    assert.strictEqual(completed, true);
+                    assert.strictEqual(layouts.length, 1);
+                });
+            }).then(() => {
+                assert.deepStrictEqual(callsOf('a', 'setVideoPos'), [[1440, 810, 1920, 1080]]);
+                assert.deepStrictEqual(callsOf('a', 'setLayer'), [[1]]);
+                assert.deepStrictEqual(callsOf('b', 'setVideoPos'), [[0, 0, 1920, 1080]]);
+                assert.deepStrictEqual(callsOf('b', 'setLayer'), [[0]]);
+                assert.deepStrictEqual(callsOf('b', 'setAlpha'), []);
+
+                // a player the layout leaves out is faded out where it is
+                calls = [];
+                return compositor.setLayout({type: 'regions', regions: {b: {}}});
+            }).then(() => {
+                assert.deepStrictEqual(callsOf('a', 'setAlpha'), [[0]]);
+                assert.deepStrictEqual(callsOf('a', 'setVideoPos'), []);
+                return assert.rejects(compositor.setLayout({type: 'regions', regions: {c: {}}}), OmxPlayer.OmxInvalidArgumentError);
+            });
+        });
+
+        it('animates transitions', function () {
+            return Promise.all([compositor.open('a', CLIP), compositor.open('b', CLIP2)]).then(() => {
+                return until(() => callsOf('b', 'setAlpha').length > 0 && callsOf('a', 'setAlpha').length > 0);
+            }).then(() => {
+                calls = [];
+                return compositor.setLayout({type: 'regions', regions: {a: {}}}, {duration: 400, easing: 'easeInOut'});
+            }).then((completed) => {
+                assert.strictEqual(completed, true);
+                let moves = callsOf('a', 'setVideoPos');
+                assert(moves.length > 2, moves.length);
+                assert(moves.some(([x1, y1, x2]) => x2 > 960 && x2 < 1920), JSON.stringify(moves));
+                assert.deepStrictEqual(moves[moves.length - 1], [0, 0, 1920, 1080]);
+                let fades = callsOf('b', 'setAlpha').map((args) => args[0]);
+                assert(fades.length > 2 && fades.some((alpha) => alpha > 0 && alpha < 255), JSON.stringify(fades));
+                assert.strictEqual(fades[fades.length - 1], 0);
+
+                // the next layout stops a running transition
+                let first = compositor.setLayout({type: 'grid', columns: 2}, {duration: 1000});
+                let second = delay(100).then(() => compositor.setLayout({type: 'grid', rows: 2}));
+                return Promise.all([first, second]);
+            }).then(([first, second]) => {
+                assert.deepStrictEqual([first, second], [false, true]);
+                assert.deepStrictEqual(compositor.placement('b').win, [0, 540, 1920, 1080]);
+            });
+        });
+
+        it('crops tiles to the resolution of the source', function () {
+            return compositor.setLayout({type: 'tiles', columns: 2}).then(() => {
+                return Promise.all([compositor.open('a', CLIP), compositor.open('b', CLIP2)]);
+            }).then(() => {
+                return until(() => callsOf('a', 'setVideoCropPos').length > 0 && callsOf('b', 'setVideoCropPos').length > 0);
+            }).then(() => {
+                // the fake plays 1920 x 1080, shown across two screens of that size
+                assert.deepStrictEqual(callsOf('a', 'setVideoCropPos'), [[0, 270, 960, 810]]);
+                assert.deepStrictEqual(callsOf('b', 'setVideoCropPos'), [[960, 270, 1920, 810]]);
+                assert.deepStrictEqual(callsOf('b', 'setAspectMode'), [['stretch']]);
+                calls = [];
+                return compositor.setLayout({type: 'grid', columns: 2});
+            }).then(() => {
+                // the crop is taken off again
+                assert.deepStrictEqual(callsOf('a', 'setVideoCropPos'), [[0, 0, 0, 0]]);
+            });
+        });
+
+        it('lays out again when the screen changes', function () {
+            let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'compositor-'));
+            let framebuffer = path.join(dir, 'virtual_size');
+            fs.writeFileSync(framebuffer, '1920,1080\n');
+            let watching = new Compositor({framebuffer, screenInterval: 50, players: {a: compositor.player('a')}, layout: {type: 'regions', regions: {a: {}}}});
+            assert.deepStrictEqual(watching.screen, SCREEN);
+            return compositor.open('a', CLIP).then(() => {
+                return until(() => callsOf('a', 'setVideoPos').length > 0);
+            }).then(() => {
+                calls = [];
+                fs.writeFileSync(framebuffer, '1280,720\n');
+                return waitForEvent(watching, 'layout');
+            }).then(() => {
+                assert.deepStrictEqual(watching.screen, {width: 1280, height: 720});
+                assert(callsOf('a', 'setVideoPos').some((win) => win.join() === '0,0,1280,720'), JSON.stringify(calls));
+                return watching.close();
+            }).then(() => {
+                fs.rmSync(dir, {recursive: true});
+            });
+        });
+
+        it('reports a failed re-layout as error, thrown without listeners', function () {
+            let player = compositor.player('a');
+            player.setAlpha = () => Promise.reject(new Error('alpha refused'));
+            let rejections = watchRejections();
+            let uncaught = watchUncaught();
+            return compositor.open('a', CLIP).then(() => delay(300)).then(() => Promise.all([rejections(), uncaught()])).then(([reasons, errors]) => {
+                assert.deepStrictEqual(reasons, []);
+                assert(errors.length >= 1);
+                assert(errors.every((err) => err.message === 'alpha refused'), errors.join());
+                let failed = waitForEvent(compositor, 'error');
+                return player.open(CLIP).then(() => failed);
+            }).then((err) => {
+                assert.strictEqual(err.message, 'alpha refused');
+            });
+        });
+
+        it('kills its players on close', function () {
+            let player = compositor.player('a');
+            return compositor.open('a', CLIP).then(() => compositor.close()).then(() => {
+                assert.strictEqual(player.process, null);
+                assert.strictEqual(compositor.player('a'), null);
+            });
+        });
+    });
+});
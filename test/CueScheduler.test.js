@@ -0,0 +1,120 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const {CLIP, DBUS_ADDR, delay, waitForEvent, watchRejections, watchUncaught} = require('./helpers');
+
+describe('cues', function () {
+    let player;
+
+    beforeEach(function () {
+        player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+    });
+
+    afterEach(function () {
+        delete process.env.FAKE_OMXPLAYER_DURATION;
+        return player.kill();
+    });
+
+    it('fires cues once when playback passes them', function () {
+        let fired = [];
+        player.addCue(0.4, (cue) => fired.push(cue));
+        player.addCue('00:00:00.8', (cue) => fired.push(cue));
+        return player.open(CLIP).then(() => delay(1300)).then(() => {
+            assert.deepStrictEqual(fired.map((cue) => cue.time), [0.4, 0.8]);
+            // polled faster close to the cue, so it fires close to its time
+            for (let cue of fired) {
+                assert(cue.position >= cue.time && cue.position < cue.time + 0.1, JSON.stringify(cue));
+            }
+        });
+    });
+
+    it('skips cues a seek jumps over and fires them again on the next pass', function () {
+        let fired = 0;
+        player.addCue(5, () => fired++);
+        return player.open(CLIP).then(() => player.setPosition(10)).then(() => delay(400)).then(() => {
+            assert.strictEqual(fired, 0);
+            let cue = waitForEvent(player, 'cue');
+            player.setPosition(4.6);
+            return cue;
+        }).then((cue) => {
+            assert.strictEqual(cue.time, 5);
+            return player.setPosition(4.6);
+        }).then(() => delay(700)).then(() => {
+            assert.strictEqual(fired, 2);
+        });
+    });
+
+    it('fires the other cues when a handler throws', function () {
+        let fired = [];
+        player.addCue(0.8, () => {
+            throw new Error('cue failed');
+        });
+        player.addCue(0.8, (cue) => fired.push(cue.time));
+        let rejections = watchRejections();
+        let uncaught = watchUncaught();
+        return player.open(CLIP).then(() => delay(1100)).then(() => Promise.all([rejections(), uncaught()])).then(([reasons, errors]) => {
+            // without error listeners the error is thrown
+            assert.deepStrictEqual(fired, [0.8]);
+            assert.deepStrictEqual(reasons, []);
+            assert.deepStrictEqual(errors.map((err) => err.message), ['cue failed']);
+            let failed = waitForEvent(player, 'error');
+            return player.setPosition(0.2).then(() => failed);
+        }).then((err) => {
+            assert.strictEqual(err.message, 'cue failed');
+            return delay(100);
+        }).then(() => {
+            assert.deepStrictEqual(fired, [0.8, 0.8]);
+        });
+    });
+
+    it('removes cues by id or handler', function () {
+        let handler = () => {};
+        let id = player.addCue(1, handler);
+        player.addCue(2, handler);
+        assert.strictEqual(player.removeCue(id), true);
+        assert.strictEqual(player.removeCue(id), false);
+        assert.strictEqual(player.removeCue(handler), true);
+        assert.deepStrictEqual(player.cues.cues, []);
+    });
+
+    it('loops a region until it is cleared', function () {
+        let fired = 0;
+        let loops = 0;
+        player.addCue(0.5, () => fired++);
+        player.on('loop', (region) => {
+            assert.deepStrictEqual(region, {start: 0.3, end: 0.8});
+            loops++;
+        });
+        player.setLoopRegion(0.3, 0.8);
+        return player.open(CLIP).then(() => delay(1800)).then(() => {
+            assert(loops >= 2, `${loops} loops`);
+            // once on the way in and once per loop
+            assert(fired === loops + 1 || fired === loops, `${fired} cues, ${loops} loops`);
+            return player.getPosition();
+        }).then((position) => {
+            assert(position >= 0.3 && position < 0.9, `position ${position}`);
+            player.clearLoopRegion();
+            return delay(700);
+        }).then(() => player.getPosition()).then((position) => {
+            assert(position > 1, `position ${position}`);
+        });
+    });
+
+    it('fires cues again when --loop wraps around', function () {
+        process.env.FAKE_OMXPLAYER_DURATION = 1;
+        let fired = [];
+        player.addCue(0.2, (cue) => fired.push(cue.time));
+        player.addCue(0.9, (cue) => fired.push(cue.time));
+        return player.open(CLIP, {loop: true}).then(() => delay(2500)).then(() => {
+            assert.deepStrictEqual(fired.slice(0, 5), [0.2, 0.9, 0.2, 0.9, 0.2]);
+        });
+    });
+
+    it('rejects invalid cues and regions', function () {
+        assert.throws(() => player.addCue('soon', () => {}), OmxPlayer.OmxInvalidArgumentError);
+        assert.throws(() => player.addCue(-1, () => {}), OmxPlayer.OmxInvalidArgumentError);
+        assert.throws(() => player.addCue(1), OmxPlayer.OmxInvalidArgumentError);
+        assert.throws(() => player.setLoopRegion(5, 2), OmxPlayer.OmxInvalidArgumentError);
+    });
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const url = require('url');
+const dbus = require('dbus-native');
+const OmxPlayer = require('..');
+const {decodeDict, decodeVariant} = require('../lib/properties');
+const {CLIP, CLIP2, DBUS_ADDR, waitForEvent} = require('./helpers');
+
+const DBUS_PATH = '/org/mpris/MediaPlayer2';
+const DBUS_INTERFACE_PROPERTIES = 'org.freedesktop.DBus.Properties';
+const DBUS_INTERFACE_PLAYER = 'org.mpris.MediaPlayer2.Player';
+const NAME = 'org.mpris.MediaPlayer2.test';
+
+// The fake players' private bus stands in for the session bus.
+function busAddress() {
+    return fs.readFileSync(DBUS_ADDR, 'utf8').trim();
+}
+
+describe('MprisBridge', function () {
+    let player;
+    let bridge;
+    let client;
+    // the signals sent by the bridge
+    let signals;
+
+    function call(iface, member, signature, body) {
+        return new Promise((resolve, reject) => {
+            client.invoke({destination: NAME, path: DBUS_PATH, interface: iface, member, signature, body}, (err, result) => {
+                err ? reject(Object.assign(new Error(err[0] || err), {body: err})) : resolve(result);
+            });
+        });
+    }
+
+    function get(name) {
+        return call(DBUS_INTERFACE_PROPERTIES, 'Get', 'ss', [DBUS_INTERFACE_PLAYER, name]).then(decodeVariant);
+    }
+
+    function getAll(iface) {
+        return call(DBUS_INTERFACE_PROPERTIES, 'GetAll', 's', [iface || DBUS_INTERFACE_PLAYER]).then(decodeDict);
+    }
+
+    // Resolves with the changed properties of the next PropertiesChanged that has name, with value if given.
+    function changed(name, value) {
+        return new Promise((resolve, reject) => {
+            let timer = setTimeout(() => reject(new Error(`timeout waiting for ${name} to change`)), 3000);
+            signals.on('PropertiesChanged', function listener(iface, properties) {
+                properties = decodeDict(properties);
+                if (properties[name] === undefined || (value !== undefined && properties[name] !== value)) return;
+                clearTimeout(timer);
+                signals.removeListener('PropertiesChanged', listener);
+                resolve(properties);
+            });
+        });
+    }
+
+    beforeEach(function () {
+        player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        signals = new EventEmitter();
+        // opened first, so the fake player has started its bus
+        return player.open(CLIP).then(() => {
+            bridge = new OmxPlayer.MprisBridge({bus: busAddress(), interval: 100});
+            client = dbus.sessionBus({busAddress: busAddress()});
+            client.connection.on('message', (msg) => {
+                if (msg.type === dbus.messageType.signal && msg.path === DBUS_PATH) signals.emit(msg.member, ...(msg.body || []));
+            });
+            return new Promise((resolve) => client.addMatch(`type='signal',path='${DBUS_PATH}'`, resolve));
+        }).then(() => {
+            // the clip that plays already is signalled as well
+            let published = changed('Metadata');
+            return bridge.add(player, 'test').then(() => published);
+        });
+    });
+
+    afterEach(function () {
+        delete process.env.FAKE_OMXPLAYER_DURATION;
+        client.connection.end();
+        return bridge.close().then(() => player.kill());
+    });
+
+    it('publishes the player', function () {
+        assert.strictEqual(bridge.busName(player), NAME);
+        return getAll().then((properties) => {
+            assert.strictEqual(properties.PlaybackStatus, 'Playing');
+            assert.strictEqual(properties.Metadata['xesam:url'], url.pathToFileURL(CLIP).href);
+            assert.strictEqual(properties.Metadata['mpris:length'], 60e6);
+            assert.strictEqual(properties.CanControl, true);
+            assert(properties.Position > 0 && properties.Position < 2e6, `position ${properties.Position}`);
+            return getAll('org.mpris.MediaPlayer2');
+        }).then((properties) => {
+            assert.strictEqual(properties.Identity, 'OMXPlayer');
+            assert.strictEqual(properties.CanQuit, true);
+            return call('org.freedesktop.DBus.Introspectable', 'Introspect');
+        }).then((xml) => {
+            assert(xml.indexOf('<signal name="Seeked">') !== -1);
+        });
+    });
+
+    it('forwards method calls and signals the changes', function () {
+        let paused = changed('PlaybackStatus');
+        return call(DBUS_INTERFACE_PLAYER, 'Pause').then(() => player.getPlaybackStatus()).then((status) => {
+            assert.strictEqual(status, 'Paused');
+            return paused;
+        }).then((properties) => {
+            assert.strictEqual(properties.PlaybackStatus, 'Paused');
+            let playing = changed('PlaybackStatus');
+            // changes made elsewhere are signalled too, with the next poll
+            player.playPause();
+            return playing;
+        }).then((properties) => {
+            assert.strictEqual(properties.PlaybackStatus, 'Playing');
+        });
+    });
+
+    it('seeks and sends Seeked', function () {
+        let seeked = waitForEvent(signals, 'Seeked');
+        return getAll().then((properties) => {
+            return call(DBUS_INTERFACE_PLAYER, 'SetPosition', 'ox', [properties.Metadata['mpris:trackid'], 10e6]);
+        }).then(() => seeked).then((position) => {
+            assert(Math.abs(position - 10e6) < 0.5e6, `seeked to ${position}`);
+            // an old track is ignored
+            return call(DBUS_INTERFACE_PLAYER, 'SetPosition', 'ox', ['/omxplayer/track/0', 30e6]);
+        }).then(() => get('Position')).then((position) => {
+            assert(position < 12e6, `position ${position}`);
+            seeked = waitForEvent(signals, 'Seeked');
+            return call(DBUS_INTERFACE_PLAYER, 'Seek', 'x', [-20e6]);
+        }).then(() => seeked).then((position) => {
+            assert(position < 0.5e6, `seeked to ${position}`);
+        });
+    });
+
+    it('sets the volume and the rate', function () {
+        let volume = changed('Volume');
+        return call(DBUS_INTERFACE_PROPERTIES, 'Set', 'ssv', [DBUS_INTERFACE_PLAYER, 'Volume', ['d', 0.5]]).then(() => volume).then((properties) => {
+            assert.strictEqual(properties.Volume, 0.5);
+            return player.getVolume();
+        }).then((volume) => {
+            assert.strictEqual(volume, 0.5);
+            return call(DBUS_INTERFACE_PROPERTIES, 'Set', 'ssv', [DBUS_INTERFACE_PLAYER, 'Rate', ['d', 2]]);
+        }).then(() => player.getRate()).then((rate) => {
+            assert.strictEqual(rate, 2);
+            return call(DBUS_INTERFACE_PROPERTIES, 'Set', 'ssv', [DBUS_INTERFACE_PLAYER, 'PlaybackStatus', ['s', 'Paused']]).then(() => assert.fail('resolved'), (err) => {
+                assert.strictEqual(err.message, 'PlaybackStatus is read only');
+            });
+        });
+    });
+
+    it('is stopped between clips and plays again', function () {
+        let stopped = changed('PlaybackStatus');
+        return player.kill().then(() => stopped).then((properties) => {
+            assert.strictEqual(properties.PlaybackStatus, 'Stopped');
+            assert.deepStrictEqual(properties.Metadata, {'mpris:trackid': OmxPlayer.MprisBridge.NO_TRACK});
+            assert.strictEqual(properties.CanPause, false);
+            let ready = waitForEvent(player, 'ready');
+            return call(DBUS_INTERFACE_PLAYER, 'Play').then(() => ready);
+        }).then(() => {
+            let opened = changed('Metadata');
+            return call(DBUS_INTERFACE_PLAYER, 'OpenUri', 's', [url.pathToFileURL(CLIP2).href]).then(() => opened);
+        }).then((properties) => {
+            assert.strictEqual(player.file, CLIP2);
+            assert.strictEqual(properties.Metadata['xesam:title'], 'clip2.mp4');
+            return call(DBUS_INTERFACE_PLAYER, 'OpenUri', 's', ['gopher://example.com/clip.mp4']).then(() => assert.fail('resolved'), (err) => {
+                assert(/unsupported URI/.test(err.message), err.message);
+            });
+        });
+    });
+
+    it('signals the end of a clip', function () {
+        process.env.FAKE_OMXPLAYER_DURATION = 1;
+        // the clip that played is stopped first
+        let opened = changed('CanSeek', true);
+        return player.open(CLIP).then(() => opened).then(() => {
+            let ended = changed('PlaybackStatus', 'Stopped');
+            return Promise.all([ended, waitForEvent(player, 'close')]);
+        }).then(([, [code]]) => {
+            assert.strictEqual(code, 0);
+        });
+    });
+
+    it('takes players off the bus', function () {
+        let other = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        return bridge.add(other, 'test').then(() => assert.fail('resolved'), (err) => {
+            assert(err instanceof OmxPlayer.OmxDBusError);
+            assert.strictEqual(bridge.busName(other), null);
+            return bridge.add(other, '1st').then(() => assert.fail('resolved'), (err) => {
+                assert(err instanceof OmxPlayer.OmxInvalidArgumentError);
+            });
+        }).then(() => bridge.remove(player)).then((removed) => {
+            assert.strictEqual(removed, true);
+            return getAll().then(() => assert.fail('resolved'), (err) => {
+                assert(/ServiceUnknown|not provided/.test(err.message), err.message);
+            });
+        });
+    });
+});
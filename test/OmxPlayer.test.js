@@ -0,0 +1,1253 @@
+"use strict";
+
+const assert = require('assert');
+const {spawn} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OmxPlayer = require('..');
+const {CLIP, CLIP2, DBUS_ADDR, FAKE_DIR, delay, waitForEvent} = require('./helpers');
+
+describe('OmxPlayer', function () {
+
+    describe('process', function () {
+        let player;
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        });
+
+        afterEach(function () {
+            return player.kill();
+        });
+
+        it('is not running before open()', function () {
+            return player.isRunning().then((running) => {
+                assert.strictEqual(running, false);
+            });
+        });
+
+        it('starts the player with open()', function () {
+            return player.open(CLIP).then(() => {
+                return player.isRunning();
+            }).then((running) => {
+                assert.strictEqual(running, true);
+                return player.getChildPid();
+            }).then((pid) => {
+                assert(Number(pid) > 0, `pid ${pid}`);
+                assert.notStrictEqual(Number(pid), player.process.pid);
+            });
+        });
+
+        it('reports the resource usage of the player', function () {
+            return player.open(CLIP).then(() => {
+                return Promise.all([player.getChildPid(), player.getProcessStats()]);
+            }).then(([pid, stats]) => {
+                assert.strictEqual(stats.pid, pid);
+                assert(stats.rss > 0, stats.rss);
+                assert(stats.cpu >= 0, stats.cpu);
+                assert(stats.uptime >= 0 && stats.uptime < 10, stats.uptime);
+            });
+        });
+
+        it('rejects getProcessStats() when not running', function () {
+            return player.getProcessStats().then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxNotRunningError, err);
+            });
+        });
+
+        it('passes options to the command line', function () {
+            return player.open(CLIP, {pos: 20, loop: true}).then(() => {
+                return player.getPosition();
+            }).then((position) => {
+                assert(position >= 20 && position < 25, `position ${position}`);
+            });
+        });
+
+        it('forwards stdout', function () {
+            let stdout = waitForEvent(player, 'stdout');
+            return player.open(CLIP).then(() => stdout).then((data) => {
+                assert(/Video codec/.test(data.toString()));
+            });
+        });
+
+        it('stops the player with kill()', function () {
+            return player.open(CLIP).then(() => {
+                return player.kill();
+            }).then(() => {
+                return player.isRunning();
+            }).then((running) => {
+                assert.strictEqual(running, false);
+            });
+        });
+
+        it('emits close when the player quits', function () {
+            return player.open(CLIP).then(() => {
+                let close = waitForEvent(player, 'close');
+                player.quit();
+                return close;
+            }).then(([code, exit]) => {
+                // omxplayer exits with 3 when it is told to quit
+                assert.strictEqual(code, 3);
+                assert.strictEqual(exit.reason, 'quit');
+            });
+        });
+
+        it('emits close with the reason quit when omxplayer is quit by a key', function () {
+            return player.open(CLIP).then(() => {
+                let close = waitForEvent(player, 'close');
+                player.action('exit');
+                return close;
+            }).then(([code, exit]) => {
+                assert.strictEqual(code, 3);
+                assert.strictEqual(exit.reason, 'quit');
+            });
+        });
+
+        it('emits close when the player is stopped', function () {
+            return player.open(CLIP).then(() => {
+                let close = waitForEvent(player, 'close');
+                player.stop();
+                return close;
+            }).then(([code, exit]) => {
+                assert.strictEqual(code, 3);
+                assert.strictEqual(exit.reason, 'quit');
+            });
+        });
+
+        it('rejects open() and emits close for a missing file', function () {
+            let close = waitForEvent(player, 'close');
+            return player.open('/does/not/exist.mp4').then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxProcessError, err);
+                assert(/exited with code 1 before it was ready/.test(err.message), err.message);
+                assert.strictEqual(err.exitCode, 1);
+                return close;
+            }).then(([code]) => {
+                assert.strictEqual(code, 1);
+            });
+        });
+
+        it('emits close at the end of the clip', function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 1;
+            let close = waitForEvent(player, 'close');
+            return player.open(CLIP).then(() => close).then(([code, exit]) => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(exit.reason, 'ended');
+            }).then(() => {
+                delete process.env.FAKE_OMXPLAYER_DURATION;
+            }, (err) => {
+                delete process.env.FAKE_OMXPLAYER_DURATION;
+                throw err;
+            });
+        });
+
+        it('emits ready when the player answers on D-Bus', function () {
+            let ready = false;
+            player.on('ready', () => ready = true);
+            return player.open(CLIP).then(() => {
+                assert.strictEqual(ready, true);
+                return player.getIdentity();
+            });
+        });
+
+        it('waits for a slow player', function () {
+            process.env.FAKE_OMXPLAYER_STARTUP_DELAY = 700;
+            return player.open(CLIP).then(() => {
+                delete process.env.FAKE_OMXPLAYER_STARTUP_DELAY;
+                return player.getCanQuit();
+            }, (err) => {
+                delete process.env.FAKE_OMXPLAYER_STARTUP_DELAY;
+                throw err;
+            }).then((canQuit) => {
+                assert.strictEqual(canQuit, true);
+            });
+        });
+
+        it('rejects open() with the stderr output on timeout', function () {
+            process.env.FAKE_OMXPLAYER_STARTUP_DELAY = 5000;
+            process.env.FAKE_OMXPLAYER_STDERR = 'COMXAudio::Decode timeout';
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR, readyTimeout: 1500});
+            return player.open(CLIP).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxTimeoutError, err);
+                assert(/did not answer on D-Bus within 1500ms: COMXAudio::Decode timeout/.test(err.message), err.message);
+                assert.strictEqual(err.timeout, 1500);
+                assert(/COMXAudio::Decode timeout/.test(err.stderr));
+                assert.strictEqual(player.process, null);
+            }).then(() => {
+                delete process.env.FAKE_OMXPLAYER_STARTUP_DELAY;
+                delete process.env.FAKE_OMXPLAYER_STDERR;
+            });
+        });
+
+        it('retries calls made while the player starts', function () {
+            process.env.FAKE_OMXPLAYER_STARTUP_DELAY = 300;
+            let opened = player.open(CLIP);
+            delete process.env.FAKE_OMXPLAYER_STARTUP_DELAY;
+            return delay(50).then(() => {
+                return player.getIdentity();
+            }).then((identity) => {
+                assert.strictEqual(identity, 'OMXPlayer');
+                return opened;
+            });
+        });
+
+        it('emits info for the streams', function () {
+            let infos = [];
+            player.on('info', (info) => infos.push(info.kind));
+            return player.open(CLIP).then(() => delay(100)).then(() => {
+                assert.deepStrictEqual(infos.slice(0, 3), ['video', 'audio', 'subtitle']);
+            });
+        });
+
+        it('emits warnings', function () {
+            process.env.FAKE_OMXPLAYER_STDERR = 'COMXAudio::Decode timeout';
+            let warning = waitForEvent(player, 'warning');
+            return player.open(CLIP).then(() => warning).then((warning) => {
+                assert.strictEqual(warning.reason, 'AUDIO_DECODE_TIMEOUT');
+                assert.strictEqual(warning.stream, 'stderr');
+            }).then(() => {
+                delete process.env.FAKE_OMXPLAYER_STDERR;
+            }, (err) => {
+                delete process.env.FAKE_OMXPLAYER_STDERR;
+                throw err;
+            });
+        });
+
+        it('passes the fatal reason to the open() rejection and close', function () {
+            let close = waitForEvent(player, 'close');
+            return player.open('/does/not/exist.mp4').then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert.strictEqual(err.reason, 'FILE_NOT_FOUND');
+                assert(/FILE_NOT_FOUND: File "\/does\/not\/exist.mp4" not found/.test(err.message), err.message);
+                return close;
+            }).then(([code, exit]) => {
+                assert.strictEqual(code, 1);
+                assert.strictEqual(exit.reason, 'FILE_NOT_FOUND');
+                assert.strictEqual(exit.fatal.stream, 'stdout');
+            });
+        });
+
+        it('emits fatal and exit-reason for a failure during playback', function () {
+            process.env.FAKE_OMXPLAYER_FAIL = 'Failed to open audio out';
+            let fatal = waitForEvent(player, 'fatal');
+            let exitReason = waitForEvent(player, 'exit-reason');
+            return player.open(CLIP).then(() => {
+                delete process.env.FAKE_OMXPLAYER_FAIL;
+                return Promise.all([fatal, exitReason]);
+            }, (err) => {
+                delete process.env.FAKE_OMXPLAYER_FAIL;
+                throw err;
+            }).then(([fatal, exit]) => {
+                assert.strictEqual(fatal.reason, 'AUDIO_OPEN_FAILED');
+                assert.deepStrictEqual(exit, {code: 1, signal: null, reason: 'AUDIO_OPEN_FAILED', fatal});
+            });
+        });
+
+        it('rejects calls when not running', function () {
+            return player.getPosition().then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxNotRunningError, err);
+                assert.strictEqual(err.message, 'Not running');
+                assert.strictEqual(err.member, 'Position');
+            });
+        });
+    });
+
+    describe('kill()', function () {
+        let player;
+
+        // runs test/fake/parent.js and resolves with it and the pid of its omxplayer.bin
+        function startParent(...args) {
+            let parent = spawn(process.execPath, [path.join(FAKE_DIR, 'parent.js'), ...args], {stdio: ['ignore', 'pipe', 'inherit']});
+            return new Promise((resolve, reject) => {
+                parent.stdout.once('data', (data) => resolve([parent, Number(data.toString().trim())]));
+                parent.once('exit', () => reject(new Error('parent exited before the player was ready')));
+            });
+        }
+
+        function isAlive(pid) {
+            try {
+                process.kill(pid, 0);
+                return true;
+            } catch (err) {
+                return false;
+            }
+        }
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        });
+
+        afterEach(function () {
+            delete process.env.FAKE_OMXPLAYER_HANG;
+            return player.kill({graceful: false, timeout: 500});
+        });
+
+        it('resolves with the exit code after a graceful quit', function () {
+            let closed = false;
+            return player.open(CLIP).then(() => {
+                player.on('close', () => closed = true);
+                return player.kill();
+            }).then((code) => {
+                assert.strictEqual(code, 3);
+                assert.strictEqual(player.process, null);
+                assert.strictEqual(closed, false);
+            });
+        });
+
+        it('sends SIGTERM without graceful', function () {
+            return player.open(CLIP).then(() => {
+                return player.kill({graceful: false});
+            }).then((code) => {
+                assert.strictEqual(code, 128 + os.constants.signals.SIGTERM);
+            });
+        });
+
+        it('escalates to SIGKILL', function () {
+            process.env.FAKE_OMXPLAYER_HANG = 1;
+            let start;
+            return player.open(CLIP).then(() => {
+                start = Date.now();
+                return player.kill({timeout: 300});
+            }).then((code) => {
+                assert.strictEqual(code, 128 + os.constants.signals.SIGKILL);
+                assert(Date.now() - start >= 600, Date.now() - start);
+            });
+        });
+
+        it('resolves with null when not running', function () {
+            return player.kill().then((code) => {
+                assert.strictEqual(code, null);
+            });
+        });
+
+        it('kills players with killOnExit when the parent gets a signal', function () {
+            return startParent('killOnExit').then(([parent, pid]) => {
+                let exited = new Promise((resolve) => parent.once('exit', (code, signal) => resolve(signal)));
+                parent.kill('SIGTERM');
+                return exited.then((signal) => {
+                    assert.strictEqual(signal, 'SIGTERM');
+                    return delay(500);
+                }).then(() => {
+                    assert.strictEqual(isAlive(pid), false);
+                });
+            });
+        });
+
+        it('kills orphans with killOrphans()', function () {
+            return startParent().then(([parent, pid]) => {
+                let exited = new Promise((resolve) => parent.once('exit', resolve));
+                parent.kill('SIGKILL');
+                return exited.then(() => {
+                    assert.strictEqual(isAlive(pid), true);
+                    return OmxPlayer.killOrphans();
+                }).then((pids) => {
+                    assert.deepStrictEqual(pids, [pid]);
+                    assert.strictEqual(isAlive(pid), false);
+                });
+            });
+        });
+
+        it('leaves players alone that it did not start or whose owner runs', function () {
+            // named like the player, once untagged and once tagged with a process that is still there
+            let script = "process.title = 'omxplayer.bin'; setInterval(() => {}, 1000)";
+            let stat = fs.readFileSync(`/proc/${process.pid}/stat`, 'utf8').split(') ')[1].split(' ');
+            let owned = Object.assign({}, process.env, {OMXPLAYER_NODE_OWNER: `${process.pid}:${stat[19]}`});
+            let others = [spawn(process.execPath, ['-e', script]), spawn(process.execPath, ['-e', script], {env: owned})];
+            return delay(500).then(() => OmxPlayer.killOrphans()).then((pids) => {
+                assert.deepStrictEqual(pids, []);
+                assert(others.every((other) => isAlive(other.pid)));
+            }).finally(() => others.forEach((other) => other.kill()));
+        });
+    });
+
+    describe('command queue', function () {
+        let player;
+        let stopped = null;
+
+        // stops omxplayer.bin, so that it no longer answers on D-Bus
+        function freeze() {
+            return player.getChildPid().then((pid) => {
+                stopped = pid;
+                process.kill(pid, 'SIGSTOP');
+            });
+        }
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        });
+
+        afterEach(function () {
+            delete process.env.FAKE_OMXPLAYER_STARTUP_DELAY;
+            if (stopped) {
+                try {
+                    process.kill(stopped, 'SIGCONT');
+                } catch (err) {
+                    // gone already
+                }
+                stopped = null;
+            }
+            return player.kill({graceful: false, timeout: 500});
+        });
+
+        it('runs mutating calls in the order they were made', function () {
+            return player.open(CLIP).then(() => player.pause()).then(() => {
+                return Promise.all([
+                    player.setPosition(10),
+                    player.seek(5),
+                    player.getPosition()
+                ]);
+            }).then(([, , position]) => {
+                assert(position >= 15 && position < 16, position);
+            });
+        });
+
+        it('rejects calls that take longer than the timeout', function () {
+            return player.open(CLIP).then(freeze).then(() => {
+                return player.getPosition({timeout: 300});
+            }).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxTimeoutError, err);
+                assert.strictEqual(err.member, 'Position');
+                assert.strictEqual(err.timeout, 300);
+            });
+        });
+
+        it('rejects calls whose signal was aborted', function () {
+            let controller = new AbortController();
+            return player.open(CLIP).then(() => {
+                let call = player.setPosition(10, {signal: controller.signal});
+                controller.abort();
+                return call;
+            }).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxAbortError, err);
+                assert.strictEqual(err.code, 'ABORT_ERR');
+                return new Promise((resolve) => player.getPosition({signal: controller.signal}, resolve));
+            }).then((err) => {
+                assert(err instanceof OmxPlayer.OmxAbortError, err);
+            });
+        });
+
+        it('rejects pending calls when the process exits', function () {
+            return player.open(CLIP).then(freeze).then(() => {
+                let call = player.getPosition({timeout: 0});
+                let quit = player.quit({timeout: 0});
+                process.kill(stopped, 'SIGKILL');
+                return Promise.all([
+                    call.then(() => assert.fail('should have rejected'), (err) => err),
+                    quit
+                ]);
+            }).then(([err, result]) => {
+                assert(err instanceof OmxPlayer.OmxNotRunningError, err);
+                assert.strictEqual(err.member, 'Position');
+                assert.strictEqual(result, null);
+            });
+        });
+
+        it('aborts open()', function () {
+            process.env.FAKE_OMXPLAYER_STARTUP_DELAY = 5000;
+            let controller = new AbortController();
+            setTimeout(() => controller.abort(), 300);
+            return player.open(CLIP, {signal: controller.signal}).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxAbortError, err);
+                assert.strictEqual(player.process, null);
+            });
+        });
+
+        it('aborts a fade', function () {
+            let controller = new AbortController();
+            return player.open(CLIP).then(() => {
+                setTimeout(() => controller.abort(), 200);
+                return player.fadeVolume(0, 2000, {signal: controller.signal});
+            }).then((completed) => {
+                assert.strictEqual(completed, false);
+                return player.getVolume();
+            }).then((volume) => {
+                assert(volume > 0 && volume < 1, volume);
+            });
+        });
+    });
+
+    describe('getState()', function () {
+        let player;
+        let calls;
+
+        // replaces player with one that tries GetAll
+        function tryGetAll() {
+            let invoke = player._invokeDBusOnce;
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR, getAll: true});
+            player._invokeDBusOnce = invoke;
+        }
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            calls = [];
+            let invoke = player._invokeDBusOnce;
+            player._invokeDBusOnce = function (member, ...args) {
+                calls.push(member);
+                return invoke.call(this, member, ...args);
+            };
+        });
+
+        afterEach(function () {
+            delete process.env.FAKE_OMXPLAYER_GETALL;
+            return player.kill();
+        });
+
+        function checkState(state) {
+            assert.strictEqual(state.status, 'Playing');
+            assert.strictEqual(state.playing, true);
+            assert.strictEqual(state.paused, false);
+            assert(state.position >= 0 && state.position < 5, state.position);
+            assert.strictEqual(state.duration, 60);
+            assert.strictEqual(state.volume, 1);
+            assert.strictEqual(state.rate, 1);
+            assert.deepStrictEqual(state.metadata, {'mpris:length': 60000000, 'xesam:url': CLIP});
+            assert.strictEqual(state.aspect, 1920 / 1080);
+            assert.strictEqual(state.width, 1920);
+            assert.strictEqual(state.height, 1080);
+            assert(Math.abs(Date.now() - state.timestamp) < 1000, state.timestamp);
+        }
+
+        it('reads the properties side by side', function () {
+            return player.open(CLIP).then(() => {
+                calls = [];
+                return player.getState();
+            }).then((state) => {
+                checkState(state);
+                assert.strictEqual(player.getAllSupported, false);
+                assert.strictEqual(calls.indexOf('GetAll'), -1);
+                assert.strictEqual(calls.length, 9);
+            });
+        });
+
+        it('falls back for good when GetAll goes unanswered', function () {
+            tryGetAll();
+            let start;
+            return player.open(CLIP).then(() => {
+                calls = [];
+                start = Date.now();
+                return player.getState();
+            }).then((state) => {
+                checkState(state);
+                assert(Date.now() - start < 1000, `took ${Date.now() - start}ms`);
+                assert.strictEqual(player.getAllSupported, false);
+                assert.strictEqual(calls.length, 10);
+                calls = [];
+                return player.getState();
+            }).then(() => {
+                assert.strictEqual(calls.indexOf('GetAll'), -1);
+                assert.strictEqual(calls.length, 9);
+            });
+        });
+
+        it('uses a single GetAll where the player has it', function () {
+            process.env.FAKE_OMXPLAYER_GETALL = 1;
+            tryGetAll();
+            return player.open(CLIP).then(() => {
+                calls = [];
+                return new Promise((resolve, reject) => {
+                    player.getState({}, (err, state) => err ? reject(err) : resolve(state));
+                });
+            }).then((state) => {
+                checkState(state);
+                assert.strictEqual(player.getAllSupported, true);
+                assert.deepStrictEqual(calls, ['GetAll']);
+                return player.pause();
+            }).then(() => player.getState()).then((state) => {
+                assert.strictEqual(state.status, 'Paused');
+                assert.strictEqual(state.paused, true);
+            });
+        });
+
+        it('rejects when not running', function () {
+            return player.getState().then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxNotRunningError, err);
+            });
+        });
+    });
+
+    describe('D-Bus configuration', function () {
+        let players = [];
+        let addressFile = path.join(os.tmpdir(), `omxplayer-test-address.${process.pid}`);
+
+        function create(options) {
+            let player = new OmxPlayer(Object.assign({dbusAddressFile: DBUS_ADDR}, options));
+            players.push(player);
+            return player;
+        }
+
+        afterEach(function () {
+            let killing = players.map((player) => player.kill());
+            players = [];
+            return Promise.all(killing);
+        });
+
+        after(function () {
+            if (fs.existsSync(addressFile)) fs.unlinkSync(addressFile);
+        });
+
+        it('numbers the default names by instance', function () {
+            let player = create();
+            assert.strictEqual(player.dbusName, `org.mpris.MediaPlayer2.omxplayer${player.instance}`);
+        });
+
+        it('reads the bus address from the file of the omxplayer script by default', function () {
+            let player = new OmxPlayer();
+            assert.strictEqual(player.dbusAddressFile, `/tmp/omxplayerdbus.${os.userInfo().username}`);
+        });
+
+        it('uses a custom name', function () {
+            let player = create({dbusName: 'org.mpris.MediaPlayer2.omxplayer.test'});
+            return player.open(CLIP).then(() => {
+                return player.getIdentity();
+            }).then((identity) => {
+                assert.strictEqual(identity, 'OMXPlayer');
+            });
+        });
+
+        it('generates a unique name', function () {
+            let player = create({uniqueName: true});
+            assert(player.dbusName.indexOf(`_${process.pid}_`) !== -1, player.dbusName);
+            return player.open(CLIP).then(() => player.getCanQuit());
+        });
+
+        it('rejects an invalid name', function () {
+            assert.throws(() => new OmxPlayer({dbusName: 'omxplayer'}), OmxPlayer.OmxInvalidArgumentError);
+            assert.throws(() => new OmxPlayer({dbusName: 'org.mpris.1player'}), OmxPlayer.OmxInvalidArgumentError);
+        });
+
+        it('refuses to start when the name is taken', function () {
+            let first = create({dbusName: 'org.mpris.MediaPlayer2.omxplayer.shared'});
+            let second = create({dbusName: 'org.mpris.MediaPlayer2.omxplayer.shared'});
+            return first.open(CLIP).then(() => {
+                return second.open(CLIP2);
+            }).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxDBusError, err);
+                assert(/already owned/.test(err.message), err.message);
+                assert.strictEqual(second.process, null);
+                return first.getSource();
+            }).then((source) => {
+                assert.strictEqual(source, CLIP);
+            });
+        });
+
+        it('reuses its own name when reopening', function () {
+            let player = create({dbusName: 'org.mpris.MediaPlayer2.omxplayer.reopen'});
+            return player.open(CLIP).then(() => {
+                return player.open(CLIP2);
+            }).then(() => {
+                return player.getSource();
+            }).then((source) => {
+                assert.strictEqual(source, CLIP2);
+            });
+        });
+
+        it('reads the bus address from a custom file', function () {
+            let player = create();
+            // make sure the bus is up, then point a second player at a copy of its address
+            return player.open(CLIP).then(() => {
+                fs.writeFileSync(addressFile, fs.readFileSync(player.dbusAddressFile));
+                let other = create({dbusAddressFile: addressFile});
+                return other.open(CLIP2).then(() => other.getSource());
+            }).then((source) => {
+                assert.strictEqual(source, CLIP2);
+            });
+        });
+
+        it('connects to an explicit bus address', function () {
+            let player = create();
+            return player.open(CLIP).then(() => {
+                let address = fs.readFileSync(player.dbusAddressFile, 'utf8').trim();
+                let other = create({dbusAddress: address, dbusAddressFile: '/does/not/exist'});
+                return other.open(CLIP2).then(() => other.getSource());
+            }).then((source) => {
+                assert.strictEqual(source, CLIP2);
+            });
+        });
+    });
+
+    describe('list() and attach()', function () {
+        let owner;
+        let attached;
+
+        beforeEach(function () {
+            owner = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            attached = null;
+            return owner.open(CLIP);
+        });
+
+        afterEach(function () {
+            return Promise.all([owner.kill(), attached && attached.kill()]);
+        });
+
+        it('lists the players on the bus', function () {
+            let pid;
+            return owner.getChildPid().then((childPid) => {
+                pid = Number(childPid);
+                return OmxPlayer.list({dbusAddressFile: DBUS_ADDR});
+            }).then((players) => {
+                let entry = players.find((player) => player.name === owner.dbusName);
+                assert(entry, JSON.stringify(players));
+                assert.strictEqual(entry.pid, pid);
+                assert.strictEqual(entry.source, CLIP);
+            });
+        });
+
+        it('lists nothing without a bus', function () {
+            return OmxPlayer.list({dbusAddressFile: '/does/not/exist'}).then((players) => {
+                assert.deepStrictEqual(players, []);
+            });
+        });
+
+        it('attaches to a running player', function () {
+            return OmxPlayer.attach(owner.dbusName, {dbusAddressFile: DBUS_ADDR}).then((player) => {
+                attached = player;
+                assert.strictEqual(attached.file, CLIP);
+                assert.strictEqual(attached.dbusName, owner.dbusName);
+                return attached.pause();
+            }).then(() => {
+                return owner.getPlaybackStatus();
+            }).then((status) => {
+                assert.strictEqual(status, 'Paused');
+            });
+        });
+
+        it('attaches to an entry of list()', function (done) {
+            OmxPlayer.list({dbusAddressFile: DBUS_ADDR}).then((players) => {
+                let entry = players.find((player) => player.name === owner.dbusName);
+                OmxPlayer.attach(entry, {dbusAddressFile: DBUS_ADDR}, (err, player) => {
+                    attached = player;
+                    assert.ifError(err);
+                    assert.strictEqual(Number(player.child_process), entry.pid);
+                    done();
+                });
+            });
+        });
+
+        it('emits close when the attached player exits', function () {
+            return OmxPlayer.attach(owner.dbusName, {dbusAddressFile: DBUS_ADDR}).then((player) => {
+                attached = player;
+                let close = waitForEvent(attached, 'close');
+                owner.quit();
+                return close;
+            }).then(([code, exit]) => {
+                assert.strictEqual(code, null);
+                assert.strictEqual(exit.reason, 'unknown');
+                assert.strictEqual(attached.process, null);
+            });
+        });
+
+        it('kills the attached player', function () {
+            let close = waitForEvent(owner, 'close');
+            return OmxPlayer.attach(owner.dbusName, {dbusAddressFile: DBUS_ADDR}).then((player) => {
+                attached = player;
+                return attached.kill();
+            }).then(() => close);
+        });
+
+        it('detaches without stopping the player', function () {
+            let closed = false;
+            return OmxPlayer.attach(owner.dbusName, {dbusAddressFile: DBUS_ADDR}).then((player) => {
+                attached = player;
+                attached.on('close', () => closed = true);
+                attached.detach();
+                assert.strictEqual(attached.process, null);
+                return owner.getPlaybackStatus();
+            }).then((status) => {
+                assert.strictEqual(status, 'Playing');
+                return owner.quit();
+            }).then(() => delay(700)).then(() => {
+                assert.strictEqual(closed, false);
+            });
+        });
+
+        it('rejects a name nobody owns', function () {
+            return OmxPlayer.attach('org.mpris.MediaPlayer2.omxplayer.nobody', {dbusAddressFile: DBUS_ADDR}).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxNotRunningError, err);
+            });
+        });
+    });
+
+    describe('root interface', function () {
+        let player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+
+        before(function () {
+            return player.open(CLIP);
+        });
+
+        after(function () {
+            return player.kill();
+        });
+
+        it('raise()', function () {
+            return player.raise();
+        });
+
+        it('getCanQuit()', function () {
+            return player.getCanQuit().then((result) => assert.strictEqual(result, true));
+        });
+
+        it('getCanFullscreen()', function () {
+            return player.getCanFullscreen().then((result) => assert.strictEqual(result, true));
+        });
+
+        it('getCanSetFullscreen()', function () {
+            return player.getCanSetFullscreen().then((result) => assert.strictEqual(result, false));
+        });
+
+        it('getCanRaise()', function () {
+            return player.getCanRaise().then((result) => assert.strictEqual(result, false));
+        });
+
+        it('getHasTrackList()', function () {
+            return player.getHasTrackList().then((result) => assert.strictEqual(result, false));
+        });
+
+        it('getIdentity()', function () {
+            return player.getIdentity().then((result) => assert.strictEqual(result, 'OMXPlayer'));
+        });
+
+        it('getSupportedUriSchemes()', function () {
+            return player.getSupportedUriSchemes().then((result) => assert(result.indexOf('file') !== -1));
+        });
+
+        it('getSupportedMimeTypes()', function () {
+            return player.getSupportedMimeTypes().then((result) => assert(Array.isArray(result)));
+        });
+    });
+
+    describe('player interface', function () {
+        let player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+
+        before(function () {
+            return player.open(CLIP, {loop: true});
+        });
+
+        after(function () {
+            return player.kill();
+        });
+
+        it('next() and previous()', function () {
+            return player.next().then(() => player.previous());
+        });
+
+        it('pause(), play() and playPause()', function () {
+            return player.pause().then(() => {
+                return player.getPlaybackStatus();
+            }).then((status) => {
+                assert.strictEqual(status, 'Paused');
+                return player.getPaused();
+            }).then((paused) => {
+                assert.strictEqual(paused, true);
+                return player.play();
+            }).then(() => {
+                return player.getPlaying();
+            }).then((playing) => {
+                assert.strictEqual(playing, true);
+                return player.play();
+            }).then(() => {
+                return player.getPlaying();
+            }).then((playing) => {
+                assert.strictEqual(playing, true);
+                return player.playPause();
+            }).then(() => {
+                return player.getPlaying();
+            }).then((playing) => {
+                assert.strictEqual(playing, false);
+                return player.playPause();
+            });
+        });
+
+        it('the clock stands still while paused', function () {
+            let position;
+            return player.pause().then(() => {
+                return player.getPosition();
+            }).then((result) => {
+                position = result;
+                return delay(200);
+            }).then(() => {
+                return player.getPosition();
+            }).then((result) => {
+                assert.strictEqual(result, position);
+                return player.play();
+            });
+        });
+
+        it('setPosition() and getPosition()', function () {
+            return player.pause().then(() => {
+                return player.setPosition(30);
+            }).then((position) => {
+                assert.strictEqual(position, 30);
+                return player.getPosition();
+            }).then((position) => {
+                assert.strictEqual(position, 30);
+                return player.play();
+            });
+        });
+
+        it('setPosition() rejects an invalid position', function () {
+            return player.setPosition(-10).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxInvalidArgumentError, err);
+                assert.strictEqual(err.argument, -10);
+            });
+        });
+
+        it('seek()', function () {
+            return player.pause().then(() => {
+                return player.setPosition(10);
+            }).then(() => {
+                return player.seek(5);
+            }).then((offset) => {
+                assert.strictEqual(offset, 5);
+                return player.getPosition();
+            }).then((position) => {
+                assert.strictEqual(position, 15);
+                return player.seek(-10);
+            }).then((offset) => {
+                assert.strictEqual(offset, -10);
+                return player.getPosition();
+            }).then((position) => {
+                assert.strictEqual(position, 5);
+                return player.play();
+            });
+        });
+
+        it('seek() rejects an offset past the end', function () {
+            return player.seek(3600).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxInvalidArgumentError, err);
+                assert.strictEqual(err.member, 'Seek');
+            });
+        });
+
+        it('getDuration()', function () {
+            return player.getDuration().then((duration) => assert.strictEqual(duration, 60));
+        });
+
+        it('setAlpha() and setLayer()', function () {
+            return player.setAlpha(128).then(() => player.setLayer(2));
+        });
+
+        it('mute() and unmute()', function () {
+            return player.mute().then(() => player.unmute());
+        });
+
+        it('setVolume() and getVolume()', function () {
+            return player.setVolume(0.5).then((volume) => {
+                assert.strictEqual(volume, 0.5);
+                return player.getVolume();
+            }).then((volume) => {
+                assert.strictEqual(volume, 0.5);
+            });
+        });
+
+        it('volumeUp() and volumeDown()', function () {
+            return player.setVolume(1).then(() => {
+                return player.volumeDown();
+            }).then(() => {
+                return player.getVolume();
+            }).then((volume) => {
+                assert(Math.abs(volume - Math.pow(10, -300 / 2000)) < 1e-9, `volume ${volume}`);
+                return player.volumeUp();
+            }).then(() => {
+                return player.getVolume();
+            }).then((volume) => {
+                assert(Math.abs(volume - 1) < 1e-9, `volume ${volume}`);
+            });
+        });
+
+        it('listAudio() and selectAudio()', function () {
+            return player.listAudio().then((streams) => {
+                assert.deepStrictEqual(streams, ['0:eng:English:aac:active', '1:deu:Deutsch:ac3:']);
+                return player.selectAudio(1);
+            }).then((selected) => {
+                assert.strictEqual(selected, true);
+                return player.listAudio();
+            }).then((streams) => {
+                assert.strictEqual(streams[1], '1:deu:Deutsch:ac3:active');
+                return player.selectAudio(5);
+            }).then((selected) => {
+                assert.strictEqual(selected, false);
+            });
+        });
+
+        it('listSubtitles() and selectSubtitle()', function () {
+            return player.listSubtitles().then((streams) => {
+                assert.strictEqual(streams.length, 2);
+                return player.selectSubtitle(1);
+            }).then((selected) => {
+                assert.strictEqual(selected, true);
+                return player.listSubtitles();
+            }).then((streams) => {
+                assert.strictEqual(streams[1], '1:fra:Francais:subrip:active');
+            });
+        });
+
+        it('getAudioTracks(), getSubtitleTracks() and getVideoTracks()', function () {
+            return player.selectAudio(0).then(() => {
+                return player.getAudioTracks();
+            }).then((tracks) => {
+                assert.deepStrictEqual(tracks, [
+                    {index: 0, language: 'eng', name: 'English', codec: 'aac', active: true},
+                    {index: 1, language: 'deu', name: 'Deutsch', codec: 'ac3', active: false}
+                ]);
+                return player.getSubtitleTracks();
+            }).then((tracks) => {
+                assert.deepStrictEqual(tracks.map((track) => track.language), ['eng', 'fra']);
+                return player.getVideoTracks();
+            }).then((tracks) => {
+                assert.strictEqual(tracks[0].codec, 'h264');
+            });
+        });
+
+        it('getTracks() and the tracks snapshot', function () {
+            return player.selectAudio(0).then(() => {
+                return player.getTracks();
+            }).then((tracks) => {
+                assert.strictEqual(tracks, player.tracks);
+                assert.strictEqual(tracks.audio.length, 2);
+                assert.strictEqual(tracks.subtitle.length, 2);
+                assert.strictEqual(tracks.video.length, 1);
+                return player.selectAudio(1);
+            }).then(() => {
+                assert.deepStrictEqual(player.tracks.audio.map((track) => track.active), [false, true]);
+            });
+        });
+
+        it('selectAudioByLanguage()', function () {
+            return player.selectAudioByLanguage(['fra', 'eng', 'deu']).then((track) => {
+                assert.strictEqual(track.index, 0);
+                assert.strictEqual(track.active, true);
+                assert.strictEqual(player.tracks.audio[0].active, true);
+                return player.selectAudioByLanguage('deu');
+            }).then((track) => {
+                assert.strictEqual(track.language, 'deu');
+                return player.selectAudioByLanguage(['spa']);
+            }).then((track) => {
+                assert.strictEqual(track, null);
+                return player.getAudioTracks();
+            }).then((tracks) => {
+                assert.strictEqual(tracks[1].active, true);
+            });
+        });
+
+        it('selectSubtitleByLanguage()', function (done) {
+            player.selectSubtitleByLanguage(['fra'], (err, track) => {
+                assert.ifError(err);
+                assert.strictEqual(track.index, 1);
+                assert.strictEqual(player.tracks.subtitle[1].active, true);
+                done();
+            });
+        });
+
+        it('listVideo()', function () {
+            return player.listVideo().then((streams) => {
+                assert.deepStrictEqual(streams, ['0:und::h264:active']);
+            });
+        });
+
+        it('showSubtitles(), hideSubtitles() and toggleSubtitles()', function () {
+            return player.showSubtitles().then(() => player.hideSubtitles()).then(() => player.toggleSubtitles());
+        });
+
+        it('hideVideo() and unhideVideo()', function () {
+            return player.hideVideo().then(() => player.unhideVideo());
+        });
+
+        it('getSource()', function () {
+            return player.getSource().then((source) => assert.strictEqual(source, CLIP));
+        });
+
+        it('action()', function () {
+            return player.pause().then(() => {
+                return player.setPosition(0);
+            }).then(() => {
+                return player.action(20);
+            }).then(() => {
+                return player.getPosition();
+            }).then((position) => {
+                assert.strictEqual(position, 30);
+                return player.play();
+            });
+        });
+
+        it('action() with a name', function () {
+            return player.pause().then(() => {
+                return player.setPosition(0);
+            }).then(() => {
+                return player.action('ACTION_SEEK_FORWARD_SMALL');
+            }).then(() => {
+                return player.getPosition();
+            }).then((position) => {
+                assert.strictEqual(position, 30);
+                return player.play();
+            });
+        });
+
+        it('action() rejects unknown names', function (done) {
+            player.action('SEEK_FORWARD_HUGE').then(() => assert.fail('resolved'), (err) => {
+                assert(err instanceof OmxPlayer.OmxInvalidArgumentError);
+                player.action('SEEK_FORWARD_HUGE', (err) => {
+                    assert(err instanceof OmxPlayer.OmxInvalidArgumentError);
+                    done();
+                }).catch(() => {});
+            }).catch(done);
+        });
+
+        it('seekForwardSmall(), seekBackSmall() and stepForward()', function () {
+            return player.pause().then(() => {
+                return player.setPosition(10);
+            }).then(() => {
+                return player.seekForwardSmall();
+            }).then(() => {
+                return player.seekBackSmall();
+            }).then(() => {
+                return player.stepForward();
+            }).then(() => {
+                return player.getPosition();
+            }).then((position) => {
+                assert(Math.abs(position - 10.04) < 1e-6, `position ${position}`);
+                return player.play();
+            });
+        });
+
+        it('increaseSpeed() and decreaseSpeed()', function () {
+            return player.setRate(1).then(() => {
+                return player.increaseSpeed();
+            }).then(() => {
+                return player.getRate();
+            }).then((rate) => {
+                assert.strictEqual(rate, 2);
+                return player.decreaseSpeed();
+            }).then(() => {
+                return player.getRate();
+            }).then((rate) => {
+                assert.strictEqual(rate, 1);
+            });
+        });
+
+        it('nextAudio() and previousAudio() update the tracks', function () {
+            return player.selectAudio(0).then(() => {
+                return player.nextAudio();
+            }).then(() => {
+                assert.strictEqual(player.tracks.audio[1].active, true);
+                return player.previousAudio();
+            }).then(() => {
+                assert.strictEqual(player.tracks.audio[0].active, true);
+            });
+        });
+
+        it('subtitle, chapter and OSD actions', function () {
+            return Promise.all([
+                player.increaseSubtitleDelay(),
+                player.decreaseSubtitleDelay(),
+                player.nextSubtitle(),
+                player.previousSubtitle(),
+                player.nextChapter(),
+                player.previousChapter(),
+                player.showInfo()
+            ]);
+        });
+
+        it('capability properties', function () {
+            return Promise.all([
+                player.getCanGoNext(),
+                player.getCanGoPrevious(),
+                player.getCanSeek(),
+                player.getCanControl(),
+                player.getCanPlay(),
+                player.getCanPause()
+            ]).then((results) => {
+                assert.deepStrictEqual(results, [false, false, true, true, true, true]);
+            });
+        });
+
+        it('getMinimumRate(), getMaximumRate(), setRate() and getRate()', function () {
+            return Promise.all([player.getMinimumRate(), player.getMaximumRate()]).then((rates) => {
+                assert(rates[0] < 1 && rates[1] > 1);
+                return player.setRate(2);
+            }).then((rate) => {
+                assert.strictEqual(rate, 2);
+                return player.getRate();
+            }).then((rate) => {
+                assert.strictEqual(rate, 2);
+                return player.setRate(1);
+            });
+        });
+
+        it('getMetadata()', function () {
+            return player.getMetadata().then((metadata) => {
+                let keys = metadata.map((entry) => entry[0]);
+                assert.deepStrictEqual(keys, ['mpris:length', 'xesam:url']);
+            });
+        });
+
+        it('getAspect(), getVideoStreamCount(), getResWidth() and getResHeight()', function () {
+            return Promise.all([
+                player.getAspect(),
+                player.getVideoStreamCount(),
+                player.getResWidth(),
+                player.getResHeight()
+            ]).then((results) => {
+                assert.deepStrictEqual(results, [1920 / 1080, 1, 1920, 1080]);
+            });
+        });
+
+        it('setVideoPos()', function () {
+            return player.setVideoPos(0, 0, 640, 480).then((win) => {
+                assert.deepStrictEqual(win, [0, 0, 640, 480]);
+            });
+        });
+
+        it('setVideoCropPos()', function () {
+            return player.setVideoCropPos(10, 10, 100, 100).then((crop) => {
+                assert.deepStrictEqual(crop, [10, 10, 100, 100]);
+            });
+        });
+
+        it('setAspectMode()', function () {
+            return player.setAspectMode('fill');
+        });
+
+        // OpenUri is a method of org.mpris.MediaPlayer2.Player, the player answers it on no other interface
+        it('openUri() restarts the player with the URI', function () {
+            return player.setPosition(10).then(() => player.openUri('http://example.com/stream.mp4')).then(() => {
+                return Promise.all([player.getSource(), player.getPosition()]);
+            }).then(([source, position]) => {
+                assert.strictEqual(source, 'http://example.com/stream.mp4');
+                assert(position < 1, `position ${position}`);
+            });
+        });
+
+        it('supports callbacks', function (done) {
+            player.getIdentity((err, identity) => {
+                assert.ifError(err);
+                assert.strictEqual(identity, 'OMXPlayer');
+                done();
+            });
+        });
+    });
+});
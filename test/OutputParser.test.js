@@ -0,0 +1,99 @@
+"use strict";
+
+const assert = require('assert');
+const OutputParser = require('../lib/OutputParser');
+const {parseLine, exitReason} = OutputParser;
+
+describe('OutputParser', function () {
+
+    describe('parseLine()', function () {
+
+        it('parses stream details', function () {
+            assert.deepStrictEqual(parseLine('Video codec omx-h264 width 1920 height 1080 profile 100 fps 25.000000'), {
+                type: 'info',
+                line: 'Video codec omx-h264 width 1920 height 1080 profile 100 fps 25.000000',
+                kind: 'video',
+                codec: 'h264',
+                width: 1920,
+                height: 1080,
+                profile: 100,
+                fps: 25
+            });
+            let audio = parseLine('Audio codec aac channels 2 samplerate 48000 bitspersample 16');
+            assert.strictEqual(audio.kind, 'audio');
+            assert.strictEqual(audio.samplerate, 48000);
+            let subtitle = parseLine('Subtitle count: 2, state: off, index: 1, delay: 0');
+            assert.strictEqual(subtitle.kind, 'subtitle');
+            assert.strictEqual(subtitle.count, 2);
+            assert.strictEqual(subtitle.state, 'off');
+        });
+
+        it('parses state changes', function () {
+            assert.strictEqual(parseLine('Seek to: 00:01:30').position, 90);
+            assert.strictEqual(parseLine('Current Volume: -3.00dB').dB, -3);
+            assert.strictEqual(parseLine('Playspeed 2.000').rate, 2);
+            assert.strictEqual(parseLine('Subtitle delay: -250 ms').delay, -250);
+            assert.strictEqual(parseLine('have a nice day ;)').kind, 'exit');
+        });
+
+        it('recognizes fatal errors and warnings', function () {
+            assert.deepStrictEqual(parseLine('File "/media/x.mp4" not found.'), {
+                type: 'fatal',
+                reason: 'FILE_NOT_FOUND',
+                message: 'File "/media/x.mp4" not found.',
+                line: 'File "/media/x.mp4" not found.'
+            });
+            assert.strictEqual(parseLine('* failed to open vchiq instance').reason, 'GPU_ACCESS');
+            assert.strictEqual(parseLine('Invalid audio device: hdmi1').reason, 'INVALID_AUDIO_DEVICE');
+            assert.strictEqual(parseLine('COMXAudio::Decode timeout').type, 'warning');
+            assert.strictEqual(parseLine('COMXAudio::Decode timeout').reason, 'AUDIO_DECODE_TIMEOUT');
+            assert.strictEqual(parseLine('ALSA underrun occurred').reason, 'AUDIO_UNDERRUN');
+        });
+
+        it('ignores other lines', function () {
+            assert.strictEqual(parseLine(''), null);
+            assert.strictEqual(parseLine('M:   1234567 V:  0.12s'), null);
+        });
+    });
+
+    describe('stream', function () {
+
+        it('emits events for complete lines of both streams', function () {
+            let parser = new OutputParser();
+            let events = [];
+            for (let type of ['info', 'warning', 'fatal']) {
+                parser.on(type, (event) => events.push([type, event.stream, event.kind || event.reason]));
+            }
+            parser.write('stdout', 'Video codec omx-h264 width 1920 height 1080 pro');
+            assert.deepStrictEqual(events, []);
+            parser.write('stdout', 'file 100 fps 25.000000\nAudio codec aac channels 2 samplerate 48000 bitspersample 16\r\n');
+            parser.write('stderr', 'COMXAudio::Decode timeout\n');
+            parser.write('stdout', 'File "x" not found.');
+            parser.end();
+            assert.deepStrictEqual(events, [
+                ['info', 'stdout', 'video'],
+                ['info', 'stdout', 'audio'],
+                ['warning', 'stderr', 'AUDIO_DECODE_TIMEOUT'],
+                ['fatal', 'stdout', 'FILE_NOT_FOUND']
+            ]);
+            assert.strictEqual(parser.fatal.reason, 'FILE_NOT_FOUND');
+        });
+    });
+
+    describe('exitReason()', function () {
+
+        it('tells why a process exited', function () {
+            assert.strictEqual(exitReason(1, null, {reason: 'FILE_NOT_FOUND'}, false), 'FILE_NOT_FOUND');
+            assert.strictEqual(exitReason(0, null, null, false), 'ended');
+            assert.strictEqual(exitReason(0, null, null, true), 'quit');
+            assert.strictEqual(exitReason(139, null, null, false), 'crashed');
+            assert.strictEqual(exitReason(null, 'SIGABRT', null, false), 'crashed');
+            assert.strictEqual(exitReason(143, null, null, false), 'killed');
+            assert.strictEqual(exitReason(3, null, null, false), 'quit');
+            assert.strictEqual(exitReason(3, null, null, true), 'quit');
+            assert.strictEqual(exitReason(1, null, null, true), 'quit');
+            assert.strictEqual(exitReason(1, null, null, false), 'error');
+            assert.strictEqual(exitReason(null, null, null, false), 'unknown');
+        });
+    });
+});
@@ -0,0 +1,164 @@
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OmxPlayer = require('..');
+const {CLIP, CLIP2, DBUS_ADDR, delay, waitForEvent, watchUncaught} = require('./helpers');
+
+function record(file, start, played, completed) {
+    return {player: 'omxplayer', file, start, end: start, played, duration: 60, completed,
+        reason: completed ? 'ended' : 'stopped', code: 0, errors: []};
+}
+
+describe('PlayRecorder', function () {
+    let dir;
+    let recorder;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omxplayer-plays-'));
+    });
+
+    afterEach(function () {
+        if (recorder) recorder.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    describe('recording', function () {
+        let player;
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            recorder = new OmxPlayer.PlayRecorder({dir, interval: 100});
+            recorder.attach(player, 'lobby');
+        });
+
+        afterEach(function () {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+            delete process.env.FAKE_OMXPLAYER_STDERR;
+            return player.kill();
+        });
+
+        it('records a clip that played to its end', function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 1;
+            return player.open(CLIP).then(() => waitForEvent(recorder, 'record', 3000)).then((record) => {
+                assert.strictEqual(record.player, 'lobby');
+                assert.strictEqual(record.file, CLIP);
+                assert.strictEqual(record.completed, true);
+                assert.strictEqual(record.reason, 'ended');
+                assert.strictEqual(record.code, 0);
+                assert.strictEqual(record.duration, 1);
+                assert(Math.abs(record.played - 1) < 0.2, `played ${record.played}`);
+                // the record starts once the player is ready, the clip played before that as well
+                assert(new Date(record.end) - new Date(record.start) <= record.played * 1000 + 100);
+                return recorder.records();
+            }).then((records) => {
+                assert.strictEqual(records.length, 1);
+                assert.strictEqual(records[0].file, CLIP);
+            });
+        });
+
+        it('records clips stopped early, without what was skipped', function () {
+            let records = [];
+            recorder.on('record', (record) => records.push(record));
+            return player.open(CLIP).then(() => delay(300)).then(() => player.setPosition(30)).then(() => delay(400))
+                .then(() => player.open(CLIP2)).then(() => delay(300)).then(() => player.kill()).then(() => {
+                    assert.deepStrictEqual(records.map((record) => [record.file, record.reason, record.completed]),
+                        [[CLIP, 'stopped', false], [CLIP2, 'stopped', false]]);
+                    assert(records[0].played > 0.4 && records[0].played < 1.2, `played ${records[0].played}`);
+                });
+        });
+
+        it('counts a clip opened at a position from there', function () {
+            return player.open(CLIP, {l: '00:00:30'}).then(() => delay(600)).then(() => player.kill()).then(() => recorder.records()).then(([record]) => {
+                assert(record.played > 0.4 && record.played < 1.2, `played ${record.played}`);
+            });
+        });
+
+        it('counts every pass of a looped clip', function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 0.6;
+            return player.open(CLIP, {loop: true}).then(() => delay(1500)).then(() => player.kill()).then(() => recorder.records()).then(([record]) => {
+                assert.strictEqual(record.completed, true);
+                assert(record.played > 1.1 && record.played < 1.8, `played ${record.played}`);
+            });
+        });
+
+        it('reports records it cannot write as error, thrown without listeners', function () {
+            fs.rmSync(dir, {recursive: true});
+            let records = 0;
+            recorder.on('record', () => records++);
+            let uncaught = watchUncaught();
+            return player.open(CLIP).then(() => player.kill()).then(() => uncaught()).then((errors) => {
+                assert.deepStrictEqual(errors.map((err) => err.code), ['ENOENT']);
+                assert.strictEqual(records, 0);
+                let failed = waitForEvent(recorder, 'error');
+                return player.open(CLIP2).then(() => player.kill()).then(() => failed);
+            }).then((err) => {
+                assert.strictEqual(err.code, 'ENOENT');
+                assert.strictEqual(records, 0);
+            });
+        });
+
+        it('records the errors of a play', function () {
+            process.env.FAKE_OMXPLAYER_STDERR = 'COMXAudio::Decode timeout';
+            return player.open(CLIP).then(() => {
+                recorder.detach(player);
+                return recorder.records();
+            }).then(([record]) => {
+                assert.strictEqual(record.reason, 'detached');
+                assert.deepStrictEqual(record.errors, ['AUDIO_DECODE_TIMEOUT']);
+            });
+        });
+    });
+
+    describe('files', function () {
+
+        it('rotates the files and reads them all back', function () {
+            recorder = new OmxPlayer.PlayRecorder({dir, maxSize: 400, maxFiles: 3});
+            let line = JSON.stringify(record('a.mp4', '2024-01-08T10:00:00.000Z', 60, true)) + '\n';
+            for (let i = 0; i < 12; i++) {
+                recorder._write(line);
+            }
+            assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['plays.1.jsonl', 'plays.2.jsonl', 'plays.jsonl']);
+            for (let file of fs.readdirSync(dir)) {
+                assert(fs.statSync(path.join(dir, file)).size <= 400);
+            }
+            // a line cut off by a power failure
+            fs.appendFileSync(recorder.file(0), '{"player": "omx');
+            return recorder.records().then((records) => {
+                assert.strictEqual(records.length, Math.floor(400 / line.length) * 3);
+            });
+        });
+
+        it('exports and counts records', function () {
+            recorder = new OmxPlayer.PlayRecorder({dir});
+            let day = (hours) => new Date(2024, 0, 8, hours).toISOString();
+            let next = (hours) => new Date(2024, 0, 9, hours).toISOString();
+            recorder._write(JSON.stringify(record('a.mp4', day(9), 60, true)) + '\n');
+            recorder._write(JSON.stringify(record('b, "best".mp4', day(10), 12.5, false)) + '\n');
+            recorder._write(JSON.stringify(record('a.mp4', next(9), 30, false)) + '\n');
+            return recorder.exportRecords('csv', {file: 'b, "best".mp4'}).then((csv) => {
+                assert.deepStrictEqual(csv.split('\r\n'), [
+                    'player,file,start,end,played,duration,completed,reason,code,errors',
+                    `omxplayer,"b, ""best"".mp4",${day(10)},${day(10)},12.5,60,false,stopped,0,`,
+                    ''
+                ]);
+                return recorder.exportRecords('json', {from: new Date(2024, 0, 9)});
+            }).then((json) => {
+                assert.deepStrictEqual(JSON.parse(json).map((record) => record.start), [next(9)]);
+                return recorder.stats();
+            }).then((stats) => {
+                assert.deepStrictEqual(stats.total, {plays: 3, completed: 1, interrupted: 2, played: 102.5});
+                assert.deepStrictEqual(stats.files['a.mp4'], {plays: 2, completed: 1, interrupted: 1, played: 90});
+                assert.deepStrictEqual(stats.days, {
+                    '2024-01-08': {plays: 2, completed: 1, interrupted: 1, played: 72.5},
+                    '2024-01-09': {plays: 1, completed: 0, interrupted: 1, played: 30}
+                });
+                return recorder.exportRecords('xml').then(() => assert.fail('resolved'), (err) => {
+                    assert(err instanceof OmxPlayer.OmxInvalidArgumentError);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,178 @@
+"use strict";
+
+const assert = require('assert');
+const Playlist = require('../lib/Playlist');
+const {CLIP, CLIP2, DBUS_ADDR, waitForEvent} = require('./helpers');
+
+describe('Playlist', function () {
+
+    describe('items', function () {
+
+        it('adds files and items with options', function () {
+            let playlist = new Playlist(['a.mp4', {file: 'b.mp4', options: {loop: true}}]);
+            playlist.add('c.mp4', {vol: -600}, 0);
+            assert.deepStrictEqual(playlist.items.map((item) => item.file), ['c.mp4', 'a.mp4', 'b.mp4']);
+            assert.deepStrictEqual(playlist.items[2].options, {loop: true});
+            assert.deepStrictEqual(playlist.order, playlist.items);
+        });
+
+        it('rejects items without a file', function () {
+            assert.throws(() => new Playlist([{options: {}}]), /item needs a file/);
+        });
+
+        it('removes items', function () {
+            let playlist = new Playlist(['a.mp4', 'b.mp4', 'c.mp4']);
+            return playlist.remove(1).then((item) => {
+                assert.strictEqual(item.file, 'b.mp4');
+                assert.deepStrictEqual(playlist.order.map((item) => item.file), ['a.mp4', 'c.mp4']);
+            });
+        });
+
+        it('moves items', function () {
+            let playlist = new Playlist(['a.mp4', 'b.mp4', 'c.mp4']);
+            playlist.move(0, 2);
+            assert.deepStrictEqual(playlist.items.map((item) => item.file), ['b.mp4', 'c.mp4', 'a.mp4']);
+            assert.deepStrictEqual(playlist.order, playlist.items);
+            assert.throws(() => playlist.move(0, 3), /invalid target index/);
+        });
+
+        it('shuffles all items', function () {
+            let playlist = new Playlist(['a.mp4', 'b.mp4', 'c.mp4', 'd.mp4'], {shuffle: true});
+            assert.deepStrictEqual(playlist.order.map((item) => item.file).sort(), ['a.mp4', 'b.mp4', 'c.mp4', 'd.mp4']);
+            playlist.setShuffle(false);
+            assert.deepStrictEqual(playlist.order, playlist.items);
+        });
+
+        it('validates the repeat mode', function () {
+            assert.throws(() => new Playlist([], {repeat: 'forever'}), /invalid repeat mode/);
+        });
+
+        it('merges item options over the defaults', function () {
+            let playlist = new Playlist([{file: 'a.mp4', options: {vol: -300}}], {defaults: {vol: -600, loop: true}});
+            assert.deepStrictEqual(playlist._options(playlist.items[0]), {vol: -300, loop: true});
+        });
+
+        it('picks the next item according to the repeat mode', function () {
+            let playlist = new Playlist(['a.mp4', 'b.mp4']);
+            playlist.current = playlist.items[1];
+            assert.strictEqual(playlist._peek(1), null);
+            playlist.setRepeat('all');
+            assert.strictEqual(playlist._peek(1), playlist.items[0]);
+            playlist.setRepeat('one');
+            assert.strictEqual(playlist._peek(1), playlist.items[1]);
+            assert.strictEqual(playlist._peek(-1, true), playlist.items[0]);
+            playlist.current = null;
+        });
+    });
+
+    describe('playback', function () {
+        let playlist;
+
+        before(function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 1;
+        });
+
+        after(function () {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+        });
+
+        afterEach(function () {
+            return playlist.stop();
+        });
+
+        it('rejects play() on an empty playlist', function () {
+            playlist = new Playlist([], {player: {dbusAddressFile: DBUS_ADDR}});
+            return playlist.play().then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(/empty/.test(err.message));
+            });
+        });
+
+        it('advances when an item ends', function () {
+            playlist = new Playlist([CLIP, CLIP2], {player: {dbusAddressFile: DBUS_ADDR}});
+            let changes = [];
+            playlist.on('change', (item, index) => changes.push(index));
+            let end = waitForEvent(playlist, 'end', 8000);
+            return playlist.play().then(() => end).then(() => {
+                assert.deepStrictEqual(changes, [0, 1]);
+                assert.strictEqual(playlist.current, null);
+            });
+        });
+
+        it('skips with next() and previous()', function () {
+            playlist = new Playlist([CLIP, CLIP2], {player: {dbusAddressFile: DBUS_ADDR}, defaults: {loop: true}});
+            return playlist.play().then(() => {
+                return playlist.next();
+            }).then(() => {
+                assert.strictEqual(playlist.index, 1);
+                return playlist.player.getSource();
+            }).then((source) => {
+                assert.strictEqual(source, CLIP2);
+                return playlist.previous();
+            }).then(() => {
+                assert.strictEqual(playlist.index, 0);
+                let end = waitForEvent(playlist, 'end');
+                playlist.next().then(() => playlist.next());
+                return end;
+            });
+        });
+
+        it('starts over with repeat all', function () {
+            playlist = new Playlist([CLIP, CLIP2], {player: {dbusAddressFile: DBUS_ADDR}, repeat: 'all'});
+            let changes = [];
+            playlist.on('change', (item, index) => changes.push(index));
+            return playlist.play().then(() => {
+                return new Promise((resolve) => {
+                    playlist.on('change', () => changes.length === 3 && resolve());
+                });
+            }).then(() => {
+                assert.deepStrictEqual(changes, [0, 1, 0]);
+            });
+        });
+
+        it('swaps in the preloaded item', function () {
+            playlist = new Playlist([CLIP, CLIP2], {player: {dbusAddressFile: DBUS_ADDR}, preload: true, layer: 5});
+            let first;
+            return playlist.play().then(() => {
+                first = playlist.player;
+                return playlist.standbyReady;
+            }).then(() => {
+                assert.strictEqual(playlist.standbyItem, playlist.items[1]);
+                return playlist.standby.getPlaybackStatus();
+            }).then((status) => {
+                assert.strictEqual(status, 'Paused');
+                return waitForEvent(playlist, 'change', 5000);
+            }).then(() => {
+                assert.strictEqual(playlist.index, 1);
+                assert.notStrictEqual(playlist.player, first);
+                return playlist.player.getPlaybackStatus();
+            }).then((status) => {
+                assert.strictEqual(status, 'Playing');
+                return playlist.player.getSource();
+            }).then((source) => {
+                assert.strictEqual(source, CLIP2);
+            });
+        });
+
+        it('preloads silently and with the volume of the item once paused', function () {
+            playlist = new Playlist([CLIP, {file: CLIP2, options: {vol: '-6dB'}}], {player: {dbusAddressFile: DBUS_ADDR}, preload: true});
+            let volumes = [];
+            let create = playlist._createPlayer;
+            playlist._createPlayer = function () {
+                let player = create.call(this);
+                let pause = player.pause;
+                player.pause = function (...args) {
+                    return player.getVolume().then((volume) => volumes.push(volume)).then(() => pause.apply(this, args));
+                };
+                return player;
+            };
+            return playlist.play().then(() => playlist.standbyReady).then(() => {
+                return playlist.standby.getVolume();
+            }).then((volume) => {
+                assert(volumes[0] <= 1e-5, `volume ${volumes[0]}`);
+                assert(Math.abs(volume - Math.pow(10, -600 / 2000)) < 1e-6, `volume ${volume}`);
+            });
+        });
+    });
+});
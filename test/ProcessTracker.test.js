@@ -0,0 +1,72 @@
+"use strict";
+
+const assert = require('assert');
+const {spawn} = require('child_process');
+const ProcessTracker = require('../lib/ProcessTracker');
+const {delay} = require('./helpers');
+
+describe('ProcessTracker', function () {
+    let child;
+
+    // a shell running a node process that is named like the player
+    before(function () {
+        child = spawn('sh', ['-c', `${process.execPath} -e "process.title = 'omxplayer.bin'; setInterval(() => {}, 1000)"; true`]);
+        return delay(500);
+    });
+
+    after(function () {
+        let pid = ProcessTracker.findDescendant(child.pid, 'omxplayer.bin');
+        if (pid) process.kill(pid);
+    });
+
+    it('reads the stat of a process', function () {
+        let stat = ProcessTracker.readStat(process.pid);
+        assert.strictEqual(stat.pid, process.pid);
+        assert.strictEqual(stat.ppid, process.ppid);
+        assert.strictEqual(stat.state, 'R');
+        assert(stat.utime + stat.stime > 0);
+        assert.strictEqual(ProcessTracker.readStat(0x7fffffff), null);
+    });
+
+    it('lists children', function () {
+        assert(ProcessTracker.children(process.pid).indexOf(child.pid) !== -1);
+        assert.deepStrictEqual(ProcessTracker.children(0x7fffffff), []);
+    });
+
+    it('finds a process by name below a wrapper', function () {
+        let pid = ProcessTracker.findDescendant(child.pid, 'omxplayer.bin');
+        assert.deepStrictEqual(ProcessTracker.children(child.pid), [pid]);
+        assert.strictEqual(ProcessTracker.findDescendant(pid, 'omxplayer.bin'), pid);
+        assert.strictEqual(ProcessTracker.findDescendant(child.pid, 'omxplayer'), null);
+    });
+
+    it('lists all processes with their command line', function () {
+        let self = ProcessTracker.listProcesses().find((entry) => entry.pid === process.pid);
+        assert.strictEqual(self.ppid, process.ppid);
+        assert.strictEqual(self.args[0], process.argv0);
+    });
+
+    it('reads the environment of a process', function () {
+        // that of this process is the one it was started with, before the tests changed it
+        let env = ProcessTracker.readEnvironment(child.pid);
+        assert.strictEqual(env.PATH, process.env.PATH);
+        assert.strictEqual(ProcessTracker.readEnvironment(0x7fffffff), null);
+    });
+
+    it('reports CPU and memory usage', function () {
+        let tracker = new ProcessTracker(process.pid);
+        let first = tracker.stats();
+        assert(first.cpu > 0, first.cpu);
+        assert(first.rss > 1024 * 1024, first.rss);
+        assert(first.vsize >= first.rss);
+        assert(first.threads >= 1);
+        assert(first.uptime > 0);
+
+        // busy for a while, all of one core unless something else runs
+        let end = Date.now() + 300;
+        while (Date.now() < end);
+        let second = tracker.stats();
+        assert(second.cpu > 20, second.cpu);
+        assert.strictEqual(new ProcessTracker(0x7fffffff).stats(), null);
+    });
+});
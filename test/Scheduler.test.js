@@ -0,0 +1,268 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const Scheduler = require('../lib/Scheduler');
+const {CLIP, CLIP2, DBUS_ADDR, delay, waitForEvent, watchRejections, watchUncaught} = require('./helpers');
+
+// 2024-01-08 is a Monday, 2024-01-13 a Saturday
+function at(day, hours, minutes) {
+    return new Date(2024, 0, day, hours, minutes || 0).getTime();
+}
+
+const SIGNAGE = {
+    entries: [
+        {name: 'menu', file: 'menu.mp4', start: '06:00', end: '11:00'},
+        {name: 'lunch', file: 'lunch.mp4', start: '11:00', end: '15:00', options: {loop: true}},
+        {name: 'promo', file: 'promo.mp4', days: ['sat', 'sun'], start: '10:00', end: '18:00', priority: 1},
+        {name: 'late', file: 'late.mp4', days: ['fri', 'sat'], start: '22:00', end: '02:00'},
+        {name: 'news', file: 'news.mp4', cron: '0,30 * * * mon-fri', duration: 120, priority: 2},
+        {name: 'sale', file: 'sale.mp4', from: '2024-01-10', until: '2024-01-11', start: '16:00', end: '18:00'}
+    ],
+    fallback: {file: 'idle.mp4', options: {loop: true}}
+};
+
+describe('Scheduler', function () {
+
+    describe('schedule', function () {
+        let time;
+        let scheduler;
+
+        beforeEach(function () {
+            time = at(8, 10, 29);
+            scheduler = new Scheduler(new OmxPlayer({dbusAddressFile: DBUS_ADDR}), SIGNAGE, {now: () => time});
+        });
+
+        it('matches cron expressions', function () {
+            let cron = Scheduler.parseCron('*/15 9-17 * * mon-fri');
+            assert.strictEqual(cron(new Date(at(8, 9, 30))), true);
+            assert.strictEqual(cron(new Date(at(8, 9, 31))), false);
+            assert.strictEqual(cron(new Date(at(8, 18, 0))), false);
+            assert.strictEqual(cron(new Date(at(13, 9, 30))), false);
+            // either day of month or day of week when both are given
+            let monthly = Scheduler.parseCron('0 12 1 jan-mar sun');
+            assert.strictEqual(monthly(new Date(at(1, 12))), true);
+            assert.strictEqual(monthly(new Date(at(14, 12))), true);
+            assert.strictEqual(monthly(new Date(at(13, 12))), false);
+        });
+
+        it('picks the entry with the highest priority', function () {
+            let name = (time) => scheduler.entryAt(time).name;
+            assert.strictEqual(name(at(8, 5, 59)), 'fallback');
+            assert.strictEqual(name(at(8, 6, 5)), 'menu');
+            assert.strictEqual(name(at(8, 11, 5)), 'lunch');
+            assert.strictEqual(name(at(8, 15, 5)), 'fallback');
+            assert.strictEqual(name(at(13, 10)), 'promo');
+            // the news run for two minutes from every full and half hour on weekdays
+            assert.strictEqual(name(at(8, 10, 30)), 'news');
+            assert.strictEqual(name(at(8, 10, 31) + 59000), 'news');
+            assert.strictEqual(name(at(8, 10, 32)), 'menu');
+            assert.strictEqual(name(at(13, 10, 30)), 'promo');
+        });
+
+        it('runs past midnight and within dates', function () {
+            let name = (time) => scheduler.entryAt(time).name;
+            assert.strictEqual(name(at(12, 23, 10)), 'late');
+            assert.strictEqual(name(at(13, 1, 59)), 'late');
+            assert.strictEqual(name(at(14, 1)), 'late');
+            assert.strictEqual(name(at(15, 1, 10)), 'fallback');
+            assert.strictEqual(name(at(9, 16, 10)), 'fallback');
+            assert.strictEqual(name(at(10, 16, 10)), 'sale');
+            assert.strictEqual(name(at(11, 17, 59)), 'sale');
+            assert.strictEqual(name(at(12, 16, 10)), 'fallback');
+        });
+
+        it('tells what comes next', function () {
+            assert.deepStrictEqual(scheduler.upNext(), {name: 'news', file: 'news.mp4', priority: 2, fallback: false, at: at(8, 10, 30)});
+            // the news end, then start again
+            time = at(8, 12);
+            assert.strictEqual(scheduler.upNext().at, at(8, 12, 2));
+            time = at(8, 12, 5);
+            assert.strictEqual(scheduler.upNext().at, at(8, 12, 30));
+            time = at(13, 18, 5);
+            assert.deepStrictEqual(scheduler.upNext(), {name: 'late', file: 'late.mp4', priority: 0, fallback: false, at: at(13, 22)});
+            assert.strictEqual(scheduler.nowPlaying(), null);
+        });
+
+        it('rejects invalid schedules', function () {
+            let invalid = [
+                null,
+                {entries: [{start: '06:00'}]},
+                [{file: 'a.mp4', start: '6 am'}],
+                [{file: 'a.mp4', days: ['someday']}],
+                [{file: 'a.mp4', cron: '* * * *', duration: 60}],
+                [{file: 'a.mp4', cron: '61 * * * *', duration: 60}],
+                [{file: 'a.mp4', cron: '* * * * *'}],
+                [{file: 'a.mp4', cron: '* * * * *', duration: 60, start: '06:00'}],
+                [{file: 'a.mp4', from: '10.01.2024'}],
+                [{file: 'a.mp4', transition: 'fade'}]
+            ];
+            for (let schedule of invalid) {
+                assert.throws(() => new Scheduler(null, schedule), OmxPlayer.OmxInvalidArgumentError, JSON.stringify(schedule));
+            }
+        });
+    });
+
+    describe('playing', function () {
+        let player;
+        let scheduler;
+        let time;
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            time = at(8, 10);
+        });
+
+        afterEach(function () {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+            return scheduler.stop();
+        });
+
+        it('opens what is due and interrupts it for the next entry', function () {
+            scheduler = new Scheduler(player, [
+                {name: 'morning', file: CLIP, start: '06:00', end: '11:00', options: {loop: true}},
+                {name: 'noon', file: CLIP2, start: '11:00', end: '15:00'}
+            ], {now: () => time, interval: 20});
+            return scheduler.start().then(() => {
+                assert.strictEqual(player.file, CLIP);
+                assert.strictEqual(scheduler.nowPlaying().name, 'morning');
+                assert.strictEqual(scheduler.nowPlaying().until, at(8, 11));
+                let change = waitForEvent(scheduler, 'change');
+                time = at(8, 11);
+                return change;
+            }).then(({previous, current}) => {
+                assert.deepStrictEqual([previous.name, current.name], ['morning', 'noon']);
+                assert.strictEqual(player.file, CLIP2);
+                assert.strictEqual(scheduler.nowPlaying().since, at(8, 11));
+
+                // nothing due and no fallback: the screen goes dark
+                let change = waitForEvent(scheduler, 'change');
+                time = at(8, 16);
+                return change;
+            }).then(({current}) => {
+                assert.strictEqual(current, null);
+                assert.strictEqual(player.process, null);
+            });
+        });
+
+        it('plays a clip that ended again while its entry is due', function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 0.5;
+            scheduler = new Scheduler(player, {entries: [], fallback: {file: CLIP}}, {now: () => time, interval: 20});
+            let opened = 0;
+            player.on('ready', () => opened++);
+            return scheduler.start().then(() => waitForEvent(player, 'close')).then(() => waitForEvent(player, 'ready')).then(() => {
+                assert.strictEqual(opened, 2);
+                assert.strictEqual(scheduler.nowPlaying().fallback, true);
+            });
+        });
+
+        it('leaves a clip that was quit off until the next entry is due', function () {
+            scheduler = new Scheduler(player, [
+                {name: 'morning', file: CLIP, start: '06:00', end: '11:00'},
+                {name: 'noon', file: CLIP2, start: '11:00', end: '15:00'}
+            ], {now: () => time, interval: 20, retryDelay: 100});
+            return scheduler.start().then(() => {
+                // omxplayer's q key, it exits with 3
+                let close = waitForEvent(player, 'close');
+                player.action('exit');
+                return close;
+            }).then(() => delay(400)).then(() => {
+                assert.strictEqual(player.process, null);
+                assert.strictEqual(scheduler.nowPlaying(), null);
+                let change = waitForEvent(scheduler, 'change');
+                time = at(8, 11);
+                return change;
+            }).then(({current}) => {
+                assert.strictEqual(current.name, 'noon');
+                assert.strictEqual(player.file, CLIP2);
+            });
+        });
+
+        it('waits for the end of the clip', function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 1;
+            scheduler = new Scheduler(player, [
+                {name: 'morning', file: CLIP, start: '06:00', end: '11:00'},
+                {name: 'noon', file: CLIP2, start: '11:00', end: '15:00', transition: 'wait'}
+            ], {now: () => time, interval: 20});
+            let waited;
+            return scheduler.start().then(() => {
+                let waiting = waitForEvent(scheduler, 'waiting');
+                time = at(8, 11);
+                return waiting;
+            }).then(({current, next}) => {
+                waited = Date.now();
+                assert.deepStrictEqual([current.name, next.name], ['morning', 'noon']);
+                assert.strictEqual(player.file, CLIP);
+                return waitForEvent(scheduler, 'change');
+            }).then(({current}) => {
+                assert.strictEqual(current.name, 'noon');
+                assert(Date.now() - waited > 300, `switched after ${Date.now() - waited} ms`);
+            });
+        });
+
+        it('waits for a looped clip to wrap around', function () {
+            process.env.FAKE_OMXPLAYER_DURATION = 1;
+            scheduler = new Scheduler(player, [
+                {name: 'morning', file: CLIP, start: '06:00', end: '11:00', options: {loop: true}},
+                {name: 'noon', file: CLIP2, start: '11:00', end: '15:00', transition: 'wait'}
+            ], {now: () => time, interval: 20});
+            return scheduler.start().then(() => {
+                let waiting = waitForEvent(scheduler, 'waiting');
+                time = at(8, 11);
+                return waiting;
+            }).then(() => waitForEvent(scheduler, 'change', 3000)).then(({current}) => {
+                assert.strictEqual(current.name, 'noon');
+                assert.strictEqual(player.file, CLIP2);
+            });
+        });
+
+        it('retries failed clips after a while', function () {
+            scheduler = new Scheduler(player, {entries: [], fallback: {file: '/nonexistent.mp4'}}, {now: () => time, interval: 20, retryDelay: 300});
+            let errors = [];
+            scheduler.on('error', (err) => errors.push(err));
+            return scheduler.start().then(() => delay(800)).then(() => {
+                // not with every look at the clock
+                assert(errors.length >= 2 && errors.length <= 4, `${errors.length} errors`);
+                assert.strictEqual(errors[0].reason, 'FILE_NOT_FOUND');
+                assert.strictEqual(scheduler.nowPlaying(), null);
+            });
+        });
+
+        it('throws its errors without error listeners and retries all the same', function () {
+            scheduler = new Scheduler(player, {entries: [], fallback: {file: '/nonexistent.mp4'}}, {now: () => time, interval: 20, retryDelay: 300});
+            let opened = 0;
+            let open = player.open;
+            player.open = function (...args) {
+                opened++;
+                return open.apply(this, args);
+            };
+            let rejections = watchRejections();
+            let uncaught = watchUncaught();
+            return scheduler.start().then(() => delay(800)).then(() => Promise.all([rejections(), uncaught()])).then(([reasons, errors]) => {
+                assert.deepStrictEqual(reasons, []);
+                assert(errors.length >= 1 && errors.length <= opened, `${errors.length} errors`);
+                assert.strictEqual(errors[0].reason, 'FILE_NOT_FOUND');
+                // the first failure no longer keeps it from trying again
+                assert(opened >= 2, `opened ${opened} times`);
+            });
+        });
+
+        it('follows the clock when it is set', function () {
+            scheduler = new Scheduler(player, {
+                entries: [{name: 'menu', file: CLIP2, start: '06:00', end: '11:00', from: '2024-01-01'}],
+                fallback: {file: CLIP}
+            }, {now: () => time, interval: 20});
+            // a Pi booting without a real-time clock
+            time = new Date(1970, 0, 1, 8).getTime();
+            return scheduler.start().then(() => {
+                assert.strictEqual(scheduler.nowPlaying().name, 'fallback');
+                let change = waitForEvent(scheduler, 'change');
+                time = at(8, 7);
+                return change;
+            }).then(({current}) => {
+                assert.strictEqual(current.name, 'menu');
+                assert.strictEqual(player.file, CLIP2);
+            });
+        });
+    });
+});
@@ -0,0 +1,194 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const Server = require('../lib/Server');
+const {CLIP, DBUS_ADDR} = require('./helpers');
+
+describe('Server', function () {
+    let server;
+    let base;
+
+    // resolves with [status, body]
+    function request(method, path, body, headers) {
+        return fetch(`${base}${path}`, {
+            method,
+            headers: Object.assign({'Content-Type': 'application/json'}, headers),
+            body: (body !== undefined) ? JSON.stringify(body) : undefined
+        }).then((res) => res.json().then((json) => [res.status, json]));
+    }
+
+    // Reads the event stream at path until an event named name arrives, resolves with its data.
+    function openStream(path, headers) {
+        let controller = new AbortController();
+        return fetch(`${base}${path}`, {headers, signal: controller.signal}).then((res) => {
+            let reader = res.body.getReader();
+            let text = '';
+            let stream = {
+                status: res.status,
+                close: () => controller.abort(),
+                next(name) {
+                    let match = new RegExp(`event: ${name}\ndata: (.*)\n\n`).exec(text);
+                    if (match) {
+                        text = text.slice(match.index + match[0].length);
+                        return Promise.resolve(JSON.parse(match[1]));
+                    }
+                    return reader.read().then(({value, done}) => {
+                        if (done) throw new Error(`stream ended before '${name}'`);
+                        text += Buffer.from(value).toString();
+                        return stream.next(name);
+                    });
+                }
+            };
+            return stream;
+        });
+    }
+
+    function start(options) {
+        server = new Server(Object.assign({player: {dbusAddressFile: DBUS_ADDR}}, options));
+        return server.listen(0).then((address) => {
+            base = `http://127.0.0.1:${address.port}`;
+        });
+    }
+
+    afterEach(function () {
+        let names = Array.from(server.players.keys());
+        return server.close().then(() => Promise.all(names.map((name) => server.remove(name))));
+    });
+
+    it('controls named players', function () {
+        return start({players: {main: {}}}).then(() => {
+            return request('POST', '/players/main/open', {file: CLIP, options: {loop: true}});
+        }).then(([status]) => {
+            assert.strictEqual(status, 200);
+            return request('GET', '/players');
+        }).then(([status, players]) => {
+            assert.deepStrictEqual(players, [{name: 'main', running: true, file: CLIP}]);
+            return request('POST', '/players/main/pause');
+        }).then(() => {
+            return request('POST', '/players/main/position', {position: 10});
+        }).then(([status, position]) => {
+            assert.strictEqual(status, 200);
+            assert.strictEqual(position, 10);
+            return request('POST', '/players/main/seek', {offset: 5});
+        }).then(() => {
+            return request('PUT', '/players/main/volume', {volume: '-6dB'});
+        }).then(([status, volume]) => {
+            assert.strictEqual(status, 200);
+            assert(Math.abs(volume.dB + 6) < 1e-9, volume.dB);
+            return request('PUT', '/players/main/layer', {layer: 2});
+        }).then(([status]) => {
+            assert.strictEqual(status, 200);
+            return request('GET', '/players/main/state');
+        }).then(([status, state]) => {
+            assert.strictEqual(status, 200);
+            assert.strictEqual(state.status, 'Paused');
+            assert(state.position >= 15 && state.position < 16, state.position);
+            assert(Math.abs(state.volume - 0.501187) < 1e-6, state.volume);
+            return request('PUT', '/players/main/tracks/audio', {index: 1});
+        }).then(([status, selected]) => {
+            assert.strictEqual(status, 200);
+            assert.strictEqual(selected, true);
+            return request('POST', '/players/main/kill');
+        }).then(([status, code]) => {
+            assert.strictEqual(status, 200);
+            assert.strictEqual(code, 3);
+        });
+    });
+
+    it('creates and removes players', function () {
+        return start().then(() => {
+            return request('POST', '/players/second', {uniqueName: true});
+        }).then(([status, player]) => {
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(player, {name: 'second', running: false, file: null});
+            assert(server.players.get('second') instanceof OmxPlayer);
+            return request('POST', '/players/second', {});
+        }).then(([status, body]) => {
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error.name, 'OmxInvalidArgumentError');
+            return request('POST', '/players/third', {dbusAddress: 'unix:path=/tmp/elsewhere', dbusName: 'other'});
+        }).then(([status, body]) => {
+            assert.strictEqual(status, 400);
+            assert.strictEqual(body.error.message, "options that can't be set remotely: dbusAddress, dbusName");
+            assert.strictEqual(server.players.has('third'), false);
+            return request('DELETE', '/players/second');
+        }).then(([status]) => {
+            assert.strictEqual(status, 200);
+            assert.strictEqual(server.players.size, 0);
+        });
+    });
+
+    it('answers failures with an error status', function () {
+        return start({players: {main: {}}}).then(() => {
+            return Promise.all([
+                request('GET', '/players/other/state'),
+                request('GET', '/players/other/events'),
+                request('GET', '/nowhere'),
+                request('DELETE', '/players/main/seek'),
+                request('POST', '/players/main/seek', {offset: 'far'}),
+                request('POST', '/players/main/seek', {offset: 5}),
+                request('PUT', '/players/main/volume', {volume: 'loud'})
+            ]);
+        }).then((responses) => {
+            assert.deepStrictEqual(responses.map(([status]) => status), [404, 404, 404, 405, 400, 409, 400]);
+            assert.strictEqual(responses[1][1].error.message, 'no player named "other"');
+            assert.strictEqual(responses[5][1].error.name, 'OmxNotRunningError');
+            assert.strictEqual(responses[5][1].error.member, 'Seek');
+            return fetch(`${base}/players/main/open`, {method: 'POST', body: '{oops'});
+        }).then((res) => {
+            assert.strictEqual(res.status, 400);
+            return res.json();
+        }).then((body) => {
+            assert(/invalid JSON/.test(body.error.message), body.error.message);
+        });
+    });
+
+    it('requires the token', function () {
+        return start({token: 'secret'}).then(() => {
+            return Promise.all([
+                request('GET', '/players'),
+                request('GET', '/players', undefined, {Authorization: 'Bearer wrong'}),
+                request('GET', '/players', undefined, {Authorization: 'Bearer secret'}),
+                request('GET', '/players?token=secret')
+            ]);
+        }).then((responses) => {
+            assert.deepStrictEqual(responses.map(([status]) => status), [401, 401, 200, 200]);
+        });
+    });
+
+    it('streams player events', function () {
+        let all;
+        let main;
+        return start({players: {main: {}}, token: 'secret'}).then(() => {
+            return Promise.all([
+                openStream('/events?token=secret'),
+                openStream('/players/main/events', {Authorization: 'Bearer secret'})
+            ]);
+        }).then((streams) => {
+            [all, main] = streams;
+            assert.strictEqual(all.status, 200);
+            return request('POST', '/players/main/open', {file: CLIP}, {Authorization: 'Bearer secret'});
+        }).then(() => {
+            return Promise.all([all.next('ready'), main.next('ready')]);
+        }).then(([event1, event2]) => {
+            assert.deepStrictEqual(event1, {player: 'main', data: null});
+            assert.deepStrictEqual(event2, {player: 'main', data: null});
+            return request('POST', '/players/main/quit', undefined, {Authorization: 'Bearer secret'});
+        }).then(() => main.next('close')).then((event) => {
+            assert.strictEqual(event.player, 'main');
+            assert.strictEqual(event.data.reason, 'quit');
+            server.add('extra', {});
+            return all.next('player-added');
+        }).then((event) => {
+            assert.deepStrictEqual(event, {player: 'extra', data: {name: 'extra', running: false, file: null}});
+        }).then(() => {
+            all.close();
+            main.close();
+        }, (err) => {
+            all.close();
+            main.close();
+            throw err;
+        });
+    });
+});
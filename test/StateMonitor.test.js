@@ -0,0 +1,111 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const {CLIP, DBUS_ADDR, waitForEvent} = require('./helpers');
+
+describe('StateMonitor', function () {
+    let player;
+
+    beforeEach(function () {
+        player = new OmxPlayer({dbusAddressFile: DBUS_ADDR, monitor: 50});
+    });
+
+    afterEach(function () {
+        player.stopMonitor();
+        return player.kill();
+    });
+
+    it('emits play and timeupdate once the player runs', function () {
+        let play = waitForEvent(player, 'play');
+        let timeupdate = waitForEvent(player, 'timeupdate');
+        return player.open(CLIP).then(() => Promise.all([play, timeupdate])).then(([, position]) => {
+            assert.strictEqual(typeof position, 'number');
+        });
+    });
+
+    it('emits pause and play when the status changes', function () {
+        return player.open(CLIP).then(() => waitForEvent(player, 'timeupdate')).then(() => {
+            let pause = waitForEvent(player, 'pause');
+            player.pause();
+            return pause;
+        }).then(() => {
+            let play = waitForEvent(player, 'play');
+            player.playPause();
+            return play;
+        });
+    });
+
+    it('emits seeked for setPosition() and seek()', function () {
+        return player.open(CLIP).then(() => {
+            let seeked = waitForEvent(player, 'seeked');
+            player.setPosition(30);
+            return seeked;
+        }).then((position) => {
+            assert.strictEqual(position, 30);
+            let seeked = waitForEvent(player, 'seeked');
+            player.seek(-10);
+            return seeked;
+        }).then((position) => {
+            assert(position >= 20 && position < 21, `position ${position}`);
+        });
+    });
+
+    it('detects seeks made elsewhere', function () {
+        return player.open(CLIP).then(() => waitForEvent(player, 'timeupdate')).then(() => {
+            let seeked = waitForEvent(player, 'seeked');
+            // seek +30s through a key action, the monitor has to find out by polling
+            player.action(20);
+            return seeked;
+        }).then((position) => {
+            assert(position >= 30, `position ${position}`);
+        });
+    });
+
+    it('emits ratechange and volumechange', function () {
+        return player.open(CLIP).then(() => waitForEvent(player, 'timeupdate')).then(() => {
+            let ratechange = waitForEvent(player, 'ratechange');
+            player.setRate(2);
+            return ratechange;
+        }).then((rate) => {
+            assert.strictEqual(rate, 2);
+            let volumechange = waitForEvent(player, 'volumechange');
+            player.setVolume(0.25);
+            return volumechange;
+        }).then((volume) => {
+            assert.strictEqual(volume, 0.25);
+            let volumechange = waitForEvent(player, 'volumechange');
+            // volume down through a key action
+            player.action(17);
+            return volumechange;
+        }).then((volume) => {
+            assert(volume < 0.25, `volume ${volume}`);
+        });
+    });
+
+    it('emits ended before close at the end of the clip', function () {
+        process.env.FAKE_OMXPLAYER_DURATION = 1;
+        let events = [];
+        player.on('ended', () => events.push('ended'));
+        let close = waitForEvent(player, 'close');
+        return player.open(CLIP).then(() => close).then(() => {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+            assert.deepStrictEqual(events, ['ended']);
+        }, (err) => {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+            throw err;
+        });
+    });
+
+    it('does not emit ended after quit()', function () {
+        let ended = false;
+        player.on('ended', () => ended = true);
+        return player.open(CLIP).then(() => {
+            let close = waitForEvent(player, 'close');
+            player.quit();
+            return close;
+        }).then(() => {
+            assert.strictEqual(ended, false);
+        });
+    });
+});
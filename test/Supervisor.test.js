@@ -0,0 +1,137 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('../lib/OmxPlayer');
+const Supervisor = require('../lib/Supervisor');
+const {CLIP, DBUS_ADDR, delay, waitForEvent} = require('./helpers');
+
+describe('Supervisor', function () {
+    let player;
+    let supervisor;
+
+    beforeEach(function () {
+        player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        supervisor = new Supervisor(player, {interval: 100, stallTimeout: 600, backoff: 10});
+    });
+
+    afterEach(function () {
+        supervisor.stop();
+        delete process.env.FAKE_OMXPLAYER_FREEZE;
+        delete process.env.FAKE_OMXPLAYER_FAIL;
+        return player.kill();
+    });
+
+    it('restarts a stalled player at the last position', function () {
+        process.env.FAKE_OMXPLAYER_FREEZE = 1;
+        let stalled = waitForEvent(supervisor, 'stalled');
+        let restarted = waitForEvent(supervisor, 'restarted');
+        let first;
+        supervisor.start();
+        return player.open(CLIP).then(() => {
+            first = player.process;
+            delete process.env.FAKE_OMXPLAYER_FREEZE;
+            return stalled;
+        }).then((stall) => {
+            assert.strictEqual(stall.position, 1);
+            assert(stall.since > 600, stall.since);
+            return restarted;
+        }).then((restart) => {
+            assert.deepStrictEqual(restart, {reason: 'stalled', position: 1, attempt: 1});
+            assert.notStrictEqual(player.process, first);
+            assert.strictEqual(player.options.pos, 1);
+            return player.getPosition();
+        }).then((position) => {
+            assert(position >= 1, position);
+        });
+    });
+
+    it('restarts a player that crashed', function () {
+        process.env.FAKE_OMXPLAYER_FAIL = 'Failed to open audio out';
+        let restarted = waitForEvent(supervisor, 'restarted');
+        supervisor.start();
+        return player.open(CLIP, {loop: true}).then(() => {
+            delete process.env.FAKE_OMXPLAYER_FAIL;
+            return restarted;
+        }).then((restart) => {
+            assert.strictEqual(restart.reason, 'AUDIO_OPEN_FAILED');
+            assert.strictEqual(player.options.loop, true);
+            return player.getSource();
+        }).then((source) => {
+            assert.strictEqual(source, CLIP);
+        });
+    });
+
+    it('restarts a player opened with the short alias of pos', function () {
+        process.env.FAKE_OMXPLAYER_FAIL = 'Failed to open audio out';
+        let restarted = waitForEvent(supervisor, 'restarted');
+        supervisor.start();
+        return player.open(CLIP, {l: 10}).then(() => {
+            delete process.env.FAKE_OMXPLAYER_FAIL;
+            return restarted;
+        }).then((restart) => {
+            assert(restart.position >= 10, restart.position);
+            assert.strictEqual(player.options.l, undefined);
+            assert.strictEqual(player.options.pos, restart.position);
+            return player.getPosition();
+        }).then((position) => {
+            assert(position >= 10, position);
+        });
+    });
+
+    it('gives up when the restart budget is used up', function () {
+        supervisor.maxRestarts = 2;
+        process.env.FAKE_OMXPLAYER_FAIL = 'Failed to open audio out';
+        let restarts = [];
+        supervisor.on('restarted', (restart) => restarts.push(restart.attempt));
+        let gaveUp = waitForEvent(supervisor, 'gave-up', 10000);
+        supervisor.start();
+        return player.open(CLIP).then(() => gaveUp).then((event) => {
+            assert.strictEqual(event.reason, 'AUDIO_OPEN_FAILED');
+            assert.strictEqual(event.restarts, 2);
+            assert.strictEqual(supervisor.running, false);
+            assert(restarts.every((attempt) => attempt <= 2), restarts);
+        });
+    });
+
+    it('leaves a player alone that quit', function () {
+        let restarted = false;
+        supervisor.on('restarted', () => restarted = true);
+        supervisor.start();
+        return player.open(CLIP).then(() => {
+            return player.quit();
+        }).then(() => delay(500)).then(() => {
+            assert.strictEqual(restarted, false);
+            assert.strictEqual(player.process, null);
+        });
+    });
+
+    it('leaves a player alone that omxplayer quit with exit code 3', function () {
+        let restarted = false;
+        supervisor.on('restarted', () => restarted = true);
+        supervisor.start();
+        return player.open(CLIP).then(() => {
+            // the q key: omxplayer quits on its own, not after quit()
+            let close = waitForEvent(player, 'close');
+            player.action('exit');
+            return close;
+        }).then(([code, exit]) => {
+            assert.strictEqual(code, 3);
+            assert.strictEqual(exit.reason, 'quit');
+            return delay(500);
+        }).then(() => {
+            assert.strictEqual(restarted, false);
+            assert.strictEqual(player.process, null);
+        });
+    });
+
+    it('does not count a paused player as stalled', function () {
+        let stalled = false;
+        supervisor.on('stalled', () => stalled = true);
+        supervisor.start();
+        return player.open(CLIP).then(() => {
+            return player.pause();
+        }).then(() => delay(1000)).then(() => {
+            assert.strictEqual(stalled, false);
+        });
+    });
+});
@@ -0,0 +1,34 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const {Actions, resolveAction} = require('../lib/actions');
+
+describe('actions', function () {
+
+    it('is exported on OmxPlayer', function () {
+        assert.strictEqual(OmxPlayer.Actions, Actions);
+        assert(Object.isFrozen(Actions));
+    });
+
+    it('numbers the actions as KeyConfig.h does', function () {
+        let numbers = Object.keys(Actions).map((name) => Actions[name]);
+        assert.deepStrictEqual(numbers, numbers.map((number, index) => index + 1));
+        assert.strictEqual(Actions.TOGGLE_SUBTITLE, 12);
+        assert.strictEqual(Actions.HIDE_VIDEO, 28);
+        assert.strictEqual(Actions.SET_LAYER, 39);
+    });
+
+    it('resolves names and numbers', function () {
+        assert.strictEqual(resolveAction(20), 20);
+        assert.strictEqual(resolveAction('SEEK_FORWARD_SMALL'), 20);
+        assert.strictEqual(resolveAction('ACTION_SEEK_FORWARD_SMALL'), 20);
+        assert.strictEqual(resolveAction('seek_forward_small'), 20);
+    });
+
+    it('throws for unknown names', function () {
+        assert.throws(() => resolveAction('SEEK_FORWARD_HUGE'), OmxPlayer.OmxInvalidArgumentError);
+        assert.throws(() => resolveAction('constructor'), /unknown action/);
+        assert.throws(() => resolveAction(null), /unknown action/);
+    });
+});
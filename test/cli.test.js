@@ -0,0 +1,189 @@
+"use strict";
+
+const assert = require('assert');
+const {execFile} = require('child_process');
+const path = require('path');
+const OmxPlayer = require('..');
+const cli = require('../lib/cli');
+const {CLIP, DBUS_ADDR, delay} = require('./helpers');
+
+const BIN = path.join(__dirname, '..', 'bin', 'omxctl.js');
+
+describe('omxctl', function () {
+
+    // runs omxctl on the bus of the tests in this process, resolves with {code, stdout, stderr}
+    function omxctl(...argv) {
+        let output = {stdout: '', stderr: ''};
+        let io = {
+            stdout: {write: (text) => output.stdout += text},
+            stderr: {write: (text) => output.stderr += text}
+        };
+        return cli.run(['--bus', DBUS_ADDR].concat(argv), io).then((code) => Object.assign(output, {code}));
+    }
+
+    describe('arguments', function () {
+
+        it('separates its own options from the command', function () {
+            let {command, args, flags} = cli.parseArgs(['-n', 'omxplayer1', 'seek', '-10', '--json']);
+            assert.strictEqual(command, 'seek');
+            assert.deepStrictEqual(args, ['-10']);
+            assert.strictEqual(flags.name, 'omxplayer1');
+            assert.strictEqual(flags.json, true);
+        });
+
+        it('takes the options of omxplayer for open', function () {
+            let {args} = cli.parseArgs(['open', 'video.mp4', '--loop', '--vol', '-6dB', '-o', 'hdmi', '--win=0,0,640,480', '-n', '1']);
+            let parsed = cli.parseOpenArgs(args);
+            assert.strictEqual(parsed.file, 'video.mp4');
+            assert.deepStrictEqual(parsed.options, {'loop': true, 'vol': '-6dB', 'adev': 'hdmi', 'win': '0,0,640,480', 'aidx': '1'});
+            assert.throws(() => cli.parseOpenArgs(['video.mp4', '--bogus']), OmxPlayer.OmxInvalidArgumentError);
+        });
+
+        it('exits with 2 on invalid arguments', function () {
+            return Promise.all([omxctl(), omxctl('bogus'), omxctl('--call-timeout', 'soon', 'status')]).then((results) => {
+                assert.deepStrictEqual(results.map((result) => result.code), [2, 2, 2]);
+                assert(/unknown command "bogus"/.test(results[1].stderr), results[1].stderr);
+            });
+        });
+
+        it('prints the help', function () {
+            return omxctl('--help').then(({code, stdout}) => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(stdout, cli.USAGE);
+            });
+        });
+    });
+
+    describe('commands', function () {
+        let player;
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            return player.open(CLIP, {loop: true});
+        });
+
+        afterEach(function () {
+            return player.kill();
+        });
+
+        it('prints the status', function () {
+            return omxctl('status').then(({code, stdout}) => {
+                assert.strictEqual(code, 0);
+                assert(/^status: Playing$/m.test(stdout), stdout);
+                assert(/^duration: 60$/m.test(stdout), stdout);
+                return omxctl('--name', player.dbusName, 'status', '--json');
+            }).then(({code, stdout}) => {
+                assert.strictEqual(code, 0);
+                let state = JSON.parse(stdout);
+                assert.strictEqual(state.playing, true);
+                assert.strictEqual(state.metadata['xesam:url'], CLIP);
+            });
+        });
+
+        it('seeks, sets the volume and selects tracks', function () {
+            let name = player.dbusName.replace('org.mpris.MediaPlayer2.', '');
+            return player.pause().then(() => {
+                return omxctl('-n', name, 'position', '00:00:10');
+            }).then(({code, stdout}) => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(stdout, '10\n');
+                return omxctl('-n', name, 'seek', '+5', '--json');
+            }).then(({stdout}) => {
+                assert.strictEqual(stdout, '5\n');
+                return player.getPosition();
+            }).then((position) => {
+                assert(position >= 15 && position < 16, position);
+                return omxctl('-n', name, 'volume', '-6dB', '--json');
+            }).then(({stdout}) => {
+                assert(Math.abs(JSON.parse(stdout).dB + 6) < 1e-9, stdout);
+                return omxctl('-n', name, 'volume', '50%');
+            }).then(({stdout}) => {
+                assert(/^percent: 50/m.test(stdout), stdout);
+                return omxctl('-n', name, 'audio', '1');
+            }).then(({stdout}) => {
+                assert.strictEqual(stdout, 'true\n');
+                return omxctl('-n', name, 'tracks', '--json');
+            }).then(({stdout}) => {
+                let tracks = JSON.parse(stdout);
+                assert.strictEqual(tracks.audio.find((track) => track.active).index, 1);
+            });
+        });
+
+        it('runs any method of OmxPlayer', function () {
+            return omxctl('getSource').then(({code, stdout}) => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(stdout, `${CLIP}\n`);
+                return omxctl('setVolumeDb', '-12', '--json');
+            }).then(({stdout}) => {
+                assert(Math.abs(JSON.parse(stdout) + 12) < 1e-9, stdout);
+                return omxctl('_invokeDBus', 'Quit');
+            }).then(({code}) => {
+                assert.strictEqual(code, 2);
+                assert.strictEqual(player.process !== null, true);
+            });
+        });
+
+        it('watches events as newline-delimited JSON until the player exits', function () {
+            let lines = [];
+            let io = {
+                stdout: {write: (text) => lines.push(...text.split('\n').filter(Boolean).map((line) => JSON.parse(line)))},
+                stderr: {write: () => {}}
+            };
+            // resolves once a line of event has been printed
+            let printed = (event) => new Promise((resolve) => {
+                let check = () => lines.some((line) => line.event === event) ? resolve() : setTimeout(check, 20);
+                check();
+            });
+            let watching = cli.run(['--bus', DBUS_ADDR, 'watch', '100'], io);
+            return printed('timeupdate').then(() => player.pause()).then(() => {
+                return printed('pause');
+            }).then(() => player.quit()).then(() => watching).then((code) => {
+                assert.strictEqual(code, 0);
+                let events = lines.map((line) => line.event);
+                assert(events.indexOf('timeupdate') !== -1, events);
+                assert(events.indexOf('pause') !== -1, events);
+                assert.strictEqual(events[events.length - 1], 'close');
+                assert.strictEqual(lines[0].player, player.dbusName);
+            });
+        });
+
+        it('fails with 1 when a call fails', function () {
+            return omxctl('--name', 'omxplayer_gone', 'status').then(({code, stderr}) => {
+                assert.strictEqual(code, 1);
+                assert(/no omxplayer owns org.mpris.MediaPlayer2.omxplayer_gone/.test(stderr), stderr);
+            });
+        });
+    });
+
+    it('opens a file in the foreground', function () {
+        process.env.FAKE_OMXPLAYER_DURATION = 1;
+        return omxctl('open', CLIP, '--pos', '0', '--json').then(({code, stdout}) => {
+            assert.strictEqual(code, 0);
+            assert.strictEqual(JSON.parse(stdout).reason, 'ended');
+        }).then(() => {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+        }, (err) => {
+            delete process.env.FAKE_OMXPLAYER_DURATION;
+            throw err;
+        });
+    });
+
+    it('exits with 0 when the player it opened is quit from elsewhere', function () {
+        let opened = omxctl('--name', 'omxplayer_cli', 'open', CLIP, '--json');
+        // the quit reaches omxplayer, not the player of the open command: omxplayer exits with 3.
+        // It waits for the bus name and then for the open command to see the player ready
+        let started = () => omxctl('--name', 'omxplayer_cli', 'status').then(({code}) => code === 0 || delay(100).then(started));
+        return started().then(() => delay(500)).then(() => omxctl('--name', 'omxplayer_cli', 'quit')).then(() => opened).then(({code, stdout}) => {
+            assert.strictEqual(code, 0);
+            assert.deepStrictEqual([JSON.parse(stdout).code, JSON.parse(stdout).reason], [3, 'quit']);
+        });
+    });
+
+    it('runs as bin', function (done) {
+        execFile(process.execPath, [BIN, '--bus', DBUS_ADDR, 'list', '--json'], (err, stdout) => {
+            if (err) return done(err);
+            assert.deepStrictEqual(JSON.parse(stdout), []);
+            done();
+        });
+    });
+});
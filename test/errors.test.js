@@ -0,0 +1,106 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const Playlist = require('../lib/Playlist');
+const {buildArgs} = require('../lib/options');
+const {CLIP, DBUS_ADDR} = require('./helpers');
+
+const {
+    OmxError,
+    OmxNotRunningError,
+    OmxProcessError,
+    OmxDBusError,
+    OmxTimeoutError,
+    OmxInvalidArgumentError
+} = OmxPlayer;
+
+describe('errors', function () {
+
+    describe('hierarchy', function () {
+
+        it('derives every error from OmxError and Error', function () {
+            for (let ErrorClass of [OmxNotRunningError, OmxProcessError, OmxDBusError, OmxTimeoutError, OmxInvalidArgumentError]) {
+                let err = new ErrorClass('message');
+                assert(err instanceof OmxError);
+                assert(err instanceof Error);
+                assert.strictEqual(err.name, ErrorClass.name);
+                assert(err.stack);
+            }
+        });
+
+        it('carries the call details', function () {
+            let cause = new Error('cause');
+            let err = new OmxDBusError('failed', {
+                member: 'Seek',
+                interface: 'org.mpris.MediaPlayer2.Player',
+                instance: 3,
+                errorName: 'org.freedesktop.DBus.Error.NoReply',
+                cause
+            });
+            assert.strictEqual(err.member, 'Seek');
+            assert.strictEqual(err.interface, 'org.mpris.MediaPlayer2.Player');
+            assert.strictEqual(err.instance, 3);
+            assert.strictEqual(err.errorName, 'org.freedesktop.DBus.Error.NoReply');
+            assert.strictEqual(err.cause, cause);
+        });
+
+        it('defaults the details to null', function () {
+            let err = new OmxNotRunningError();
+            assert.strictEqual(err.message, 'Not running');
+            assert.strictEqual(err.member, null);
+            assert.strictEqual(err.instance, null);
+            assert.strictEqual(err.cause, null);
+        });
+    });
+
+    describe('validation', function () {
+
+        it('throws OmxInvalidArgumentError for invalid options', function () {
+            assert.throws(() => buildArgs({adevv: 'hdmi'}), (err) => {
+                return err instanceof OmxInvalidArgumentError && err.argument === 'adevv';
+            });
+            assert.throws(() => buildArgs({alpha: 300}), (err) => {
+                return err instanceof OmxInvalidArgumentError && err.argument === 'alpha';
+            });
+        });
+
+        it('throws OmxInvalidArgumentError for invalid playlist arguments', function () {
+            let playlist = new Playlist(['a.mp4']);
+            assert.throws(() => playlist.move(0, 5), OmxInvalidArgumentError);
+            assert.throws(() => playlist.setRepeat('forever'), OmxInvalidArgumentError);
+        });
+    });
+
+    describe('player', function () {
+        let player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+
+        before(function () {
+            return player.open(CLIP);
+        });
+
+        after(function () {
+            return player.kill();
+        });
+
+        it('rejects with OmxDBusError when omxplayer answers with an error', function () {
+            return player._invokeDBus('Get', 'org.freedesktop.DBus.Properties', 'ss', ['org.mpris.MediaPlayer2.Player', 'NoSuchProperty']).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxDBusError, err);
+                assert.strictEqual(err.errorName, 'org.freedesktop.DBus.Error.InvalidArgs');
+                assert.strictEqual(err.member, 'Get');
+                assert.strictEqual(err.interface, 'org.freedesktop.DBus.Properties');
+                assert.strictEqual(err.instance, player.instance);
+            });
+        });
+
+        it('passes the typed error to callbacks', function (done) {
+            player.setPosition(-1, (err, position) => {
+                assert(err instanceof OmxInvalidArgumentError, err);
+                assert.strictEqual(position, null);
+                done();
+            }).catch(() => {});
+        });
+    });
+});
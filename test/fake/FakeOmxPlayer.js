@@ -0,0 +1,498 @@
+// FakeOmxPlayer.js
+//
+// A stand-in for omxplayer.bin that exposes the same (quirky) MPRIS interface on a private
+// dbus-daemon, so OmxPlayer can be exercised on machines without a Raspberry Pi.
+// Playback is simulated with a clock: nothing is decoded, the file only has to exist.
+//
+// The behaviour follows OMXControl.cpp of https://github.com/popcornmix/omxplayer
+// Tweaks for tests are read from the environment:
+//      FAKE_OMXPLAYER_DURATION         length of every clip in seconds (default 60)
+//      FAKE_OMXPLAYER_STARTUP_DELAY    ms before the D-Bus name is claimed (default 0)
+//      FAKE_OMXPLAYER_STDERR           text written to stderr on startup
+//      FAKE_OMXPLAYER_FAIL             text written to stderr 200ms after startup, before exiting with 1
+//      FAKE_OMXPLAYER_FREEZE           position in seconds at which playback hangs, the process stays alive
+//      FAKE_OMXPLAYER_HANG             ignore Quit over D-Bus and SIGTERM, only SIGKILL ends the player
+//      FAKE_OMXPLAYER_GETALL           answer org.freedesktop.DBus.Properties.GetAll, which omxplayer doesn't
+// Like omxplayer, the fake doesn't answer methods it doesn't know: their calls time out.
+
+"use strict";
+
+const EventEmitter = require('events');
+const dbus = require('dbus-native');
+
+const DBUS_NAME = 'org.mpris.MediaPlayer2.omxplayer';
+const DBUS_PATH = '/org/mpris/MediaPlayer2';
+const DBUS_INTERFACE_PROPERTIES = 'org.freedesktop.DBus.Properties';
+const DBUS_INTERFACE_PLAYER = 'org.mpris.MediaPlayer2.Player';
+const DBUS_INTERFACE_ROOT = 'org.mpris.MediaPlayer2';
+
+// RequestName flag and reply, see the D-Bus specification
+const DBUS_NAME_FLAG_DO_NOT_QUEUE = 0x4;
+const DBUS_REQUEST_NAME_REPLY_PRIMARY_OWNER = 1;
+
+const MINIMUM_RATE = 0.125;
+const MAXIMUM_RATE = 4.0;
+const VOLUME_STEP_MB = 300;
+const SUBTITLE_DELAY_STEP_MS = 250;
+const FRAME_RATE = 25;
+// omxplayer exits with 3 when it is told to quit or stop, with 0 only at the end of the file
+const QUIT_CODE = 3;
+
+// options of omxplayer that are followed by a value, everything else is a flag
+const VALUE_OPTIONS = {
+    'o': 'adev', 'l': 'pos', 't': 'sid', 'n': 'aidx', '3': '3d',
+    'adev': 'adev', 'pos': 'pos', 'sid': 'sid', 'aidx': 'aidx', '3d': '3d',
+    'anaglyph': 'anaglyph', 'vol': 'vol', 'amp': 'amp', 'subtitles': 'subtitles', 'font': 'font',
+    'italic-font': 'italic-font', 'font-size': 'font-size', 'align': 'align', 'lines': 'lines',
+    'win': 'win', 'crop': 'crop', 'aspect-mode': 'aspect-mode', 'audio_fifo': 'audio_fifo',
+    'video_fifo': 'video_fifo', 'audio_queue': 'audio_queue', 'video_queue': 'video_queue',
+    'threshold': 'threshold', 'timeout': 'timeout', 'orientation': 'orientation', 'fps': 'fps',
+    'layout': 'layout', 'dbus_name': 'dbus_name', 'key-config': 'key-config', 'layer': 'layer',
+    'alpha': 'alpha', 'display': 'display', 'cookie': 'cookie', 'user-agent': 'user-agent',
+    'lavfdopts': 'lavfdopts', 'avdict': 'avdict'
+};
+
+const FLAG_OPTIONS = {
+    'p': 'passthrough', 'd': 'deinterlace', 'w': 'hw', 'M': 'allow-mvc', 'y': 'hdmiclocksync',
+    'z': 'nohdmiclocksync', 'r': 'refresh', 'g': 'genlog', 'b': 'blank', 'k': 'keys', 'i': 'info',
+    's': 'stats', 'I': 'with-info',
+    'passthrough': 'passthrough', 'deinterlace': 'deinterlace', 'nodeinterlace': 'nodeinterlace',
+    'nativedeinterlace': 'nativedeinterlace', 'hw': 'hw', 'allow-mvc': 'allow-mvc',
+    'hdmiclocksync': 'hdmiclocksync', 'nohdmiclocksync': 'nohdmiclocksync', 'refresh': 'refresh',
+    'genlog': 'genlog', 'blank': 'blank', 'loop': 'loop', 'no-boost-on-downmix': 'no-boost-on-downmix',
+    'no-osd': 'no-osd', 'no-keys': 'no-keys', 'no-ghost-box': 'no-ghost-box', 'live': 'live',
+    'keys': 'keys', 'info': 'info', 'stats': 'stats', 'with-info': 'with-info', 'advanced': 'advanced'
+};
+
+const AUDIO_STREAMS = [
+    {language: 'eng', name: 'English', codec: 'aac'},
+    {language: 'deu', name: 'Deutsch', codec: 'ac3'}
+];
+
+const SUBTITLE_STREAMS = [
+    {language: 'eng', name: 'English', codec: 'subrip'},
+    {language: 'fra', name: 'Francais', codec: 'subrip'}
+];
+
+const VIDEO_STREAMS = [
+    {language: 'und', name: '', codec: 'h264'}
+];
+
+// Parses the command line the same way omxplayer's getopt loop does.
+// Returns {options, file} or throws for unknown options and missing values.
+function parseArgs(argv) {
+    let options = {};
+    let file = null;
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        if (arg[0] !== '-' || arg === '-') {
+            file = arg;
+            continue;
+        }
+        let key = arg.replace(/^--?/, '');
+        if (VALUE_OPTIONS[key]) {
+            if (i + 1 >= argv.length) throw new Error(`option '${arg}' requires an argument`);
+            options[VALUE_OPTIONS[key]] = argv[++i];
+        } else if (FLAG_OPTIONS[key]) {
+            options[FLAG_OPTIONS[key]] = true;
+        } else {
+            throw new Error(`unrecognized option '${arg}'`);
+        }
+    }
+    return {options, file};
+}
+
+// "hh:mm:ss" or plain seconds
+function parseTime(value) {
+    let seconds = 0;
+    for (let part of String(value).split(':')) {
+        seconds = seconds * 60 + parseFloat(part);
+    }
+    return isNaN(seconds) ? 0 : seconds;
+}
+
+function formatStreams(streams, active) {
+    return streams.map((stream, index) => {
+        return `${index}:${stream.language}:${stream.name}:${stream.codec}:${index === active ? 'active' : ''}`;
+    });
+}
+
+class FakeOmxPlayer extends EventEmitter {
+
+    constructor(file, options) {
+        super();
+        options = options || {};
+
+        this.file = file;
+        this.options = options;
+        this.name = options.dbus_name || DBUS_NAME;
+        this.duration = parseFloat(process.env.FAKE_OMXPLAYER_DURATION || 60);
+        this.loop = !!options.loop;
+        this.freezeAt = process.env.FAKE_OMXPLAYER_FREEZE ? parseFloat(process.env.FAKE_OMXPLAYER_FREEZE) : Infinity;
+        this.hung = !!process.env.FAKE_OMXPLAYER_HANG;
+        this.getAll = !!process.env.FAKE_OMXPLAYER_GETALL;
+
+        this.playing = true;
+        this.rate = 1.0;
+        this.basePosition = options.pos ? parseTime(options.pos) : 0;
+        this.baseTime = Date.now();
+
+        this.volume = options.vol ? Math.pow(10, parseFloat(options.vol) / 2000.0) : 1.0;
+        this.muted = false;
+        this.alpha = options.alpha ? parseInt(options.alpha) : 255;
+        this.layer = options.layer ? parseInt(options.layer) : 0;
+        this.aspectMode = options['aspect-mode'] || 'letterbox';
+        this.videoPos = options.win ? options.win.split(/[ ,]/).map(Number) : [0, 0, 0, 0];
+        this.cropPos = options.crop ? options.crop.split(/[ ,]/).map(Number) : [0, 0, 0, 0];
+        this.videoHidden = false;
+
+        this.audioStream = 0;
+        this.subtitleStream = 0;
+        this.subtitlesVisible = !!options.subtitles;
+        this.chapter = 0;
+        this.subtitleDelay = 0;
+
+        this.bus = null;
+        this.timer = null;
+    }
+
+    // Connects to the bus at busAddress and claims the player's name.
+    start(busAddress) {
+        return new Promise((resolve, reject) => {
+            this.bus = dbus.sessionBus({busAddress});
+            this.bus.connection.on('error', reject);
+
+            // dbus-native answers every org.freedesktop.DBus.Properties call itself, but omxplayer
+            // uses that interface with the property name as member, so the calls are routed here first
+            let handlers = this.bus.connection.listeners('message');
+            this.bus.connection.removeAllListeners('message');
+            this.bus.connection.on('message', (msg) => {
+                if (msg.type === dbus.messageType.methodCall && msg.path === DBUS_PATH) return this._dispatch(msg);
+                handlers.forEach((handler) => handler.call(this.bus.connection, msg));
+            });
+
+            this.bus.requestName(this.name, DBUS_NAME_FLAG_DO_NOT_QUEUE, (err, reply) => {
+                if (err) return reject(err);
+                if (reply !== DBUS_REQUEST_NAME_REPLY_PRIMARY_OWNER) return reject(new Error(`name ${this.name} is taken`));
+                this.timer = setInterval(() => this._tick(), 20);
+                this._printInfo();
+                resolve();
+            });
+        });
+    }
+
+    exit(code) {
+        clearInterval(this.timer);
+        this.emit('exit', code || 0);
+    }
+
+    // ##########################################
+    // Simulated clock
+    // ##########################################
+
+    getPosition() {
+        if (!this.playing) return this.basePosition;
+        return Math.min(this.freezeAt, this.basePosition + (Date.now() - this.baseTime) / 1000 * this.rate);
+    }
+
+    setPosition(seconds) {
+        this.basePosition = seconds;
+        this.baseTime = Date.now();
+    }
+
+    setPlaying(playing) {
+        if (playing === this.playing) return;
+        this.setPosition(this.getPosition());
+        this.playing = playing;
+    }
+
+    setRate(rate) {
+        this.setPosition(this.getPosition());
+        this.rate = rate;
+    }
+
+    _tick() {
+        let position = this.getPosition();
+        if (position < this.duration) return;
+        if (this.loop) return this.setPosition(position % this.duration);
+        this.exit(0);
+    }
+
+    _printInfo() {
+        let video = VIDEO_STREAMS[0];
+        let audio = AUDIO_STREAMS[this.audioStream];
+        this.emit('stdout', `Video codec omx-${video.codec} width 1920 height 1080 profile 100 fps 25.000000\n`);
+        this.emit('stdout', `Audio codec ${audio.codec} channels 2 samplerate 48000 bitspersample 16\n`);
+        this.emit('stdout', `Subtitle count: ${SUBTITLE_STREAMS.length}, state: ${this.subtitlesVisible ? 'on' : 'off'}, index: 1, delay: 0\n`);
+    }
+
+    // ##########################################
+    // Keyboard actions, see KeyConfig.h
+    // ##########################################
+
+    action(command) {
+        switch (command) {
+            case 1: // decrease speed
+                return this.setRate(Math.max(MINIMUM_RATE, this.rate / 2));
+            case 2: // increase speed
+                return this.setRate(Math.min(MAXIMUM_RATE, this.rate * 2));
+            case 3: // rewind
+            case 4: // fast forward
+            case 5: // show info
+                return null;
+            case 6: // previous audio stream
+                return this.audioStream = Math.max(0, this.audioStream - 1);
+            case 7: // next audio stream
+                return this.audioStream = Math.min(AUDIO_STREAMS.length - 1, this.audioStream + 1);
+            case 8: // previous chapter
+                return this.chapter = Math.max(0, this.chapter - 1);
+            case 9: // next chapter
+                return this.chapter++;
+            case 10: // previous subtitle stream
+                return this.subtitleStream = Math.max(0, this.subtitleStream - 1);
+            case 11: // next subtitle stream
+                return this.subtitleStream = Math.min(SUBTITLE_STREAMS.length - 1, this.subtitleStream + 1);
+            case 12: // toggle subtitles
+                return this.subtitlesVisible = !this.subtitlesVisible;
+            case 13: // decrease subtitle delay
+                return this.subtitleDelay -= SUBTITLE_DELAY_STEP_MS;
+            case 14: // increase subtitle delay
+                return this.subtitleDelay += SUBTITLE_DELAY_STEP_MS;
+            case 15: // exit
+                return this.exit(QUIT_CODE);
+            case 16: // play / pause
+                return this.setPlaying(!this.playing);
+            case 17: // decrease volume
+                return this.volume = Math.pow(10, (2000.0 * Math.log10(this.volume) - VOLUME_STEP_MB) / 2000.0);
+            case 18: // increase volume
+                return this.volume = Math.pow(10, (2000.0 * Math.log10(this.volume) + VOLUME_STEP_MB) / 2000.0);
+            case 19: // seek -30s
+                return this.setPosition(Math.max(0, this.getPosition() - 30));
+            case 20: // seek +30s
+                return this.setPosition(Math.min(this.duration, this.getPosition() + 30));
+            case 21: // seek -600s
+                return this.setPosition(Math.max(0, this.getPosition() - 600));
+            case 22: // seek +600s
+                return this.setPosition(Math.min(this.duration, this.getPosition() + 600));
+            case 25: // step one frame while paused
+                if (this.playing) return null;
+                return this.setPosition(Math.min(this.duration, this.getPosition() + 1 / FRAME_RATE));
+            case 28: // hide video
+                return this.videoHidden = true;
+            case 29: // unhide video
+                return this.videoHidden = false;
+            case 30: // hide subtitles
+                return this.subtitlesVisible = false;
+            case 31: // show subtitles
+                return this.subtitlesVisible = true;
+            case 35: // pause
+                return this.setPlaying(false);
+            case 36: // play
+                return this.setPlaying(true);
+            case 38: // stop
+                return this.exit(QUIT_CODE);
+        }
+    }
+
+    // ##########################################
+    // D-Bus
+    // ##########################################
+
+    // Every handler returns [signature, value], or null for an empty reply.
+    _handlers() {
+        let int64 = (value) => ['x', Math.round(value)];
+        let bool = (value) => ['b', !!value];
+        let metadata = () => ['a{sv}', [
+            ['mpris:length', ['x', Math.round(this.duration * 1e6)]],
+            ['xesam:url', ['s', this.file]]
+        ]];
+        let properties = {
+            // Root
+            CanQuit: () => bool(true),
+            Fullscreen: () => bool(true),
+            CanSetFullscreen: () => bool(false),
+            CanRaise: () => bool(false),
+            HasTrackList: () => bool(false),
+            Identity: () => ['s', 'OMXPlayer'],
+            SupportedUriSchemes: () => ['as', ['file', 'http', 'rtsp', 'rtmp']],
+            SupportedMimeTypes: () => ['as', ['application/ogg', 'audio/mpeg', 'video/mp4', 'video/x-matroska']],
+            // Player
+            CanGoNext: () => bool(false),
+            CanGoPrevious: () => bool(false),
+            CanSeek: () => bool(true),
+            CanControl: () => bool(true),
+            CanPlay: () => bool(true),
+            CanPause: () => bool(true),
+            PlaybackStatus: () => ['s', this.playing ? 'Playing' : 'Paused'],
+            Volume: (volume) => {
+                if (volume !== undefined) this.volume = volume;
+                return ['d', this.volume];
+            },
+            Position: () => int64(this.getPosition() * 1e6),
+            MinimumRate: () => ['d', MINIMUM_RATE],
+            MaximumRate: () => ['d', MAXIMUM_RATE],
+            Rate: (rate) => {
+                if (rate !== undefined && rate >= MINIMUM_RATE && rate <= MAXIMUM_RATE) this.setRate(rate);
+                return ['d', this.rate];
+            },
+            Metadata: metadata,
+            Aspect: () => ['d', 1920 / 1080],
+            VideoStreamCount: () => int64(VIDEO_STREAMS.length),
+            ResWidth: () => int64(1920),
+            ResHeight: () => int64(1080),
+            Duration: () => int64(this.duration * 1e6)
+        };
+
+        let handlers = {};
+        for (let name of Object.keys(properties)) {
+            handlers[`${DBUS_INTERFACE_PROPERTIES}.${name}`] = properties[name];
+        }
+
+        if (this.getAll) {
+            handlers[`${DBUS_INTERFACE_PROPERTIES}.GetAll`] = () => {
+                return ['a{sv}', Object.keys(properties).map((name) => [name, properties[name]()])];
+            };
+        }
+
+        Object.assign(handlers, {
+            [`${DBUS_INTERFACE_PROPERTIES}.Get`]: (iface, name) => {
+                if (!properties[name]) throw new Error(`unknown property ${name}`);
+                let [signature, value] = properties[name]();
+                return ['v', [signature, value]];
+            },
+
+            [`${DBUS_INTERFACE_ROOT}.Quit`]: () => {
+                if (!this.hung) setImmediate(() => this.exit(QUIT_CODE));
+                return null;
+            },
+            [`${DBUS_INTERFACE_ROOT}.Raise`]: () => null,
+
+            [`${DBUS_INTERFACE_PLAYER}.Next`]: () => {
+                this.action(9);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Previous`]: () => {
+                this.action(8);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Play`]: () => {
+                this.setPlaying(true);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Pause`]: () => {
+                this.setPlaying(false);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.PlayPause`]: () => {
+                this.setPlaying(!this.playing);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Stop`]: () => {
+                setImmediate(() => this.exit(QUIT_CODE));
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Seek`]: (offset) => {
+                let position = this.getPosition() + offset / 1e6;
+                if (position < 0 || position > this.duration) return null;
+                this.setPosition(position);
+                return int64(offset);
+            },
+            [`${DBUS_INTERFACE_PLAYER}.SetPosition`]: (path, position) => {
+                if (position < 0 || position > this.duration * 1e6) return null;
+                this.setPosition(position / 1e6);
+                return int64(position);
+            },
+            [`${DBUS_INTERFACE_PLAYER}.SetAlpha`]: (path, alpha) => {
+                this.alpha = alpha;
+                return int64(alpha);
+            },
+            [`${DBUS_INTERFACE_PLAYER}.SetLayer`]: (path, layer) => {
+                this.layer = layer;
+                return int64(layer);
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Mute`]: () => {
+                this.muted = true;
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.Unmute`]: () => {
+                this.muted = false;
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.ListSubtitles`]: () => ['as', formatStreams(SUBTITLE_STREAMS, this.subtitleStream)],
+            [`${DBUS_INTERFACE_PLAYER}.ListAudio`]: () => ['as', formatStreams(AUDIO_STREAMS, this.audioStream)],
+            [`${DBUS_INTERFACE_PLAYER}.ListVideo`]: () => ['as', formatStreams(VIDEO_STREAMS, 0)],
+            [`${DBUS_INTERFACE_PLAYER}.SelectSubtitle`]: (index) => {
+                if (index < 0 || index >= SUBTITLE_STREAMS.length) return bool(false);
+                this.subtitleStream = index;
+                return bool(true);
+            },
+            [`${DBUS_INTERFACE_PLAYER}.SelectAudio`]: (index) => {
+                if (index < 0 || index >= AUDIO_STREAMS.length) return bool(false);
+                this.audioStream = index;
+                return bool(true);
+            },
+            [`${DBUS_INTERFACE_PLAYER}.ShowSubtitles`]: () => {
+                this.subtitlesVisible = true;
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.HideSubtitles`]: () => {
+                this.subtitlesVisible = false;
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.GetSource`]: () => ['s', this.file],
+            [`${DBUS_INTERFACE_PLAYER}.Action`]: (command) => {
+                this.action(command);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.OpenUri`]: (uri) => {
+                this.file = uri;
+                this.setPosition(0);
+                return null;
+            },
+            [`${DBUS_INTERFACE_PLAYER}.VideoPos`]: (path, win) => {
+                this.videoPos = win.split(' ').map(Number);
+                return ['s', this.videoPos.join(' ')];
+            },
+            [`${DBUS_INTERFACE_PLAYER}.SetVideoCropPos`]: (path, crop) => {
+                this.cropPos = crop.split(' ').map(Number);
+                return ['s', this.cropPos.join(' ')];
+            },
+            [`${DBUS_INTERFACE_PLAYER}.SetAspectMode`]: (path, mode) => {
+                this.aspectMode = mode;
+                return ['s', mode];
+            }
+        });
+
+        return handlers;
+    }
+
+    _dispatch(msg) {
+        if (!this.handlers) this.handlers = this._handlers();
+        let handler = this.handlers[`${msg.interface}.${msg.member}`];
+        if (!handler) return;
+
+        let result;
+        try {
+            result = handler(...(msg.body || []));
+        } catch (err) {
+            return this.bus.sendError(msg, 'org.freedesktop.DBus.Error.InvalidArgs', err.message);
+        }
+
+        let reply = {
+            type: dbus.messageType.methodReturn,
+            serial: this.bus.serial++,
+            replySerial: msg.serial,
+            destination: msg.sender
+        };
+        if (result) {
+            reply.signature = result[0];
+            reply.body = [result[1]];
+        }
+        this.bus.connection.message(reply);
+    }
+}
+
+FakeOmxPlayer.parseArgs = parseArgs;
+FakeOmxPlayer.parseTime = parseTime;
+
+module.exports = FakeOmxPlayer;
@@ -0,0 +1,19 @@
+// Opens a player and prints the pid of its omxplayer.bin, then waits to be killed.
+// Killing it with SIGKILL leaves the player behind as an orphan. With the argument killOnExit
+// the player is opened with that option.
+
+"use strict";
+
+const OmxPlayer = require('../../lib/OmxPlayer');
+const {CLIP, DBUS_ADDR} = require('../helpers');
+
+let player = new OmxPlayer({dbusAddressFile: DBUS_ADDR, uniqueName: true, killOnExit: process.argv[2] === 'killOnExit'});
+player.open(CLIP, {loop: true}).then(() => {
+    return player.getChildPid();
+}).then((pid) => {
+    process.stdout.write(`${pid}\n`);
+    setInterval(() => {}, 1000);
+}, (err) => {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,87 @@
+// Shared setup for the test suite: puts the fake omxplayer on the PATH and has it start its bus in a
+// temporary directory, so a real omxplayer's /tmp/omxplayerdbus.<user> is left alone. The tests pass
+// DBUS_ADDR to their players as dbusAddressFile. The bus is stopped after the tests.
+
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FAKE_DIR = path.join(__dirname, 'fake');
+const CLIP = path.join(__dirname, 'fixtures', 'clip.mp4');
+const CLIP2 = path.join(__dirname, 'fixtures', 'clip2.mp4');
+
+process.env.PATH = `${FAKE_DIR}${path.delimiter}${process.env.PATH}`;
+
+// read by the fake omxplayer script, set already in processes the tests start
+if (!process.env.OMXPLAYER_DBUS_ADDR) {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omxplayer-test-'));
+    process.env.OMXPLAYER_DBUS_ADDR = path.join(dir, 'omxplayerdbus');
+
+    // helpers.js is loaded by the fake player's parent.js as well, outside of mocha
+    if (typeof after === 'function') {
+        after(function () {
+            try {
+                process.kill(parseInt(fs.readFileSync(`${DBUS_ADDR}.pid`, 'utf8')), 'SIGTERM');
+            } catch (err) {
+                // no player was started
+            }
+            fs.rmSync(dir, {recursive: true, force: true});
+        });
+    }
+}
+
+const DBUS_ADDR = process.env.OMXPLAYER_DBUS_ADDR;
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function waitForEvent(emitter, event, timeout) {
+    return new Promise((resolve, reject) => {
+        let timer = setTimeout(() => reject(new Error(`timeout waiting for '${event}'`)), timeout || 5000);
+        emitter.once(event, (...args) => {
+            clearTimeout(timer);
+            resolve(args.length > 1 ? args : args[0]);
+        });
+    });
+}
+// Collects unhandled rejections, which mocha lets pass, until the returned function is called.
+// That one resolves with their reasons, a moment later so rejections still pending are counted.
+function watchRejections() {
+    let reasons = [];
+    let listener = (reason) => reasons.push(reason);
+    process.on('unhandledRejection', listener);
+    return () => delay(50).then(() => {
+        process.removeListener('unhandledRejection', listener);
+        return reasons;
+    });
+}
+
+// Takes uncaught exceptions over from mocha, which would fail the test with them, until the returned
+// function is called. That one hands them back to mocha and resolves with the errors, a moment later
+// so errors thrown from pending callbacks are counted.
+function watchUncaught() {
+    let errors = [];
+    let listener = (err) => errors.push(err);
+    let mocha = process.listeners('uncaughtException');
+    process.removeAllListeners('uncaughtException');
+    process.on('uncaughtException', listener);
+    return () => delay(50).then(() => {
+        process.removeListener('uncaughtException', listener);
+        for (let previous of mocha) process.on('uncaughtException', previous);
+        return errors;
+    });
+}
+
+module.exports = {
+    FAKE_DIR,
+    DBUS_ADDR,
+    CLIP,
+    CLIP2,
+    delay,
+    waitForEvent,
+    watchRejections,
+    watchUncaught
+};
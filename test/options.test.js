@@ -0,0 +1,132 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const {buildArgs, parseTime, formatTime, parseVolume} = require('../lib/options');
+const {CLIP, DBUS_ADDR} = require('./helpers');
+
+describe('options', function () {
+
+    describe('buildArgs()', function () {
+
+        it('returns no arguments without options', function () {
+            assert.deepStrictEqual(buildArgs(), []);
+            assert.deepStrictEqual(buildArgs({}), []);
+        });
+
+        it('serializes flags', function () {
+            assert.deepStrictEqual(buildArgs({loop: true, 'no-osd': true, live: false}), ['--loop', '--no-osd']);
+        });
+
+        it('accepts short and camelCase names', function () {
+            assert.deepStrictEqual(buildArgs({o: 'hdmi', noOsd: true, aspectMode: 'fill'}),
+                ['--adev', 'hdmi', '--no-osd', '--aspect-mode', 'fill']);
+        });
+
+        it('serializes rectangles', function () {
+            assert.deepStrictEqual(buildArgs({win: [0, 0, 640, 480]}), ['--win', '0,0,640,480']);
+            assert.deepStrictEqual(buildArgs({crop: {x1: 10, y1: 20, x2: 30, y2: 40}}), ['--crop', '10,20,30,40']);
+            assert.deepStrictEqual(buildArgs({win: '0 0 640 480'}), ['--win', '0,0,640,480']);
+        });
+
+        it('serializes positions as hh:mm:ss', function () {
+            assert.deepStrictEqual(buildArgs({pos: 0}), ['--pos', '00:00:00']);
+            assert.deepStrictEqual(buildArgs({pos: 3725.5}), ['--pos', '01:02:05']);
+            assert.deepStrictEqual(buildArgs({pos: '1:30'}), ['--pos', '00:01:30']);
+        });
+
+        it('serializes volumes in millibels', function () {
+            assert.deepStrictEqual(buildArgs({vol: -600}), ['--vol', '-600']);
+            assert.deepStrictEqual(buildArgs({vol: '-6dB'}), ['--vol', '-600']);
+            assert.deepStrictEqual(buildArgs({vol: {linear: 0.5}}), ['--vol', '-602']);
+            assert.deepStrictEqual(buildArgs({amp: '300mB'}), ['--amp', '300']);
+        });
+
+        it('serializes enums and numbers', function () {
+            assert.deepStrictEqual(buildArgs({orientation: 90, adev: 'alsa:hw:1,0', layer: -1, threshold: 0.5}),
+                ['--orientation', '90', '--adev', 'alsa:hw:1,0', '--layer', '-1', '--threshold', '0.5']);
+        });
+
+        it('rejects unknown options', function () {
+            assert.throws(() => buildArgs({adevv: 'hdmi'}), /unknown option "adevv"/);
+        });
+
+        it('rejects invalid values', function () {
+            assert.throws(() => buildArgs({adev: 'hdmi1'}), /invalid value "hdmi1" for option "adev"/);
+            assert.throws(() => buildArgs({win: [0, 0, 640]}), /option "win"/);
+            assert.throws(() => buildArgs({win: [640, 0, 0, 480]}), /option "win"/);
+            assert.throws(() => buildArgs({alpha: 300}), /option "alpha", expected an integer <= 255/);
+            assert.throws(() => buildArgs({layer: 1.5}), /option "layer"/);
+            assert.throws(() => buildArgs({pos: '1:75'}), /option "pos"/);
+            assert.throws(() => buildArgs({pos: -1}), /option "pos"/);
+            assert.throws(() => buildArgs({vol: 'loud'}), /option "vol"/);
+            assert.throws(() => buildArgs({loop: 'yes'}), /option "loop", expected true or false/);
+            assert.throws(() => buildArgs({'aspect-mode': 'zoom'}), /one of letterbox, fill, stretch/);
+        });
+
+        it('rejects options given twice', function () {
+            assert.throws(() => buildArgs({adev: 'hdmi', o: 'local'}), /given twice/);
+        });
+
+        it('rejects the dbus name', function () {
+            assert.throws(() => buildArgs({dbus_name: 'foo'}), /set by OmxPlayer/);
+        });
+    });
+
+    describe('helpers', function () {
+
+        it('parseTime()', function () {
+            assert.strictEqual(parseTime('01:02:03'), 3723);
+            assert.strictEqual(parseTime(12.5), 12.5);
+            assert(isNaN(parseTime('abc')));
+        });
+
+        it('formatTime()', function () {
+            assert.strictEqual(formatTime(3723), '01:02:03');
+        });
+
+        it('parseVolume()', function () {
+            assert.strictEqual(parseVolume({dB: -3}), -300);
+            assert(isNaN(parseVolume({linear: 0})));
+        });
+    });
+
+    describe('open()', function () {
+        let player;
+
+        beforeEach(function () {
+            player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        });
+
+        afterEach(function () {
+            return player.kill();
+        });
+
+        it('rejects invalid options without spawning', function () {
+            return player.open('clip.mp4', {adevv: 'hdmi'}).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(/unknown option/.test(err.message));
+                assert.strictEqual(player.process, null);
+            });
+        });
+
+        it('calls back with the validation error', function (done) {
+            player.open('clip.mp4', {win: 'full'}, (err) => {
+                assert(/option "win"/.test(err.message));
+                done();
+            }).catch(() => {});
+        });
+
+        it('passes typed options to omxplayer', function () {
+            return player.open(CLIP, {pos: '00:00:42', vol: '-6dB', win: [0, 0, 640, 480], loop: true}).then(() => {
+                return player.getPosition();
+            }).then((position) => {
+                assert(position >= 42 && position < 45, `position ${position}`);
+                return player.getVolume();
+            }).then((volume) => {
+                assert(Math.abs(volume - Math.pow(10, -600 / 2000)) < 1e-9, `volume ${volume}`);
+            });
+        });
+    });
+});
@@ -0,0 +1,57 @@
+"use strict";
+
+const assert = require('assert');
+const {decodeVariant, decodeDict, toState} = require('../lib/properties');
+
+// the signature tree dbus-native parses a type into
+function node(type, ...child) {
+    return {type, child};
+}
+
+describe('properties', function () {
+
+    it('decodes variants', function () {
+        assert.strictEqual(decodeVariant([[node('x')], [60000000]]), 60000000);
+        assert.strictEqual(decodeVariant([[node('s')], ['file.mp4']]), 'file.mp4');
+        assert.deepStrictEqual(decodeVariant([[node('a', node('s'))], [['a', 'b']]]), ['a', 'b']);
+    });
+
+    it('decodes nested dictionaries', function () {
+        let dict = node('a', node('{', node('s'), node('v')));
+        let metadata = decodeDict([
+            ['mpris:length', [[node('x')], [5000000]]],
+            ['xesam:artist', [[node('a', node('s'))], [['Someone']]]],
+            ['extra', [[dict], [[['nested', [[node('b')], [true]]]]]]]
+        ]);
+        assert.deepStrictEqual(metadata, {
+            'mpris:length': 5000000,
+            'xesam:artist': ['Someone'],
+            extra: {nested: true}
+        });
+        assert.deepStrictEqual(decodeDict(null), {});
+    });
+
+    it('builds the state', function () {
+        let state = toState({
+            PlaybackStatus: 'Paused',
+            Position: 1500000,
+            Duration: 60000000,
+            Volume: 0.5,
+            Metadata: {'xesam:url': 'file.mp4'}
+        }, 1234);
+        assert.deepStrictEqual(state, {
+            status: 'Paused',
+            playing: false,
+            paused: true,
+            position: 1.5,
+            duration: 60,
+            volume: 0.5,
+            rate: null,
+            metadata: {'xesam:url': 'file.mp4'},
+            aspect: null,
+            width: null,
+            height: null,
+            timestamp: 1234
+        });
+    });
+});
@@ -0,0 +1,135 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const {SyncMaster, SyncFollower, timelineAt, measureDrift} = require('../lib/sync');
+const {CLIP, CLIP2, DBUS_ADDR} = require('./helpers');
+
+describe('sync', function () {
+
+    describe('timeline', function () {
+
+        it('extrapolates the position of a playing master', function () {
+            let sample = {position: 10, time: 1000, rate: 1, playing: true, duration: 60, loop: false};
+            assert.strictEqual(timelineAt(sample, 1500), 10.5);
+            assert.strictEqual(timelineAt(Object.assign({}, sample, {rate: 2}), 1500), 11);
+            assert.strictEqual(timelineAt(Object.assign({}, sample, {playing: false}), 1500), 10);
+        });
+
+        it('wraps around for looped content', function () {
+            let sample = {position: 59.8, time: 0, rate: 1, playing: true, duration: 60, loop: true};
+            assert(Math.abs(timelineAt(sample, 500) - 0.3) < 1e-9);
+            // the follower wrapped around first, it is ahead rather than a loop behind
+            assert(Math.abs(measureDrift(0.1, 59.9, 60, true) - 0.2) < 1e-9);
+            assert(Math.abs(measureDrift(59.9, 0.1, 60, true) + 0.2) < 1e-9);
+            assert(Math.abs(measureDrift(0.1, 59.9, 60, false) + 59.8) < 1e-9);
+        });
+    });
+
+    describe('players', function () {
+        let master;
+        let follower;
+        let syncMaster;
+        let syncFollower;
+
+        // resolves with the first drift event that passes test
+        function driftWhere(test) {
+            return new Promise((resolve, reject) => {
+                let timer = setTimeout(() => reject(new Error('no matching drift')), 5000);
+                let listener = (event) => {
+                    if (!test(event)) return;
+                    clearTimeout(timer);
+                    syncFollower.removeListener('drift', listener);
+                    resolve(event);
+                };
+                syncFollower.on('drift', listener);
+            });
+        }
+
+        beforeEach(function () {
+            master = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            follower = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+        });
+
+        afterEach(function () {
+            if (syncFollower) syncFollower.stop();
+            if (syncMaster) syncMaster.stop();
+            syncFollower = syncMaster = null;
+            return Promise.all([master.kill(), follower.kill()]);
+        });
+
+        it('seeks a follower that is far off', function () {
+            syncMaster = new SyncMaster(master, {interval: 100});
+            syncFollower = new SyncFollower(follower, {master: syncMaster, settle: 300});
+            return Promise.all([master.open(CLIP), follower.open(CLIP2, {pos: 20})]).then(() => {
+                return Promise.all([syncMaster.start(), syncFollower.start()]);
+            }).then(() => driftWhere((event) => event.action === 'seek')).then((event) => {
+                assert(event.drift > 15, event.drift);
+                return driftWhere((event) => event.action !== 'seek');
+            }).then((event) => {
+                assert(Math.abs(event.drift) < 0.2, event.drift);
+            });
+        });
+
+        it('nudges the rate of a follower that is a little off', function () {
+            syncMaster = new SyncMaster(master, {interval: 100});
+            syncFollower = new SyncFollower(follower, {master: syncMaster, tolerance: 0.05});
+            return Promise.all([master.open(CLIP), follower.open(CLIP2)]).then(() => {
+                return master.getPosition();
+            }).then((position) => {
+                return follower.setPosition(position + 0.4);
+            }).then(() => {
+                return Promise.all([syncMaster.start(), syncFollower.start()]);
+            }).then(() => driftWhere((event) => event.action === 'nudge')).then((event) => {
+                assert(event.drift > 0.2, event.drift);
+                assert.strictEqual(event.rate, 0.95);
+                return follower.getRate();
+            }).then((rate) => {
+                assert.strictEqual(rate, 0.95);
+                syncFollower.stop();
+                syncFollower = null;
+                return follower.getRate();
+            }).then((rate) => {
+                assert.strictEqual(rate, 1);
+            });
+        });
+
+        it('follows pauses of the master', function () {
+            syncMaster = new SyncMaster(master, {interval: 100});
+            syncFollower = new SyncFollower(follower, {master: syncMaster});
+            return Promise.all([master.open(CLIP), follower.open(CLIP2)]).then(() => {
+                return Promise.all([syncMaster.start(), syncFollower.start()]);
+            }).then(() => master.pause()).then(() => {
+                return driftWhere((event) => event.action === 'pause');
+            }).then(() => follower.getPlaybackStatus()).then((status) => {
+                assert.strictEqual(status, 'Paused');
+            });
+        });
+
+        it('receives the timeline over UDP', function () {
+            let port = 40000 + Math.floor(Math.random() * 10000);
+            syncMaster = new SyncMaster(master, {interval: 100, port, address: '127.0.0.1', group: 'wall'});
+            let other = new SyncFollower(follower, {port, group: 'other'});
+            let foreign = 0;
+            other.on('drift', () => foreign++);
+            return Promise.all([master.open(CLIP), follower.open(CLIP2, {pos: 30})]).then(() => {
+                return other.start();
+            }).then(() => syncMaster.start()).then(() => {
+                // samples of another group are ignored
+                return new Promise((resolve) => setTimeout(resolve, 500));
+            }).then(() => {
+                other.stop();
+                assert.strictEqual(foreign, 0);
+                syncFollower = new SyncFollower(follower, {port, group: 'wall', settle: 300});
+                return syncFollower.start();
+            }).then(() => {
+                return driftWhere((event) => event.action === 'seek');
+            }).then((event) => {
+                assert(event.drift > 25, event.drift);
+                return driftWhere((event) => event.action !== 'seek');
+            }).then((event) => {
+                assert(Math.abs(event.drift) < 0.2, event.drift);
+            });
+        });
+    });
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+const assert = require('assert');
+const {parseTrack, parseTracks, findByLanguage} = require('../lib/tracks');
+
+describe('tracks', function () {
+
+    it('parses a stream description', function () {
+        assert.deepStrictEqual(parseTrack('1:deu:Deutsch:ac3:active'), {
+            index: 1,
+            language: 'deu',
+            name: 'Deutsch',
+            codec: 'ac3',
+            active: true
+        });
+        assert.deepStrictEqual(parseTrack('0:eng::aac:'), {
+            index: 0,
+            language: 'eng',
+            name: '',
+            codec: 'aac',
+            active: false
+        });
+    });
+
+    it('keeps colons in names', function () {
+        assert.strictEqual(parseTrack('2:eng:Commentary: Director:aac:').name, 'Commentary: Director');
+    });
+
+    it('skips lines that are no stream descriptions', function () {
+        assert.strictEqual(parseTrack('garbage'), null);
+        assert.strictEqual(parseTrack('x:eng:English:aac:'), null);
+        assert.deepStrictEqual(parseTracks(['0:eng:English:aac:', 'garbage']).map((track) => track.index), [0]);
+        assert.deepStrictEqual(parseTracks(null), []);
+    });
+
+    it('finds tracks by language in order of preference', function () {
+        let tracks = parseTracks(['0:eng:English:aac:active', '1:deu:Deutsch:ac3:']);
+        assert.strictEqual(findByLanguage(tracks, ['fra', 'deu', 'eng']).index, 1);
+        assert.strictEqual(findByLanguage(tracks, 'ENG').index, 0);
+        assert.strictEqual(findByLanguage(tracks, ['fra']), null);
+    });
+});
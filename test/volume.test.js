@@ -0,0 +1,265 @@
+"use strict";
+
+const assert = require('assert');
+const OmxPlayer = require('..');
+const {dbToLinear, linearToDb, percentToLinear, linearToPercent, mixVolume, toLinear} = require('../lib/volume');
+const {Fade, resolveEasing} = require('../lib/fade');
+const {CLIP, CLIP2, DBUS_ADDR, delay} = require('./helpers');
+
+function close(actual, expected, epsilon) {
+    assert(Math.abs(actual - expected) < (epsilon || 1e-6), `${actual} is not close to ${expected}`);
+}
+
+describe('volume', function () {
+
+    describe('conversions', function () {
+
+        it('converts between dB and linear', function () {
+            close(dbToLinear(-6), 0.501187);
+            close(linearToDb(0.5), -6.0206, 1e-4);
+            assert.strictEqual(linearToDb(0), -Infinity);
+        });
+
+        it('converts between percent and linear on a cubic curve', function () {
+            assert.strictEqual(percentToLinear(100), 1);
+            assert.strictEqual(percentToLinear(50), 0.125);
+            close(linearToPercent(0.125), 50);
+        });
+
+        it('mixes volumes on the perceptual curve', function () {
+            assert.strictEqual(mixVolume(1, 0, 0), 1);
+            assert.strictEqual(mixVolume(1, 0, 1), 0);
+            assert.strictEqual(mixVolume(1, 0, 0.5), 0.125);
+        });
+
+        it('parses volume targets', function () {
+            assert.strictEqual(toLinear(0.5), 0.5);
+            assert.strictEqual(toLinear({percent: 50}), 0.125);
+            close(toLinear('-6dB'), Math.pow(10, -600 / 2000));
+            close(toLinear({mB: -600}), Math.pow(10, -600 / 2000));
+            assert.strictEqual(toLinear({linear: 0}), 0);
+            assert(isNaN(toLinear(-1)));
+            assert(isNaN(toLinear('loud')));
+        });
+    });
+
+    describe('Fade', function () {
+
+        it('resolves easings', function () {
+            assert.strictEqual(resolveEasing()(0.5), 0.5);
+            assert.strictEqual(resolveEasing('easeIn')(0.5), 0.25);
+            assert.strictEqual(resolveEasing('easeInOut')(1), 1);
+            assert.throws(() => resolveEasing('bounce'), OmxPlayer.OmxInvalidArgumentError);
+        });
+
+        it('steps up to 1', function () {
+            let steps = [];
+            return new Fade(200).run((progress) => steps.push(progress)).then((completed) => {
+                assert.strictEqual(completed, true);
+                assert(steps.length >= 2, `steps ${steps}`);
+                assert.strictEqual(steps[steps.length - 1], 1);
+                assert.deepStrictEqual(steps, steps.slice().sort());
+            });
+        });
+
+        it('resolves with false right away when cancelled', function () {
+            let fade = new Fade(10000);
+            let steps = 0;
+            let done = fade.run(() => steps++);
+            setTimeout(() => fade.cancel(), 120);
+            return done.then((completed) => {
+                assert.strictEqual(completed, false);
+                let count = steps;
+                return delay(120).then(() => assert.strictEqual(steps, count));
+            });
+        });
+
+        it('rejects invalid durations', function () {
+            assert.throws(() => new Fade(-1), OmxPlayer.OmxInvalidArgumentError);
+            assert.throws(() => new Fade('1s'), OmxPlayer.OmxInvalidArgumentError);
+        });
+    });
+
+    describe('player', function () {
+        let player = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+
+        before(function () {
+            return player.open(CLIP);
+        });
+
+        after(function () {
+            return player.kill();
+        });
+
+        beforeEach(function () {
+            return player.setVolume(1);
+        });
+
+        it('setVolumeDb() and getVolumeDb()', function () {
+            return player.setVolumeDb(-6).then((dB) => {
+                close(dB, -6);
+                return player.getVolume();
+            }).then((volume) => {
+                close(volume, dbToLinear(-6));
+                return player.getVolumeDb();
+            }).then((dB) => {
+                close(dB, -6);
+            });
+        });
+
+        it('setVolumePercent() and getVolumePercent()', function () {
+            return player.setVolumePercent(50).then((percent) => {
+                close(percent, 50);
+                return player.getVolume();
+            }).then((volume) => {
+                assert.strictEqual(volume, 0.125);
+                return player.getVolumePercent();
+            }).then((percent) => {
+                close(percent, 50);
+            });
+        });
+
+        it('rejects invalid volumes', function () {
+            return player.setVolumePercent(-5).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxInvalidArgumentError, err);
+                return player.fadeVolume('loud', 100);
+            }).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(err instanceof OmxPlayer.OmxInvalidArgumentError, err);
+                return player.fadeVolume(0.5, 100, 'bounce');
+            }).then(() => {
+                assert.fail('should have rejected');
+            }, (err) => {
+                assert(/unknown easing/.test(err.message));
+            });
+        });
+
+        it('fadeVolume()', function () {
+            let fade = player.fadeVolume(0.125, 400);
+            return delay(200).then(() => {
+                return player.getVolume();
+            }).then((volume) => {
+                assert(volume < 1 && volume > 0.125, `volume ${volume}`);
+                return fade;
+            }).then((completed) => {
+                assert.strictEqual(completed, true);
+                assert.strictEqual(player.fading, null);
+                return player.getVolume();
+            }).then((volume) => {
+                assert.strictEqual(volume, 0.125);
+            });
+        });
+
+        it('fadeVolume() with an easing and a dB target', function (done) {
+            player.fadeVolume('-6dB', 200, 'easeOut', (err, completed) => {
+                assert.ifError(err);
+                assert.strictEqual(completed, true);
+                player.getVolumeDb().then((dB) => {
+                    close(dB, -6);
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('fadeVolume() with a callback and an easing function', function (done) {
+            let steps = 0;
+            player.fadeVolume(0.5, 100, (err, completed) => {
+                assert.ifError(err);
+                assert.strictEqual(completed, true);
+                player.fadeVolume(0.25, 100, {easing: (t) => ++steps && t}).then((completed) => {
+                    assert.strictEqual(completed, true);
+                    assert(steps > 0);
+                    done();
+                }).catch(done);
+            });
+        });
+
+        it('a new fade cancels the running one', function () {
+            let first = player.fadeVolume(0, 1000);
+            return delay(100).then(() => {
+                let second = player.fadeVolume(0.5, 200);
+                return Promise.all([first, second]);
+            }).then(([first, second]) => {
+                assert.strictEqual(first, false);
+                assert.strictEqual(second, true);
+                return player.getVolume();
+            }).then((volume) => {
+                assert.strictEqual(volume, 0.5);
+            });
+        });
+
+        it('cancelFade() and setVolume() leave the volume where it is', function () {
+            let fade = player.fadeVolume(0, 1000);
+            let volume;
+            return delay(200).then(() => {
+                player.cancelFade();
+                return fade;
+            }).then((completed) => {
+                assert.strictEqual(completed, false);
+                return player.getVolume();
+            }).then((current) => {
+                volume = current;
+                assert(volume > 0 && volume < 1, `volume ${volume}`);
+                return delay(150);
+            }).then(() => {
+                return player.getVolume();
+            }).then((current) => {
+                assert.strictEqual(current, volume);
+                fade = player.fadeVolume(0, 1000);
+                return delay(100);
+            }).then(() => {
+                return player.setVolume(0.75);
+            }).then(() => {
+                return fade;
+            }).then((completed) => {
+                assert.strictEqual(completed, false);
+                return delay(150);
+            }).then(() => {
+                return player.getVolume();
+            }).then((current) => {
+                assert.strictEqual(current, 0.75);
+            });
+        });
+    });
+
+    describe('crossfade()', function () {
+        let from;
+        let to;
+
+        beforeEach(function () {
+            from = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            to = new OmxPlayer({dbusAddressFile: DBUS_ADDR});
+            return Promise.all([from.open(CLIP, {layer: 1}), to.open(CLIP2, {layer: 2, alpha: 0})]);
+        });
+
+        afterEach(function () {
+            return Promise.all([from.kill(), to.kill()]);
+        });
+
+        it('fades one player out and the other in', function () {
+            return from.setVolume(0.5).then(() => {
+                return OmxPlayer.crossfade(from, to, 300, {easing: 'easeInOut'});
+            }).then((completed) => {
+                assert.strictEqual(completed, true);
+                return Promise.all([from.getVolume(), to.getVolume()]);
+            }).then(([fromVolume, toVolume]) => {
+                assert.strictEqual(fromVolume, 0);
+                close(toVolume, 0.5);
+            });
+        });
+
+        it('is cancelled by a fade on either player', function () {
+            let crossfade = OmxPlayer.crossfade(from, to, 1000, {volume: 1});
+            return delay(100).then(() => {
+                return Promise.all([crossfade, to.fadeVolume(0.25, 100)]);
+            }).then(([crossfaded, faded]) => {
+                assert.strictEqual(crossfaded, false);
+                assert.strictEqual(faded, true);
+                assert.strictEqual(from.fading, null);
+            });
+        });
+    });
+});